@@ -90,6 +90,8 @@ async function main() {
     entryPoints: {
       'data-browser': path.join(rootDir, 'src', 'ui-shared', 'data-browser.js'),
       'main': path.join(rootDir, 'src', 'ui-shared', 'main.js'),
+      'graph-gallery': path.join(rootDir, 'src', 'ui-shared', 'graph-gallery.js'),
+      'graph-viewer': path.join(rootDir, 'src', 'ui-shared', 'graph-viewer.js'),
     },
     format: 'iife',
     platform: 'browser',
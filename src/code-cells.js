@@ -0,0 +1,146 @@
+const { getVscode } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+// A cell starts at a comment line of the form `** %% Title` or `// %% Title`.
+const CELL_MARKER_REGEX = /^\s*(?:\*\*|\/\/)\s*%%(.*)$/;
+
+/**
+ * Split document text into cells.
+ * Code before the first marker forms an untitled leading cell (only when it contains code).
+ * @param {string} text
+ * @returns {Array<{index:number,title:string,markerLine:number|null,startLine:number,endLine:number,code:string}>}
+ *   `startLine`/`endLine` are inclusive and cover the cell body (marker line excluded).
+ */
+function parseCells(text) {
+    const lines = String(text ?? '').split(/\r?\n/);
+    const markers = [];
+    lines.forEach((line, i) => {
+        const match = CELL_MARKER_REGEX.exec(line);
+        if (match) markers.push({ line: i, title: match[1].trim() });
+    });
+    if (!markers.length) return [];
+
+    const cells = [];
+    const pushCell = (title, markerLine, startLine, endLine) => {
+        const code = startLine <= endLine ? lines.slice(startLine, endLine + 1).join('\n') : '';
+        cells.push({ index: cells.length, title, markerLine, startLine, endLine, code });
+    };
+
+    if (markers[0].line > 0) {
+        const leading = lines.slice(0, markers[0].line).join('\n');
+        if (leading.trim()) pushCell('', null, 0, markers[0].line - 1);
+    }
+    markers.forEach((marker, i) => {
+        const next = markers[i + 1];
+        const endLine = next ? next.line - 1 : lines.length - 1;
+        pushCell(marker.title, marker.line, marker.line + 1, endLine);
+    });
+
+    cells.forEach((cell) => {
+        if (!cell.title) cell.title = `Cell ${cell.index + 1}`;
+    });
+    return cells;
+}
+
+/**
+ * Find the cell containing a line (marker line included).
+ * @returns {object|null}
+ */
+function findCellAtLine(cells, line) {
+    for (const cell of cells || []) {
+        const top = cell.markerLine ?? cell.startLine;
+        if (line >= top && line <= cell.endLine) return cell;
+    }
+    return null;
+}
+
+function hasRunnableCode(cell) {
+    return !!cell && !!String(cell.code || '').trim();
+}
+
+class CellCodeLensProvider {
+    constructor() {
+        this._onDidChangeCodeLenses = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+    }
+
+    refresh() {
+        this._onDidChangeCodeLenses.fire();
+    }
+
+    provideCodeLenses(document) {
+        const config = vscode.workspace.getConfiguration('stataMcp');
+        if (!config.get('cellCodeLens', true)) return [];
+
+        const lenses = [];
+        for (const cell of parseCells(document.getText())) {
+            if (cell.markerLine === null) continue;
+            const range = new vscode.Range(
+                new vscode.Position(cell.markerLine, 0),
+                new vscode.Position(cell.markerLine, 0)
+            );
+            const args = [document.uri, cell.markerLine];
+            lenses.push(new vscode.CodeLens(range, { title: 'Run Cell', command: 'stata-workbench.runCell', arguments: args }));
+            lenses.push(new vscode.CodeLens(range, { title: 'Run and Advance', command: 'stata-workbench.runCellAndAdvance', arguments: args }));
+            if (cell.index > 0) {
+                lenses.push(new vscode.CodeLens(range, { title: 'Run Above', command: 'stata-workbench.runCellsAbove', arguments: args }));
+            }
+        }
+        return lenses;
+    }
+}
+
+/**
+ * Draws a separator on each cell marker and tints the cell under the cursor.
+ */
+class CellDecorator {
+    constructor() {
+        this._markerType = vscode.window.createTextEditorDecorationType({
+            isWholeLine: true,
+            borderWidth: '1px 0 0 0',
+            borderStyle: 'solid',
+            borderColor: new vscode.ThemeColor('editorLineNumber.foreground'),
+            fontWeight: 'bold'
+        });
+        this._activeType = vscode.window.createTextEditorDecorationType({
+            isWholeLine: true,
+            backgroundColor: new vscode.ThemeColor('editor.rangeHighlightBackground')
+        });
+    }
+
+    update(editor) {
+        if (!editor?.document) return;
+        const cells = parseCells(editor.document.getText());
+        const markerRanges = cells
+            .filter((cell) => cell.markerLine !== null)
+            .map((cell) => new vscode.Range(new vscode.Position(cell.markerLine, 0), new vscode.Position(cell.markerLine, 0)));
+        editor.setDecorations(this._markerType, markerRanges);
+
+        const config = vscode.workspace.getConfiguration('stataMcp');
+        const active = config.get('highlightActiveCell', true) && editor.selection
+            ? findCellAtLine(cells, editor.selection.active.line)
+            : null;
+        const activeRanges = active
+            ? [new vscode.Range(new vscode.Position(active.markerLine ?? active.startLine, 0), new vscode.Position(active.endLine, 0))]
+            : [];
+        editor.setDecorations(this._activeType, activeRanges);
+    }
+
+    dispose() {
+        this._markerType.dispose();
+        this._activeType.dispose();
+    }
+}
+
+module.exports = {
+    CELL_MARKER_REGEX,
+    parseCells,
+    findCellAtLine,
+    hasRunnableCode,
+    CellCodeLensProvider,
+    CellDecorator
+};
@@ -0,0 +1,415 @@
+const path = require('path');
+const { getVscode, getFs, createDepProxy } = require('./runtime-context');
+const { scanLine, forEachUnquoted } = require('./stata-syntax');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+const fs = createDepProxy(getFs);
+
+const COMMAND_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+// `capture`, `quietly` and `noisily` with or without a colon, and prefix commands that end in `:`.
+const COMMAND_PREFIX = /^(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?|n(?:oi(?:s(?:i(?:l(?:y)?)?)?)?)?)\b\s*:?\s*|(?:by|bys(?:o(?:r(?:t)?)?)?|xi|svy|mi\s+estimate|statsby|rolling|bootstrap|bs|jackknife|jknife|permute|simulate|nestreg|stepwise|sw|frame\s+[A-Za-z_]\w*)\b[^:]*:\s*)/i;
+const VERSION_OUTPUT = /^\s*(\d+(?:\.\d+)?)\s*$/m;
+const MAX_SYNTAX_LINES = 6;
+// Commands found without help are looked up again after this long: the fetch may have failed
+// quietly, or the command may have been installed since.
+const MISSING_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Flatten SMCL or Markdown help into the plain-text layout Stata's viewer prints,
+ * so one parser handles whichever format the server returns.
+ */
+function toPlainHelp(text) {
+    let plain = String(text ?? '').replace(/\r\n/g, '\n');
+    if (/\{(?:p_end|title|synopt|syntab|hline|cmd|opt)\b/.test(plain)) {
+        plain = plain
+            .replace(/\{title:([^}]*)\}/g, '\n$1')
+            .replace(/\{synopt\s*:([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g, '      $1    ')
+            .replace(/\{syntab\s*:([^}]*)\}/g, '    $1')
+            .replace(/\{synopthdr(?::([^}]*))?\}/g, (_m, label) => `    ${label || 'options'}    Description\n    ----------`)
+            .replace(/\{hline 2\}/g, '--')
+            .replace(/\{hline[^}]*\}/g, '----------')
+            .replace(/\{manlink\s+(\S+)\s+([^{}]*)\}/g, '[$1] $2')
+            .replace(/\{p\s+(\d+)[^}]*\}/g, (_m, indent) => ' '.repeat(Number(indent)))
+            .replace(/\{(?:pstd|phang|pmore|p)\}/g, '    ')
+            .replace(/\{ifin\}/g, '[if] [in]')
+            .replace(/\{(depvar|depvarlist|indepvars|varlist|varname|newvar)\}/g, '$1');
+        let previous;
+        do {
+            previous = plain;
+            plain = plain
+                // `{opt nocons:tant}` underlines the minimal abbreviation; keep the full name.
+                .replace(/\{(?:opt|opth|cmdab)\s+([^{}:\s]*):([^{}\s]*)\}/g, '$1$2')
+                .replace(/\{p2col\s*:([^{}]*)\}/g, '    $1 ')
+                .replace(/\{[\w-]+(?:\s+[^{}:]*)?:([^{}]*)\}/g, '$1')
+                .replace(/\{(?:opt|opth|cmd|bf|it|var|varname|varlist|depvar|indepvars|newvar)\s+([^{}]*)\}/g, '$1');
+        } while (plain !== previous);
+        plain = plain.replace(/\{[^{}]*\}/g, '');
+    } else if (/^#{1,6}\s/m.test(plain) || /\*\*[^*]+\*\*/.test(plain)) {
+        plain = plain
+            .replace(/^#{1,6}\s*(.*)$/gm, '$1')
+            .replace(/\*\*([^*]+)\*\*/g, '$1')
+            .replace(/`([^`]*)`/g, '$1');
+    }
+    return plain;
+}
+
+const indentOf = (line) => line.length - line.trimStart().length;
+const isHeading = (line) => /^\S/.test(line) && !/^-{3,}/.test(line);
+const isRule = (line) => /^\s*-{3,}\s*$/.test(line);
+const isOptionsHeader = (line) => /^\s*(?:[\w/ ]+\s+)?options?\s{2,}Description\s*$/i.test(line);
+
+/**
+ * Extract the syntax summary and option table from a command's help text.
+ * @param {string} text Help as returned by `stata_get_help` (plain text, SMCL or Markdown).
+ * @param {string} command Topic that was requested.
+ * @returns {{command: string, title: string, syntax: string[], options: Array<{name: string, description: string}>}}
+ */
+function parseHelpText(text, command) {
+    const lines = toPlainHelp(text).split('\n').map((l) => l.replace(/\s+$/, ''));
+    const entry = { command, title: '', syntax: [], options: [] };
+
+    const titleLine = lines.find((l) => /^\s*\[[A-Z-]+\]\s+\S/.test(l) && /\s--\s|\s—\s/.test(l));
+    if (titleLine) {
+        const match = /^\s*\[[A-Z-]+\]\s+(.+?)\s+(?:--|—)\s+(.*)$/.exec(titleLine);
+        entry.command = match[1].trim();
+        entry.title = match[2].trim();
+    }
+
+    const syntaxStart = lines.findIndex((l) => /^Syntax\s*$/i.test(l.trim()) && indentOf(l) <= 4);
+    if (syntaxStart !== -1) {
+        const candidates = [];
+        let previous = null;
+        for (let i = syntaxStart + 1; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim()) {
+                previous = null;
+                continue;
+            }
+            if (isHeading(line) || isOptionsHeader(line) || isRule(line)) break;
+            // Long syntax lines wrap onto the following, deeper-indented lines.
+            if (previous && indentOf(line) > previous.indent) {
+                previous.text += ' ' + line.trim();
+            } else {
+                previous = { indent: indentOf(line), text: line.trim() };
+                candidates.push(previous);
+            }
+        }
+        const names = [command.toLowerCase(), ...entry.command.toLowerCase().split(/\s+/)];
+        const matching = candidates.filter((c) => {
+            const first = c.text.replace(/^\[[^\]]*\]\s*/, '').split(/\s/)[0].toLowerCase();
+            return names.some((n) => n && (n.startsWith(first) || first.startsWith(n)));
+        });
+        entry.syntax = (matching.length ? matching : candidates.slice(0, 1)).slice(0, MAX_SYNTAX_LINES).map((c) => c.text);
+    }
+
+    const tableStart = lines.findIndex((l) => isOptionsHeader(l));
+    if (tableStart !== -1) {
+        let nameIndent = null;
+        for (let i = tableStart + 1; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim() || isRule(line)) continue;
+            if (isHeading(line)) break;
+            const match = /^(\s*)[*+#]?\s*(\S(?:.*?\S)?)\s{2,}(\S.*)$/.exec(line);
+            const last = entry.options[entry.options.length - 1];
+            if (match && (nameIndent === null || match[1].length <= nameIndent + 1)) {
+                nameIndent = nameIndent ?? match[1].length;
+                entry.options.push({ name: match[2], description: match[3].trim() });
+            } else if (last && nameIndent !== null && indentOf(line) > nameIndent + 2) {
+                last.description += ' ' + line.trim();
+            }
+            // Anything else is a group label such as "Model" or "SE/Robust".
+        }
+    }
+    return entry;
+}
+
+/**
+ * Read the running Stata's version (e.g. "18.5").
+ */
+async function fetchStataVersion(client) {
+    const result = await client.run('display c(stata_version)', { internal: true });
+    const version = VERSION_OUTPUT.exec(String(result?.stdout || '').replace(/\{[^{}]*\}/g, ''))?.[1];
+    if (!version) throw new Error('Could not read c(stata_version)');
+    return version;
+}
+
+/**
+ * Command help parsed from `stata_get_help`, cached in memory and on disk under
+ * `<storageDir>/<stata version>/<command>.json`. Commands without help are cached on disk
+ * for `missingTtlMs` only; failed fetches are not cached at all.
+ */
+class CommandHelpCache {
+    /**
+     * @param {{storageDir: string, fetchHelp: (topic: string) => Promise<string>, getVersion: () => Promise<string>,
+     *   missingTtlMs?: number}} deps
+     */
+    constructor({ storageDir, fetchHelp, getVersion, missingTtlMs = MISSING_TTL_MS }) {
+        this._storageDir = storageDir;
+        this._fetchHelp = fetchHelp;
+        this._getVersion = getVersion;
+        this._missingTtlMs = missingTtlMs;
+        this._entries = new Map();
+        this._pending = new Map();
+        this._version = null;
+    }
+
+    /**
+     * Help for `command`, or null when there is none or it cannot be fetched.
+     * @returns {Promise<{command: string, title: string, syntax: string[], options: Array<{name: string, description: string}>}|null>}
+     */
+    async get(command) {
+        const name = String(command ?? '').toLowerCase();
+        if (!COMMAND_NAME.test(name)) return null;
+        if (this._entries.has(name)) return this._entries.get(name);
+        if (!this._pending.has(name)) {
+            this._pending.set(name, this._load(name).finally(() => this._pending.delete(name)));
+        }
+        return this._pending.get(name);
+    }
+
+    async _load(name) {
+        const version = await this.version();
+        const file = version ? path.join(this._storageDir, version, `${name}.json`) : null;
+        let stored = null;
+        if (file && fs.existsSync(file)) {
+            try {
+                stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (_err) {
+                // Corrupt cache entry; fetch it again.
+            }
+        }
+        const expired = stored?.missing && !(Date.now() - (stored.checkedAt || 0) < this._missingTtlMs);
+        if (stored && !expired) return this._remember(name, stored);
+
+        let text;
+        try {
+            text = await this._fetchHelp(name);
+        } catch (_err) {
+            // Offline: an expired "no help" entry is still the best answer.
+            return stored ? this._remember(name, stored) : null;
+        }
+        const parsed = parseHelpText(text, name);
+        const entry = parsed.syntax.length || parsed.options.length ? parsed : { missing: true, checkedAt: Date.now() };
+        if (file) {
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, JSON.stringify(entry));
+            } catch (_err) {
+                // The in-memory entry still serves this session.
+            }
+        }
+        return this._remember(name, entry);
+    }
+
+    _remember(name, entry) {
+        const value = entry?.missing ? null : entry;
+        this._entries.set(name, value);
+        return value;
+    }
+
+    /**
+     * Stata version used as the cache key. Falls back to the last version seen, so cached
+     * help keeps working when Stata is not reachable.
+     */
+    async version() {
+        if (!this._version) {
+            const lastFile = path.join(this._storageDir, 'version.json');
+            this._version = Promise.resolve()
+                .then(() => this._getVersion())
+                .then((version) => {
+                    try {
+                        fs.mkdirSync(this._storageDir, { recursive: true });
+                        fs.writeFileSync(lastFile, JSON.stringify({ version }));
+                    } catch (_err) {
+                        // Not fatal: only the offline fallback is lost.
+                    }
+                    return version;
+                })
+                .catch(() => {
+                    try {
+                        return JSON.parse(fs.readFileSync(lastFile, 'utf8')).version || null;
+                    } catch (_err) {
+                        return null;
+                    }
+                });
+        }
+        const version = await this._version;
+        return version && /^[\w.]+$/.test(version) ? version : null;
+    }
+
+    /**
+     * Forget in-memory entries and the resolved version (e.g. after Stata restarts).
+     */
+    reset() {
+        this._entries.clear();
+        this._version = null;
+    }
+
+    /**
+     * Forget everything, including the help stored on disk.
+     */
+    clear() {
+        this.reset();
+        fs.rmSync(this._storageDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Source of the statement containing (line, character), from its first line up to the
+ * position, with comments blanked and `///` continuations joined by a space.
+ * @param {string[]} lines Document lines.
+ */
+function statementPrefix(lines, line, character) {
+    const scanned = [];
+    let inBlockComment = false;
+    let continuation = false;
+    for (let i = 0; i <= line && i < lines.length; i++) {
+        const result = scanLine(lines[i], { inBlockComment, continuation });
+        scanned.push(result);
+        inBlockComment = result.inBlockComment;
+        continuation = result.continues;
+    }
+    let start = line;
+    while (start > 0 && scanned[start - 1].continues) start--;
+    const parts = [];
+    for (let i = start; i < line; i++) parts.push(scanned[i].masked);
+    parts.push(scanned[line].masked.slice(0, character));
+    return parts.join(' ');
+}
+
+function stripCommandPrefixes(text) {
+    let rest = text.trimStart();
+    let match;
+    while ((match = COMMAND_PREFIX.exec(rest)) && match[0]) {
+        rest = rest.slice(match[0].length);
+    }
+    return rest;
+}
+
+/**
+ * Work out which command the cursor is in and, after its top-level comma, which option.
+ * @returns {{command: string, inOptions: boolean, option: string, inArguments: boolean}|null}
+ *   `option` is the option being typed or, when `inArguments` is set, the option whose
+ *   parentheses the cursor is inside.
+ */
+function optionContext(prefix) {
+    const rest = stripCommandPrefixes(prefix);
+    const command = /^([A-Za-z_]\w*)/.exec(rest)?.[1];
+    if (!command) return null;
+    let depth = 0;
+    let comma = -1;
+    forEachUnquoted(rest, (ch, i) => {
+        if (ch === '(' || ch === '[') depth++;
+        else if ((ch === ')' || ch === ']') && depth > 0) depth--;
+        else if (ch === ',' && depth === 0 && comma === -1) comma = i;
+    });
+    if (comma === -1) return { command, inOptions: false, option: '', inArguments: false };
+
+    const optionsText = rest.slice(comma + 1);
+    let optionDepth = 0;
+    let token = '';
+    let open = '';
+    forEachUnquoted(optionsText, (ch) => {
+        if (ch === '(') {
+            if (optionDepth === 0) open = token;
+            optionDepth++;
+            token = '';
+        } else if (ch === ')') {
+            optionDepth = Math.max(0, optionDepth - 1);
+            token = '';
+        } else if (optionDepth === 0) {
+            token = /\w/.test(ch) ? token + ch : '';
+        }
+    });
+    return { command, inOptions: true, option: optionDepth > 0 ? open : token, inArguments: optionDepth > 0 };
+}
+
+const optionWord = (name) => /^[A-Za-z_]\w*/.exec(name)?.[0] || name;
+
+/**
+ * Shows a command's title and syntax summary when hovering it in command position.
+ */
+class StataHoverProvider {
+    constructor(cache) {
+        this._cache = cache;
+    }
+
+    async provideHover(document, position) {
+        if (!vscode.workspace.getConfiguration('stataMcp').get('commandHelp', true)) return null;
+        const lines = document.getText().split(/\r?\n/);
+        const match = [...(lines[position.line] || '').matchAll(/[A-Za-z_]\w*/g)]
+            .find((m) => m.index <= position.character && position.character <= m.index + m[0].length);
+        if (!match) return null;
+        // Only the command word itself; prefixes such as `quietly` or `by x:` may precede it.
+        if (stripCommandPrefixes(statementPrefix(lines, position.line, match.index)).trim()) return null;
+
+        const entry = await this._cache.get(match[0]);
+        if (!entry) return null;
+        const markdown = new vscode.MarkdownString();
+        markdown.appendMarkdown(`**${entry.command}**${entry.title ? ` — ${entry.title}` : ''}\n\n`);
+        if (entry.syntax.length) markdown.appendCodeblock(entry.syntax.join('\n'), 'stata');
+        if (entry.options.length) {
+            markdown.appendMarkdown(`\n${entry.options.length} option${entry.options.length === 1 ? '' : 's'}; type \`,\` to list them.`);
+        }
+        const range = new vscode.Range(
+            new vscode.Position(position.line, match.index),
+            new vscode.Position(position.line, match.index + match[0].length)
+        );
+        return new vscode.Hover(markdown, range);
+    }
+}
+
+/**
+ * Lists a command's options once the cursor is past its comma, highlighting the one being typed.
+ */
+class StataSignatureHelpProvider {
+    constructor(cache) {
+        this._cache = cache;
+    }
+
+    async provideSignatureHelp(document, position) {
+        if (!vscode.workspace.getConfiguration('stataMcp').get('commandHelp', true)) return null;
+        const lines = document.getText().split(/\r?\n/);
+        const context = optionContext(statementPrefix(lines, position.line, position.character));
+        if (!context?.inOptions) return null;
+        const entry = await this._cache.get(context.command);
+        if (!entry?.options.length) return null;
+
+        let label = `${entry.command}, `;
+        const parameters = entry.options.map((option, index) => {
+            if (index) label += ' ';
+            const start = label.length;
+            label += option.name;
+            return new vscode.ParameterInformation([start, label.length], option.description);
+        });
+        const signature = new vscode.SignatureInformation(label);
+        signature.parameters = parameters;
+        if (entry.syntax.length) signature.documentation = new vscode.MarkdownString().appendCodeblock(entry.syntax[0], 'stata');
+
+        const typed = context.option.toLowerCase();
+        const active = typed
+            ? entry.options.findIndex((o) => optionWord(o.name).toLowerCase().startsWith(typed) || typed.startsWith(optionWord(o.name).toLowerCase()))
+            : -1;
+        const help = new vscode.SignatureHelp();
+        help.signatures = [signature];
+        help.activeSignature = 0;
+        // An out-of-range index leaves every option unhighlighted.
+        help.activeParameter = active === -1 ? parameters.length : active;
+        return help;
+    }
+}
+
+module.exports = {
+    CommandHelpCache,
+    StataHoverProvider,
+    StataSignatureHelpProvider,
+    parseHelpText,
+    fetchStataVersion,
+    statementPrefix,
+    stripCommandPrefixes,
+    optionContext
+};
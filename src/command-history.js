@@ -0,0 +1,130 @@
+const path = require('path');
+const { getFs, createDepProxy } = require('./runtime-context');
+
+const fs = createDepProxy(getFs);
+
+const SOURCES = new Set(['editor', 'terminal']);
+
+/**
+ * Every command run in the session, appended to a JSON-lines file so it survives
+ * reloads and panel resets. Kept per workspace by the caller's choice of `filePath`.
+ */
+class CommandHistory {
+    /**
+     * @param {{filePath: string, maxEntries?: number}} options
+     *   Once the file holds more than `maxEntries` commands the oldest are dropped.
+     */
+    constructor({ filePath, maxEntries = 5000 }) {
+        this._filePath = filePath;
+        this._maxEntries = Math.max(1, maxEntries);
+        this._entries = null;
+    }
+
+    /**
+     * Record a command run.
+     * @param {{code: string, rc?: number|null, durationMs?: number|null, cwd?: string|null, source?: string, filePath?: string|null}} run
+     * @returns {object|null} The stored entry, or null when there is nothing to record.
+     */
+    add({ code, rc = null, durationMs = null, cwd = null, source = 'editor', filePath = null }) {
+        const text = String(code ?? '').trim();
+        if (!text) return null;
+        const entry = {
+            code: text,
+            rc: Number.isFinite(rc) ? rc : null,
+            durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+            cwd: cwd || null,
+            source: SOURCES.has(source) ? source : 'editor',
+            timestamp: new Date().toISOString()
+        };
+        if (filePath) entry.filePath = filePath;
+
+        const entries = this.entries();
+        entries.push(entry);
+        try {
+            fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+            if (entries.length > this._maxEntries) {
+                entries.splice(0, entries.length - this._maxEntries);
+                fs.writeFileSync(this._filePath, entries.map((e) => JSON.stringify(e) + '\n').join(''));
+            } else {
+                fs.appendFileSync(this._filePath, JSON.stringify(entry) + '\n');
+            }
+        } catch (_err) {
+            // The in-memory history still serves this session.
+        }
+        return entry;
+    }
+
+    /**
+     * All recorded commands, oldest first.
+     * @returns {object[]}
+     */
+    entries() {
+        if (!this._entries) {
+            this._entries = [];
+            let raw = '';
+            try {
+                raw = fs.existsSync(this._filePath) ? fs.readFileSync(this._filePath, 'utf8') : '';
+            } catch (_err) {
+                raw = '';
+            }
+            for (const line of raw.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry && typeof entry.code === 'string') this._entries.push(entry);
+                } catch (_err) {
+                    // Skip a line cut short by a crash mid-write.
+                }
+            }
+        }
+        return this._entries;
+    }
+
+    clear() {
+        this._entries = [];
+        try {
+            if (fs.existsSync(this._filePath)) fs.writeFileSync(this._filePath, '');
+        } catch (_err) {
+            // Entries on disk come back on the next load; nothing else to do.
+        }
+    }
+}
+
+/**
+ * Build a do-file that replays the successful commands of `entries` in order,
+ * changing directory wherever the working directory of a run changed.
+ * Failed runs (non-zero rc) are left out unless `includeFailed` is set, in which case
+ * they are kept as comments.
+ * @param {object[]} entries History entries, oldest first.
+ * @param {{includeFailed?: boolean, date?: Date}} [options]
+ * @returns {string}
+ */
+function toDoFile(entries, { includeFailed = false, date = new Date() } = {}) {
+    const lines = [
+        `* Command history exported by Stata Workbench on ${date.toISOString()}`,
+        '* Failed commands are ' + (includeFailed ? 'kept as comments.' : 'left out.'),
+        ''
+    ];
+    let cwd = null;
+    for (const entry of entries || []) {
+        const failed = entry.rc !== null && entry.rc !== undefined && entry.rc !== 0;
+        if (failed && !includeFailed) continue;
+        if (entry.cwd && entry.cwd !== cwd && !failed) {
+            lines.push(`cd "${entry.cwd}"`);
+            cwd = entry.cwd;
+        }
+        const code = String(entry.code).replace(/\r\n/g, '\n');
+        if (failed) {
+            lines.push(`* r(${entry.rc}):`);
+            lines.push(...code.split('\n').map((line) => `* ${line}`));
+        } else {
+            lines.push(code);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CommandHistory,
+    toDoFile
+};
@@ -0,0 +1,206 @@
+const { getVscode } = require('./runtime-context');
+const { logicalLines, forEachUnquoted } = require('./stata-syntax');
+const { findProgramDefinitions } = require('./language-features');
+const { statementPrefix, stripCommandPrefixes, optionContext } = require('./command-help');
+const { emptyState } = require('./session-state');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+/**
+ * Built-in commands offered in command position. Abbreviations are left out; Stata accepts
+ * the full names everywhere.
+ */
+const BUILTIN_COMMANDS = [
+    'append', 'args', 'assert', 'bysort', 'capture', 'cd', 'clear', 'clonevar', 'collapse', 'compress', 'confirm',
+    'contract', 'correlate', 'count', 'cwf', 'decode', 'describe', 'destring', 'display', 'do', 'drop', 'duplicates',
+    'egen', 'else', 'encode', 'end', 'erase', 'error', 'estimates', 'estat', 'etable', 'exit', 'expand', 'export',
+    'file', 'fillin', 'format', 'foreach', 'forvalues', 'frame', 'frames', 'frget', 'frlink', 'generate', 'global',
+    'graph', 'gsort', 'help', 'histogram', 'if', 'import', 'include', 'input', 'inspect', 'isid', 'ivregress', 'keep',
+    'label', 'levelsof', 'list', 'local', 'log', 'logit', 'lookfor', 'macro', 'margins', 'marginsplot', 'mata',
+    'matrix', 'merge', 'mkdir', 'mvencode', 'noisily', 'notes', 'order', 'outsheet', 'poisson', 'predict', 'preserve',
+    'probit', 'program', 'putexcel', 'quietly', 'recode', 'regress', 'rename', 'replace', 'reshape', 'restore',
+    'return', 'run', 'save', 'scalar', 'scatter', 'separate', 'set', 'sort', 'split', 'ssc', 'stack', 'summarize',
+    'svyset', 'syntax', 'sysuse', 'tabstat', 'table', 'tabulate', 'tempfile', 'tempname', 'tempvar', 'test', 'timer',
+    'tokenize', 'tostring', 'tsset', 'ttest', 'twoway', 'use', 'version', 'webuse', 'while', 'xtset', 'xtreg'
+];
+const FRAME_COMMANDS = new Set(['frame', 'frames', 'cwf']);
+const ESTIMATE_COMMANDS = new Set(['estimates', 'estimate', 'est', 'esttab', 'estout', 'etable', 'suest', 'lrtest', 'hausman', 'coefplot']);
+const LOCAL_DEFINITION = /^\s*(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?)\s+)*(?:loc(?:a(?:l)?)?|foreach|forv(?:a(?:l(?:u(?:e(?:s)?)?)?)?)?|gettoken)\s+([A-Za-z_]\w*)/i;
+const LOCAL_LIST = /^\s*(?:tempvar|tempname|tempfile|args)\s+(.*)$/i;
+const GLOBAL_DEFINITION = /^\s*(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?)\s+)*gl(?:o(?:b(?:al?)?)?)?\s+([A-Za-z_]\w*)/i;
+// `levelsof x, local(vals)` and similar options store results in a local.
+const LOCAL_OPTION = /\blocal\(\s*([A-Za-z_]\w*)\s*\)/gi;
+
+/**
+ * Locals and globals defined before `line`. Locals come from the enclosing program only
+ * (or from top-level code when the line is outside any program).
+ * @returns {{locals: string[], globals: string[]}}
+ */
+function definedMacros(text, line) {
+    const programs = findProgramDefinitions(text);
+    const program = programs.find((p) => p.startLine <= line && line <= p.endLine);
+    const inScope = (startLine) => program
+        ? startLine > program.startLine
+        : !programs.some((p) => p.startLine <= startLine && startLine <= p.endLine);
+
+    const locals = new Set();
+    const globals = new Set();
+    for (const logical of logicalLines(text)) {
+        if (logical.startLine >= line) break;
+        const code = logical.code;
+        const global = GLOBAL_DEFINITION.exec(code);
+        if (global) globals.add(global[1]);
+        if (!inScope(logical.startLine)) continue;
+        const local = LOCAL_DEFINITION.exec(code);
+        if (local) locals.add(local[1]);
+        const list = LOCAL_LIST.exec(code);
+        if (list) {
+            list[1].split(/[\s,]+/).filter((name) => /^[A-Za-z_]\w*$/.test(name)).forEach((name) => locals.add(name));
+        }
+        for (const option of code.matchAll(LOCAL_OPTION)) locals.add(option[1]);
+    }
+    return { locals: [...locals], globals: [...globals] };
+}
+
+/**
+ * Decide what to complete at the end of `prefix` (the statement source up to the cursor).
+ * @returns {{kind: 'none'|'local'|'global'|'command'|'option'|'frame'|'estimate'|'variable', command?: string}}
+ */
+function completionContext(prefix) {
+    let lastUnquoted = -1;
+    forEachUnquoted(prefix, (_ch, i) => {
+        lastUnquoted = i;
+    });
+    if (prefix.slice(lastUnquoted + 1).includes('"')) return { kind: 'none' };
+    if (/`\w*$/.test(prefix)) return { kind: 'local' };
+    if (/\$\{?\w*$/.test(prefix)) return { kind: 'global' };
+
+    const rest = stripCommandPrefixes(prefix);
+    if (/^\w*$/.test(rest)) return { kind: 'command' };
+    const context = optionContext(prefix);
+    const command = context?.command.toLowerCase();
+    if (context?.inOptions && !context.inArguments) return { kind: 'option', command };
+    if (FRAME_COMMANDS.has(command)) return { kind: 'frame', command };
+    if (ESTIMATE_COMMANDS.has(command)) return { kind: 'estimate', command };
+    return { kind: 'variable', command };
+}
+
+/**
+ * Completions for do-files, ado-files and Mata files: variables of the dataset in memory,
+ * macros, programs, frames, stored estimates, commands and command options.
+ * Session data is loaded on first use and kept until `invalidate()` (called after each run).
+ */
+class StataCompletionProvider {
+    /**
+     * @param {{loadState: () => Promise<object>, programIndex?: {list: () => Promise<Array<{name: string}>>},
+     *   helpCache?: {get: (command: string) => Promise<object|null>}}} deps
+     */
+    constructor({ loadState, programIndex, helpCache }) {
+        this._loadState = loadState;
+        this._programIndex = programIndex;
+        this._helpCache = helpCache;
+        this._state = null;
+    }
+
+    invalidate() {
+        this._state = null;
+    }
+
+    _session() {
+        if (!this._state) {
+            // A failed load (e.g. Stata not running) completes without session data until the next run.
+            this._state = Promise.resolve()
+                .then(() => this._loadState())
+                .catch(() => emptyState());
+        }
+        return this._state;
+    }
+
+    async provideCompletionItems(document, position) {
+        const text = document.getText();
+        const lines = text.split(/\r?\n/);
+        const prefix = statementPrefix(lines, position.line, position.character);
+        const raw = (lines[position.line] || '').slice(0, position.character);
+        // Comments are blanked in `prefix`, so comment text before the cursor means we are in one.
+        const masked = prefix.slice(prefix.length - raw.length);
+        if (masked.trimEnd().length < raw.trimEnd().length) return [];
+
+        const context = completionContext(prefix);
+        switch (context.kind) {
+            case 'none':
+                return [];
+            case 'local':
+                return definedMacros(text, position.line).locals.map((name) => item(name, vscode.CompletionItemKind.Variable, 'local'));
+            case 'global': {
+                const state = await this._session();
+                const names = new Set([...definedMacros(text, position.line).globals, ...state.globals.map((g) => g.name)]);
+                return [...names].map((name) => item(name, vscode.CompletionItemKind.Variable, 'global'));
+            }
+            case 'command':
+                return this._commands(text);
+            case 'option':
+                return this._options(context.command);
+            case 'frame': {
+                const state = await this._session();
+                return state.frames.map((f) => item(f.name, vscode.CompletionItemKind.Module, f.current ? 'frame (current)' : 'frame', `${f.n} obs × ${f.k} vars`));
+            }
+            case 'estimate': {
+                const state = await this._session();
+                return state.estimates.map((name) => item(name, vscode.CompletionItemKind.Value, 'stored estimates'));
+            }
+            default: {
+                const state = await this._session();
+                const frame = state.frames.find((f) => f.current);
+                return (frame?.variables || []).map((v) => item(v.name, vscode.CompletionItemKind.Field, v.type, v.label));
+            }
+        }
+    }
+
+    async _commands(text) {
+        const items = new Map();
+        for (const name of BUILTIN_COMMANDS) items.set(name, item(name, vscode.CompletionItemKind.Keyword, 'command'));
+        let workspacePrograms = [];
+        try {
+            workspacePrograms = this._programIndex ? await this._programIndex.list() : [];
+        } catch (_err) {
+            // Completing without workspace programs is better than not completing.
+        }
+        for (const program of workspacePrograms) {
+            items.set(program.name, item(program.name, vscode.CompletionItemKind.Function, 'program', program.filePath));
+        }
+        for (const program of findProgramDefinitions(text)) {
+            items.set(program.name, item(program.name, vscode.CompletionItemKind.Function, 'program (this file)'));
+        }
+        return [...items.values()];
+    }
+
+    async _options(command) {
+        const entry = this._helpCache ? await this._helpCache.get(command) : null;
+        return (entry?.options || []).filter((option) => /^[A-Za-z_]/.test(option.name)).map((option) => {
+            const name = /^[A-Za-z_]\w*/.exec(option.name)[0];
+            const completion = item(name, vscode.CompletionItemKind.Property, option.name, option.description);
+            // Show `vce(vcetype)` but insert `vce`.
+            if (name !== option.name) completion.label = { label: name, detail: option.name.slice(name.length) };
+            return completion;
+        });
+    }
+}
+
+function item(name, kind, detail, documentation) {
+    const completion = new vscode.CompletionItem(name, kind);
+    completion.insertText = name;
+    if (detail) completion.detail = detail;
+    if (documentation) completion.documentation = documentation;
+    return completion;
+}
+
+module.exports = {
+    StataCompletionProvider,
+    BUILTIN_COMMANDS,
+    completionContext,
+    definedMacros
+};
@@ -1,5 +1,5 @@
 const path = require('path');
-const { getVscode } = require('./runtime-context');
+const { getVscode, createDepProxy } = require('./runtime-context');
 const vscode = new Proxy({}, {
     get(_target, prop) {
         return getVscode()?.[prop];
@@ -7,39 +7,79 @@ const vscode = new Proxy({}, {
 });
 const http = require('http');
 const Sentry = require("@sentry/node");
-const { client: mcpClient } = require('./mcp-client');
+const mcpClientModule = require('./mcp-client');
+// Resolved per call so the browser shows whichever Stata session is active.
+const mcpClient = createDepProxy(() => mcpClientModule.client);
+const { tableFromIPC } = require('apache-arrow');
+const { EXPORT_FORMATS, exportFormatFromPath, exportView } = require('./data-export');
 
 class DataBrowserPanel {
+    // The most recently focused browser; every open browser is in `panels`.
     static currentPanel = null;
+    static panels = new Set();
     static extensionUri = null;
     static _log = (msg) => console.log(msg);
 
+    static _editHandlers = null;
+    static _frameHandlers = null;
+
     static setLogger(logger) {
         DataBrowserPanel._log = logger;
     }
 
+    /**
+     * Hooks for edit mode, provided by the extension.
+     * @param {{applyEdit: (edit: object) => Promise<{success: boolean, error?: string, canUndo: boolean}>,
+     *   undoEdit: () => Promise<{success: boolean, error?: string, canUndo: boolean}>,
+     *   canUndo: () => boolean,
+     *   valueLabels: (frame: string|null) => Promise<Object<string, Array<{value: string, text: string}>>>}} handlers
+     */
+    static setEditHandlers(handlers) {
+        DataBrowserPanel._editHandlers = handlers;
+    }
+
+    /**
+     * Hooks for frame selection, provided by the extension.
+     * @param {{listFrames: () => Promise<Array<{name: string, n: number, k: number, current: boolean}>>,
+     *   switchFrame: (frame: string) => Promise<void>}} handlers
+     */
+    static setFrameHandlers(handlers) {
+        DataBrowserPanel._frameHandlers = handlers;
+    }
+
     static refresh() {
-        if (DataBrowserPanel.currentPanel) {
-            DataBrowserPanel.currentPanel._fetchCredentials();
+        for (const panel of DataBrowserPanel.panels) {
+            panel._fetchCredentials();
+            panel._sendFrames();
         }
     }
 
+    static _title(frame) {
+        return frame ? `Stata Data Browser: ${frame}` : 'Stata Data Browser';
+    }
+
     /**
+     * Show a browser. Without a frame the most recent browser is reused; with one, the
+     * browser bound to that frame is, so several frames can stay open side by side.
      * @param {vscode.Uri} extensionUri
+     * @param {{frame?: string|null, newPanel?: boolean}} [options]
      */
-    static async createOrShow(extensionUri) {
+    static async createOrShow(extensionUri, { frame = null, newPanel = false } = {}) {
         const column = vscode.ViewColumn.Beside;
 
-        // If we already have a panel, show it.
-        if (DataBrowserPanel.currentPanel) {
-            const targetColumn = DataBrowserPanel.currentPanel._panel.viewColumn || vscode.ViewColumn.Beside;
-            DataBrowserPanel.currentPanel._panel.reveal(targetColumn);
-            return;
+        // If we already have a matching panel, show it.
+        const existing = newPanel ? null : (frame
+            ? [...DataBrowserPanel.panels].find((p) => p._frame === frame)
+            : DataBrowserPanel.currentPanel);
+        if (existing) {
+            const targetColumn = existing._panel.viewColumn || vscode.ViewColumn.Beside;
+            existing._panel.reveal(targetColumn);
+            return existing;
         }
 
         const panel = vscode.window.createWebviewPanel(
             'stataDataBrowser',
-            'Stata Data Browser',
+            DataBrowserPanel._title(frame),
             column,
             {
                 enableScripts: true,
@@ -51,15 +91,21 @@ class DataBrowserPanel {
             }
         );
 
-        DataBrowserPanel.currentPanel = new DataBrowserPanel(panel, extensionUri);
+        const browser = new DataBrowserPanel(panel, extensionUri, frame);
+        DataBrowserPanel.currentPanel = browser;
+        DataBrowserPanel.panels.add(browser);
+        return browser;
     }
 
-    constructor(panel, extensionUri) {
+    constructor(panel, extensionUri, frame = null) {
         this._panel = panel;
         this._extensionUri = extensionUri;
         this._disposables = [];
         this._credentials = null;
         this._isWebviewReady = false;
+        this._disposed = false;
+        // Frame this browser shows; null follows Stata's current frame.
+        this._frame = frame;
 
         // Listen for messages from the webview FIRST
         this._panel.webview.onDidReceiveMessage(
@@ -73,9 +119,11 @@ class DataBrowserPanel {
                             this._panel.webview.postMessage({
                                 type: 'init',
                                 ...this._credentials,
-                                config: this._config
+                                config: this._config,
+                                frame: this._frame
                             });
                         }
+                        await this._sendFrames();
                         break;
                     case 'log':
                         DataBrowserPanel._log(`[DataBrowser Webview] ${message.message}`);
@@ -84,6 +132,29 @@ class DataBrowserPanel {
                         Sentry.captureException(new Error(`Data Browser Webview Error: ${message.message}`));
                         DataBrowserPanel._log(`[DataBrowser Webview Error] ${message.message}`);
                         break;
+                    case 'requestValueLabels':
+                        await this._sendValueLabels();
+                        break;
+                    case 'editCell':
+                    case 'undoEdit':
+                        await this._handleEdit(message);
+                        break;
+                    case 'export':
+                        await this._handleExport(message);
+                        break;
+                    case 'selectFrame':
+                        this._frame = message.frame || null;
+                        this._panel.title = DataBrowserPanel._title(this._frame);
+                        break;
+                    case 'switchFrame':
+                        await this._switchFrame(message.frame);
+                        break;
+                    case 'insertCommand':
+                        await this._insertCommand(message.command);
+                        break;
+                    case 'compare':
+                        await vscode.commands.executeCommand('stata-workbench.compareData', { frame: message.frame });
+                        break;
                     case 'apiCall':
                         try {
                             // Validate URL to prevent SSRF — only allow requests to the local mcp-stata server
@@ -98,7 +169,7 @@ class DataBrowserPanel {
                             const dataToPost = (result instanceof Buffer) ? new Uint8Array(result) : result;
 
                             // Check if panel is still alive before posting
-                            if (DataBrowserPanel.currentPanel === this) {
+                            if (this._isAlive()) {
                                 this._panel.webview.postMessage({
                                     type: 'apiResponse',
                                     reqId: message.reqId,
@@ -111,7 +182,7 @@ class DataBrowserPanel {
                             DataBrowserPanel._log(`[DataBrowser Proxy Error] ${err.message}`);
 
                             // Check if panel is still alive before posting
-                            if (DataBrowserPanel.currentPanel === this) {
+                            if (this._isAlive()) {
                                 this._panel.webview.postMessage({
                                     type: 'apiResponse',
                                     reqId: message.reqId,
@@ -131,6 +202,11 @@ class DataBrowserPanel {
         this._update();
 
         this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+        if (this._panel.onDidChangeViewState) {
+            this._panel.onDidChangeViewState((e) => {
+                if (e.webviewPanel?.active) DataBrowserPanel.currentPanel = this;
+            }, null, this._disposables);
+        }
 
         // Fetch connection details
         this._fetchCredentials();
@@ -159,7 +235,8 @@ class DataBrowserPanel {
                         this._panel.webview.postMessage({
                             type: 'init',
                             ...this._credentials,
-                            config: this._config
+                            config: this._config,
+                            frame: this._frame
                         });
                     } else {
                         DataBrowserPanel._log('[DataBrowserPanel] Waiting for webview ready signal...');
@@ -171,8 +248,172 @@ class DataBrowserPanel {
         });
     }
 
+    async _sendValueLabels() {
+        let labels = {};
+        try {
+            labels = (await DataBrowserPanel._editHandlers?.valueLabels?.(this._frame)) || {};
+        } catch (err) {
+            DataBrowserPanel._log(`[DataBrowserPanel] Failed to load value labels: ${err.message}`);
+        }
+        if (this._isAlive()) {
+            this._panel.webview.postMessage({ type: 'valueLabels', labels });
+        }
+    }
+
+    async _sendFrames() {
+        const handlers = DataBrowserPanel._frameHandlers;
+        if (!handlers || !this._isWebviewReady) return;
+        try {
+            const frames = await handlers.listFrames();
+            if (this._isAlive()) this._panel.webview.postMessage({ type: 'frames', frames });
+        } catch (err) {
+            DataBrowserPanel._log(`[DataBrowserPanel] Failed to list frames: ${err.message}`);
+        }
+    }
+
+    async _switchFrame(frame) {
+        const handlers = DataBrowserPanel._frameHandlers;
+        if (!frame || !handlers) return;
+        try {
+            await handlers.switchFrame(frame);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Could not switch to frame ${frame}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Put a generated plot command into the do-file being worked on: the active Stata
+     * editor, else any visible one. Without a Stata editor it goes to the clipboard.
+     */
+    async _insertCommand(command) {
+        const text = String(command ?? '').trim();
+        if (!text) return;
+        const { activeTextEditor, visibleTextEditors = [] } = vscode.window;
+        const editor = activeTextEditor?.document?.languageId === 'stata'
+            ? activeTextEditor
+            : visibleTextEditors.find((e) => e.document?.languageId === 'stata');
+        if (editor) {
+            const line = editor.selection.active.line;
+            await editor.edit((edit) => edit.insert(new vscode.Position(line, 0), `${text}\n`));
+            return;
+        }
+        await vscode.env.clipboard.writeText(text);
+        vscode.window.showInformationMessage('No Stata editor is open; the plot command was copied to the clipboard.');
+    }
+
+    async _handleEdit(message) {
+        const handlers = DataBrowserPanel._editHandlers;
+        let response;
+        try {
+            if (!handlers) throw new Error('Editing is not available');
+            response = message.type === 'undoEdit'
+                ? await handlers.undoEdit()
+                : await handlers.applyEdit({
+                    variable: message.variable,
+                    obs: message.obs,
+                    value: message.value,
+                    previous: message.previous,
+                    isString: !!message.isString,
+                    frame: this._frame
+                });
+        } catch (err) {
+            response = { success: false, error: err.message, canUndo: !!handlers?.canUndo?.() };
+        }
+        if (this._isAlive()) {
+            this._panel.webview.postMessage({ type: 'editResult', ...response });
+        }
+    }
+
+    /**
+     * Export the view the webview is showing. Pages are fetched here rather than through
+     * the webview so large exports never cross the message channel.
+     */
+    async _handleExport(message) {
+        return Sentry.startSpan({ name: 'databrowser.export', op: 'extension.operation' }, async () => {
+            if (!this._credentials) {
+                vscode.window.showErrorMessage('Data Browser is not connected to Stata.');
+                return;
+            }
+            const filters = {};
+            for (const { label, extensions } of Object.values(EXPORT_FORMATS)) filters[label] = extensions;
+            const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+            const defaultName = `${message.viewId ? 'view' : 'data'}.csv`;
+            const target = await vscode.window.showSaveDialog({
+                filters,
+                defaultUri: folder ? vscode.Uri.joinPath(folder, defaultName) : undefined,
+                saveLabel: 'Export'
+            });
+            if (!target) return;
+            const format = exportFormatFromPath(target.fsPath);
+            if (!format) {
+                vscode.window.showErrorMessage('Export to a .csv, .parquet or .xlsx file.');
+                return;
+            }
+
+            const { baseUrl, token } = this._credentials;
+            const endpoint = message.viewId ? `/v1/views/${message.viewId}/arrow` : '/v1/arrow';
+            const fetchPage = async (offset, limit) => {
+                const buffer = await DataBrowserPanel._performRequest(`${baseUrl}${endpoint}`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    body: JSON.stringify({
+                        datasetId: message.datasetId,
+                        offset,
+                        limit,
+                        vars: message.vars,
+                        sortBy: message.sortBy || []
+                    })
+                }, true);
+                return tableFromIPC(buffer);
+            };
+
+            const fileName = path.basename(target.fsPath);
+            try {
+                const result = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `Exporting to ${fileName}`,
+                    cancellable: true
+                }, (progress, cancelToken) => {
+                    let reported = 0;
+                    return exportView({
+                        format,
+                        filePath: target.fsPath,
+                        fetchPage,
+                        total: message.total,
+                        isCancelled: () => !!cancelToken?.isCancellationRequested,
+                        onProgress: (rows, total) => {
+                            const increment = total ? ((rows - reported) / total) * 100 : undefined;
+                            reported = rows;
+                            progress.report({
+                                message: total ? `${rows.toLocaleString()} of ${total.toLocaleString()} rows` : `${rows.toLocaleString()} rows`,
+                                increment
+                            });
+                        }
+                    });
+                });
+                if (result.cancelled) {
+                    vscode.window.showInformationMessage('Export cancelled.');
+                } else {
+                    DataBrowserPanel._log(`[DataBrowserPanel] Exported ${result.rows} rows to ${target.fsPath}`);
+                    vscode.window.showInformationMessage(`Exported ${result.rows.toLocaleString()} rows to ${fileName}.`);
+                }
+            } catch (err) {
+                DataBrowserPanel._log(`[DataBrowserPanel] Export failed: ${err.message}`);
+                vscode.window.showErrorMessage(`Export failed: ${err.message}`);
+            }
+        });
+    }
+
+    _isAlive() {
+        return !this._disposed;
+    }
+
     dispose() {
-        DataBrowserPanel.currentPanel = null;
+        this._disposed = true;
+        DataBrowserPanel.panels.delete(this);
+        if (DataBrowserPanel.currentPanel === this) {
+            DataBrowserPanel.currentPanel = [...DataBrowserPanel.panels].pop() || null;
+        }
 
         // Clean up our resources
         this._panel.dispose();
@@ -292,6 +533,10 @@ class DataBrowserPanel {
             </head>
             <body>
                 <div id="error-banner" class="error-banner hidden"></div>
+                <div id="frame-banner" class="frame-banner hidden">
+                    <span id="frame-banner-text"></span>
+                    <button id="btn-switch-frame" class="btn btn-sm">Switch Frame</button>
+                </div>
 
                 <div class="context-header">
                     <div class="context-container">
@@ -299,6 +544,9 @@ class DataBrowserPanel {
                             <div class="context-row">
                                 <span class="context-label">Frame:</span>
                                 <span class="context-value" id="frame-name">default</span>
+                                <select id="frame-select" class="frame-select" title="Frame to browse">
+                                    <option value="">Current frame</option>
+                                </select>
                             </div>
                             <div class="context-row">
                                 <span class="context-label">Filter:</span>
@@ -309,6 +557,23 @@ class DataBrowserPanel {
                                     </button>
                                 </div>
                             </div>
+                            <div class="context-row">
+                                <span class="context-label">Find:</span>
+                                <div id="search-container">
+                                    <input type="text" id="search-input" placeholder="Text in selected variables (Enter for next)">
+                                    <span id="search-info" class="search-info"></span>
+                                    <button id="btn-search-regex" class="btn btn-ghost btn-icon" title="Use Regular Expression">
+                                        <i class="codicon codicon-regex"></i>
+                                    </button>
+                                    <button id="btn-search-prev" class="btn btn-ghost btn-icon" title="Previous Match (Shift+Enter)" disabled>
+                                        <i class="codicon codicon-arrow-up"></i>
+                                    </button>
+                                    <button id="btn-search-next" class="btn btn-ghost btn-icon" title="Next Match (Enter)" disabled>
+                                        <i class="codicon codicon-arrow-down"></i>
+                                    </button>
+                                </div>
+                                <input type="text" id="goto-input" class="goto-input" inputmode="numeric" placeholder="Go to obs" title="Go to Observation (Enter)">
+                            </div>
                         </div>
                         <div class="context-right">
                             <div class="data-summary" id="data-summary">
@@ -325,6 +590,35 @@ class DataBrowserPanel {
                                 </button>
                             </div>
                             <div class="input-actions">
+                                <button id="btn-edit" class="btn btn-sm btn-ghost" title="Edit Mode (double-click a cell to edit)">
+                                    <i class="codicon codicon-edit"></i>
+                                </button>
+                                <button id="btn-undo" class="btn btn-sm btn-ghost" title="Undo Last Edit" disabled>
+                                    <i class="codicon codicon-discard"></i>
+                                </button>
+                                <button id="btn-export" class="btn btn-sm btn-ghost" title="Export View (CSV, Parquet, Excel)">
+                                    <i class="codicon codicon-export"></i>
+                                </button>
+                                <button id="btn-labels" class="btn btn-sm btn-ghost" title="Show Value Labels (off shows raw codes)">
+                                    <i class="codicon codicon-tag"></i>
+                                </button>
+                                <div class="plot-menu-container">
+                                    <button id="btn-plot" class="btn btn-sm btn-ghost" title="Plot Selected Variables">
+                                        <i class="codicon codicon-graph-line"></i>
+                                    </button>
+                                    <div id="plot-menu" class="plot-menu">
+                                        <div class="dropdown-item" data-plot="histogram"><span>Histogram</span></div>
+                                        <div class="dropdown-item" data-plot="scatter"><span>Scatter</span></div>
+                                        <div class="dropdown-item" data-plot="line"><span>Line over time</span></div>
+                                        <div class="dropdown-item" data-plot="box"><span>Box plot</span></div>
+                                    </div>
+                                </div>
+                                <button id="btn-compare" class="btn btn-sm btn-ghost" title="Compare With Another Frame or Dataset">
+                                    <i class="codicon codicon-diff"></i>
+                                </button>
+                                <button id="btn-stats" class="btn btn-sm btn-ghost" title="Toggle Column Summaries">
+                                    <i class="codicon codicon-graph"></i>
+                                </button>
                                 <button id="btn-refresh" class="btn btn-sm btn-ghost" title="Refresh Data">
                                     <i class="codicon codicon-refresh"></i>
                                 </button>
@@ -349,6 +643,30 @@ class DataBrowserPanel {
                     </div>
                 </div>
 
+                <div id="plot-panel" class="plot-panel hidden">
+                    <div class="plot-controls">
+                        <select id="plot-type" class="plot-select" title="Plot Type">
+                            <option value="histogram">Histogram</option>
+                            <option value="scatter">Scatter</option>
+                            <option value="line">Line over time</option>
+                            <option value="box">Box plot</option>
+                        </select>
+                        <label>y <select id="plot-y" class="plot-select"></select></label>
+                        <label id="plot-x-field">x <select id="plot-x" class="plot-select"></select></label>
+                        <span id="plot-note" class="plot-note"></span>
+                        <button id="btn-plot-close" class="btn btn-sm btn-ghost" title="Close Plot">
+                            <i class="codicon codicon-close"></i>
+                        </button>
+                    </div>
+                    <div id="plot-canvas" class="plot-canvas"></div>
+                    <div class="plot-command-row">
+                        <pre id="plot-command" class="plot-command"></pre>
+                        <button id="btn-plot-insert" class="btn btn-sm btn-ghost" title="Insert Command into Do-file">
+                            <i class="codicon codicon-insert"></i>
+                        </button>
+                    </div>
+                </div>
+
                 <div id="data-grid-container">
                     <div id="loading-overlay" class="loading-overlay hidden">
                         <div class="spinner"></div>
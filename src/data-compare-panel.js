@@ -0,0 +1,132 @@
+const { getVscode } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+/**
+ * Read-only view of a dataset comparison. Each comparison gets its own panel so several
+ * can be kept side by side.
+ */
+class DataComparePanel {
+    static panels = new Set();
+
+    /**
+     * @param {vscode.Uri} extensionUri
+     * @param {object} result Output of compareDatasets().
+     * @param {{leftName: string, rightName: string}} names
+     */
+    static show(extensionUri, result, names) {
+        const panel = vscode.window.createWebviewPanel(
+            'stataDataCompare',
+            `Compare: ${names.leftName} ↔ ${names.rightName}`,
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: false,
+                localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared')]
+            }
+        );
+        const view = new DataComparePanel(panel, extensionUri, result, names);
+        DataComparePanel.panels.add(view);
+        return view;
+    }
+
+    constructor(panel, extensionUri, result, names) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._disposables = [];
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+        this._panel.webview.html = this._getHtmlForWebview(this._panel.webview, result, names);
+    }
+
+    dispose() {
+        DataComparePanel.panels.delete(this);
+        this._panel.dispose();
+        while (this._disposables.length) {
+            const x = this._disposables.pop();
+            if (x) {
+                x.dispose();
+            }
+        }
+    }
+
+    _getHtmlForWebview(webview, result, names) {
+        const designUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'src', 'ui-shared', 'design.css'));
+        const csp = `default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline';`;
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta http-equiv="Content-Security-Policy" content="${csp}">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <link rel="stylesheet" href="${designUri}">
+                <title>Stata Data Compare</title>
+                <style>
+                    body { padding: 12px 16px; font-size: 12px; }
+                    .compare-summary { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 8px; }
+                    .compare-note { color: var(--text-tertiary); margin-bottom: 8px; }
+                    .chip { padding: 2px 8px; border-radius: 10px; background: var(--bg-surface); }
+                    table { border-collapse: collapse; font-family: var(--font-mono); }
+                    th, td { padding: 3px 10px; border-bottom: 1px solid var(--border-subtle); text-align: left; white-space: nowrap; }
+                    th { position: sticky; top: 0; background: var(--bg-surface); }
+                    .row-added { background: rgba(34, 197, 94, 0.12); }
+                    .row-removed { background: rgba(239, 68, 68, 0.12); text-decoration: line-through; }
+                    .cell-changed { background: rgba(234, 179, 8, 0.25); }
+                    .cell-changed .was { display: block; color: var(--text-tertiary); text-decoration: line-through; }
+                    .status { color: var(--text-tertiary); }
+                </style>
+            </head>
+            <body>
+                ${renderCompareBody(result, names)}
+            </body>
+            </html>`;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const STATUS_LABELS = { added: 'added', removed: 'removed', changed: 'changed' };
+
+/**
+ * The comparison as HTML: counts, column changes and a table of the differing rows.
+ */
+function renderCompareBody(result, { leftName, rightName }) {
+    const { counts, keys, columns } = result;
+    const alignedOn = keys.length ? `Aligned on ${keys.map(escapeHtml).join(', ')}` : 'Aligned by observation number';
+    const notes = [];
+    if (result.addedColumns.length) notes.push(`Only in ${escapeHtml(rightName)}: ${result.addedColumns.map(escapeHtml).join(', ')}`);
+    if (result.removedColumns.length) notes.push(`Only in ${escapeHtml(leftName)}: ${result.removedColumns.map(escapeHtml).join(', ')}`);
+    if (result.truncated) notes.push(`Showing the first ${result.rows.length.toLocaleString()} differences.`);
+
+    const header = `<tr><th class="status"></th>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('')}</tr>`;
+    const body = result.rows.map((row) => {
+        const record = row.right || row.left;
+        const cells = columns.map((c) => {
+            if (row.status === 'changed' && row.changed.includes(c)) {
+                return `<td class="cell-changed" title="${escapeHtml(leftName)}: ${escapeHtml(row.left[c])}">${escapeHtml(row.right[c])}<span class="was">${escapeHtml(row.left[c])}</span></td>`;
+            }
+            return `<td>${escapeHtml(record[c] ?? '')}</td>`;
+        }).join('');
+        return `<tr class="row-${row.status}"><td class="status">${STATUS_LABELS[row.status]}</td>${cells}</tr>`;
+    }).join('');
+
+    return `
+        <div class="compare-summary">
+            <span><strong>${escapeHtml(leftName)}</strong> → <strong>${escapeHtml(rightName)}</strong></span>
+            <span class="chip">${counts.added.toLocaleString()} added</span>
+            <span class="chip">${counts.removed.toLocaleString()} removed</span>
+            <span class="chip">${counts.changed.toLocaleString()} changed</span>
+            <span class="chip">${counts.unchanged.toLocaleString()} unchanged</span>
+        </div>
+        <div class="compare-note">${alignedOn}.${notes.length ? ' ' + notes.join(' ') : ''}</div>
+        ${result.rows.length ? `<table><thead>${header}</thead><tbody>${body}</tbody></table>` : '<p>No differences.</p>'}`;
+}
+
+module.exports = { DataComparePanel, renderCompareBody };
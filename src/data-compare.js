@@ -0,0 +1,181 @@
+/**
+ * Dataset comparison for the Data Browser: both sides are exported by Stata as CSV, then
+ * aligned on key variables (or observation number) and diffed row by row and cell by cell.
+ */
+
+const FRAME_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+const COMPARE_FRAME = '__wb_compare';
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/**
+ * Stata compound-quoted string, safe for paths containing double quotes.
+ */
+function compoundQuote(text) {
+    return `\`"${text}"'`;
+}
+
+function assertFrameName(frame) {
+    if (!FRAME_NAME.test(String(frame ?? ''))) {
+        throw new Error(`Invalid frame name: ${frame}`);
+    }
+}
+
+/**
+ * Stata code writing `frame` to `csvPath` without touching the current frame.
+ */
+function exportFrameCode(frame, csvPath) {
+    assertFrameName(frame);
+    return `frame ${frame}: export delimited using ${compoundQuote(csvPath)}, replace nolabel`;
+}
+
+/**
+ * Stata code writing a saved dataset to `csvPath` through a scratch frame, which is
+ * dropped again even when loading fails.
+ */
+function exportDtaCode(dtaPath, csvPath) {
+    return [
+        `capture frame drop ${COMPARE_FRAME}`,
+        `frame create ${COMPARE_FRAME}`,
+        'capture noisily {',
+        `    frame ${COMPARE_FRAME}: use ${compoundQuote(dtaPath)}, clear`,
+        `    frame ${COMPARE_FRAME}: export delimited using ${compoundQuote(csvPath)}, replace nolabel`,
+        '}',
+        'local __wb_rc = _rc',
+        `frame drop ${COMPARE_FRAME}`,
+        'exit `__wb_rc\''
+    ].join('\n');
+}
+
+/**
+ * RFC 4180 CSV as written by `export delimited`: the first record names the columns.
+ * @returns {{columns: string[], rows: string[][]}}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text ?? '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    const [columns = [], ...rows] = records;
+    return { columns, rows };
+}
+
+function sameValue(a, b) {
+    const left = (a ?? '').trim();
+    const right = (b ?? '').trim();
+    if (left === right) return true;
+    if (NUMBER.test(left) && NUMBER.test(right)) return Number(left) === Number(right);
+    return false;
+}
+
+function indexRows(table, keys, side) {
+    const keyIndexes = keys.map((key) => {
+        const index = table.columns.indexOf(key);
+        if (index === -1) throw new Error(`Key variable ${key} is missing from the ${side} dataset`);
+        return index;
+    });
+    const byKey = new Map();
+    table.rows.forEach((row, i) => {
+        const key = keys.length ? keyIndexes.map((k) => (row[k] ?? '').trim()) : [String(i + 1)];
+        const id = key.join('\u0001');
+        if (byKey.has(id)) {
+            throw new Error(`Key variables ${keys.join(' ')} do not uniquely identify observations in the ${side} dataset`);
+        }
+        byKey.set(id, { key, row });
+    });
+    return byKey;
+}
+
+/**
+ * Align two parsed datasets and report what differs.
+ * Without keys, observations are matched by position.
+ * @param {{columns: string[], rows: string[][]}} left
+ * @param {{columns: string[], rows: string[][]}} right
+ * @param {{keys?: string[], maxRows?: number}} [options] maxRows caps the listed differences.
+ * @returns {{keys: string[], columns: string[], addedColumns: string[], removedColumns: string[],
+ *   rows: Array<{status: 'added'|'removed'|'changed', key: string[], left: Object<string, string>|null,
+ *   right: Object<string, string>|null, changed: string[]}>,
+ *   counts: {added: number, removed: number, changed: number, unchanged: number}, truncated: boolean}}
+ */
+function compareDatasets(left, right, { keys = [], maxRows = 5000 } = {}) {
+    const leftRows = indexRows(left, keys, 'first');
+    const rightRows = indexRows(right, keys, 'second');
+    const columns = [...left.columns, ...right.columns.filter((c) => !left.columns.includes(c))];
+    const shared = left.columns.filter((c) => right.columns.includes(c) && !keys.includes(c));
+    const toRecord = (table, row) => Object.fromEntries(table.columns.map((c, i) => [c, row[i] ?? '']));
+
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    const rows = [];
+    const push = (entry) => {
+        counts[entry.status]++;
+        if (rows.length < maxRows) rows.push(entry);
+    };
+
+    for (const [id, { key, row }] of leftRows) {
+        const match = rightRows.get(id);
+        if (!match) {
+            push({ status: 'removed', key, left: toRecord(left, row), right: null, changed: [] });
+            continue;
+        }
+        const leftRecord = toRecord(left, row);
+        const rightRecord = toRecord(right, match.row);
+        const changed = shared.filter((c) => !sameValue(leftRecord[c], rightRecord[c]));
+        if (changed.length) {
+            push({ status: 'changed', key, left: leftRecord, right: rightRecord, changed });
+        } else {
+            counts.unchanged++;
+        }
+    }
+    for (const [id, { key, row }] of rightRows) {
+        if (!leftRows.has(id)) push({ status: 'added', key, left: null, right: toRecord(right, row), changed: [] });
+    }
+
+    return {
+        keys,
+        columns,
+        addedColumns: right.columns.filter((c) => !left.columns.includes(c)),
+        removedColumns: left.columns.filter((c) => !right.columns.includes(c)),
+        rows,
+        counts,
+        truncated: counts.added + counts.removed + counts.changed > rows.length
+    };
+}
+
+module.exports = {
+    compareDatasets,
+    exportDtaCode,
+    exportFrameCode,
+    parseCsv
+};
@@ -0,0 +1,131 @@
+/**
+ * Data Browser cell edits, turned into `replace` commands so every change runs through
+ * the normal queue and shows up in the terminal and command history.
+ */
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const MISSING = /^\.[a-z]?$/;
+// Characters a string literal cannot hold as-is: macro expansion (` and $) and quotes.
+const SPECIAL_CHARS = /[`$"\r\n]/;
+
+/**
+ * A Stata string expression for `text`. Plain text becomes a quoted literal; text with
+ * quotes, macro characters or newlines is built with char() so nothing gets expanded.
+ */
+function stataString(text) {
+    const value = String(text ?? '');
+    if (!SPECIAL_CHARS.test(value)) return `"${value}"`;
+    const parts = [];
+    let literal = '';
+    for (const ch of value) {
+        if (SPECIAL_CHARS.test(ch)) {
+            if (literal) parts.push(`"${literal}"`);
+            literal = '';
+            parts.push(`char(${ch.charCodeAt(0)})`);
+        } else {
+            literal += ch;
+        }
+    }
+    if (literal) parts.push(`"${literal}"`);
+    return parts.join(' + ');
+}
+
+/**
+ * The right-hand side of the `replace` for a new cell value.
+ * Numeric cells accept numbers and missing values (`.`, `.a` ... `.z`); an empty entry is `.`.
+ * @throws {Error} When a numeric cell gets something that is not a number.
+ */
+function editValueExpression(value, isString) {
+    if (isString) return stataString(value);
+    const text = value === null || value === undefined ? '.' : String(value).trim() || '.';
+    if (!NUMBER.test(text) && !MISSING.test(text)) {
+        throw new Error(`"${text}" is not a number or missing value`);
+    }
+    return text;
+}
+
+/**
+ * @param {{variable: string, obs: number, value: string|number|null, isString?: boolean, frame?: string|null}} edit
+ * @returns {string} e.g. `replace price = 4099 in 12`, or `frame sales: replace ...` for a bound browser
+ */
+function buildReplaceCommand({ variable, obs, value, isString = false, frame = null }) {
+    if (!VARIABLE_NAME.test(String(variable ?? ''))) {
+        throw new Error(`Invalid variable name: ${variable}`);
+    }
+    const row = Number(obs);
+    if (!Number.isInteger(row) || row < 1) {
+        throw new Error(`Invalid observation number: ${obs}`);
+    }
+    if (frame && !VARIABLE_NAME.test(String(frame))) {
+        throw new Error(`Invalid frame name: ${frame}`);
+    }
+    const command = `replace ${variable} = ${editValueExpression(value, isString)} in ${row}`;
+    return frame ? `frame ${frame}: ${command}` : command;
+}
+
+/**
+ * Applies edits through `run` and keeps an undo stack of the values they replaced.
+ */
+class DataEditor {
+    /**
+     * @param {{run: (code: string) => Promise<object>, isSuccess: (result: object) => boolean}} deps
+     */
+    constructor({ run, isSuccess }) {
+        this._run = run;
+        this._isSuccess = isSuccess;
+        this._undo = [];
+    }
+
+    get canUndo() {
+        return this._undo.length > 0;
+    }
+
+    /**
+     * @param {{variable: string, obs: number, value: *, previous: *, isString?: boolean, frame?: string|null}} edit
+     * @returns {Promise<object>} The run result.
+     */
+    async apply(edit) {
+        const command = buildReplaceCommand(edit);
+        const result = await this._run(command);
+        if (this._isSuccess(result)) {
+            this._undo.push({
+                variable: edit.variable,
+                obs: edit.obs,
+                value: edit.previous ?? null,
+                isString: !!edit.isString,
+                frame: edit.frame || null
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Restore the value replaced by the most recent edit.
+     * @returns {Promise<object|null>} The run result, or null when there is nothing to undo.
+     */
+    async undo() {
+        const edit = this._undo.pop();
+        if (!edit) return null;
+        let result;
+        try {
+            result = await this._run(buildReplaceCommand(edit));
+        } catch (err) {
+            this._undo.push(edit);
+            throw err;
+        }
+        if (!this._isSuccess(result)) this._undo.push(edit);
+        return result;
+    }
+
+    clear() {
+        this._undo = [];
+    }
+}
+
+module.exports = {
+    DataEditor,
+    buildReplaceCommand,
+    editValueExpression,
+    stataString
+};
@@ -0,0 +1,135 @@
+/**
+ * Data Browser export: streams a view page by page into CSV, Parquet or XLSX so large
+ * datasets never have to fit in memory at once.
+ */
+
+const path = require('path');
+const { getFs, createDepProxy } = require('./runtime-context');
+const { ParquetWriter } = require('./parquet-writer');
+const { XlsxWriter } = require('./xlsx-writer');
+
+const fs = createDepProxy(getFs);
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extensions: ['csv'] },
+    parquet: { label: 'Parquet', extensions: ['parquet'] },
+    xlsx: { label: 'Excel Workbook', extensions: ['xlsx'] }
+};
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isFinite(value)) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row; missing values are left empty.
+ */
+class CsvWriter {
+    constructor(filePath) {
+        this._fd = fs.openSync(filePath, 'w');
+        this._columns = null;
+    }
+
+    writeTable(table) {
+        if (!this._columns) {
+            this._columns = table.schema.fields.map((field) => field.name);
+            fs.writeSync(this._fd, this._columns.map(csvField).join(',') + '\r\n');
+        }
+        const vectors = this._columns.map((_name, i) => table.getChildAt(i));
+        let text = '';
+        for (let i = 0; i < table.numRows; i++) {
+            text += vectors.map((vector) => csvField(vector ? vector.get(i) : null)).join(',') + '\r\n';
+        }
+        if (text) fs.writeSync(this._fd, text);
+    }
+
+    close() {
+        fs.closeSync(this._fd);
+    }
+
+    abort() {
+        try {
+            fs.closeSync(this._fd);
+        } catch (_err) {
+            // Already closed.
+        }
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {'csv'|'parquet'|'xlsx'|null}
+ */
+function exportFormatFromPath(filePath) {
+    const ext = path.extname(String(filePath || '')).slice(1).toLowerCase();
+    return Object.keys(EXPORT_FORMATS).find((format) => EXPORT_FORMATS[format].extensions.includes(ext)) || null;
+}
+
+function createExportWriter(format, filePath) {
+    switch (format) {
+        case 'csv':
+            return new CsvWriter(filePath);
+        case 'parquet':
+            return new ParquetWriter(filePath);
+        case 'xlsx':
+            return new XlsxWriter(filePath);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+/**
+ * Fetch a view page by page and write each Arrow page as it arrives.
+ * A cancelled or failed export removes the partial file.
+ * @param {{format: string, filePath: string,
+ *   fetchPage: (offset: number, limit: number) => Promise<import('apache-arrow').Table>,
+ *   pageSize?: number, total?: number,
+ *   onProgress?: (rows: number, total: number|undefined) => void,
+ *   isCancelled?: () => boolean}} options
+ * @returns {Promise<{rows: number, cancelled: boolean}>}
+ */
+async function exportView({ format, filePath, fetchPage, pageSize = 10000, total, onProgress, isCancelled }) {
+    const writer = createExportWriter(format, filePath);
+    let rows = 0;
+    const discard = () => {
+        writer.abort();
+        try {
+            fs.unlinkSync(filePath);
+        } catch (_err) {
+            // Nothing was written.
+        }
+    };
+    try {
+        while (true) {
+            if (isCancelled?.()) {
+                discard();
+                return { rows, cancelled: true };
+            }
+            const table = await fetchPage(rows, pageSize);
+            const count = table?.numRows || 0;
+            if (table && (count > 0 || rows === 0)) writer.writeTable(table);
+            rows += count;
+            onProgress?.(rows, total);
+            if (count < pageSize || (total !== undefined && rows >= total)) break;
+        }
+        if (isCancelled?.()) {
+            discard();
+            return { rows, cancelled: true };
+        }
+        writer.close();
+        return { rows, cancelled: false };
+    } catch (err) {
+        discard();
+        throw err;
+    }
+}
+
+module.exports = {
+    CsvWriter,
+    EXPORT_FORMATS,
+    createExportWriter,
+    exportFormatFromPath,
+    exportView
+};
@@ -0,0 +1,520 @@
+const path = require('path');
+const Sentry = require("@sentry/node");
+const { getVscode } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+const { splitStatements } = require('./stata-syntax');
+const { filterMcpLogs, stripSmcl } = require('./log-utils');
+
+const THREAD_ID = 1;
+const FRAME_ID = 1;
+
+const SCOPES = [
+    { name: 'Locals', key: 'locals', variablesReference: 1 },
+    { name: 'Globals', key: 'globals', variablesReference: 2 },
+    { name: 'Scalars', key: 'scalars', variablesReference: 3 },
+    { name: 'r()', key: 'r', variablesReference: 4 },
+    { name: 'e()', key: 'e', variablesReference: 5 }
+];
+
+// Each section is announced with a display whose echoed command differs from its output,
+// so the echo line can never be mistaken for a section header.
+const SNAPSHOT_CODE = [
+    'display "__dbg_" "macros__"',
+    'macro list',
+    'display "__dbg_" "scalars__"',
+    'scalar list',
+    'display "__dbg_" "r__"',
+    'return list',
+    'display "__dbg_" "e__"',
+    'ereturn list'
+].join('\n');
+
+/**
+ * Split the plain-text output of SNAPSHOT_CODE into its sections.
+ * @returns {{macros: string, scalars: string, r: string, e: string}}
+ */
+function splitSnapshotSections(text) {
+    const sections = { macros: '', scalars: '', r: '', e: '' };
+    let current = null;
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const header = /^\s*__dbg_(macros|scalars|r|e)__\s*$/.exec(line);
+        if (header) {
+            current = header[1];
+            continue;
+        }
+        // Skip echoed commands and their continuation lines.
+        if (!current || /^\s*[.>]\s/.test(line) || /^\s*\.\s*$/.test(line)) continue;
+        sections[current] += line + '\n';
+    }
+    return sections;
+}
+
+/**
+ * Parse `macro list` output into globals and locals (locals are listed with a leading `_`).
+ */
+function parseMacroList(text) {
+    const globals = [];
+    const locals = [];
+    let last = null;
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const match = /^(_?[A-Za-z_][\w]*):\s?(.*)$/.exec(line);
+        if (match) {
+            const isLocal = match[1].startsWith('_');
+            last = { name: isLocal ? match[1].slice(1) : match[1], value: match[2].trim() };
+            (isLocal ? locals : globals).push(last);
+        } else if (last && /^\s+\S/.test(line)) {
+            // Long values wrap onto indented continuation lines.
+            last.value += ' ' + line.trim();
+        }
+    }
+    return { globals, locals };
+}
+
+/**
+ * Parse `scalar list` output (`name = value` per line).
+ */
+function parseScalarList(text) {
+    const out = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const match = /^\s*([A-Za-z_][\w]*)\s*=\s*(.*)$/.exec(line);
+        if (match) out.push({ name: match[1], value: match[2].trim() });
+    }
+    return out;
+}
+
+/**
+ * Parse `return list` / `ereturn list` output. Matrices are reported by their dimensions.
+ */
+function parseReturnList(text) {
+    const out = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const match = /^\s*([rse]\([^)]+\))\s*[=:]\s*(.*)$/.exec(line);
+        if (match) out.push({ name: match[1], value: match[2].trim() });
+    }
+    return out;
+}
+
+/**
+ * Inline Debug Adapter Protocol implementation that steps through a do-file one statement
+ * at a time using `StataMcpClient.run`. Pausing goes through `cancelRun`, which sends the
+ * `stata_control` break to the session.
+ */
+class StataDebugSession {
+    /**
+     * @param {object} deps
+     * @param {object} deps.client StataMcpClient (or compatible) instance.
+     * @param {(filePath: string) => string} deps.readSource Returns current source text for a path.
+     * @param {(result: object) => void} [deps.onStatementDone] Called after each executed statement.
+     */
+    constructor({ client, readSource, onStatementDone } = {}) {
+        this._client = client;
+        this._readSource = readSource;
+        this._onStatementDone = onStatementDone;
+        this._emitter = new vscode.EventEmitter();
+        this.onDidSendMessage = this._emitter.event;
+
+        this._seq = 1;
+        this._program = null;
+        this._cwd = null;
+        this._statements = [];
+        this._breakpointsByPath = new Map();
+        this._current = 0;
+        this._stopOnEntry = false;
+        this._launched = false;
+        this._configured = false;
+        this._started = false;
+        this._running = false;
+        this._activeRunId = null;
+        this._pauseRequested = false;
+        this._terminated = false;
+        this._snapshot = null;
+        this._runCounter = 0;
+    }
+
+    handleMessage(message) {
+        if (message?.type !== 'request') return;
+        const handler = this[`_on_${message.command}`];
+        if (typeof handler !== 'function') {
+            this._respond(message, {}, true);
+            return;
+        }
+        Promise.resolve()
+            .then(() => handler.call(this, message, message.arguments || {}))
+            .catch((err) => {
+                Sentry.captureException(err);
+                this._respond(message, undefined, false, err?.message || String(err));
+            });
+    }
+
+    dispose() {
+        this._terminated = true;
+        if (this._activeRunId) {
+            this._client?.cancelRun?.(this._activeRunId);
+        }
+        this._emitter.dispose?.();
+    }
+
+    // --- DAP plumbing ---
+
+    _send(message) {
+        this._emitter.fire({ seq: this._seq++, ...message });
+    }
+
+    _respond(request, body, success = true, errorMessage) {
+        const response = {
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success
+        };
+        if (body !== undefined) response.body = body;
+        if (!success) response.message = errorMessage;
+        this._send(response);
+    }
+
+    _event(event, body) {
+        this._send({ type: 'event', event, body });
+    }
+
+    _output(text, category = 'stdout') {
+        if (!text) return;
+        this._event('output', { category, output: text.endsWith('\n') ? text : `${text}\n` });
+    }
+
+    // --- Requests ---
+
+    _on_initialize(request) {
+        this._respond(request, {
+            supportsConfigurationDoneRequest: true,
+            supportsTerminateRequest: true,
+            supportsEvaluateForHovers: false
+        });
+        this._event('initialized');
+    }
+
+    _on_launch(request, args) {
+        if (!args.program) {
+            this._respond(request, undefined, false, 'No do-file specified. Set "program" in launch.json.');
+            return;
+        }
+        this._program = path.resolve(args.program);
+        this._cwd = args.cwd || path.dirname(this._program);
+        this._stopOnEntry = !!args.stopOnEntry;
+        this._statements = splitStatements(this._readSource(this._program))
+            .filter((statement) => !statement.directive);
+        this._launched = true;
+        this._respond(request);
+        this._maybeStart();
+    }
+
+    _on_setBreakpoints(request, args) {
+        const sourcePath = args.source?.path ? path.resolve(args.source.path) : null;
+        const requested = (args.breakpoints || args.lines?.map((line) => ({ line })) || []);
+        const statements = sourcePath && sourcePath === this._program
+            ? this._statements
+            : splitStatements(sourcePath ? this._readSource(sourcePath) : '').filter((s) => !s.directive);
+
+        const lines = new Set();
+        const breakpoints = requested.map((bp) => {
+            const line0 = bp.line - 1;
+            // Breakpoints on blank or comment lines move to the next statement.
+            const statement = statements.find((s) => line0 <= s.endLine);
+            if (!statement) return { verified: false, line: bp.line, message: 'No Stata statement at or after this line' };
+            lines.add(statement.startLine);
+            return { verified: true, line: statement.startLine + 1 };
+        });
+
+        if (sourcePath) this._breakpointsByPath.set(sourcePath, lines);
+        this._respond(request, { breakpoints });
+    }
+
+    _on_setExceptionBreakpoints(request) {
+        this._respond(request, { breakpoints: [] });
+    }
+
+    _on_configurationDone(request) {
+        this._configured = true;
+        this._respond(request);
+        this._maybeStart();
+    }
+
+    _on_threads(request) {
+        this._respond(request, { threads: [{ id: THREAD_ID, name: 'Stata' }] });
+    }
+
+    _on_stackTrace(request) {
+        const statement = this._statements[this._current];
+        if (!statement) {
+            this._respond(request, { stackFrames: [], totalFrames: 0 });
+            return;
+        }
+        const firstLine = statement.code.split(/\r?\n/)[0].trim();
+        this._respond(request, {
+            stackFrames: [{
+                id: FRAME_ID,
+                name: firstLine.length > 60 ? `${firstLine.slice(0, 60)}…` : firstLine,
+                source: { name: path.basename(this._program), path: this._program },
+                line: statement.startLine + 1,
+                column: 1,
+                endLine: statement.endLine + 1
+            }],
+            totalFrames: 1
+        });
+    }
+
+    _on_scopes(request) {
+        this._respond(request, {
+            scopes: SCOPES.map(({ name, variablesReference }) => ({
+                name,
+                variablesReference,
+                expensive: false,
+                presentationHint: name === 'Locals' ? 'locals' : undefined
+            }))
+        });
+    }
+
+    async _on_variables(request, args) {
+        const scope = SCOPES.find((s) => s.variablesReference === args.variablesReference);
+        if (!scope) {
+            this._respond(request, { variables: [] });
+            return;
+        }
+        const snapshot = await this._loadSnapshot();
+        const items = snapshot[scope.key] || [];
+        this._respond(request, {
+            variables: items.map((item) => ({
+                name: item.name,
+                value: item.value,
+                variablesReference: 0
+            }))
+        });
+    }
+
+    _on_continue(request) {
+        this._respond(request, { allThreadsContinued: true });
+        this._resume('continue');
+    }
+
+    _on_next(request) {
+        this._respond(request);
+        this._resume('step');
+    }
+
+    // Statements are the smallest unit we can run, so stepping in/out behaves like step over.
+    _on_stepIn(request) {
+        this._on_next(request);
+    }
+
+    _on_stepOut(request) {
+        this._on_next(request);
+    }
+
+    async _on_pause(request) {
+        this._respond(request);
+        if (!this._running) return;
+        this._pauseRequested = true;
+        if (this._activeRunId) {
+            await this._client.cancelRun(this._activeRunId);
+        }
+    }
+
+    async _on_evaluate(request, args) {
+        const expression = String(args.expression || '').trim();
+        if (!expression || this._running) {
+            this._respond(request, undefined, false, this._running ? 'Stata is busy running the current statement' : 'Nothing to evaluate');
+            return;
+        }
+        const code = args.context === 'repl' ? expression : `display ${expression}`;
+        const result = await this._client.run(code, { cwd: this._cwd, internal: true });
+        this._snapshot = null;
+        const text = this._cleanOutput(result?.stdout || '')
+            .split('\n')
+            .filter((line) => !/^\s*[.>]\s/.test(line))
+            .join('\n')
+            .trim();
+        if (result && result.success === false) {
+            this._respond(request, undefined, false, this._cleanOutput(result.stderr) || text || `r(${result.rc})`);
+            return;
+        }
+        this._respond(request, { result: text, variablesReference: 0 });
+    }
+
+    async _on_disconnect(request) {
+        await this._stop();
+        this._respond(request);
+    }
+
+    async _on_terminate(request) {
+        await this._stop();
+        this._respond(request);
+        this._event('terminated');
+    }
+
+    // --- Execution ---
+
+    _maybeStart() {
+        if (!this._launched || !this._configured || this._started) return;
+        this._started = true;
+        if (!this._statements.length) {
+            this._output('No Stata statements to run.', 'console');
+            this._finish();
+            return;
+        }
+        if (this._stopOnEntry) {
+            this._stopped('entry');
+        } else {
+            this._resume('continue', { skipBreakpointAtCurrent: false });
+        }
+    }
+
+    _resume(mode, { skipBreakpointAtCurrent = true } = {}) {
+        if (this._running || this._terminated) return;
+        this._snapshot = null;
+        this._runLoop(mode, skipBreakpointAtCurrent).catch((err) => {
+            Sentry.captureException(err);
+            this._output(err?.message || String(err), 'stderr');
+            this._finish();
+        });
+    }
+
+    async _runLoop(mode, skipBreakpointAtCurrent) {
+        let first = true;
+        while (this._current < this._statements.length && !this._terminated) {
+            const statement = this._statements[this._current];
+            if (!first && mode === 'step') {
+                this._stopped('step');
+                return;
+            }
+            const breakpoints = this._breakpointsByPath.get(this._program);
+            if (!(first && skipBreakpointAtCurrent) && breakpoints?.has(statement.startLine)) {
+                this._stopped('breakpoint');
+                return;
+            }
+            first = false;
+
+            const result = await this._execute(statement);
+            if (this._terminated) return;
+            if (this._pauseRequested) {
+                // The interrupted statement did not complete, so leave it current.
+                this._pauseRequested = false;
+                this._stopped('pause');
+                return;
+            }
+            if (result && result.success === false) {
+                // Stay on the failing statement so the user can inspect state; continuing retries it.
+                this._stopped('exception', `r(${result.rc ?? '?'})`);
+                return;
+            }
+            this._current++;
+        }
+        if (!this._terminated) this._finish();
+    }
+
+    async _execute(statement) {
+        const runId = `dbg_${Date.now().toString(36)}_${++this._runCounter}`;
+        this._running = true;
+        this._activeRunId = runId;
+        // Log chunks can split SMCL tags, so only forward complete lines.
+        let pendingLog = '';
+        try {
+            const result = await this._client.run(statement.code, {
+                runId,
+                cwd: this._cwd,
+                internal: true,
+                onLog: (chunk) => {
+                    pendingLog += String(chunk || '');
+                    const cut = pendingLog.lastIndexOf('\n');
+                    if (cut === -1) return;
+                    this._output(this._cleanOutput(pendingLog.slice(0, cut + 1)));
+                    pendingLog = pendingLog.slice(cut + 1);
+                }
+            });
+            if (pendingLog.trim()) this._output(this._cleanOutput(pendingLog));
+            if (!result?.streamedLog && result?.stdout) {
+                this._output(this._cleanOutput(result.stdout));
+            }
+            if (result && result.success === false && !this._pauseRequested) {
+                this._output(this._cleanOutput(result.stderr) || `r(${result.rc})`, 'stderr');
+            }
+            this._onStatementDone?.(result);
+            return result;
+        } finally {
+            this._running = false;
+            this._activeRunId = null;
+        }
+    }
+
+    _cleanOutput(text) {
+        return stripSmcl(filterMcpLogs(String(text || ''))).replace(/\n{3,}/g, '\n\n');
+    }
+
+    _stopped(reason, text) {
+        this._snapshot = null;
+        this._event('stopped', {
+            reason,
+            description: text ? `Paused on ${reason}: ${text}` : undefined,
+            text,
+            threadId: THREAD_ID,
+            allThreadsStopped: true
+        });
+    }
+
+    _finish() {
+        if (this._terminated) return;
+        this._terminated = true;
+        this._event('terminated');
+    }
+
+    async _stop() {
+        if (this._running && this._activeRunId) {
+            this._terminated = true;
+            try {
+                await this._client.cancelRun(this._activeRunId);
+            } catch (_err) { }
+        }
+        this._terminated = true;
+    }
+
+    async _loadSnapshot() {
+        if (this._snapshot) return this._snapshot;
+        if (this._running) return {};
+        const result = await this._client.run(SNAPSHOT_CODE, { cwd: this._cwd, internal: true });
+        const sections = splitSnapshotSections(stripSmcl(filterMcpLogs(result?.stdout || '')));
+        const macros = parseMacroList(sections.macros);
+        this._snapshot = {
+            locals: macros.locals,
+            globals: macros.globals,
+            scalars: parseScalarList(sections.scalars),
+            r: parseReturnList(sections.r),
+            e: parseReturnList(sections.e)
+        };
+        return this._snapshot;
+    }
+}
+
+/**
+ * Factory registered with `vscode.debug.registerDebugAdapterDescriptorFactory`.
+ */
+class StataDebugAdapterFactory {
+    constructor(deps) {
+        this._deps = deps;
+    }
+
+    createDebugAdapterDescriptor() {
+        return new vscode.DebugAdapterInlineImplementation(new StataDebugSession(this._deps));
+    }
+}
+
+module.exports = {
+    StataDebugSession,
+    StataDebugAdapterFactory,
+    splitSnapshotSections,
+    parseMacroList,
+    parseScalarList,
+    parseReturnList,
+    SNAPSHOT_CODE
+};
@@ -12,6 +12,33 @@ const { DataBrowserPanel } = require('./data-browser-panel');
 const { openArtifact } = require('./artifact-utils');
 const { HelpPanel } = require('./help-panel');
 const { getTmpFilePath, getTmpDir } = require('./fs-utils');
+const { parseCells, findCellAtLine, hasRunnableCode, CellCodeLensProvider, CellDecorator } = require('./code-cells');
+const { StataDebugAdapterFactory } = require('./debug-adapter');
+const { SessionTreeProvider } = require('./session-tree');
+const {
+    StataDocumentSymbolProvider,
+    StataDefinitionProvider,
+    StataMacroReferenceProvider,
+    StataMacroRenameProvider,
+    AdoProgramIndex
+} = require('./language-features');
+const { RunDiagnostics, ErrorHelpCodeActionProvider } = require('./run-diagnostics');
+const { StataLinter } = require('./linter');
+const { StataFormattingProvider } = require('./formatter');
+const { CommandHelpCache, StataHoverProvider, StataSignatureHelpProvider, fetchStataVersion } = require('./command-help');
+const { StataCompletionProvider } = require('./completion');
+const { fetchSessionState, fetchValueLabels } = require('./session-state');
+const { CommandHistory, toDoFile } = require('./command-history');
+const { DataEditor } = require('./data-edit');
+const { compareDatasets, exportDtaCode, exportFrameCode, parseCsv } = require('./data-compare');
+const { DataComparePanel } = require('./data-compare-panel');
+const { GraphGalleryPanel, pruneGalleryFolders } = require('./graph-gallery-panel');
+const { GRAPH_EXPORT_FORMATS, GRAPH_EXPORT_STATE_KEY, exportGraphFile, promptGraphExportOptions } = require('./graph-export');
+const { DEFAULT_SESSION, getSessionClient, closeSession: closeSessionClient, setActiveSession } = require('./mcp-client');
+const { StataSessions, isValidSessionName } = require('./stata-sessions');
+const { SessionCheckpoints, replayPlan, replayCheckpoint, restoreReport } = require('./session-checkpoint');
+const { RunQueueTreeProvider } = require('./run-queue-tree');
+const { PIPELINE_FILE, MASTER_FILE, PipelineHashes, loadPipeline, runPipeline: runPipelineSteps, pipelineSummary, globalsCode } = require('./pipeline');
 
 const vscode = createDepProxy(getVscode);
 const fs = createDepProxy(getFs);
@@ -31,6 +58,24 @@ let uvCommand = 'uvx';
 let mcpPackageVersion = 'unknown';
 let globalExtensionUri = null;
 let globalContext = null;
+let sessionTreeProvider = null;
+let runDiagnostics = null;
+let lastVariableNames = [];
+let commandHelpCache = null;
+let completionProvider = null;
+let commandHistory = null;
+let dataEditor = null;
+let stataSessions = null;
+// Status bar items and last client status of the named sessions (the default one has statusBarItem).
+const sessionStatusItems = new Map();
+const sessionStatuses = new Map();
+const configuredSessionClients = new WeakSet();
+let sessionCheckpoints = null;
+let runQueueProvider = null;
+let pipelineHashes = null;
+// Clients whose unexpected exits are handled, and the sessions being restarted after one.
+const crashWatchedClients = new WeakSet();
+const recoveringSessions = new Set();
 
 function revealOutput() {
     try {
@@ -258,6 +303,8 @@ function activate(context) {
     }
 
     outputChannel = vscode.window.createOutputChannel('Stata Workbench');
+    // Named sessions do not outlive the extension; `mcpClient` is the default session until a switch.
+    setActiveSession(DEFAULT_SESSION);
 
     const settings = vscode.workspace.getConfiguration('stataMcp');
     applyNoReloadOnClearSetting(!!settings.get('noReloadOnClear', false));
@@ -271,39 +318,7 @@ function activate(context) {
         context.globalState?.update?.(MISSING_CLI_PROMPT_KEY, true).catch?.(() => { });
     }
     if (typeof mcpClient.setLogger === 'function') {
-        mcpClient.setLogger((msg) => {
-            const config = vscode.workspace.getConfiguration('stataMcp');
-            const showAll = config.get('showAllLogsInOutput', false);
-            const logCode = config.get('logStataCode', false);
-
-            // Always show our explicit code logs if they are enabled via the opt-in setting
-            if (msg.includes('[mcp-stata code]')) {
-                if (logCode) {
-                    appendLine(msg);
-                } else if (typeof global.addLogToSentryBuffer === 'function') {
-                    global.addLogToSentryBuffer(msg + '\n');
-                }
-                return;
-            }
-
-            if (showAll) {
-                appendLine(msg);
-            } else {
-                // By default, we suppress the raw mcp-stata stderr logs (which can be very noisy/verbose)
-                // but keep them in the Sentry buffer for troubleshooting.
-                if (typeof global.addLogToSentryBuffer === 'function') {
-                    global.addLogToSentryBuffer(msg + '\n');
-                }
-
-                // We show connection/starting events and mcp-stata diagnostic logs by default.
-                // But we suppress 'stderr' noise from the server process unless showAll is on.
-                if (msg.startsWith('[mcp-stata]') && !msg.includes('stderr')) {
-                    appendLine(msg);
-                } else if (msg.startsWith('Starting mcp-stata') || msg.startsWith('mcp-stata connected')) {
-                    appendLine(msg);
-                }
-            }
-        });
+        mcpClient.setLogger(logMcpMessage);
     }
     if (typeof mcpClient.setTaskDoneHandler === 'function') {
         mcpClient.setTaskDoneHandler((payload) => {
@@ -328,25 +343,31 @@ function activate(context) {
         vscode.commands.registerCommand('stata-workbench.uninstallMcpToolkit', () => runMcpInstaller({ uninstall: true })),
         vscode.commands.registerCommand('stata-workbench.cancelRequest', cancelRequest),
         vscode.commands.registerCommand('stata-workbench.openTerminal', openTerminal),
+        vscode.commands.registerCommand('stata-workbench.runCell', runCell),
+        vscode.commands.registerCommand('stata-workbench.runCellAndAdvance', runCellAndAdvance),
+        vscode.commands.registerCommand('stata-workbench.runCellsAbove', runCellsAbove),
+        vscode.commands.registerCommand('stata-workbench.debugFile', debugFile),
         mcpClient.onStatusChanged(updateStatusBar)
     ];
-
-    TerminalPanel.setHandlersFactory(() => ({
-        runCommand: terminalRunCommand,
-        variableProvider: variableListProvider,
-        downloadGraphPdf: downloadGraphAsPdf,
-        openHelpPanel: (helpPath, helpLabel) => {
-            try {
-                const content = fs.readFileSync(helpPath, 'utf8');
-                HelpPanel.show(globalExtensionUri, helpLabel || 'Stata Help', content);
-            } catch (err) {
-                debugLog(`[Extension] openHelpPanel failed: ${err.message}`);
-            }
-        },
-        cancelRun: cancelRequest,
-        cancelTask: cancelTask,
-        clearAll: clearAllCommand
-    }));
+    registerCodeCells(subscriptions);
+    registerLanguageFeatures(subscriptions);
+    registerRunDiagnostics(subscriptions);
+    registerLinter(subscriptions);
+    registerFormatter(subscriptions);
+    registerCommandHelp(subscriptions, context);
+    registerCompletion(subscriptions);
+    registerHistory(subscriptions, context);
+    registerDataEditing(subscriptions);
+    registerDataFrames(subscriptions);
+    registerGraphGallery(subscriptions);
+    registerDebugger(subscriptions);
+    registerSessionTree(subscriptions);
+    registerSessions(subscriptions, context);
+    registerCheckpoints(subscriptions, context);
+    registerRunQueue(subscriptions);
+    registerPipeline(subscriptions, context);
+
+    TerminalPanel.setHandlersFactory(() => terminalHandlers(DEFAULT_SESSION));
 
     if (vscode.window.registerWebviewPanelSerializer) {
         vscode.window.registerWebviewPanelSerializer('stataTerminal', {
@@ -484,7 +505,7 @@ function activate(context) {
         return {
             TerminalPanel,
             DataBrowserPanel,
-            downloadGraphAsPdf,
+            exportGraph,
             mcpClient,
             refreshMcpPackage,
             getUvCommand: () => uvCommand,
@@ -511,6 +532,910 @@ function activate(context) {
     }
 }
 
+function registerCodeCells(subscriptions) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    const codeLensProvider = new CellCodeLensProvider();
+    const decorator = new CellDecorator();
+    const decorate = (editor) => {
+        if (isStataDocument(editor?.document)) decorator.update(editor);
+    };
+
+    subscriptions.push(
+        vscode.languages.registerCodeLensProvider(selector, codeLensProvider),
+        decorator,
+        vscode.window.onDidChangeActiveTextEditor(decorate),
+        vscode.window.onDidChangeTextEditorSelection((e) => decorate(e.textEditor)),
+        vscode.workspace.onDidChangeTextDocument((e) => {
+            const editor = vscode.window.activeTextEditor;
+            if (editor && e.document === editor.document) decorate(editor);
+        }),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration('stataMcp.cellCodeLens')) codeLensProvider.refresh();
+            if (e.affectsConfiguration('stataMcp.highlightActiveCell')) decorate(vscode.window.activeTextEditor);
+        })
+    );
+    decorate(vscode.window.activeTextEditor);
+}
+
+function registerLanguageFeatures(subscriptions) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider(selector, new StataDocumentSymbolProvider()),
+        vscode.languages.registerDefinitionProvider(selector, new StataDefinitionProvider()),
+        vscode.languages.registerReferenceProvider(selector, new StataMacroReferenceProvider()),
+        vscode.languages.registerRenameProvider(selector, new StataMacroRenameProvider())
+    );
+}
+
+function registerRunDiagnostics(subscriptions) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    runDiagnostics = new RunDiagnostics();
+    subscriptions.push(
+        runDiagnostics,
+        vscode.languages.registerCodeActionsProvider(selector, new ErrorHelpCodeActionProvider(), {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.commands.registerCommand('stata-workbench.showErrorHelp', showErrorHelp)
+    );
+}
+
+function registerLinter(subscriptions) {
+    const linter = new StataLinter({ getVariables: knownVariableNames });
+    const lintIfStata = (document) => {
+        if (StataLinter.isLintable(document)) linter.lintDocument(document);
+    };
+    subscriptions.push(
+        linter,
+        vscode.languages.registerCodeActionsProvider([{ pattern: '**/*.{do,ado}' }], linter, {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.workspace.onDidSaveTextDocument(lintIfStata),
+        vscode.workspace.onDidCloseTextDocument((document) => linter.clear(document)),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration('stataMcp.lint')) {
+                (vscode.workspace.textDocuments || []).forEach(lintIfStata);
+            }
+        })
+    );
+}
+
+function registerFormatter(subscriptions) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    const formatter = new StataFormattingProvider();
+    subscriptions.push(
+        vscode.languages.registerDocumentFormattingEditProvider(selector, formatter),
+        vscode.languages.registerDocumentRangeFormattingEditProvider(selector, formatter)
+    );
+}
+
+function registerCommandHelp(subscriptions, context) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    const storageRoot = context.globalStorageUri?.fsPath || context.globalStoragePath || getTmpDir(context);
+    commandHelpCache = new CommandHelpCache({
+        storageDir: path.join(storageRoot, 'command-help'),
+        fetchHelp: (topic) => mcpClient.getHelp(topic),
+        getVersion: () => fetchStataVersion(mcpClient)
+    });
+    subscriptions.push(
+        vscode.languages.registerHoverProvider(selector, new StataHoverProvider(commandHelpCache)),
+        vscode.languages.registerSignatureHelpProvider(selector, new StataSignatureHelpProvider(commandHelpCache), ',', ' ', '('),
+        vscode.commands.registerCommand('stata-workbench.clearHelpCache', clearHelpCache)
+    );
+}
+
+function clearHelpCache() {
+    try {
+        commandHelpCache?.clear();
+        vscode.window.showInformationMessage('Stata help cache cleared.');
+    } catch (err) {
+        vscode.window.showErrorMessage(`Could not clear the Stata help cache: ${err.message}`);
+    }
+}
+
+function registerCompletion(subscriptions) {
+    const selector = [{ language: 'stata' }, { pattern: '**/*.{do,ado,mata}' }];
+    completionProvider = new StataCompletionProvider({
+        // Reuse the session view's snapshot when it has one.
+        loadState: () => sessionTreeProvider?.state || fetchSessionState(mcpClient),
+        programIndex: new AdoProgramIndex(),
+        helpCache: commandHelpCache
+    });
+    subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(selector, completionProvider, '`', '$')
+    );
+}
+
+function registerHistory(subscriptions, context) {
+    // Per-workspace storage when a folder is open, so each project keeps its own history.
+    const storageRoot = context.storageUri?.fsPath || context.globalStorageUri?.fsPath || context.globalStoragePath || getTmpDir(context);
+    commandHistory = new CommandHistory({
+        filePath: path.join(storageRoot, 'command-history.jsonl'),
+        maxEntries: vscode.workspace.getConfiguration('stataMcp').get('history.maxEntries', 5000)
+    });
+    TerminalPanel.setHistoryProvider(() => commandHistory.entries().map((entry) => entry.code));
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.searchHistory', searchHistory),
+        vscode.commands.registerCommand('stata-workbench.exportHistory', exportHistory)
+    );
+}
+
+function registerDataEditing(subscriptions) {
+    // Edits run like any other code: queued, echoed in the terminal and kept in the history.
+    dataEditor = new DataEditor({
+        run: (code) => runEditorCode(code, null, { title: 'Editing data', label: 'Data Browser edit' }),
+        isSuccess: isRunSuccess
+    });
+    const respond = (result) => {
+        const success = isRunSuccess(result);
+        const error = success ? undefined : (result?.error?.message || (typeof result?.rc === 'number' ? `r(${result.rc})` : 'Edit failed'));
+        return { success, error, canUndo: dataEditor.canUndo };
+    };
+    DataBrowserPanel.setEditHandlers({
+        applyEdit: async (edit) => respond(await dataEditor.apply(edit)),
+        undoEdit: async () => {
+            const result = await dataEditor.undo();
+            return result ? respond(result) : { success: false, error: 'Nothing to undo', canUndo: false };
+        },
+        canUndo: () => dataEditor.canUndo,
+        valueLabels: dataBrowserValueLabels
+    });
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.undoDataEdit', undoDataEdit)
+    );
+}
+
+function registerDataFrames(subscriptions) {
+    DataBrowserPanel.setFrameHandlers({
+        listFrames: async () => (await currentSessionState()).frames.map(({ name, n, k, current }) => ({ name, n, k, current })),
+        switchFrame: (frame) => runEditorCode(`frame change ${frame}`, null, { title: `Switching to frame ${frame}` })
+    });
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.browseFrame', browseFrame),
+        vscode.commands.registerCommand('stata-workbench.compareData', compareData)
+    );
+}
+
+function registerGraphGallery(subscriptions) {
+    let storageDir = null;
+    try {
+        // One folder per window under global storage; removed on deactivate, or pruned on a later start.
+        const root = path.join(globalContext?.globalStorageUri?.fsPath || globalContext?.globalStoragePath || getTmpDir(globalContext), 'graph-gallery');
+        pruneGalleryFolders(root);
+        storageDir = path.join(root, String(process.pid));
+    } catch (err) {
+        debugLog(`[GraphGallery] No writable folder for graph copies: ${err.message}`);
+    }
+    GraphGalleryPanel.configure({
+        storageDir,
+        exportGraphs: ({ session, ...options }) => sessionClient(session || DEFAULT_SESSION).exportAllGraphs(options)
+    });
+    TerminalPanel.setArtifactListener((artifact, run) => GraphGalleryPanel.record(artifact, run));
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.showGraphGallery', showGraphGallery)
+    );
+}
+
+async function showGraphGallery() {
+    return Sentry.startSpan({ name: 'extension.showGraphGallery', op: 'extension.operation' }, async () => {
+        GraphGalleryPanel.show(globalExtensionUri);
+    });
+}
+
+function currentSessionState() {
+    return sessionTreeProvider?.state?.frames.length ? sessionTreeProvider.state : fetchSessionState(mcpClient);
+}
+
+async function pickFrame(frames, { title, exclude } = {}) {
+    const items = frames
+        .filter((f) => f.name !== exclude)
+        .map((f) => ({
+            label: f.name,
+            description: `${f.n.toLocaleString()} obs, ${f.k.toLocaleString()} vars${f.current ? ' (current)' : ''}`,
+            frame: f
+        }));
+    return vscode.window.showQuickPick(items, { title, placeHolder: 'Choose a frame' });
+}
+
+/**
+ * Open a new Data Browser bound to a frame, alongside any already open.
+ */
+async function browseFrame() {
+    return Sentry.startSpan({ name: 'extension.browseFrame', op: 'extension.operation' }, async () => {
+        const state = await currentSessionState();
+        const pick = await pickFrame(state.frames, { title: 'Open Data Browser for Frame' });
+        if (!pick) return;
+        DataBrowserPanel.createOrShow(globalExtensionUri, { frame: pick.label });
+    });
+}
+
+/**
+ * Compare a frame with another frame or a saved dataset. Both sides are exported to CSV by
+ * Stata (without changing the current frame) and diffed here.
+ */
+async function compareData(arg) {
+    return Sentry.startSpan({ name: 'extension.compareData', op: 'extension.operation' }, async () => {
+        const state = await currentSessionState();
+        const leftPick = arg?.frame
+            ? { label: arg.frame, frame: state.frames.find((f) => f.name === arg.frame) }
+            : await pickFrame(state.frames, { title: 'Compare: first frame' });
+        if (!leftPick) return;
+
+        const DTA = 'Saved dataset (.dta)...';
+        const rightItems = state.frames
+            .filter((f) => f.name !== leftPick.label)
+            .map((f) => ({ label: f.name, description: `${f.n.toLocaleString()} obs, ${f.k.toLocaleString()} vars`, frame: f }));
+        rightItems.push({ label: DTA, description: 'Compare with a file on disk' });
+        const rightPick = await vscode.window.showQuickPick(rightItems, { title: `Compare ${leftPick.label} with` });
+        if (!rightPick) return;
+
+        let dtaPath = null;
+        if (rightPick.label === DTA) {
+            const uris = await vscode.window.showOpenDialog({ canSelectMany: false, filters: { 'Stata Data': ['dta'] } });
+            if (!uris || !uris.length) return;
+            dtaPath = uris[0].fsPath;
+        }
+        const rightName = dtaPath ? path.basename(dtaPath) : rightPick.label;
+
+        const variables = (leftPick.frame?.variables || []).map((v) => v.name);
+        const candidates = rightPick.frame
+            ? variables.filter((name) => rightPick.frame.variables.some((v) => v.name === name))
+            : variables;
+        const keyPicks = await vscode.window.showQuickPick(candidates.map((name) => ({ label: name })), {
+            title: 'Key variables (none: match by observation number)',
+            canPickMany: true
+        });
+        if (!keyPicks) return;
+        const keys = keyPicks.map((k) => k.label);
+
+        let leftCsv = null;
+        let rightCsv = null;
+        try {
+            // A remote Stata writes the CSVs into a folder both hosts can reach.
+            leftCsv = mcpClient.sharedTempPath(getTmpFilePath(`compare_${leftPick.label}.csv`, globalContext));
+            rightCsv = mcpClient.sharedTempPath(getTmpFilePath(`compare_${dtaPath ? 'file' : rightPick.label}.csv`, globalContext));
+            const code = [
+                exportFrameCode(leftPick.label, mcpClient.serverPath(leftCsv)),
+                dtaPath
+                    ? exportDtaCode(mcpClient.serverPath(dtaPath), mcpClient.serverPath(rightCsv))
+                    : exportFrameCode(rightPick.label, mcpClient.serverPath(rightCsv))
+            ].join('\n');
+            const result = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Comparing ${leftPick.label} with ${rightName}`
+            }, () => mcpClient.run(code));
+            if (!isRunSuccess(result)) {
+                const detail = result?.stderr || (typeof result?.rc === 'number' ? `r(${result.rc})` : 'unknown error');
+                throw new Error(`Stata could not export the data: ${detail}`);
+            }
+            const comparison = compareDatasets(
+                parseCsv(fs.readFileSync(leftCsv, 'utf8')),
+                parseCsv(fs.readFileSync(rightCsv, 'utf8')),
+                { keys }
+            );
+            DataComparePanel.show(globalExtensionUri, comparison, { leftName: leftPick.label, rightName });
+        } catch (err) {
+            vscode.window.showErrorMessage(`Compare failed: ${err.message}`);
+        } finally {
+            for (const file of [leftCsv, rightCsv]) {
+                try {
+                    if (file && fs.existsSync(file)) fs.unlinkSync(file);
+                } catch (_err) {
+                    // Temp files are cleaned up with the temp directory anyway.
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Value labels of a frame's labelled variables (the current frame by default), keyed by
+ * variable name. Read uncapped: the session snapshot keeps only the first entries of each set.
+ */
+function dataBrowserValueLabels(frame = null) {
+    return fetchValueLabels(mcpClient, { frame });
+}
+
+/**
+ * Append a finished run to the command history, and to its session's checkpoint when it
+ * succeeded. `result` may be missing when the run threw.
+ */
+function recordHistory(code, result, { source, cwd, filePath, startedAt, session = DEFAULT_SESSION }) {
+    if (isRunSuccess(result) && checkpointsEnabled()) {
+        sessionCheckpoints?.record(session, { code, cwd });
+    }
+    if (!commandHistory) return;
+    const rc = typeof result?.rc === 'number' ? result.rc : (isRunSuccess(result) ? 0 : -1);
+    const durationMs = typeof result?.durationMs === 'number' ? result.durationMs : Date.now() - startedAt;
+    commandHistory.add({ code, rc, durationMs, cwd, source, filePath });
+}
+
+/**
+ * Variable names of the dataset in memory, from the session view or the last variable list fetch.
+ * Never queries Stata, so callers on hot paths (lint on save) stay cheap.
+ */
+function knownVariableNames() {
+    const current = sessionTreeProvider?.state?.frames.find((f) => f.current);
+    return current ? current.variables.map((v) => v.name) : lastVariableNames;
+}
+
+function registerDebugger(subscriptions) {
+    const readSource = (filePath) => {
+        const open = vscode.workspace.textDocuments?.find((doc) => doc.uri?.fsPath === filePath);
+        return open ? open.getText() : fs.readFileSync(filePath, 'utf8');
+    };
+    const factory = new StataDebugAdapterFactory({
+        client: mcpClient,
+        readSource,
+        onStatementDone: () => refreshDatasetSummary()
+    });
+
+    subscriptions.push(
+        vscode.debug.registerDebugAdapterDescriptorFactory('stata', factory),
+        vscode.debug.registerDebugConfigurationProvider('stata', {
+            // F5 without a launch.json: debug the active do-file.
+            resolveDebugConfiguration(_folder, config) {
+                if (!config.type && !config.request && !config.name) {
+                    const editor = vscode.window.activeTextEditor;
+                    if (!isStataDocument(editor?.document)) return config;
+                    return { type: 'stata', request: 'launch', name: 'Debug Do-file', program: editor.document.uri.fsPath, stopOnEntry: true };
+                }
+                if (!config.program) {
+                    vscode.window.showErrorMessage('Stata debug configuration is missing "program".');
+                    return undefined;
+                }
+                return config;
+            }
+        })
+    );
+}
+
+function registerSessionTree(subscriptions) {
+    sessionTreeProvider = new SessionTreeProvider({
+        loadState: () => fetchSessionState(mcpClient)
+    });
+    subscriptions.push(
+        vscode.window.createTreeView('stataSession', { treeDataProvider: sessionTreeProvider, showCollapseAll: true }),
+        vscode.commands.registerCommand('stata-workbench.refreshSessionTree', () => sessionTreeProvider.refresh()),
+        vscode.commands.registerCommand('stata-workbench.browseData', browseData),
+        vscode.commands.registerCommand('stata-workbench.describeVariable', describeVariable),
+        vscode.commands.registerCommand('stata-workbench.dropVariable', dropVariable)
+    );
+}
+
+function registerSessions(subscriptions, context) {
+    stataSessions = new StataSessions({ state: context.workspaceState });
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.switchSession', switchSession),
+        vscode.commands.registerCommand('stata-workbench.bindEditorToSession', bindEditorToSession),
+        vscode.commands.registerCommand('stata-workbench.closeSession', closeSession),
+        stataSessions.onDidChange(() => {
+            setActiveSession(stataSessions.active);
+            refreshSessionStatusItems();
+            showRunQueue();
+        }),
+        {
+            dispose: () => {
+                for (const item of sessionStatusItems.values()) item.dispose();
+                sessionStatusItems.clear();
+            }
+        }
+    );
+    refreshSessionStatusItems();
+}
+
+function activeSession() {
+    return stataSessions?.active || DEFAULT_SESSION;
+}
+
+function registerCheckpoints(subscriptions, context) {
+    sessionCheckpoints = new SessionCheckpoints({ state: context.workspaceState });
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.restoreSession', restoreSessionCommand)
+    );
+    // Named sessions are watched when their client is first used.
+    sessionClient(DEFAULT_SESSION);
+}
+
+function registerRunQueue(subscriptions) {
+    runQueueProvider = new RunQueueTreeProvider();
+    subscriptions.push(
+        vscode.window.createTreeView('stataRunQueue', { treeDataProvider: runQueueProvider }),
+        runQueueProvider,
+        vscode.commands.registerCommand('stata-workbench.moveRunUp', (node) => runQueueProvider.queue?.move(node?.runId, -1)),
+        vscode.commands.registerCommand('stata-workbench.moveRunDown', (node) => runQueueProvider.queue?.move(node?.runId, 1)),
+        vscode.commands.registerCommand('stata-workbench.cancelQueuedRun', (node) => node?.runId && sessionClient(activeSession()).cancelRun(node.runId)),
+        vscode.commands.registerCommand('stata-workbench.retryRun', retryRun),
+        vscode.commands.registerCommand('stata-workbench.pauseRunQueue', () => setRunQueuePaused(true)),
+        vscode.commands.registerCommand('stata-workbench.resumeRunQueue', () => setRunQueuePaused(false)),
+        vscode.commands.registerCommand('stata-workbench.clearFinishedRuns', () => runQueueProvider.queue?.clearFinished())
+    );
+    showRunQueue();
+}
+
+/**
+ * Point the Run Queue view at the active session's queue.
+ */
+function showRunQueue() {
+    if (!runQueueProvider) return;
+    const queue = sessionClient(activeSession())?.runQueue || null;
+    runQueueProvider.setQueue(queue);
+    vscode.commands.executeCommand('setContext', 'stataWorkbench.runQueuePaused', !!queue?.paused);
+}
+
+function setRunQueuePaused(paused) {
+    const queue = runQueueProvider?.queue;
+    if (!queue) return;
+    if (paused) {
+        queue.pause();
+    } else {
+        queue.resume();
+    }
+    vscode.commands.executeCommand('setContext', 'stataWorkbench.runQueuePaused', queue.paused);
+}
+
+/**
+ * Run a finished queue entry again in the active session: a do-file through Run File,
+ * code through the same path as Run Selection.
+ */
+async function retryRun(node) {
+    const entry = runQueueProvider?.queue?.find(node?.runId);
+    if (!entry) return null;
+    if (entry.kind === 'file' && entry.filePath) {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.file(entry.filePath));
+        await vscode.window.showTextDocument(document, { preview: false });
+        return runFile();
+    }
+    if (!entry.command) {
+        vscode.window.showInformationMessage(`"${entry.label}" cannot be retried from the Run Queue.`);
+        return null;
+    }
+    return runEditorCode(entry.command, entry.filePath, { title: 'Retrying run', label: 'Retry', cwd: entry.cwd, session: activeSession() });
+}
+
+function registerPipeline(subscriptions, context) {
+    pipelineHashes = new PipelineHashes({ state: context.workspaceState });
+    subscriptions.push(
+        vscode.commands.registerCommand('stata-workbench.runPipeline', runPipeline)
+    );
+}
+
+function isPipelineFile(filePath) {
+    const name = path.basename(filePath || '').toLowerCase();
+    return name === PIPELINE_FILE || name === MASTER_FILE;
+}
+
+/**
+ * The pipeline to run: the file the command was invoked on, the open stata-pipeline.json or
+ * master.do, or one found in the workspace (a stata-pipeline.json wins over a master.do beside it).
+ */
+async function choosePipelineFile(uri) {
+    if (uri?.fsPath) return uri.fsPath;
+    const active = vscode.window.activeTextEditor?.document?.uri?.fsPath;
+    if (isPipelineFile(active)) return active;
+    const found = (await vscode.workspace.findFiles(`**/{${PIPELINE_FILE},${MASTER_FILE}}`, '**/node_modules/**', 50))
+        .map((file) => file.fsPath)
+        .filter((file, _i, all) => path.basename(file) === PIPELINE_FILE || !all.includes(path.join(path.dirname(file), PIPELINE_FILE)))
+        .sort();
+    if (found.length <= 1) return found[0] || null;
+    const pick = await vscode.window.showQuickPick(
+        found.map((file) => ({ label: vscode.workspace.asRelativePath(file), file })),
+        { title: 'Run Stata pipeline', placeHolder: 'Choose a pipeline' }
+    );
+    return pick?.file || null;
+}
+
+/**
+ * Run a pipeline in the active session: each out-of-date step streams to the terminal panel
+ * as its own entry, and the run stops at the first step that fails.
+ */
+async function runPipeline(uri) {
+    return Sentry.startSpan({ name: 'stata.extension.runPipeline', op: 'extension.operation' }, async () => {
+        const pipelineFile = await choosePipelineFile(uri);
+        if (!pipelineFile) {
+            vscode.window.showErrorMessage(`No ${PIPELINE_FILE} or ${MASTER_FILE} found in the workspace.`);
+            return null;
+        }
+        let pipeline;
+        try {
+            pipeline = loadPipeline(pipelineFile);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Cannot run pipeline: ${err.message}`);
+            return null;
+        }
+        if (!pipeline.steps.length) {
+            vscode.window.showWarningMessage(`${path.basename(pipelineFile)} has no do-files to run.`);
+            return null;
+        }
+        const name = vscode.workspace.asRelativePath(pipelineFile);
+        appendLine(`[Pipeline] ${name}: ${pipeline.steps.length} step${pipeline.steps.length === 1 ? '' : 's'}`);
+        for (const { step, file } of pipeline.unresolved) {
+            appendLine(`[Pipeline] ${step}: cannot track ${file}, its name uses macros`);
+        }
+
+        const session = activeSession();
+        const results = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Running pipeline ${name}`,
+            cancellable: true
+        }, (progress, token) => runPipelineSteps(pipeline, {
+            hashes: pipelineHashes,
+            onStep: (step, { index, total, status, reason }) => {
+                if (status === 'up-to-date') {
+                    appendLine(`[Pipeline] ${index + 1}/${total} ${step.id}: up to date`);
+                } else if (status === 'running') {
+                    appendLine(`[Pipeline] ${index + 1}/${total} ${step.id}: running (${reason})`);
+                    progress.report({ message: `${index + 1}/${total} ${step.name}` });
+                } else {
+                    appendLine(`[Pipeline] ${index + 1}/${total} ${step.id}: ${status}`);
+                }
+            },
+            runStep: (step, { index, total }) => {
+                if (token.isCancellationRequested) return { ok: false, message: 'Pipeline cancelled' };
+                return runPipelineStep(step, { session, token, label: `Pipeline ${index + 1}/${total}` });
+            }
+        }));
+
+        const summary = pipelineSummary(results);
+        appendLine(`[Pipeline] ${name}: ${summary}`);
+        const failed = results.find((r) => r.status === 'failed');
+        if (failed) {
+            const choice = await vscode.window.showErrorMessage(`Pipeline ${name} stopped: ${summary}.`, 'Open Do-file');
+            if (choice === 'Open Do-file') {
+                await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(vscode.Uri.file(failed.step.file)));
+            }
+        } else {
+            vscode.window.showInformationMessage(`Pipeline ${name} finished: ${summary}.`);
+        }
+        refreshDatasetSummary();
+        return results;
+    });
+}
+
+async function runPipelineStep(step, { session, token, label }) {
+    const terminal = TerminalPanel.forSession(session);
+    const handlers = terminalHandlers(session);
+    // Relative to the step's working directory, so rerunning it from history finds the file.
+    const commandText = `do "${path.relative(step.cwd, step.file).split(path.sep).join('/')}"`;
+    const runId = terminal.startStreamingEntry(commandText, step.file, handlers.runCommand, handlers.variableProvider, handlers.cancelRun, handlers.cancelTask, handlers.downloadGraphPdf, label);
+    const startedAt = Date.now();
+    try {
+        // The globals master.do sets before this step; a fresh or restarted session has none.
+        const setup = globalsCode(step.globals);
+        if (setup) {
+            const defined = await sessionClient(session).run(setup, { cwd: step.cwd, cancellationToken: token, normalizeResult: true });
+            if (!isRunSuccess(defined)) {
+                const message = `Could not set the globals for ${step.name}: ${defined?.error?.message || defined?.stderr || 'unknown error'}`;
+                if (runId) terminal.failStreamingEntry(runId, message);
+                return { ok: false, rc: typeof defined?.rc === 'number' ? defined.rc : null, message };
+            }
+        }
+        const result = await sessionClient(session).runFile(step.file, {
+            cancellationToken: token,
+            normalizeResult: true,
+            includeGraphs: true,
+            cwd: step.cwd,
+            sourceFile: step.file,
+            runId,
+            onStarted: () => {
+                if (runId) terminal.updateStreamingStatus(runId, 'running');
+            },
+            onRawLog: getOutputLogHandler(),
+            onLog: (chunk) => {
+                if (runId) terminal.appendStreamingLog(runId, chunk);
+            },
+            onGraphReady: (artifact) => {
+                if (runId) terminal.appendRunArtifact(runId, artifact);
+            },
+            onProgress: (progress, total, message) => {
+                if (runId) terminal.updateStreamingProgress(runId, progress, total, message);
+            }
+        });
+        logRunToOutput(result, commandText);
+        if (runId) terminal.finishStreamingEntry(runId, result);
+        recordHistory(commandText, result, { source: 'editor', cwd: step.cwd, filePath: step.file, startedAt, session });
+        return {
+            ok: isRunSuccess(result),
+            rc: typeof result?.rc === 'number' ? result.rc : null,
+            message: result?.error?.message || ''
+        };
+    } catch (error) {
+        if (runId) terminal.failStreamingEntry(runId, error?.message || String(error));
+        throw error;
+    }
+}
+
+function checkpointsEnabled() {
+    return !!vscode.workspace.getConfiguration('stataMcp').get('checkpoints.enabled', false);
+}
+
+function sessionLabel(session) {
+    return session === DEFAULT_SESSION ? 'Stata' : `Stata session "${session}"`;
+}
+
+/**
+ * After a session's mcp-stata server died: start a new one, retrying with backoff, then offer
+ * to replay the session's checkpoint into it.
+ */
+async function recoverSession(session) {
+    if (recoveringSessions.has(session)) return;
+    recoveringSessions.add(session);
+    const label = sessionLabel(session);
+    appendLine(`${label} stopped unexpectedly; starting a new session.`);
+    let restarted = false;
+    try {
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `${label} stopped unexpectedly`
+        }, (progress) => sessionClient(session).reconnect({
+            onAttempt: (attempt, maxAttempts) => progress.report({ message: `Restarting (attempt ${attempt} of ${maxAttempts})…` })
+        }));
+        restarted = true;
+    } catch (err) {
+        appendLine(`Could not restart ${label}: ${err?.message || err}`);
+    } finally {
+        recoveringSessions.delete(session);
+    }
+    if (!restarted) {
+        const choice = await vscode.window.showErrorMessage(`${label} stopped unexpectedly and could not be restarted.`, 'Retry');
+        if (choice === 'Retry') await recoverSession(session);
+        return;
+    }
+    if (session === activeSession()) refreshDatasetSummary();
+    // The restarted Stata may be another version; look help up again.
+    if (session === DEFAULT_SESSION) commandHelpCache?.reset();
+    await offerRestore(session);
+}
+
+async function offerRestore(session) {
+    const label = sessionLabel(session);
+    const checkpoint = checkpointsEnabled() ? sessionCheckpoints?.get(session) : null;
+    const plan = replayPlan(checkpoint);
+    if (!plan.steps.length) {
+        const hint = checkpointsEnabled() ? '' : ' Turn on stataMcp.checkpoints.enabled to be offered a restore next time.';
+        vscode.window.showWarningMessage(`${label} was restarted; the data and results it held were lost.${hint}`);
+        return;
+    }
+    const what = checkpoint.dataset?.source ? `${checkpoint.dataset.source} and ` : '';
+    const until = plan.stoppedAt ? ` (its state before \`${plan.stoppedAt.split('\n')[0]}\`)` : '';
+    const choice = await vscode.window.showWarningMessage(
+        `${label} was restarted. Restore ${what}${plan.steps.length} command${plan.steps.length === 1 ? '' : 's'} from its checkpoint${until}?`,
+        'Restore',
+        'Discard'
+    );
+    if (choice === 'Restore') {
+        await restoreSession(session);
+    } else if (choice === 'Discard') {
+        sessionCheckpoints.clear(session);
+    }
+}
+
+async function restoreSessionCommand() {
+    return restoreSession(activeSession());
+}
+
+/**
+ * Replay a session's checkpoint and open a report of what was and was not restored.
+ */
+async function restoreSession(session) {
+    return Sentry.startSpan({ name: 'stata.extension.restoreSession', op: 'extension.operation' }, async () => {
+        const checkpoint = sessionCheckpoints?.get(session);
+        const plan = replayPlan(checkpoint);
+        if (!plan.steps.length) {
+            vscode.window.showInformationMessage(`${sessionLabel(session)} has no checkpoint to restore.`);
+            return null;
+        }
+        const client = sessionClient(session);
+        const results = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Restoring ${sessionLabel(session)}`
+        }, (progress) => replayCheckpoint(plan, async (step) => {
+            progress.report({ message: step.code.split('\n')[0], increment: 100 / plan.steps.length });
+            const result = await client.run(step.code, { cwd: step.cwd || undefined, normalizeResult: true });
+            return {
+                ok: isRunSuccess(result),
+                rc: typeof result?.rc === 'number' ? result.rc : null,
+                message: result?.error?.message || result?.stderr || ''
+            };
+        }));
+        if (session === activeSession()) refreshDatasetSummary();
+        const report = restoreReport(checkpoint, plan, results, { session });
+        const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: report });
+        await vscode.window.showTextDocument(document, { preview: true });
+        return results;
+    });
+}
+
+/**
+ * The session a document's code runs in: its binding, its workspace folder's session when
+ * stataMcp.sessionPerWorkspaceFolder is on, otherwise the active session.
+ */
+function sessionForDocument(document) {
+    if (!stataSessions) return DEFAULT_SESSION;
+    const uri = document?.uri;
+    const folder = uri ? vscode.workspace.getWorkspaceFolder?.(uri) : null;
+    return stataSessions.sessionFor(uri ? uri.toString() : null, {
+        folderName: folder?.name || null,
+        perFolder: vscode.workspace.getConfiguration('stataMcp').get('sessionPerWorkspaceFolder', false)
+    });
+}
+
+/**
+ * The mcp-stata client for a session. A named session's client is wired up on first use to log,
+ * report finished tasks to its own terminal tab and show its status on its own status bar item.
+ */
+function sessionClient(session = DEFAULT_SESSION) {
+    const injected = getMcpClient();
+    if (injected) return injected;
+    const client = getSessionClient(session);
+    if (!crashWatchedClients.has(client) && typeof client.onConnectionLost === 'function') {
+        crashWatchedClients.add(client);
+        client.onConnectionLost(() => recoverSession(session));
+    }
+    if (session !== DEFAULT_SESSION && !configuredSessionClients.has(client)) {
+        configuredSessionClients.add(client);
+        client.setLogger(logMcpMessage);
+        client.setTaskDoneHandler((payload) => {
+            if (payload?.runId) {
+                TerminalPanel.forSession(session).notifyTaskDone(payload.runId, payload.logPath, payload.logSize, null, payload.rc);
+            }
+        });
+        client.onStatusChanged((status) => updateSessionStatus(session, status));
+    }
+    return client;
+}
+
+/**
+ * Terminal panel handlers that run in, cancel and clear one session.
+ */
+function terminalHandlers(session = DEFAULT_SESSION) {
+    return {
+        runCommand: (code, hooks) => terminalRunCommand(code, hooks, session),
+        variableProvider: () => variableListProvider(session),
+        downloadGraphPdf: (graphName) => exportGraph(graphName, session),
+        openHelpPanel: openHelpFile,
+        cancelRun: () => cancelRequest(session),
+        cancelTask: (runId) => cancelTask(runId, session),
+        clearAll: () => clearAllCommand(session)
+    };
+}
+
+function openHelpFile(helpPath, helpLabel) {
+    try {
+        const content = fs.readFileSync(helpPath, 'utf8');
+        HelpPanel.show(globalExtensionUri, helpLabel || 'Stata Help', content);
+    } catch (err) {
+        debugLog(`[Extension] openHelpPanel failed: ${err.message}`);
+    }
+}
+
+// One status bar item per named session, kept in step with the session list.
+function refreshSessionStatusItems() {
+    const names = new Set(stataSessions.names().filter((name) => name !== DEFAULT_SESSION));
+    for (const [name, item] of sessionStatusItems) {
+        if (names.has(name)) continue;
+        item.dispose();
+        sessionStatusItems.delete(name);
+        sessionStatuses.delete(name);
+    }
+    for (const name of names) {
+        let item = sessionStatusItems.get(name);
+        if (!item) {
+            item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+            sessionStatusItems.set(name, item);
+            item.show();
+        }
+        applyStatus(item, sessionStatuses.get(name), name);
+    }
+}
+
+function updateSessionStatus(session, status) {
+    sessionStatuses.set(session, status);
+    const item = sessionStatusItems.get(session);
+    if (item) applyStatus(item, status, session);
+}
+
+/**
+ * Quick pick of the sessions plus "New session…".
+ * @param {string} title
+ * @param {{bound?: string|null}} [options] The editor's current binding, offered for unbinding.
+ * @returns {Promise<{session?: string, unbind?: boolean}|null>}
+ */
+async function pickSession(title, { bound = null } = {}) {
+    const items = stataSessions.names().map((name) => ({
+        label: name,
+        description: [name === stataSessions.active ? 'active' : null, name === bound ? 'this editor' : null].filter(Boolean).join(', '),
+        session: name
+    }));
+    items.push({ label: '$(add) New session…', create: true });
+    if (bound) items.push({ label: `$(debug-disconnect) Unbind from ${bound}`, unbind: true });
+    const pick = await vscode.window.showQuickPick(items, { title, placeHolder: 'Stata session' });
+    if (!pick) return null;
+    if (pick.unbind) return { unbind: true };
+    if (pick.session) return { session: pick.session };
+    const name = await vscode.window.showInputBox({
+        title: 'New Stata session',
+        prompt: 'Session name',
+        validateInput: (text) => (isValidSessionName(text.trim()) ? null : 'Use letters, digits, spaces, "_", "-" or "." (at most 40 characters)')
+    });
+    return name && name.trim() ? { session: name.trim() } : null;
+}
+
+/**
+ * Make a session active: unbound editors and the terminal run there, and the Variables view and
+ * Data Browser show it. Asks which one unless given a name (as the status bar items do).
+ */
+async function switchSession(name) {
+    return Sentry.startSpan({ name: 'stata.extension.switchSession', op: 'extension.operation' }, async () => {
+        const session = typeof name === 'string' ? name : (await pickSession('Switch Stata session'))?.session;
+        if (!session) return null;
+        try {
+            stataSessions.setActive(session);
+        } catch (err) {
+            vscode.window.showErrorMessage(err.message);
+            return null;
+        }
+        sessionClient(session);
+        const terminal = TerminalPanel.forSession(session).currentPanel;
+        terminal?.reveal?.(terminal.viewColumn, true);
+        refreshDatasetSummary();
+        return session;
+    });
+}
+
+/**
+ * Bind the active editor to a session, so its code runs there whichever session is active.
+ */
+async function bindEditorToSession() {
+    return Sentry.startSpan({ name: 'stata.extension.bindEditorToSession', op: 'extension.operation' }, async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return null;
+        }
+        const uri = editor.document.uri.toString();
+        const fileName = path.basename(editor.document.uri.fsPath || uri);
+        const pick = await pickSession(`Run ${fileName} in`, { bound: stataSessions.boundSession(uri) });
+        if (!pick) return null;
+        if (pick.unbind) {
+            stataSessions.unbind(uri);
+            vscode.window.showInformationMessage(`${fileName} now runs in the active session.`);
+            return null;
+        }
+        try {
+            const session = stataSessions.bind(uri, pick.session);
+            vscode.window.showInformationMessage(`${fileName} now runs in session ${session}.`);
+            return session;
+        } catch (err) {
+            vscode.window.showErrorMessage(err.message);
+            return null;
+        }
+    });
+}
+
+/**
+ * Stop a named session's Stata, close its terminal tab and forget its editor bindings.
+ */
+async function closeSession(name) {
+    return Sentry.startSpan({ name: 'stata.extension.closeSession', op: 'extension.operation' }, async () => {
+        const named = stataSessions.names().filter((n) => n !== DEFAULT_SESSION);
+        if (!named.length) {
+            vscode.window.showInformationMessage('There are no named Stata sessions to close.');
+            return false;
+        }
+        const session = typeof name === 'string'
+            ? name
+            : (await vscode.window.showQuickPick(named.map((label) => ({ label })), { title: 'Close Stata session' }))?.label;
+        if (!session || !named.includes(session)) return false;
+        const wasActive = session === stataSessions.active;
+        await closeSessionClient(session);
+        TerminalPanel.disposeSession(session);
+        stataSessions.remove(session);
+        sessionCheckpoints?.clear(session);
+        if (wasActive) refreshDatasetSummary();
+        return true;
+    });
+}
+
 function ensureMcpCliAvailable(context) {
     const env = getEnv();
 
@@ -786,11 +1711,52 @@ function isMcpConfigWorking(config) {
     }
 }
 
+/**
+ * Route an mcp-stata client log line to the Output channel and/or the Sentry log buffer.
+ */
+function logMcpMessage(msg) {
+    const config = vscode.workspace.getConfiguration('stataMcp');
+    const showAll = config.get('showAllLogsInOutput', false);
+    const logCode = config.get('logStataCode', false);
+
+    // Always show our explicit code logs if they are enabled via the opt-in setting
+    if (msg.includes('[mcp-stata code]')) {
+        if (logCode) {
+            appendLine(msg);
+        } else if (typeof global.addLogToSentryBuffer === 'function') {
+            global.addLogToSentryBuffer(msg + '\n');
+        }
+        return;
+    }
+
+    if (showAll) {
+        appendLine(msg);
+    } else {
+        // By default, we suppress the raw mcp-stata stderr logs (which can be very noisy/verbose)
+        // but keep them in the Sentry buffer for troubleshooting.
+        if (typeof global.addLogToSentryBuffer === 'function') {
+            global.addLogToSentryBuffer(msg + '\n');
+        }
+
+        // We show connection/starting events and mcp-stata diagnostic logs by default.
+        // But we suppress 'stderr' noise from the server process unless showAll is on.
+        if (msg.startsWith('[mcp-stata]') && !msg.includes('stderr')) {
+            appendLine(msg);
+        } else if (msg.startsWith('Starting mcp-stata') || msg.startsWith('mcp-stata connected')) {
+            appendLine(msg);
+        }
+    }
+}
+
 async function deactivate() {
     if (typeof global.setStataWorkbenchShuttingDown === 'function') {
         global.setStataWorkbenchShuttingDown();
     }
-    mcpClient.dispose();
+    for (const name of stataSessions?.names() || []) {
+        if (name !== DEFAULT_SESSION) await closeSessionClient(name);
+    }
+    sessionClient(DEFAULT_SESSION).dispose();
+    GraphGalleryPanel.removeStorage();
     try {
         await Sentry.flush(2000);
     } catch (_err) { }
@@ -798,56 +1764,80 @@ async function deactivate() {
 
 function updateStatusBar(status) {
     if (!statusBarItem) return;
+    applyStatus(statusBarItem, status, DEFAULT_SESSION);
+}
+
+/**
+ * Show a session's client status on its status bar item. Named sessions switch to themselves
+ * when clicked while idle; the active one is highlighted.
+ */
+function applyStatus(item, status, session) {
+    const title = session === DEFAULT_SESSION ? 'Stata Workbench' : `Stata (${session})`;
     switch (status) {
         case 'queued':
-            statusBarItem.text = '$(clock) Stata Workbench: Queued';
-            statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
-            statusBarItem.command = undefined;
+            item.text = `$(clock) ${title}: Queued`;
+            item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+            item.command = undefined;
             break;
         case 'running':
-            statusBarItem.text = '$(sync~spin) Stata Workbench: Running';
-            statusBarItem.backgroundColor = undefined;
-            statusBarItem.command = 'stata-workbench.cancelRequest';
-            statusBarItem.tooltip = 'Cancel current Stata request';
+            item.text = `$(sync~spin) ${title}: Running`;
+            item.backgroundColor = undefined;
+            item.command = { command: 'stata-workbench.cancelRequest', title: 'Cancel', arguments: [session] };
+            item.tooltip = session === DEFAULT_SESSION ? 'Cancel current Stata request' : `Cancel current Stata request in session ${session}`;
             break;
         case 'connecting':
-            statusBarItem.text = '$(sync~spin) Stata Workbench: Connecting';
-            statusBarItem.backgroundColor = undefined;
-            statusBarItem.command = undefined;
+            item.text = `$(sync~spin) ${title}: Connecting`;
+            item.backgroundColor = undefined;
+            item.command = undefined;
             break;
         case 'connected':
-            statusBarItem.text = '$(beaker) Stata Workbench: Connected';
-            statusBarItem.backgroundColor = undefined;
-            statusBarItem.command = undefined;
-            statusBarItem.tooltip = 'Stata Workbench — connected to mcp-stata';
+            item.text = `$(beaker) ${title}: Connected`;
+            item.backgroundColor = undefined;
+            item.command = undefined;
+            item.tooltip = session === DEFAULT_SESSION ? 'Stata Workbench — connected to mcp-stata' : `Stata session ${session} — connected to mcp-stata`;
             break;
         case 'error':
-            statusBarItem.text = '$(error) Stata Workbench: Error';
-            statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
-            statusBarItem.command = undefined;
+            item.text = `$(error) ${title}: Error`;
+            item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+            item.command = undefined;
             break;
         case 'missing':
-            statusBarItem.text = '$(warning) Stata Workbench: uvx missing';
-            statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
-            statusBarItem.tooltip = 'uvx (uv) not found. Click to copy install command.';
-            statusBarItem.command = 'stata-workbench.installMcpCli';
+            item.text = `$(warning) ${title}: uvx missing`;
+            item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+            item.tooltip = 'uvx (uv) not found. Click to copy install command.';
+            item.command = 'stata-workbench.installMcpCli';
             break;
         default:
-            statusBarItem.text = '$(beaker) Stata Workbench: Idle';
-            statusBarItem.backgroundColor = undefined;
-            statusBarItem.command = undefined;
+            item.text = `$(beaker) ${title}: Idle`;
+            item.backgroundColor = undefined;
+            item.command = undefined;
+    }
+    if (session === DEFAULT_SESSION) return;
+    if (!item.command) {
+        item.command = { command: 'stata-workbench.switchSession', title: 'Switch Session', arguments: [session] };
+        item.tooltip = `Stata session ${session}. Click to make it the active session.`;
+    }
+    if (session === stataSessions?.active && !item.backgroundColor) {
+        item.backgroundColor = new vscode.ThemeColor('statusBarItem.prominentBackground');
     }
 }
 
 async function refreshDatasetSummary() {
+    // The data may have changed; completions re-read it on next use.
+    completionProvider?.invalidate();
+
     // Integration tests should exit cleanly; avoid spawning background HTTP work.
     // (The UI summary refresh is non-essential for tests.)
     if (globalContext?.extensionMode === vscode.ExtensionMode.Test || process.env.MCP_STATA_INTEGRATION === '1') {
         return;
     }
 
+    // The tree only re-reads state once it is visible again.
+    sessionTreeProvider?.refresh();
+
     // Only refresh if the user is actually using the extension UI
-    if (!TerminalPanel.currentPanel && !DataBrowserPanel.currentPanel) {
+    const terminal = TerminalPanel.forSession(activeSession());
+    if (!terminal.currentPanel && !DataBrowserPanel.currentPanel) {
         return;
     }
 
@@ -861,7 +1851,7 @@ async function refreshDatasetSummary() {
             });
             const ds = result.dataset || result;
             if (ds) {
-                TerminalPanel.updateDatasetSummary(ds.n, ds.k);
+                terminal.updateDatasetSummary(ds.n, ds.k);
             }
         }
         // Also refresh the data browser if it's open
@@ -887,68 +1877,197 @@ async function runSelection() {
             return;
         }
 
-        const filePath = editor.document.uri.fsPath;
-        const cwd = filePath ? path.dirname(filePath) : null;
-        const rawLogHandler = getOutputLogHandler();
+        await runEditorCode(text, editor.document.uri.fsPath, { title: 'Running selection', session: sessionForDocument(editor.document) });
+    });
+}
 
-        await withStataProgress('Running selection', async (token) => {
-            const runId = TerminalPanel.startStreamingEntry(text, filePath, terminalRunCommand, variableListProvider, cancelRequest, cancelTask, downloadGraphAsPdf);
-            try {
-                const result = await mcpClient.runSelection(text, {
-                    runId,
-                    onStarted: () => {
-                        TerminalPanel.updateStreamingStatus(runId, 'running');
-                    },
-                    cancellationToken: token,
-                    normalizeResult: true,
-                    includeGraphs: true,
-                    cwd,
-                    onRawLog: rawLogHandler,
-                    onLog: (chunk) => {
-                        if (runId) TerminalPanel.appendStreamingLog(runId, chunk);
-                    },
-                    onGraphReady: (artifact) => {
-                        if (artifact?.type === 'help') {
-                            try {
-                                const content = fs.readFileSync(artifact.path, 'utf8');
-                                HelpPanel.show(globalExtensionUri, artifact.label || 'Stata Help', content);
-                            } catch (err) {
-                                debugLog(`[Extension] Failed to open help panel: ${err.message}`);
-                                if (runId) TerminalPanel.appendRunArtifact(runId, artifact);
-                            }
-                        } else if (runId) {
-                            TerminalPanel.appendRunArtifact(runId, artifact);
-                        }
-                    },
-                    onProgress: (progress, total, message) => {
-                        if (runId) TerminalPanel.updateStreamingProgress(runId, progress, total, message);
-                    }
-                });
-                if (runId) {
-                    // Enrich result with logSize if it's missing but we can find it
-                    if (result.logPath && (result.logSize === undefined || result.logSize === null)) {
+/**
+ * Run a block of editor code as its own streaming terminal entry.
+ * @param {string} text
+ * @param {string} filePath Source document, used as the working directory.
+ * @param {{title?: string, label?: string, cwd?: string, session?: string}} [options] Progress title,
+ *   terminal entry label, working directory and the Stata session to run in (default: the active one).
+ * @returns {Promise<object>} The normalized run result.
+ */
+async function runEditorCode(text, filePath, { title = 'Running selection', label, cwd: workingDir, session = activeSession() } = {}) {
+    const terminal = TerminalPanel.forSession(session);
+    const handlers = terminalHandlers(session);
+    const cwd = workingDir || (filePath ? path.dirname(filePath) : null);
+    const rawLogHandler = getOutputLogHandler();
+
+    return withStataProgress(title, async (token) => {
+        const runId = terminal.startStreamingEntry(text, filePath, handlers.runCommand, handlers.variableProvider, handlers.cancelRun, handlers.cancelTask, handlers.downloadGraphPdf, label);
+        const startedAt = Date.now();
+        try {
+            const result = await sessionClient(session).runSelection(text, {
+                runId,
+                onStarted: () => {
+                    terminal.updateStreamingStatus(runId, 'running');
+                },
+                cancellationToken: token,
+                normalizeResult: true,
+                includeGraphs: true,
+                cwd,
+                sourceFile: filePath,
+                onRawLog: rawLogHandler,
+                onLog: (chunk) => {
+                    if (runId) terminal.appendStreamingLog(runId, chunk);
+                },
+                onGraphReady: (artifact) => {
+                    if (artifact?.type === 'help') {
                         try {
-                            const exists = fs.existsSync(result.logPath);
-                            debugLog(`[RunSelection] logPath=${result.logPath} exists=${exists}`);
-                            const stats = fs.statSync(result.logPath);
-                            result.logSize = stats.size;
-                            debugLog(`[RunSelection] logSize=${result.logSize}`);
-                        } catch (_err) { }
+                            const content = fs.readFileSync(artifact.path, 'utf8');
+                            HelpPanel.show(globalExtensionUri, artifact.label || 'Stata Help', content);
+                        } catch (err) {
+                            debugLog(`[Extension] Failed to open help panel: ${err.message}`);
+                            if (runId) terminal.appendRunArtifact(runId, artifact);
+                        }
+                    } else if (runId) {
+                        terminal.appendRunArtifact(runId, artifact);
                     }
-                    logRunToOutput(result, text);
-                    TerminalPanel.finishStreamingEntry(runId, result);
-                } else {
-                    await presentRunResult(text, result, filePath);
+                },
+                onProgress: (progress, total, message) => {
+                    if (runId) terminal.updateStreamingProgress(runId, progress, total, message);
                 }
-                // Update summary after run
-                refreshDatasetSummary();
-            } catch (error) {
-                if (runId) {
-                    TerminalPanel.failStreamingEntry(runId, error?.message || String(error));
+            });
+            if (runId) {
+                // Enrich result with logSize if it's missing but we can find it
+                if (result.logPath && (result.logSize === undefined || result.logSize === null)) {
+                    try {
+                        const exists = fs.existsSync(result.logPath);
+                        debugLog(`[RunSelection] logPath=${result.logPath} exists=${exists}`);
+                        const stats = fs.statSync(result.logPath);
+                        result.logSize = stats.size;
+                        debugLog(`[RunSelection] logSize=${result.logSize}`);
+                    } catch (_err) { }
                 }
-                throw error;
+                logRunToOutput(result, text);
+                terminal.finishStreamingEntry(runId, result);
+            } else {
+                await presentRunResult(text, result, filePath, session);
+            }
+            recordHistory(text, result, { source: 'editor', cwd, filePath, startedAt, session });
+            // Update summary after run
+            refreshDatasetSummary();
+            return result;
+        } catch (error) {
+            recordHistory(text, null, { source: 'editor', cwd, filePath, startedAt });
+            if (runId) {
+                terminal.failStreamingEntry(runId, error?.message || String(error));
+            }
+            throw error;
+        }
+    }, text);
+}
+
+function isStataDocument(document) {
+    if (!document) return false;
+    if (document.languageId === 'stata') return true;
+    const ext = path.extname(document.uri?.fsPath || document.fileName || '').toLowerCase();
+    return ext === '.do' || ext === '.ado' || ext === '.mata';
+}
+
+/**
+ * Resolve the editor and cells for a cell command. CodeLens invocations pass
+ * the document uri and marker line; keyboard invocations use the cursor.
+ */
+async function resolveCellTarget(uri, line) {
+    let editor = vscode.window.activeTextEditor;
+    if (uri && editor?.document?.uri?.toString?.() !== uri.toString?.()) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        editor = await vscode.window.showTextDocument(document);
+    }
+    if (!editor) {
+        vscode.window.showErrorMessage('No active editor');
+        return null;
+    }
+    const cells = parseCells(editor.document.getText());
+    if (!cells.length) {
+        vscode.window.showErrorMessage('No code cells found. Start a cell with a "** %%" or "// %%" line.');
+        return null;
+    }
+    const targetLine = typeof line === 'number' ? line : editor.selection.active.line;
+    const cell = findCellAtLine(cells, targetLine);
+    if (!cell) {
+        vscode.window.showErrorMessage('Cursor is not inside a code cell');
+        return null;
+    }
+    return { editor, cells, cell };
+}
+
+function runCellCode(cell, document) {
+    return runEditorCode(cell.code, document.uri.fsPath, { title: `Running ${cell.title}`, label: cell.title, session: sessionForDocument(document) });
+}
+
+async function runCell(uri, line) {
+    return Sentry.startSpan({ name: 'stata.extension.runCell', op: 'extension.operation' }, async () => {
+        const target = await resolveCellTarget(uri, line);
+        if (!target) return;
+        if (!hasRunnableCode(target.cell)) {
+            vscode.window.showErrorMessage(`${target.cell.title} is empty`);
+            return;
+        }
+        return runCellCode(target.cell, target.editor.document);
+    });
+}
+
+async function runCellAndAdvance(uri, line) {
+    return Sentry.startSpan({ name: 'stata.extension.runCellAndAdvance', op: 'extension.operation' }, async () => {
+        const target = await resolveCellTarget(uri, line);
+        if (!target) return;
+        const { editor, cells, cell } = target;
+
+        // Move the cursor before awaiting the run so consecutive invocations queue successive cells.
+        const next = cells[cell.index + 1];
+        if (next) {
+            const position = new vscode.Position(next.startLine, 0);
+            editor.selection = new vscode.Selection(position.line, 0, position.line, 0);
+            editor.revealRange?.(new vscode.Range(position, position));
+        }
+        if (!hasRunnableCode(cell)) return;
+        return runCellCode(cell, editor.document);
+    });
+}
+
+async function runCellsAbove(uri, line) {
+    return Sentry.startSpan({ name: 'stata.extension.runCellsAbove', op: 'extension.operation' }, async () => {
+        const target = await resolveCellTarget(uri, line);
+        if (!target) return;
+        const above = target.cells.slice(0, target.cell.index).filter(hasRunnableCode);
+        if (!above.length) {
+            vscode.window.showInformationMessage('No cells above the current cell');
+            return;
+        }
+        for (const cell of above) {
+            const result = await runCellCode(cell, target.editor.document);
+            if (!isRunSuccess(result)) {
+                appendLine(`[Cells] Stopped after ${cell.title} failed`);
+                return result;
             }
-        }, text);
+        }
+    });
+}
+
+async function debugFile() {
+    return Sentry.startSpan({ name: 'stata.extension.debugFile', op: 'extension.operation' }, async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        const filePath = editor.document.uri.fsPath;
+        if (!filePath.toLowerCase().endsWith('.do')) {
+            vscode.window.showErrorMessage('Not a Stata .do file');
+            return;
+        }
+        const folder = vscode.workspace.getWorkspaceFolder?.(editor.document.uri);
+        return vscode.debug.startDebugging(folder, {
+            type: 'stata',
+            request: 'launch',
+            name: `Debug ${path.basename(filePath)}`,
+            program: filePath,
+            stopOnEntry: true
+        });
     });
 }
 
@@ -971,6 +2090,9 @@ async function runFile() {
         const behavior = config.get('runFileBehavior', 'runDirtyFile');
         const originalDir = path.dirname(filePath);
         const rawLogHandler = getOutputLogHandler();
+        const session = sessionForDocument(editor.document);
+        const terminal = TerminalPanel.forSession(session);
+        const handlers = terminalHandlers(session);
         let effectiveFilePath = filePath;
         let tmpFile = null;
 
@@ -988,22 +2110,24 @@ async function runFile() {
             await withStataProgress(`Running ${path.basename(filePath)}`, async (token) => {
                 const commandText = `do "${path.basename(filePath)}"`;
                 let taskDoneSeen = false;
-                const runId = TerminalPanel.startStreamingEntry(commandText, filePath, terminalRunCommand, variableListProvider, cancelRequest, cancelTask, downloadGraphAsPdf);
+                const runId = terminal.startStreamingEntry(commandText, filePath, handlers.runCommand, handlers.variableProvider, handlers.cancelRun, handlers.cancelTask, handlers.downloadGraphPdf);
+                const startedAt = Date.now();
                 try {
-                    const result = await mcpClient.runFile(effectiveFilePath, {
+                    const result = await sessionClient(session).runFile(effectiveFilePath, {
                         cancellationToken: token,
                         normalizeResult: true,
                         includeGraphs: true,
                         cwd: originalDir,
+                        sourceFile: filePath,
                         runId,
                         onStarted: () => {
-                            TerminalPanel.updateStreamingStatus(runId, 'running');
+                            terminal.updateStreamingStatus(runId, 'running');
                         },
                         onRawLog: rawLogHandler,
                         onLog: (chunk) => {
                             if (taskDoneSeen) {
                             }
-                            if (runId) TerminalPanel.appendStreamingLog(runId, chunk);
+                            if (runId) terminal.appendStreamingLog(runId, chunk);
                         },
                         onGraphReady: (artifact) => {
                             if (artifact?.type === 'help') {
@@ -1012,10 +2136,10 @@ async function runFile() {
                                     HelpPanel.show(globalExtensionUri, artifact.label || 'Stata Help', content);
                                 } catch (err) {
                                     debugLog(`[Extension] Failed to open help panel: ${err.message}`);
-                                    if (runId) TerminalPanel.appendRunArtifact(runId, artifact);
+                                    if (runId) terminal.appendRunArtifact(runId, artifact);
                                 }
                             } else if (runId) {
-                                TerminalPanel.appendRunArtifact(runId, artifact);
+                                terminal.appendRunArtifact(runId, artifact);
                             }
                         },
                         onTaskDone: (payload) => {
@@ -1036,10 +2160,10 @@ async function runFile() {
                                     debugLog(`[RunFile] task_done logSize=${logSize}`);
                                 } catch (_err) { }
                             }
-                            if (runId) TerminalPanel.notifyTaskDone(runId, logPath, logSize, taskDoneStdout, payload?.rc);
+                            if (runId) terminal.notifyTaskDone(runId, logPath, logSize, taskDoneStdout, payload?.rc);
                         },
                         onProgress: (progress, total, message) => {
-                            if (runId) TerminalPanel.updateStreamingProgress(runId, progress, total, message);
+                            if (runId) terminal.updateStreamingProgress(runId, progress, total, message);
                         }
                     });
                     if (runId) {
@@ -1054,15 +2178,18 @@ async function runFile() {
                             } catch (_err) { }
                         }
                         logRunToOutput(result, commandText);
-                        TerminalPanel.finishStreamingEntry(runId, result);
+                        terminal.finishStreamingEntry(runId, result);
                     } else {
-                        await presentRunResult(commandText, result, filePath);
+                        await presentRunResult(commandText, result, filePath, session);
                     }
+                    updateRunDiagnostics(filePath, effectiveFilePath, editor.document, result);
+                    recordHistory(commandText, result, { source: 'editor', cwd: originalDir, filePath, startedAt, session });
                     // Update summary after run
                     refreshDatasetSummary();
                 } catch (error) {
+                    recordHistory(commandText, null, { source: 'editor', cwd: originalDir, filePath, startedAt });
                     if (runId) {
-                        TerminalPanel.failStreamingEntry(runId, error?.message || String(error));
+                        terminal.failStreamingEntry(runId, error?.message || String(error));
                     }
                     throw error;
                 }
@@ -1079,30 +2206,124 @@ async function runFile() {
     });
 }
 
+/**
+ * Mark the line that failed in the do-file (or an included file); clear the marks on success.
+ */
+function updateRunDiagnostics(filePath, effectiveFilePath, document, result) {
+    if (!runDiagnostics) return;
+    try {
+        let text;
+        try {
+            text = fs.readFileSync(effectiveFilePath, 'utf8');
+        } catch (_err) {
+            text = document.getText();
+        }
+        runDiagnostics.update(filePath, text, result);
+    } catch (err) {
+        debugLog(`[Extension] Failed to update run diagnostics: ${err.message}`);
+    }
+}
+
+async function showErrorHelp(rc) {
+    return Sentry.startSpan({ name: 'extension.showErrorHelp', op: 'extension.operation' }, async () => {
+        if (!Number.isInteger(Number(rc))) return;
+        await runEditorCode(`help r(${rc})`, null, { title: `Opening help for r(${rc})` });
+    });
+}
+
+async function searchHistory() {
+    return Sentry.startSpan({ name: 'extension.searchHistory', op: 'extension.operation' }, async () => {
+        const entries = commandHistory?.entries() || [];
+        if (!entries.length) {
+            vscode.window.showInformationMessage('No Stata commands in the history yet.');
+            return;
+        }
+        const items = entries.slice().reverse().map((entry) => ({
+            label: entry.code.split(/\r?\n/)[0],
+            description: [
+                entry.rc === null || entry.rc === undefined ? null : (entry.rc === 0 ? 'ok' : `r(${entry.rc})`),
+                formatDuration(entry.durationMs) || null,
+                entry.source
+            ].filter(Boolean).join(' · '),
+            detail: [new Date(entry.timestamp).toLocaleString(), entry.cwd].filter(Boolean).join(' · '),
+            entry
+        }));
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Search Stata command history',
+            matchOnDescription: true,
+            matchOnDetail: true
+        });
+        if (!picked) return;
+        const action = await vscode.window.showQuickPick([
+            { label: '$(play) Run', action: 'run' },
+            { label: '$(insert) Insert into Editor', action: 'insert' }
+        ], { placeHolder: picked.label });
+        if (!action) return;
+
+        const { entry } = picked;
+        if (action.action === 'run') {
+            await runEditorCode(entry.code, entry.filePath || null, { title: 'Running command from history', cwd: entry.cwd });
+            return;
+        }
+        const editor = vscode.window.activeTextEditor;
+        if (editor && isStataDocument(editor.document)) {
+            await editor.edit((builder) => builder.insert(editor.selection.active, entry.code + '\n'));
+        } else {
+            const document = await vscode.workspace.openTextDocument({ language: 'stata', content: entry.code + '\n' });
+            await vscode.window.showTextDocument(document);
+        }
+    });
+}
+
+async function undoDataEdit() {
+    return Sentry.startSpan({ name: 'extension.undoDataEdit', op: 'extension.operation' }, async () => {
+        if (!dataEditor?.canUndo) {
+            vscode.window.showInformationMessage('No Data Browser edits to undo.');
+            return;
+        }
+        // Go through the open panel so its grid reloads with the restored value.
+        if (DataBrowserPanel.currentPanel) {
+            await DataBrowserPanel.currentPanel._handleEdit({ type: 'undoEdit' });
+        } else {
+            await dataEditor.undo();
+        }
+    });
+}
+
+async function exportHistory() {
+    return Sentry.startSpan({ name: 'extension.exportHistory', op: 'extension.operation' }, async () => {
+        const entries = commandHistory?.entries() || [];
+        if (!entries.length) {
+            vscode.window.showInformationMessage('No Stata commands in the history yet.');
+            return;
+        }
+        const folder = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath || os.homedir();
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(folder, 'history.do')),
+            filters: { 'Stata do-file': ['do'] },
+            saveLabel: 'Export History'
+        });
+        if (!uri) return;
+        try {
+            fs.writeFileSync(uri.fsPath, toDoFile(entries), 'utf8');
+            vscode.window.showInformationMessage(`Command history exported to ${path.basename(uri.fsPath)}`);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to export command history: ${err.message}`);
+        }
+    });
+}
+
 async function openTerminal() {
     return Sentry.startSpan({ name: 'stata.extension.openTerminal', op: 'extension.operation' }, async () => {
         const editor = vscode.window.activeTextEditor;
         const filePath = editor?.document?.uri?.fsPath || null;
-        const runId = null; // No active run yet
+        const session = activeSession();
 
-        TerminalPanel.show({
+        TerminalPanel.forSession(session).show({
             filePath,
             initialCode: null,
             initialResult: null,
-            runCommand: terminalRunCommand,
-            variableProvider: variableListProvider,
-            downloadGraphPdf: downloadGraphAsPdf,
-            openHelpPanel: (helpPath, helpLabel) => {
-                try {
-                    const content = fs.readFileSync(helpPath, 'utf8');
-                    HelpPanel.show(globalExtensionUri, helpLabel || 'Stata Help', content);
-                } catch (err) {
-                    debugLog(`[Extension] openHelpPanel failed: ${err.message}`);
-                }
-            },
-            cancelRun: cancelRequest,
-            cancelTask: cancelTask,
-            clearAll: clearAllCommand
+            ...terminalHandlers(session)
         });
     });
 }
@@ -1129,16 +2350,18 @@ function showOutput(content) {
 }
 
 // Defines the standard run command used by the Terminal Panel
-const terminalRunCommand = async (code, hooks) => {
+const terminalRunCommand = async (code, hooks, session = DEFAULT_SESSION) => {
+    const startedAt = Date.now();
+    const terminal = TerminalPanel.forSession(session);
     try {
         const rawLogHandler = getOutputLogHandler();
-        const res = await mcpClient.runSelection(code, {
+        const res = await sessionClient(session).runSelection(code, {
             normalizeResult: true,
             includeGraphs: true,
             cwd: hooks?.cwd,
             runId: hooks?.runId,
             onStarted: () => {
-                if (hooks?.runId) TerminalPanel.updateStreamingStatus(hooks.runId, 'running');
+                if (hooks?.runId) terminal.updateStreamingStatus(hooks.runId, 'running');
             },
             onRawLog: rawLogHandler,
             onLog: hooks?.onLog,
@@ -1149,10 +2372,10 @@ const terminalRunCommand = async (code, hooks) => {
                         HelpPanel.show(globalExtensionUri, artifact.label || 'Stata Help', content);
                     } catch (err) {
                         debugLog(`[Extension] Failed to open help panel: ${err.message}`);
-                        if (hooks?.runId) TerminalPanel.appendRunArtifact(hooks.runId, artifact);
+                        if (hooks?.runId) terminal.appendRunArtifact(hooks.runId, artifact);
                     }
                 } else if (hooks?.runId) {
-                    TerminalPanel.appendRunArtifact(hooks.runId, artifact);
+                    terminal.appendRunArtifact(hooks.runId, artifact);
                 }
             },
             onTaskDone: (payload) => {
@@ -1160,9 +2383,11 @@ const terminalRunCommand = async (code, hooks) => {
             },
             onProgress: hooks?.onProgress
         });
-        refreshDatasetSummary();
+        recordHistory(code, res, { source: 'terminal', cwd: hooks?.cwd, startedAt, session });
+        if (session === activeSession()) refreshDatasetSummary();
         return res;
     } catch (error) {
+        recordHistory(code, null, { source: 'terminal', cwd: hooks?.cwd, startedAt });
         return {
             success: false,
             rc: -1,
@@ -1173,15 +2398,19 @@ const terminalRunCommand = async (code, hooks) => {
 };
 
 // Clear-all convenience for terminal UI
-const clearAllCommand = async () => {
+const clearAllCommand = async (session = DEFAULT_SESSION) => {
     try {
         const rawLogHandler = getOutputLogHandler();
-        const res = await mcpClient.runSelection('clear all', {
+        const res = await sessionClient(session).runSelection('clear all', {
             normalizeResult: true,
             includeGraphs: false,
             onRawLog: rawLogHandler
         });
-        refreshDatasetSummary();
+        // clear all drops every graph of the session from memory; only pinned ones stay in the gallery.
+        GraphGalleryPanel.clearUnpinned(session === DEFAULT_SESSION ? null : session);
+        if (session === activeSession()) {
+            refreshDatasetSummary();
+        }
         return res;
     } catch (error) {
         return {
@@ -1193,10 +2422,13 @@ const clearAllCommand = async () => {
     }
 };
 
-const variableListProvider = async () => {
+const variableListProvider = async (session = activeSession()) => {
     try {
-        const list = await mcpClient.getVariableList();
-        return Array.isArray(list) ? list : [];
+        const list = await sessionClient(session).getVariableList();
+        if (!Array.isArray(list)) return [];
+        // Completions offer the active session's variables.
+        if (session === activeSession()) lastVariableNames = list.map((v) => v?.name).filter(Boolean);
+        return list;
     } catch (error) {
         debugLog(`Failed to fetch variable list: ${error?.message || error}`);
         return [];
@@ -1209,85 +2441,85 @@ async function viewData() {
     });
 }
 
-async function downloadGraphAsPdf(graphName, baseDir) {
-    return Sentry.startSpan({ name: 'extension.downloadGraphAsPdf', op: 'extension.operation' }, async () => {
-        try {
-            debugLog(`[Download] Starting PDF export for: ${graphName} in ${baseDir || 'current dir'}`);
-
-            // If the caller provided an explicit artifact path (instead of a directory),
-            // use it directly to avoid an extra MCP export call (and its timeouts).
-            if (baseDir && typeof baseDir === 'string' && fs.existsSync(baseDir)) {
-                const pdfPath = baseDir;
-                const saveUri = await vscode.window.showSaveDialog({
-                    filters: { 'PDF Files': ['pdf'] },
-                    saveLabel: 'Save Graph'
-                });
-                if (saveUri) {
-                    const buffer = fs.readFileSync(pdfPath);
-                    await vscode.workspace.fs.writeFile(saveUri, buffer);
-                    return { path: saveUri.fsPath, url: null, label: graphName };
-                }
-                return { path: pdfPath, url: null, label: graphName };
-            }
+/**
+ * Open the Data Browser on a frame from the session tree, switching frames first if needed.
+ */
+async function browseData(node) {
+    return Sentry.startSpan({ name: 'extension.browseData', op: 'extension.operation' }, async () => {
+        const current = sessionTreeProvider?.state?.frames.find((f) => f.current)?.name;
+        if (node?.frame && current && node.frame !== current) {
+            await runEditorCode(`frame change ${node.frame}`, null, { title: `Switching to frame ${node.frame}` });
+        }
+        DataBrowserPanel.createOrShow(globalExtensionUri, { frame: node?.frame || null });
+    });
+}
 
-            // Request PDF export from MCP server
-            debugLog('[Download] Calling mcpClient.fetchGraph...');
-            // Exporting PDF directly can be slow/unreliable on some Stata setups.
-            // For the "Download PDF" UX, we export SVG quickly and persist it with a `.pdf` filename.
-            // The file is still useful to users (and avoids long-running export timeouts).
-            const response = await mcpClient.fetchGraph(graphName, { format: 'svg', baseDir, timeoutMs: 60000, bypassQueue: true });
-            debugLog(`[Download] Response received: ${JSON.stringify(response, null, 2)}`);
-
-            let pdfPath = null;
-            let savedPath = null;
-
-            // v3: fetchGraph may return a simple artifact `{ path }`, or a raw GraphExportResponse
-            // `{ graphs: [{ file_path }] }`, or a ToolEnvelope wrapper.
-            const fromGraphs = Array.isArray(response?.graphs) && response.graphs.length
-                ? (response.graphs[0]?.file_path || response.graphs[0]?.path || null)
-                : null;
-            const fromEnvelope = response?.data && typeof response.data === 'object' && Array.isArray(response.data.graphs) && response.data.graphs.length
-                ? (response.data.graphs[0]?.file_path || response.data.graphs[0]?.path || null)
-                : null;
-            if (response?.path || response?.file_path || fromGraphs || fromEnvelope) {
-                pdfPath = response?.path || response?.file_path || fromGraphs || fromEnvelope;
-                debugLog(`[Download] Found file path: ${pdfPath}`);
-            }
+async function describeVariable(node) {
+    return Sentry.startSpan({ name: 'extension.describeVariable', op: 'extension.operation' }, async () => {
+        if (!node?.variable) return;
+        await runEditorCode(`frame ${node.frame}: describe ${node.variable}`, null, { title: `Describing ${node.variable}` });
+    });
+}
 
-            if (pdfPath && fs.existsSync(pdfPath)) {
-                debugLog(`[Download] Reading file from: ${pdfPath}`);
-                // If we have a file path, copy it
-                const saveUri = await vscode.window.showSaveDialog({
-                    filters: { 'PDF Files': ['pdf'] },
-                    saveLabel: 'Save Graph'
-                });
+async function dropVariable(node) {
+    return Sentry.startSpan({ name: 'extension.dropVariable', op: 'extension.operation' }, async () => {
+        if (!node?.variable) return;
+        const choice = await vscode.window.showWarningMessage(
+            `Drop variable "${node.variable}" from frame "${node.frame}"? This cannot be undone.`,
+            { modal: true },
+            'Drop'
+        );
+        if (choice !== 'Drop') return;
+        await runEditorCode(`frame ${node.frame}: drop ${node.variable}`, null, { title: `Dropping ${node.variable}` });
+    });
+}
 
-                if (saveUri) {
-                    debugLog(`[Download] Copying to: ${saveUri.fsPath}`);
-                    const buffer = fs.readFileSync(pdfPath);
-                    await vscode.workspace.fs.writeFile(saveUri, buffer);
-                    debugLog('[Download] Copy complete!');
-                    savedPath = saveUri.fsPath;
-                } else {
-                    debugLog('[Download] User cancelled save dialog');
-                    savedPath = pdfPath;
-                }
-            } else {
-                debugLog('[Download] ERROR: No PDF data found in response');
-                throw new Error('No PDF data received from server');
-            }
+/**
+ * Export a graph in Stata's memory in a format and size chosen by the user. The choice is
+ * remembered per workspace and offered first next time.
+ */
+async function exportGraph(graphName, session = activeSession()) {
+    return Sentry.startSpan({ name: 'extension.exportGraph', op: 'extension.operation' }, async () => {
+        const workspaceState = globalContext?.workspaceState;
+        const options = await promptGraphExportOptions(graphName, workspaceState?.get?.(GRAPH_EXPORT_STATE_KEY));
+        if (!options) return null;
+        await workspaceState?.update?.(GRAPH_EXPORT_STATE_KEY, options);
+
+        const format = GRAPH_EXPORT_FORMATS[options.format];
+        const saveUri = await vscode.window.showSaveDialog({
+            filters: { [`${format.label} Files`]: format.extensions },
+            saveLabel: 'Export Graph'
+        });
+        if (!saveUri) return null;
 
-            return {
-                path: savedPath || pdfPath || response?.path || null,
-                url: null,
-                label: response?.label || graphName
-            };
+        const client = sessionClient(session);
+        let tmpPath = null;
+        try {
+            // A remote Stata writes the file into a folder both hosts can reach.
+            tmpPath = client.sharedTempPath(getTmpFilePath(`${graphName}.${options.format}`, globalContext));
+            debugLog(`[Export] ${graphName} as ${options.format} (${options.width} x ${options.height} in, ${options.dpi} dpi)`);
+            const result = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Exporting ${graphName} as ${format.label}`
+            }, () => exportGraphFile(graphName, tmpPath, options, {
+                run: (code, runOptions) => client.run(code, runOptions),
+                serverPath: (localPath) => client.serverPath(localPath)
+            }));
+            await vscode.workspace.fs.writeFile(saveUri, fs.readFileSync(result.path));
+            if (result.convertedWith) {
+                vscode.window.showInformationMessage(`Stata's PDF export was too slow, so ${graphName} was exported as SVG and converted with ${result.convertedWith}.`);
+            }
+            return { path: saveUri.fsPath, url: null, label: graphName };
         } catch (error) {
-            const msg = `Failed to download PDF: ${error.message}`;
-            debugLog(`[Download] ERROR: ${msg}`);
-            debugLog(`[Download] Stack trace: ${error.stack}`);
-            // Avoid toasts; surface via output channel only
+            debugLog(`[Export] ERROR: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to export ${graphName}: ${error.message}`);
             throw error;
+        } finally {
+            try {
+                if (tmpPath && fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+            } catch (_err) {
+                // Temp files are cleaned up with the temp directory anyway.
+            }
         }
     });
 }
@@ -1312,7 +2544,8 @@ function openGraphPanel(graphDetails) {
                 retainContextWhenHidden: true,
                 localResourceRoots: [
                     vscode.Uri.joinPath(globalExtensionUri, 'src', 'ui-shared'),
-                    vscode.Uri.joinPath(globalExtensionUri, 'dist', 'ui-shared')
+                    vscode.Uri.joinPath(globalExtensionUri, 'dist', 'ui-shared'),
+                    vscode.Uri.file(getTmpDir(globalContext))
                 ]
             }
         );
@@ -1337,8 +2570,8 @@ function openGraphPanel(graphDetails) {
                 }
 
                 if (message.command === 'download-graph-pdf' && message.graphName) {
-                    debugLog(`[Graph Panel] Processing PDF download for: ${message.graphName} (baseDir: ${message.baseDir})`);
-                    await downloadGraphAsPdf(message.graphName, message.baseDir);
+                    debugLog(`[Graph Panel] Exporting graph: ${message.graphName}`);
+                    await exportGraph(message.graphName);
                 } else if (message.type === 'openArtifact' && message.path) {
                     debugLog(`[Graph Panel] Opening artifact: ${message.path}`);
                     if (message.artifactType === 'help' || message.label?.toLowerCase().startsWith('help:')) {
@@ -1379,6 +2612,7 @@ function getNonce() {
 function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
     const designUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'design.css'));
     const mainJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'dist', 'ui-shared', 'main.js'));
+    const graphViewerJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'dist', 'ui-shared', 'graph-viewer.js'));
     const items = Array.isArray(graphDetails) ? graphDetails : [];
 
     const tiles = items.map(g => {
@@ -1391,7 +2625,7 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
             : '';
 
         const thumbHtml = canPreview
-            ? `<img src="file://${preview}" class="artifact-thumb-img" alt="${name}">`
+            ? `<img src="${escapeHtml(String(webview.asWebviewUri(vscode.Uri.file(preview))))}" class="artifact-thumb-img" alt="${name}">`
             : `<div class="artifact-thumb-fallback">File</div>`;
 
         // Make tile clickable to open modal
@@ -1447,17 +2681,19 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
             <button id="artifact-modal-close" class="btn btn-secondary" aria-label="Close">×</button>
         </div>
         <div class="artifact-modal-body">
+            <div id="artifact-modal-viewer" class="graph-viewer hidden"></div>
             <img id="artifact-modal-img" class="artifact-modal-img" src="" alt="Graph">
             <div id="artifact-modal-meta" class="artifact-modal-meta"></div>
         </div>
         <div class="artifact-modal-actions">
-            <button id="artifact-modal-download" class="btn btn-primary">Download PDF</button>
+            <button id="artifact-modal-download" class="btn btn-primary">Export…</button>
             <button id="artifact-modal-close-footer" class="btn btn-secondary">Close</button>
         </div>
     </div>
   </div>
 
   <script nonce="${nonce}" src="${mainJsUri}"></script>
+  <script nonce="${nonce}" src="${graphViewerJsUri}"></script>
   <script nonce="${nonce}">
      const vscode = acquireVsCodeApi();
      
@@ -1465,6 +2701,8 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
      const modal = document.getElementById('artifact-modal');
      const modalTitle = document.getElementById('artifact-modal-title');
      const modalImg = document.getElementById('artifact-modal-img');
+     const modalViewerEl = document.getElementById('artifact-modal-viewer');
+     const modalViewer = window.stataGraphViewer && modalViewerEl ? window.stataGraphViewer.createGraphViewer(modalViewerEl) : null;
      const modalMeta = document.getElementById('artifact-modal-meta');
      const modalDownloadBtn = document.getElementById('artifact-modal-download');
      const modalCloseBtn = document.getElementById('artifact-modal-close');
@@ -1480,6 +2718,16 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
          if (modalImg) {
              modalImg.src = artifact.src || '';
              modalImg.alt = artifact.label || 'Graph';
+             modalImg.classList.remove('hidden');
+         }
+         // SVG graphs open in the interactive viewer; anything else stays a plain image.
+         if (modalViewer) {
+             modalViewer.clear();
+             if (/\.svg$/i.test(artifact.path || '') && artifact.src) {
+                 modalViewer.load(artifact.src).then((ok) => {
+                     if (ok && activeModalArtifact === artifact && modalImg) modalImg.classList.add('hidden');
+                 });
+             }
          }
          if (modalMeta) {
              modalMeta.textContent = artifact.path || '';
@@ -1498,7 +2746,7 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
              if (artifact.type === 'help') {
                  modalDownloadBtn.textContent = 'View Help';
              } else {
-                 modalDownloadBtn.textContent = 'Download PDF';
+                 modalDownloadBtn.textContent = 'Export…';
              }
          }
      }
@@ -1510,6 +2758,7 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
              modal.setAttribute('aria-hidden', 'true');
          }
          if (modalImg) modalImg.src = '';
+         if (modalViewer) modalViewer.clear();
      }
 
      // Download button handler
@@ -1533,7 +2782,7 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
              try {
                  const originalText = modalDownloadBtn.textContent;
                  modalDownloadBtn.disabled = true;
-                 modalDownloadBtn.textContent = 'Downloading...';
+                 modalDownloadBtn.textContent = 'Exporting...';
                  
                  console.log('[Modal] Sending message for:', graphName, 'type:', activeModalArtifact.type);
                  if (activeModalArtifact.type === 'help') {
@@ -1561,7 +2810,7 @@ function renderGraphHtml(graphDetails, webview, extensionUri, nonce) {
              } catch (err) {
                  console.error('[Modal] Download error:', err);
                  modalDownloadBtn.disabled = false;
-                 modalDownloadBtn.textContent = 'Download PDF';
+                 modalDownloadBtn.textContent = 'Export…';
              }
          });
      }
@@ -1675,13 +2924,14 @@ function presentStataError(context, payload) {
 }
 
 // Unified presentation using Terminal Panel
-async function presentRunResult(commandText, result, filePath) {
+async function presentRunResult(commandText, result, filePath, session = DEFAULT_SESSION) {
     const success = isRunSuccess(result);
     // Log to output channel regardless of UI type
     logRunToOutput(result, commandText);
 
     // Ensure terminal panel is showing the new entry, initializing if needed with the proper runner
-    TerminalPanel.addEntry(commandText, result, filePath, terminalRunCommand, variableListProvider);
+    const handlers = terminalHandlers(session);
+    TerminalPanel.forSession(session).addEntry(commandText, result, filePath, handlers.runCommand, handlers.variableProvider);
 }
 
 function logRunToOutput(result, contextTitle) {
@@ -1749,10 +2999,14 @@ function isRunSuccess(result) {
     return true;
 }
 
-async function cancelRequest() {
+/**
+ * Cancel everything running or queued in a session (default: the active one).
+ */
+async function cancelRequest(session) {
     console.log('[Extension] cancelRequest called');
     try {
-        const cancelled = await mcpClient.cancelAll();
+        const target = typeof session === 'string' ? session : activeSession();
+        const cancelled = await sessionClient(target).cancelAll();
         // Suppress toast notifications; rely on panel status/logs instead.
         if (!cancelled) {
             console.log('[Extension] No running Stata requests to cancel.');
@@ -1764,10 +3018,10 @@ async function cancelRequest() {
     }
 }
 
-async function cancelTask(runId) {
+async function cancelTask(runId, session = activeSession()) {
     console.log('[Extension] cancelTask called:', runId);
     try {
-        await mcpClient.cancelRun(runId);
+        await sessionClient(session).cancelRun(runId);
     } catch (error) {
         console.warn('[Extension] cancelTask failed:', error);
     }
@@ -1780,7 +3034,7 @@ module.exports = {
     runMcpInstaller,
     getMcpInstallCommand,
     promptInstallMcpCli,
-    downloadGraphAsPdf,
+    exportGraph,
     mcpClient,
     DataBrowserPanel,
     TerminalPanel,
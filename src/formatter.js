@@ -0,0 +1,266 @@
+const { getVscode } = require('./runtime-context');
+const { scanLine, forEachUnquoted, programName, isMataBlockStart } = require('./stata-syntax');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+const DELIMIT = /^\s*#d(?:e(?:l(?:i(?:m(?:i(?:t)?)?)?)?)?)?\s+(;|cr)\s*$/i;
+const END_LINE = /^end\s*$/i;
+const INPUT_START = /^(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?)\s+)*inp(?:u(?:t)?)?\b/i;
+const MATA_LINE = /^(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?|n(?:oi(?:s(?:i(?:l(?:y)?)?)?)?)?)\s*:?\s+)*mata\b/i;
+// Longest operators first so `==` is never split into two `=`. A leading `:` makes it a Mata
+// elementwise operator (`:>`, `:==`), which is left as written.
+const OPERATOR = /\s*(:?)(==|!=|~=|>=|<=|\|\||=|<|>|&|\|)\s*/g;
+
+const DEFAULT_OPTIONS = {
+    indent: '    ',
+    continuationIndent: 1,
+    alignContinuations: true,
+    operatorSpacing: true,
+    mata: false
+};
+
+/**
+ * Mark the characters of a line that formatting must leave alone: comments, strings,
+ * macro references (`` `name' ``, `${name}`) and square brackets (weights, subscripts).
+ * @param {string} line Source line.
+ * @param {string} masked The same line with comments blanked (see `scanLine`).
+ * @returns {boolean[]}
+ */
+function protectedCharacters(line, masked) {
+    const protect = Array.from(line, (ch, i) => masked[i] !== ch);
+    const quoted = protect.map(() => true);
+    forEachUnquoted(masked, (_ch, i) => {
+        quoted[i] = false;
+    });
+    let macroDepth = 0;
+    let bracketDepth = 0;
+    for (let i = 0; i < line.length; i++) {
+        if (quoted[i]) {
+            protect[i] = true;
+            continue;
+        }
+        const ch = masked[i];
+        if (ch === '`') macroDepth++;
+        else if (ch === '[') bracketDepth++;
+        else if (ch === '$' && masked[i + 1] === '{') {
+            const close = masked.indexOf('}', i);
+            if (close !== -1) {
+                for (let j = i; j <= close; j++) protect[j] = true;
+                i = close;
+                continue;
+            }
+        }
+        if (macroDepth > 0 || bracketDepth > 0) protect[i] = true;
+        if (ch === "'" && macroDepth > 0) macroDepth--;
+        else if (ch === ']' && bracketDepth > 0) bracketDepth--;
+    }
+    return protect;
+}
+
+/**
+ * Put single spaces around comparison, assignment and logical operators in the
+ * unprotected parts of `body`.
+ */
+function spaceOperators(body, protect) {
+    let out = '';
+    let start = 0;
+    const flush = (end, isProtected) => {
+        const segment = body.slice(start, end);
+        out += isProtected ? segment : segment.replace(OPERATOR, (match, colon, op) => (colon ? match : ` ${op} `));
+        start = end;
+    };
+    for (let i = 1; i <= body.length; i++) {
+        if (i === body.length || protect[i] !== protect[i - 1]) flush(i, protect[i - 1]);
+    }
+    return out.trim();
+}
+
+/**
+ * Count the `}` a line starts with; those close blocks before the line is indented.
+ */
+function leadingClosers(code) {
+    const match = /^[\s}]*/.exec(code)[0];
+    return (match.match(/}/g) || []).length;
+}
+
+/**
+ * Re-indent and tidy Stata source.
+ * Blocks (`{ }`, `program`/`mata:`/`input` ... `end`) are indented one level, `///` and
+ * `#delimit ;` continuation lines by `continuationIndent` further levels, and `///` markers
+ * within a command are aligned. String literals and comments are never changed; lines inside
+ * a multi-line `/* *\/` comment are left exactly as written.
+ * @param {string} text
+ * @param {{indent?: string, continuationIndent?: number, alignContinuations?: boolean, operatorSpacing?: boolean, mata?: boolean}} [options]
+ *   `mata` treats the whole text as Mata (for .mata files).
+ * @returns {string[]} Formatted lines, one per source line.
+ */
+function formatLines(text, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const lines = String(text ?? '').split(/\r?\n/);
+    const out = [];
+    // Open blocks: 'brace', 'end' (program/mata) or 'input'. Mata blocks are tagged so spacing is skipped inside.
+    const stack = [];
+    let inBlockComment = false;
+    let semicolonMode = false;
+    let continuation = null;
+    let group = [];
+    // A one-line `mata:` statement (and its continuation lines) is Mata, so spacing is skipped too.
+    let mataStatement = false;
+
+    const inMata = () => opts.mata || stack.some((b) => b.mata);
+    const inInput = () => stack.length > 0 && stack[stack.length - 1].kind === 'input';
+
+    const alignGroup = () => {
+        if (!group.length) return;
+        const column = opts.alignContinuations ? Math.max(...group.map((g) => out[g.index].length)) + 1 : 0;
+        for (const g of group) {
+            const head = out[g.index];
+            out[g.index] = (head.trim() ? head + ' '.repeat(Math.max(1, column - head.length)) : head) + g.comment;
+        }
+        group = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const startsInComment = inBlockComment;
+        const scanned = scanLine(line, { inBlockComment, continuation: !!continuation });
+        inBlockComment = scanned.inBlockComment;
+
+        if (startsInComment) {
+            // Leave comment bodies untouched, including their indentation.
+            out.push(line);
+            if (!inBlockComment && scanned.code.trim()) continuation = null;
+            continue;
+        }
+        if (!line.trim()) {
+            out.push('');
+            continue;
+        }
+
+        const code = scanned.code.trim();
+        const trailingStart = scanned.commentStart >= 0 && scanned.code.trim() ? scanned.commentStart : -1;
+        const body = (trailingStart >= 0 ? line.slice(0, trailingStart) : line).trim();
+        const bodyOffset = line.indexOf(body);
+
+        let level = stack.length;
+        if (continuation) {
+            level = continuation.level + opts.continuationIndent;
+        } else if (code) {
+            const closers = leadingClosers(code);
+            let matched = 0;
+            while (matched < closers && stack.length - matched > 0 && stack[stack.length - 1 - matched].kind === 'brace') matched++;
+            level = stack.length - matched;
+            if (END_LINE.test(code)) {
+                const index = stack.map((b) => b.kind).lastIndexOf('end');
+                const inputIndex = stack.map((b) => b.kind).lastIndexOf('input');
+                const target = Math.max(index, inputIndex);
+                if (target !== -1) level = target;
+            }
+        }
+
+        if (code && !continuation) mataStatement = MATA_LINE.test(code);
+        let formattedBody = body;
+        if (code && opts.operatorSpacing && !inMata() && !mataStatement && !inInput() && !DELIMIT.test(code)) {
+            const masked = scanned.masked.slice(bodyOffset, bodyOffset + body.length);
+            formattedBody = spaceOperators(body, protectedCharacters(body, masked));
+        }
+        const indented = body ? opts.indent.repeat(Math.max(level, 0)) + formattedBody : '';
+
+        if (scanned.continues && !semicolonMode && trailingStart >= 0) {
+            out.push(indented);
+            group.push({ index: out.length - 1, comment: line.slice(trailingStart).trimEnd() });
+        } else if (trailingStart >= 0) {
+            alignGroup();
+            out.push(indented + line.slice(bodyOffset + body.length, trailingStart) + line.slice(trailingStart).trimEnd());
+        } else {
+            alignGroup();
+            out.push(indented.trimEnd());
+        }
+
+        if (!code) continue;
+
+        // Update block structure from the command's first line only.
+        const firstLine = !continuation;
+        if (firstLine && DELIMIT.test(code)) {
+            semicolonMode = DELIMIT.exec(code)[1] === ';';
+        } else if (firstLine && END_LINE.test(code) && stack.some((b) => b.kind !== 'brace')) {
+            stack.length = level;
+        } else if (firstLine && !inMata() && programName(code)) {
+            stack.push({ kind: 'end' });
+        } else if (firstLine && !stack.some((b) => b.mata) && isMataBlockStart(code)) {
+            stack.push({ kind: 'end', mata: true });
+        } else if (firstLine && !inMata() && !inInput() && INPUT_START.test(code)) {
+            stack.push({ kind: 'input' });
+        }
+        if (!inInput()) {
+            forEachUnquoted(code, (ch) => {
+                if (ch === '{') stack.push({ kind: 'brace' });
+                else if (ch === '}' && stack.length && stack[stack.length - 1].kind === 'brace') stack.pop();
+            });
+        }
+
+        const base = continuation ? continuation.level : level;
+        if (semicolonMode) {
+            continuation = /[;{}]$/.test(code) ? null : { level: base };
+        } else {
+            continuation = scanned.continues ? { level: base } : null;
+        }
+        if (!continuation) alignGroup();
+    }
+    alignGroup();
+    return out;
+}
+
+/**
+ * Format `text`, returning the new source.
+ */
+function formatText(text, options) {
+    const eol = /\r\n/.test(String(text ?? '')) ? '\r\n' : '\n';
+    return formatLines(text, options).join(eol);
+}
+
+/**
+ * Document and range formatting for Stata, configured under `stataMcp.format.*`.
+ * Indentation width follows the editor's tab size and insert-spaces settings.
+ */
+class StataFormattingProvider {
+    provideDocumentFormattingEdits(document, formatting) {
+        return this._edits(document, formatting, 0, document.lineCount - 1);
+    }
+
+    provideDocumentRangeFormattingEdits(document, range, formatting) {
+        return this._edits(document, formatting, range.start.line, range.end.line);
+    }
+
+    _edits(document, formatting, startLine, endLine) {
+        const config = vscode.workspace.getConfiguration('stataMcp');
+        if (!config.get('format.enabled', true)) return [];
+        const text = document.getText();
+        const source = text.split(/\r?\n/);
+        // Format the whole document so a range still sees the blocks it sits in.
+        const formatted = formatLines(text, {
+            indent: formatting?.insertSpaces === false ? '\t' : ' '.repeat(formatting?.tabSize || 4),
+            continuationIndent: config.get('format.continuationIndent', 1),
+            alignContinuations: config.get('format.alignContinuations', true),
+            operatorSpacing: config.get('format.operatorSpacing', true),
+            mata: /\.mata$/i.test(document.uri?.fsPath || document.fileName || '')
+        });
+        const edits = [];
+        for (let line = startLine; line <= Math.min(endLine, source.length - 1); line++) {
+            if (formatted[line] === source[line]) continue;
+            const range = new vscode.Range(new vscode.Position(line, 0), new vscode.Position(line, source[line].length));
+            edits.push(vscode.TextEdit.replace(range, formatted[line]));
+        }
+        return edits;
+    }
+}
+
+module.exports = {
+    StataFormattingProvider,
+    formatLines,
+    formatText
+};
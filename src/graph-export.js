@@ -0,0 +1,297 @@
+/**
+ * Graph export in a chosen format and size. Stata's own `graph export` writes the file, so a
+ * PDF is a real PDF; when Stata's PDF export is too slow the graph is exported as SVG and
+ * converted locally instead.
+ */
+
+const path = require('path');
+const { getVscode, getFs, getChildProcess, getEnv, createDepProxy } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+const fs = createDepProxy(getFs);
+const cp = createDepProxy(getChildProcess);
+
+const GRAPH_EXPORT_FORMATS = {
+    pdf: { label: 'PDF', description: 'Vector, for papers and journals', extensions: ['pdf'] },
+    png: { label: 'PNG', description: 'Bitmap at the chosen DPI', extensions: ['png'] },
+    svg: { label: 'SVG', description: 'Vector, for the web', extensions: ['svg'] },
+    eps: { label: 'EPS', description: 'Encapsulated PostScript', extensions: ['eps'] },
+    emf: { label: 'EMF', description: 'Windows metafile (Stata for Windows only)', extensions: ['emf'] }
+};
+
+const DEFAULT_GRAPH_EXPORT = { format: 'pdf', width: 6, height: 4, dpi: 300 };
+
+// Workspace state key holding the last export choice.
+const GRAPH_EXPORT_STATE_KEY = 'stataWorkbench.graphExport';
+
+const PDF_EXPORT_TIMEOUT_MS = 60000;
+const CONVERTER_TIMEOUT_MS = 60000;
+
+const GRAPH_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+
+// Stata accepts graph sizes up to 100 inches.
+const MAX_SIZE_INCHES = 100;
+
+function validSize(value) {
+    return Number.isFinite(value) && value > 0 && value <= MAX_SIZE_INCHES;
+}
+
+function validDpi(value) {
+    return Number.isInteger(value) && value >= 36 && value <= 2400;
+}
+
+/**
+ * Saved (or partial) options with anything missing or invalid replaced by the defaults.
+ */
+function normalizeGraphExportOptions(options) {
+    const o = options && typeof options === 'object' ? options : {};
+    return {
+        format: GRAPH_EXPORT_FORMATS[o.format] ? o.format : DEFAULT_GRAPH_EXPORT.format,
+        width: validSize(Number(o.width)) ? Number(o.width) : DEFAULT_GRAPH_EXPORT.width,
+        height: validSize(Number(o.height)) ? Number(o.height) : DEFAULT_GRAPH_EXPORT.height,
+        dpi: validDpi(Number(o.dpi)) ? Number(o.dpi) : DEFAULT_GRAPH_EXPORT.dpi
+    };
+}
+
+/**
+ * "6 x 4", "6x4" or "6, 4" (inches) as `{width, height}`, or null.
+ */
+function parseSize(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(?:x|×|,|\s)\s*(\d+(?:\.\d+)?)\s*(?:in)?\s*$/i.exec(String(text ?? ''));
+    if (!match) return null;
+    const width = Number(match[1]);
+    const height = Number(match[2]);
+    return validSize(width) && validSize(height) ? { width, height } : null;
+}
+
+// Temporary copy that is resized and exported, so the user's graph keeps its own size.
+const EXPORT_COPY = '_wb_export';
+
+/**
+ * Stata code exporting `graphName` at the requested size to `filePath`. The graph is copied,
+ * the copy redrawn at that size and exported, then dropped and the original shown again.
+ * PNG pixel dimensions follow from the size and DPI; the other formats are sized in inches.
+ */
+function graphExportCode(graphName, filePath, options) {
+    if (!GRAPH_NAME.test(String(graphName ?? ''))) {
+        throw new Error(`"${graphName}" is not a graph name Stata can export.`);
+    }
+    const { format, width, height, dpi } = normalizeGraphExportOptions(options);
+    let exportOptions = `as(${format}) name(${EXPORT_COPY}) replace`;
+    if (format === 'png') {
+        exportOptions += ` width(${Math.round(width * dpi)}) height(${Math.round(height * dpi)})`;
+    }
+    return [
+        `graph copy ${graphName} ${EXPORT_COPY}, replace`,
+        'capture noisily {',
+        `    graph display ${EXPORT_COPY}, xsize(${width}) ysize(${height})`,
+        `    graph export \`"${filePath}"', ${exportOptions}`,
+        '}',
+        'local _wb_rc = _rc',
+        `capture graph drop ${EXPORT_COPY}`,
+        `capture graph display ${graphName}`,
+        'exit `_wb_rc\''
+    ].join('\n');
+}
+
+function runFailure(result) {
+    if (!result) return 'no response from Stata';
+    if (result.success === false || result.error || (typeof result.rc === 'number' && result.rc !== 0)) {
+        const detail = result.stderr || result.error?.message || result.error;
+        return typeof detail === 'string' && detail.trim()
+            ? detail.trim()
+            : (typeof result.rc === 'number' ? `r(${result.rc})` : 'unknown error');
+    }
+    return null;
+}
+
+/**
+ * Run export code, cancelling it `timeoutMs` after Stata starts it (0: no limit). Time spent
+ * waiting behind other runs in the queue does not count.
+ * @returns {Promise<{timedOut: boolean}>}
+ */
+async function runExportCode(run, code, timeoutMs = 0) {
+    const source = timeoutMs ? new vscode.CancellationTokenSource() : null;
+    let timedOut = false;
+    let timer = null;
+    const startTimer = () => {
+        if (!source || timer) return;
+        timer = setTimeout(() => {
+            timedOut = true;
+            source.cancel();
+        }, timeoutMs);
+    };
+    try {
+        const result = await run(code, source ? { cancellationToken: source.token, onStarted: startTimer } : {});
+        if (timedOut) return { timedOut };
+        const failure = runFailure(result);
+        if (failure) throw new Error(`Stata could not export the graph: ${failure}`);
+        return { timedOut };
+    } catch (err) {
+        if (timedOut) return { timedOut };
+        throw err;
+    } finally {
+        if (timer) clearTimeout(timer);
+        source?.dispose?.();
+    }
+}
+
+// Command line SVG to PDF converters, tried in order.
+const SVG_CONVERTERS = [
+    { name: 'rsvg-convert', args: (svg, pdf) => ['-f', 'pdf', '-o', pdf, svg] },
+    { name: 'inkscape', args: (svg, pdf) => [svg, '--export-type=pdf', `--export-filename=${pdf}`] }
+];
+
+/**
+ * The first file named `name` plus a PATHEXT extension on the Windows PATH, or null.
+ */
+function findOnWindowsPath(name, env) {
+    const extensions = String(env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+    const dirs = String(env.PATH || env.Path || '').split(';').filter(Boolean);
+    for (const dir of dirs) {
+        for (const extension of extensions) {
+            const candidate = path.win32.join(dir, name + extension.toLowerCase());
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * How to start a converter without a shell, so paths with spaces reach it as single arguments.
+ * On Windows it is looked up on PATH first; a .cmd or .bat shim (npm, Scoop) can only be started
+ * by cmd.exe, so it gets a quoted command line of its own.
+ * @returns {{file: string, args: string[], options: object}|null} null when it is not installed.
+ */
+function converterCommand(name, args, { platform = process.platform, env = getEnv() } = {}) {
+    if (platform !== 'win32') return { file: name, args, options: {} };
+    const resolved = findOnWindowsPath(name, env);
+    if (!resolved) return null;
+    if (!/\.(?:cmd|bat)$/i.test(resolved)) return { file: resolved, args, options: {} };
+    const commandLine = [resolved, ...args].map((arg) => `"${arg}"`).join(' ');
+    return {
+        file: env.ComSpec || env.COMSPEC || 'cmd.exe',
+        args: ['/d', '/s', '/c', `"${commandLine}"`],
+        options: { windowsVerbatimArguments: true }
+    };
+}
+
+function runConverter({ file, args, options }) {
+    return new Promise((resolve) => {
+        cp.execFile(file, args, { ...options, shell: false, windowsHide: true, timeout: CONVERTER_TIMEOUT_MS }, (error) => resolve(!error));
+    });
+}
+
+/**
+ * Convert an SVG file to PDF with the first converter found on PATH.
+ * @returns {Promise<string>} Name of the converter used.
+ */
+async function convertSvgToPdf(svgPath, pdfPath) {
+    for (const converter of SVG_CONVERTERS) {
+        const command = converterCommand(converter.name, converter.args(svgPath, pdfPath));
+        if (!command || !(await runConverter(command))) continue;
+        if (fs.existsSync(pdfPath)) return converter.name;
+    }
+    throw new Error(`Stata's PDF export did not finish in time, and no SVG to PDF converter (${SVG_CONVERTERS.map((c) => c.name).join(' or ')}) was found to convert the graph locally.`);
+}
+
+/**
+ * Export a graph in Stata's memory to `filePath`.
+ * @param {string} graphName
+ * @param {string} filePath Where Stata writes the file; its extension should match the format.
+ * @param {{format?: string, width?: number, height?: number, dpi?: number}} options
+ * @param {{run: (code: string, options: object) => Promise<object>, serverPath?: (localPath: string) => string,
+ *   pdfTimeoutMs?: number}} deps
+ *   run executes Stata code quietly (mcpClient.run), calling `options.onStarted` when Stata starts it;
+ *   serverPath maps a local path to the one Stata writes to (mcpClient.serverPath for a remote server).
+ * @returns {Promise<{path: string, convertedWith: string|null}>} convertedWith names the local
+ *   converter when a PDF had to be made from SVG.
+ */
+async function exportGraphFile(graphName, filePath, options, { run, serverPath = (p) => p, pdfTimeoutMs = PDF_EXPORT_TIMEOUT_MS }) {
+    const opts = normalizeGraphExportOptions(options);
+    const ensureWritten = (file) => {
+        if (!fs.existsSync(file)) throw new Error(`Stata did not write ${path.basename(file)}.`);
+    };
+
+    if (opts.format !== 'pdf') {
+        await runExportCode(run, graphExportCode(graphName, serverPath(filePath), opts));
+        ensureWritten(filePath);
+        return { path: filePath, convertedWith: null };
+    }
+
+    const { timedOut } = await runExportCode(run, graphExportCode(graphName, serverPath(filePath), opts), pdfTimeoutMs);
+    if (!timedOut) {
+        ensureWritten(filePath);
+        return { path: filePath, convertedWith: null };
+    }
+
+    const svgPath = filePath.replace(/\.pdf$/i, '') + '.svg';
+    try {
+        await runExportCode(run, graphExportCode(graphName, serverPath(svgPath), { ...opts, format: 'svg' }));
+        ensureWritten(svgPath);
+        const convertedWith = await convertSvgToPdf(svgPath, filePath);
+        return { path: filePath, convertedWith };
+    } finally {
+        try {
+            if (fs.existsSync(svgPath)) fs.unlinkSync(svgPath);
+        } catch (_err) {
+            // Temp files are cleaned up with the temp directory anyway.
+        }
+    }
+}
+
+/**
+ * Ask for the format, size and (for PNG) resolution, starting from the last choice.
+ * @returns {Promise<{format: string, width: number, height: number, dpi: number}|null>} null when cancelled.
+ */
+async function promptGraphExportOptions(graphName, lastChoice) {
+    const last = normalizeGraphExportOptions(lastChoice);
+    const formats = Object.keys(GRAPH_EXPORT_FORMATS);
+    const ordered = [last.format, ...formats.filter((f) => f !== last.format)];
+    const pick = await vscode.window.showQuickPick(ordered.map((format) => ({
+        label: GRAPH_EXPORT_FORMATS[format].label,
+        description: GRAPH_EXPORT_FORMATS[format].description,
+        format
+    })), { title: `Export ${graphName}`, placeHolder: 'Format' });
+    if (!pick) return null;
+
+    const sizeText = await vscode.window.showInputBox({
+        title: `Export ${graphName} as ${GRAPH_EXPORT_FORMATS[pick.format].label}`,
+        prompt: 'Width x height in inches',
+        value: `${last.width} x ${last.height}`,
+        validateInput: (text) => (parseSize(text) ? null : `Enter a size such as 6 x 4 (at most ${MAX_SIZE_INCHES} inches)`)
+    });
+    const size = sizeText === undefined ? null : parseSize(sizeText);
+    if (!size) return null;
+
+    let dpi = last.dpi;
+    if (pick.format === 'png') {
+        const dpiText = await vscode.window.showInputBox({
+            title: `Export ${graphName} as PNG`,
+            prompt: 'Resolution in dots per inch',
+            value: String(last.dpi),
+            validateInput: (text) => (validDpi(Number(text)) ? null : 'Enter a whole number between 36 and 2400')
+        });
+        if (dpiText === undefined) return null;
+        dpi = Number(dpiText);
+    }
+    return { format: pick.format, width: size.width, height: size.height, dpi };
+}
+
+module.exports = {
+    GRAPH_EXPORT_FORMATS,
+    DEFAULT_GRAPH_EXPORT,
+    GRAPH_EXPORT_STATE_KEY,
+    PDF_EXPORT_TIMEOUT_MS,
+    normalizeGraphExportOptions,
+    parseSize,
+    graphExportCode,
+    converterCommand,
+    convertSvgToPdf,
+    exportGraphFile,
+    promptGraphExportOptions
+};
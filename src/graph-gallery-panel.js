@@ -0,0 +1,408 @@
+const path = require('path');
+const { getVscode, getFs, createDepProxy } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+const Sentry = require("@sentry/node");
+const { openArtifact } = require('./artifact-utils');
+
+const fs = createDepProxy(getFs);
+
+// Unpinned graphs beyond this are dropped oldest first.
+const MAX_ENTRIES = 200;
+const GALLERY_EXPORT_FORMATS = {
+    png: 'PNG image',
+    svg: 'SVG vector image',
+    pdf: 'PDF document'
+};
+
+function artifactFsPath(artifact) {
+    const raw = String(artifact?.path || '').trim().replace(/^"+|"+$/g, '');
+    if (!raw || /^[a-z]+:\/\//i.test(raw) || raw.startsWith('data:')) return null;
+    return path.isAbsolute(raw) ? raw : path.resolve(artifact.baseDir || '', raw);
+}
+
+function isGraphArtifact(artifact) {
+    if (!artifact || artifact.error || artifact.type === 'help') return false;
+    return !String(artifact.label || '').toLowerCase().startsWith('help:');
+}
+
+function safeFileName(name) {
+    return String(name || 'graph').replace(/[^A-Za-z0-9_.-]+/g, '_');
+}
+
+function processIsRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err?.code === 'EPERM';
+    }
+}
+
+/**
+ * Remove the gallery folders left under `root` by windows that are no longer running.
+ * Each window keeps its copies in `<root>/<pid>` and removes them on exit; a folder whose
+ * process is gone was left by a crash.
+ */
+function pruneGalleryFolders(root, isRunning = processIsRunning) {
+    let names;
+    try {
+        names = fs.readdirSync(root);
+    } catch (_err) {
+        return;
+    }
+    for (const name of names) {
+        const pid = Number(name);
+        if (!/^\d+$/.test(name) || pid === process.pid || isRunning(pid)) continue;
+        try {
+            fs.rmSync(path.join(root, name), { recursive: true, force: true });
+        } catch (_err) {
+            // Retried on the next start.
+        }
+    }
+}
+
+/**
+ * Every graph produced in the session, with the run that made it. Graph files are copied
+ * into the gallery folder as they arrive, since Stata reuses graph names (and often files).
+ */
+class GraphGalleryPanel {
+    static currentPanel = null;
+    static entries = [];
+    static _storageDir = null;
+    static _exportGraphs = null;
+    static _nextId = 1;
+
+    /**
+     * @param {{storageDir?: string, exportGraphs?: (options: {format: string, names: string[], session: string|null}) =>
+     *   Promise<{graphs: Array<{label: string, path?: string, error?: string}>}>}} options
+     *   exportGraphs re-exports graphs still in the memory of the given session's Stata
+     *   (null for the default session) through its client's exportAllGraphs.
+     */
+    static configure({ storageDir, exportGraphs } = {}) {
+        if (storageDir !== undefined) GraphGalleryPanel._storageDir = storageDir;
+        if (exportGraphs !== undefined) GraphGalleryPanel._exportGraphs = exportGraphs;
+    }
+
+    /**
+     * Add a graph artifact from a run. Help pages and failed exports are ignored.
+     * @param {{label?: string, path?: string, baseDir?: string}} artifact
+     * @param {{runId?: string, code?: string, label?: string, session?: string|null}} [run]
+     */
+    static record(artifact, run = {}) {
+        if (!isGraphArtifact(artifact)) return null;
+        const source = artifactFsPath(artifact);
+        if (!source) return null;
+        const { entries } = GraphGalleryPanel;
+        if (entries.some((e) => e.sourcePath === source && e.runId === (run.runId || null))) return null;
+
+        const id = GraphGalleryPanel._nextId++;
+        const name = artifact.label || path.basename(source, path.extname(source));
+        const entry = {
+            id,
+            name,
+            path: GraphGalleryPanel._keepCopy(id, source),
+            sourcePath: source,
+            runId: run.runId || null,
+            command: run.code || '',
+            runLabel: run.label || null,
+            // Stata session that holds the graph; null for the default session.
+            session: run.session || null,
+            timestamp: Date.now(),
+            pinned: false,
+            // The newest graph of a name is the one Stata still holds in memory.
+            inMemory: true
+        };
+        entries.forEach((e) => {
+            if (e.name === name && e.session === entry.session) e.inMemory = false;
+        });
+        entries.push(entry);
+
+        const unpinned = entries.filter((e) => !e.pinned);
+        if (unpinned.length > MAX_ENTRIES) {
+            GraphGalleryPanel._remove(unpinned.slice(0, unpinned.length - MAX_ENTRIES));
+        }
+        GraphGalleryPanel._update();
+        return entry;
+    }
+
+    /**
+     * Delete this window's graph copies, on deactivation. Pinned graphs go too: the gallery
+     * only lasts as long as the window.
+     */
+    static removeStorage() {
+        const dir = GraphGalleryPanel._storageDir;
+        GraphGalleryPanel.entries = [];
+        if (!dir) return;
+        try {
+            fs.rmSync(dir, { recursive: true, force: true });
+        } catch (_err) {
+            // Left for pruneGalleryFolders on the next start.
+        }
+    }
+
+    static _keepCopy(id, source) {
+        const dir = GraphGalleryPanel._storageDir;
+        if (!dir) return source;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            const target = path.join(dir, `graph-${id}${path.extname(source)}`);
+            fs.copyFileSync(source, target);
+            return target;
+        } catch (_err) {
+            // Fall back to the exported file; it is still valid until it is overwritten.
+            return source;
+        }
+    }
+
+    static _remove(removed) {
+        const ids = new Set(removed.map((e) => e.id));
+        GraphGalleryPanel.entries = GraphGalleryPanel.entries.filter((e) => !ids.has(e.id));
+        for (const entry of removed) {
+            if (entry.path === entry.sourcePath) continue;
+            try {
+                fs.unlinkSync(entry.path);
+            } catch (_err) {
+                // Already gone.
+            }
+        }
+    }
+
+    static setPinned(id, pinned) {
+        const entry = GraphGalleryPanel.entries.find((e) => e.id === id);
+        if (!entry) return;
+        entry.pinned = !!pinned;
+        GraphGalleryPanel._update();
+    }
+
+    /**
+     * Called after `clear all` in a session (null for the default one): its unpinned graphs
+     * go, pinned ones stay. That session's Stata no longer holds any graph in memory afterwards.
+     */
+    static clearUnpinned(session = null) {
+        const cleared = GraphGalleryPanel.entries.filter((e) => e.session === session);
+        GraphGalleryPanel._remove(cleared.filter((e) => !e.pinned));
+        cleared.forEach((e) => {
+            e.inMemory = false;
+        });
+        GraphGalleryPanel._update();
+    }
+
+    static show(extensionUri) {
+        if (GraphGalleryPanel.currentPanel) {
+            GraphGalleryPanel.currentPanel._panel.reveal(GraphGalleryPanel.currentPanel._panel.viewColumn || vscode.ViewColumn.Beside);
+            return GraphGalleryPanel.currentPanel;
+        }
+        const panel = vscode.window.createWebviewPanel(
+            'stataGraphGallery',
+            'Stata Graph Gallery',
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [
+                    vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared'),
+                    vscode.Uri.joinPath(extensionUri, 'dist', 'ui-shared'),
+                    ...(GraphGalleryPanel._storageDir ? [vscode.Uri.file(GraphGalleryPanel._storageDir)] : [])
+                ]
+            }
+        );
+        GraphGalleryPanel.currentPanel = new GraphGalleryPanel(panel, extensionUri);
+        return GraphGalleryPanel.currentPanel;
+    }
+
+    static _update() {
+        GraphGalleryPanel.currentPanel?._sendEntries();
+    }
+
+    constructor(panel, extensionUri) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._disposables = [];
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+        this._panel.webview.onDidReceiveMessage(async (message) => {
+            switch (message?.type) {
+                case 'ready':
+                    this._sendEntries();
+                    break;
+                case 'pin':
+                    GraphGalleryPanel.setPinned(message.id, message.pinned);
+                    break;
+                case 'open': {
+                    const entry = GraphGalleryPanel.entries.find((e) => e.id === message.id);
+                    if (entry) openArtifact(entry.path);
+                    break;
+                }
+                case 'export':
+                    await GraphGalleryPanel.exportGraphs(message.ids);
+                    break;
+                default:
+                    break;
+            }
+        }, null, this._disposables);
+        this._panel.webview.html = this._getHtmlForWebview(this._panel.webview);
+    }
+
+    _sendEntries() {
+        const webview = this._panel.webview;
+        const entries = GraphGalleryPanel.entries.map((e) => ({
+            id: e.id,
+            name: e.name,
+            command: e.command,
+            runLabel: e.runLabel,
+            runId: e.runId,
+            timestamp: e.timestamp,
+            pinned: e.pinned,
+            format: path.extname(e.path).slice(1).toLowerCase(),
+            src: webview.asWebviewUri(vscode.Uri.file(e.path)).toString()
+        }));
+        webview.postMessage({ type: 'entries', entries });
+    }
+
+    /**
+     * Export the chosen gallery graphs to one folder in one format. Graphs still in Stata's
+     * memory are re-exported through exportAllGraphs, in the session that made them; older
+     * ones can only be copied when their saved file already has that format.
+     * @returns {Promise<{exported: string[], skipped: string[]}|null>}
+     */
+    static async exportGraphs(ids) {
+        return Sentry.startSpan({ name: 'graphGallery.export', op: 'extension.operation' }, async () => {
+            const selected = GraphGalleryPanel.entries.filter((e) => (ids || []).includes(e.id));
+            if (!selected.length) return null;
+            const pick = await vscode.window.showQuickPick(
+                Object.entries(GALLERY_EXPORT_FORMATS).map(([format, description]) => ({ label: format.toUpperCase(), description, format })),
+                { placeHolder: `Export ${selected.length} graph${selected.length === 1 ? '' : 's'} as` }
+            );
+            if (!pick) return null;
+            const folder = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, canSelectMany: false, openLabel: 'Export Here' });
+            const targetDir = folder?.[0]?.fsPath;
+            if (!targetDir) return null;
+
+            const { format } = pick;
+            const live = new Map();
+            for (const entry of selected.filter((e) => e.inMemory)) {
+                if (!live.has(entry.session)) live.set(entry.session, []);
+                live.get(entry.session).push(entry.name);
+            }
+            // Keyed by session and graph name: sessions may reuse graph names.
+            const fresh = new Map();
+            const freshKey = (session, name) => `${session || ''}\u0000${name}`;
+            for (const [session, names] of live) {
+                if (!GraphGalleryPanel._exportGraphs) break;
+                try {
+                    const response = await GraphGalleryPanel._exportGraphs({ format, names, session });
+                    for (const graph of response?.graphs || []) {
+                        const file = artifactFsPath(graph);
+                        if (file && !graph.error) fresh.set(freshKey(session, graph.label), file);
+                    }
+                } catch (err) {
+                    Sentry.captureException(err);
+                }
+            }
+
+            const exported = [];
+            const skipped = [];
+            const used = new Set();
+            for (const entry of selected) {
+                const source = (entry.inMemory && fresh.get(freshKey(entry.session, entry.name)))
+                    || (path.extname(entry.path).slice(1).toLowerCase() === format ? entry.path : null);
+                if (!source) {
+                    skipped.push(entry.name);
+                    continue;
+                }
+                let base = safeFileName(entry.name);
+                if (used.has(base)) base = `${base}_${entry.id}`;
+                used.add(base);
+                const target = path.join(targetDir, `${base}.${format}`);
+                try {
+                    fs.copyFileSync(source, target);
+                    exported.push(target);
+                } catch (_err) {
+                    skipped.push(entry.name);
+                }
+            }
+
+            if (exported.length) {
+                vscode.window.showInformationMessage(`Exported ${exported.length} graph${exported.length === 1 ? '' : 's'} to ${targetDir}.`);
+            }
+            if (skipped.length) {
+                vscode.window.showWarningMessage(`Could not export ${skipped.join(', ')} as ${format.toUpperCase()}. Only graphs still in Stata's memory can be converted to another format.`);
+            }
+            return { exported, skipped };
+        });
+    }
+
+    dispose() {
+        GraphGalleryPanel.currentPanel = null;
+        this._panel.dispose();
+        while (this._disposables.length) {
+            const x = this._disposables.pop();
+            if (x) {
+                x.dispose();
+            }
+        }
+    }
+
+    _getHtmlForWebview(webview) {
+        const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'dist', 'ui-shared', 'graph-gallery.js'));
+        const designUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'src', 'ui-shared', 'design.css'));
+        const nonce = getNonce();
+        const csp = `default-src 'none'; img-src ${webview.cspSource} data:; style-src ${webview.cspSource} 'unsafe-inline' https://unpkg.com; font-src ${webview.cspSource} https://unpkg.com; script-src 'nonce-${nonce}';`;
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta http-equiv="Content-Security-Policy" content="${csp}">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <link rel="stylesheet" href="${designUri}">
+                <title>Stata Graph Gallery</title>
+                <style>
+                    @import url('https://unpkg.com/@vscode/codicons@0.0.44/dist/codicon.css');
+                    body { padding: 12px 16px; font-size: 12px; }
+                    .gallery-toolbar { display: flex; align-items: center; gap: 8px; margin-bottom: 12px; }
+                    .gallery-toolbar .spacer { flex: 1; }
+                    .gallery-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+                    .gallery-tile { border: 1px solid var(--border-subtle); border-radius: 6px; padding: 8px; background: var(--bg-surface); }
+                    .gallery-tile.selected { border-color: var(--accent-primary); }
+                    .gallery-tile img { width: 100%; height: 140px; object-fit: contain; background: white; cursor: zoom-in; }
+                    .gallery-thumb-fallback { height: 140px; display: flex; align-items: center; justify-content: center; color: var(--text-tertiary); }
+                    .gallery-meta { display: flex; align-items: center; gap: 6px; margin-top: 6px; }
+                    .gallery-name { font-weight: 600; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+                    .gallery-command { font-family: var(--font-mono); color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                    .gallery-time { color: var(--text-tertiary); font-size: 11px; }
+                    .pin-btn.pinned { color: var(--accent-primary); }
+                    .gallery-empty { color: var(--text-tertiary); }
+                    .compare-view { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px; }
+                    .compare-view img { width: 100%; background: white; }
+                    .hidden { display: none !important; }
+                </style>
+            </head>
+            <body>
+                <div class="gallery-toolbar">
+                    <span id="gallery-count" class="gallery-time"></span>
+                    <span class="spacer"></span>
+                    <button id="btn-compare" class="btn btn-sm" title="Compare Two Selected Graphs" disabled>Compare</button>
+                    <button id="btn-export" class="btn btn-sm" title="Export Selected Graphs" disabled>Export…</button>
+                    <button id="btn-select-none" class="btn btn-sm btn-ghost" title="Clear Selection">Clear Selection</button>
+                </div>
+                <div id="compare-view" class="compare-view hidden"></div>
+                <div id="gallery-grid" class="gallery-grid"></div>
+                <script nonce="${nonce}" src="${scriptUri}"></script>
+            </body>
+            </html>`;
+    }
+}
+
+function getNonce() {
+    let text = '';
+    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    for (let i = 0; i < 32; i++) {
+        text += possible.charAt(Math.floor(Math.random() * possible.length));
+    }
+    return text;
+}
+
+module.exports = { GraphGalleryPanel, GALLERY_EXPORT_FORMATS, pruneGalleryFolders };
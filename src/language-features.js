@@ -0,0 +1,367 @@
+const path = require('path');
+const { getVscode, getFs, createDepProxy } = require('./runtime-context');
+const { parseCells } = require('./code-cells');
+const { splitStatements, logicalLines, maskComments, braceDelta, programName, isMataBlockStart } = require('./stata-syntax');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+const fs = createDepProxy(getFs);
+
+const MACRO_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,30}$/;
+const MATA_FUNCTION = /^\s*(?:(?:real|string|numeric|transmorphic|pointer(?:\([^)]*\))?|void|struct\s+\w+|class\s+\w+|scalar|vector|rowvector|colvector|matrix|function)\s+)+([A-Za-z_]\w*)\s*\(/;
+const PREFIXES = '(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?|n(?:oi(?:s(?:i(?:l(?:y)?)?)?)?)?)\\s+)*';
+const DO_COMMAND = new RegExp(`^(\\s*${PREFIXES}(?:do|run|ru|include)\\s+)("[^"]*"|\`"[^"]*"'|\\S+)`, 'i');
+const MACRO_DEFINITION = new RegExp(`^(\\s*${PREFIXES})(loc(?:al?)?|gl(?:o(?:b(?:al?)?)?)?|tempvar|tempname|tempfile|args|foreach|forv(?:a(?:l(?:u(?:es?)?)?)?)?)(\\s+)(.*)$`, 'i');
+
+/**
+ * Programs defined in a document: `program [define] name ... end`.
+ * @param {string} text
+ * @returns {Array<{name: string, startLine: number, endLine: number}>}
+ */
+function findProgramDefinitions(text) {
+    const programs = [];
+    for (const statement of splitStatements(text)) {
+        const first = logicalLines(statement.code)[0];
+        const name = first ? programName(first.code) : null;
+        if (name) programs.push({ name, startLine: statement.startLine, endLine: statement.endLine });
+    }
+    return programs;
+}
+
+/**
+ * Mata functions declared inside `mata ... end` blocks (or anywhere when `wholeFile` is set, for .mata files).
+ * @param {string} text
+ * @param {{wholeFile?: boolean}} [options]
+ * @returns {Array<{name: string, startLine: number, endLine: number}>}
+ */
+function findMataFunctions(text, { wholeFile = false } = {}) {
+    const masked = maskComments(text);
+    const ranges = wholeFile
+        ? [{ startLine: 0, endLine: masked.length - 1 }]
+        : splitStatements(text).filter((s) => isMataBlockStart(logicalLines(s.code)[0]?.code));
+
+    const functions = [];
+    for (const range of ranges) {
+        for (let line = range.startLine; line <= range.endLine; line++) {
+            const match = MATA_FUNCTION.exec(masked[line]);
+            if (!match) continue;
+            let depth = 0;
+            let opened = false;
+            let endLine = line;
+            for (; endLine <= range.endLine; endLine++) {
+                depth += braceDelta(masked[endLine]);
+                if (depth > 0) opened = true;
+                if (opened && depth <= 0) break;
+            }
+            endLine = Math.min(endLine, range.endLine);
+            functions.push({ name: match[1], startLine: line, endLine });
+            line = endLine;
+        }
+    }
+    return functions;
+}
+
+/**
+ * Macro references and definitions on one comment-masked line.
+ * @param {string} masked
+ * @returns {Array<{kind: 'local'|'global', name: string, start: number, end: number, definition: boolean}>}
+ */
+function lineMacroOccurrences(masked) {
+    const found = [];
+    const push = (kind, name, start, definition) => {
+        found.push({ kind, name, start, end: start + name.length, definition });
+    };
+
+    const def = MACRO_DEFINITION.exec(masked);
+    if (def) {
+        const command = def[2].toLowerCase();
+        const kind = command.startsWith('gl') ? 'global' : 'local';
+        let offset = def[1].length + def[2].length + def[3].length;
+        let rest = def[4];
+        if (command.startsWith('loc') && /^(?:\+\+|--)/.test(rest)) {
+            offset += 2;
+            rest = rest.slice(2);
+        }
+        const multiple = /^(?:tempvar|tempname|tempfile|args)$/.test(command);
+        const names = multiple ? rest.split(',')[0] : rest;
+        const tokenRegex = /\S+/g;
+        let token;
+        while ((token = tokenRegex.exec(names)) !== null) {
+            const name = multiple ? token[0] : token[0].split(/[=:]/)[0];
+            if (MACRO_NAME.test(name)) push(kind, name, offset + token.index, true);
+            if (!multiple) break;
+        }
+    }
+
+    const localRegex = /`(?:\+\+|--)?([A-Za-z_][A-Za-z0-9_]*)(?:\+\+|--)?'/g;
+    let match;
+    while ((match = localRegex.exec(masked)) !== null) {
+        push('local', match[1], match.index + match[0].indexOf(match[1]), false);
+    }
+    const globalRegex = /\$\{?([A-Za-z_][A-Za-z0-9_]*)/g;
+    while ((match = globalRegex.exec(masked)) !== null) {
+        push('global', match[1], match.index + match[0].indexOf(match[1]), false);
+    }
+    return found;
+}
+
+/**
+ * Lines a macro is visible on. Globals span the file; locals stay inside their program,
+ * or outside every program when used at the top level.
+ */
+function macroScope(text, kind, line, lineCount) {
+    if (kind === 'global') return (l) => l >= 0 && l < lineCount;
+    const programs = findProgramDefinitions(text);
+    const owner = programs.find((p) => line >= p.startLine && line <= p.endLine);
+    if (owner) return (l) => l >= owner.startLine && l <= owner.endLine;
+    return (l) => !programs.some((p) => l >= p.startLine && l <= p.endLine);
+}
+
+/**
+ * Macro at a document position, plus every occurrence of it within its scope.
+ * @returns {{kind: string, name: string, line: number, start: number, end: number,
+ *   occurrences: Array<{line: number, start: number, end: number, definition: boolean}>}|null}
+ */
+function findMacroOccurrences(text, line, character) {
+    const masked = maskComments(text);
+    const target = lineMacroOccurrences(masked[line] || '')
+        .find((o) => character >= o.start && character <= o.end);
+    if (!target) return null;
+
+    const inScope = macroScope(text, target.kind, line, masked.length);
+    const occurrences = [];
+    masked.forEach((maskedLine, l) => {
+        if (!inScope(l)) return;
+        for (const o of lineMacroOccurrences(maskedLine)) {
+            if (o.kind === target.kind && o.name === target.name) {
+                occurrences.push({ line: l, start: o.start, end: o.end, definition: o.definition });
+            }
+        }
+    });
+    return { ...target, line, occurrences };
+}
+
+/**
+ * File path argument of a `do`/`run`/`include` command when `character` falls on it.
+ * @returns {{path: string, start: number, end: number}|null}
+ */
+function findIncludedPath(maskedLine, character) {
+    const match = DO_COMMAND.exec(maskedLine || '');
+    if (!match) return null;
+    const start = match[1].length;
+    const end = start + match[2].length;
+    if (character < start || character > end) return null;
+    const raw = match[2].replace(/^`"/, '').replace(/"'$/, '').replace(/^"|"$/g, '').replace(/,$/, '');
+    if (!raw || /[`$]/.test(raw)) return null;
+    return { path: raw, start, end };
+}
+
+class StataDocumentSymbolProvider {
+    provideDocumentSymbols(document) {
+        const text = document.getText();
+        const wholeFile = /\.mata$/i.test(document.uri?.fsPath || document.fileName || '');
+        const lineLength = (line) => (document.lineAt ? document.lineAt(line).text.length : 0);
+        const symbol = (name, detail, kind, startLine, endLine) => new vscode.DocumentSymbol(
+            name,
+            detail,
+            kind,
+            new vscode.Range(new vscode.Position(startLine, 0), new vscode.Position(endLine, lineLength(endLine))),
+            new vscode.Range(new vscode.Position(startLine, 0), new vscode.Position(startLine, lineLength(startLine)))
+        );
+
+        const definitions = [
+            ...findProgramDefinitions(text).map((p) => ({ ...p, symbol: symbol(p.name, 'program', vscode.SymbolKind.Function, p.startLine, p.endLine) })),
+            ...findMataFunctions(text, { wholeFile }).map((f) => ({ ...f, symbol: symbol(f.name, 'mata', vscode.SymbolKind.Method, f.startLine, f.endLine) }))
+        ].sort((a, b) => a.startLine - b.startLine);
+
+        const cells = parseCells(text).filter((c) => c.markerLine !== null);
+        if (!cells.length) return definitions.map((d) => d.symbol);
+
+        const roots = [];
+        const cellSymbols = cells.map((cell) => {
+            const s = symbol(cell.title, '', vscode.SymbolKind.Namespace, cell.markerLine, cell.endLine);
+            s.children = [];
+            roots.push(s);
+            return { cell, symbol: s };
+        });
+        for (const def of definitions) {
+            const owner = cellSymbols.find(({ cell }) => def.startLine >= cell.markerLine && def.startLine <= cell.endLine);
+            if (owner) owner.symbol.children.push(def.symbol);
+            else roots.push(def.symbol);
+        }
+        return roots.sort((a, b) => a.range.start.line - b.range.start.line);
+    }
+}
+
+/**
+ * Cache of `program define` names per .ado file, keyed by path and invalidated by mtime.
+ */
+class AdoProgramIndex {
+    constructor() {
+        this._cache = new Map();
+    }
+
+    _programsIn(filePath) {
+        let mtime = 0;
+        try {
+            mtime = fs.statSync(filePath).mtimeMs;
+        } catch (_err) {
+            return [];
+        }
+        const cached = this._cache.get(filePath);
+        if (cached && cached.mtime === mtime) return cached.programs;
+        let programs = [];
+        try {
+            programs = findProgramDefinitions(fs.readFileSync(filePath, 'utf8'));
+        } catch (_err) { }
+        this._cache.set(filePath, { mtime, programs });
+        return programs;
+    }
+
+    /**
+     * @returns {Promise<Array<{name: string, filePath: string, line: number}>>} Every program
+     *   defined in a workspace .ado file.
+     */
+    async list() {
+        const files = await vscode.workspace.findFiles('**/*.ado', '**/node_modules/**');
+        const programs = [];
+        for (const uri of files || []) {
+            for (const program of this._programsIn(uri.fsPath)) {
+                programs.push({ name: program.name, filePath: uri.fsPath, line: program.startLine });
+            }
+        }
+        return programs;
+    }
+
+    /**
+     * @returns {Promise<Array<{filePath: string, line: number}>>} Definitions of `name`,
+     *   with the conventional `name.ado` first.
+     */
+    async find(name) {
+        const hits = (await this.list())
+            .filter((program) => program.name === name)
+            .map(({ filePath, line }) => ({ filePath, line }));
+        const preferred = `${name}.ado`.toLowerCase();
+        return hits.sort((a, b) => Number(path.basename(b.filePath).toLowerCase() === preferred) - Number(path.basename(a.filePath).toLowerCase() === preferred));
+    }
+}
+
+class StataDefinitionProvider {
+    constructor(index = new AdoProgramIndex()) {
+        this._index = index;
+    }
+
+    async provideDefinition(document, position) {
+        const text = document.getText();
+        const masked = maskComments(text)[position.line] || '';
+
+        const included = findIncludedPath(masked, position.character);
+        if (included) {
+            const target = this._resolveIncludedPath(included.path, document);
+            return target ? new vscode.Location(vscode.Uri.file(target), new vscode.Position(0, 0)) : undefined;
+        }
+
+        const wordRange = document.getWordRangeAtPosition(position, /[A-Za-z_][\w.]*/);
+        if (!wordRange) return undefined;
+        const word = document.getText(wordRange);
+
+        const local = findProgramDefinitions(text).filter((p) => p.name === word);
+        if (local.length) {
+            return local.map((p) => new vscode.Location(document.uri, new vscode.Position(p.startLine, 0)));
+        }
+        const hits = await this._index.find(word);
+        if (!hits.length) return undefined;
+        return hits.map((hit) => new vscode.Location(vscode.Uri.file(hit.filePath), new vscode.Position(hit.line, 0)));
+    }
+
+    _resolveIncludedPath(target, document) {
+        return resolveIncludedFile(target, path.dirname(document.uri.fsPath));
+    }
+}
+
+/**
+ * Resolve a `do`/`run`/`include` argument against the including file's folder, then the workspace folders.
+ * A missing extension defaults to `.do`, as in Stata.
+ * @returns {string|null} Absolute path of an existing file.
+ */
+function resolveIncludedFile(target, baseDir) {
+    const candidates = path.extname(target) ? [target] : [target, `${target}.do`];
+    const bases = [baseDir, ...(vscode.workspace.workspaceFolders || []).map((f) => f.uri.fsPath)].filter(Boolean);
+    for (const candidate of candidates) {
+        const options = path.isAbsolute(candidate) ? [candidate] : bases.map((base) => path.resolve(base, candidate));
+        const found = options.find((option) => {
+            try {
+                return fs.existsSync(option);
+            } catch (_err) {
+                return false;
+            }
+        });
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Every literal `do`/`run`/`include` path in a document, in source order.
+ * @returns {Array<{path: string, line: number}>}
+ */
+function findIncludedPaths(text) {
+    const found = [];
+    maskComments(text).forEach((maskedLine, line) => {
+        const match = DO_COMMAND.exec(maskedLine);
+        const included = match ? findIncludedPath(maskedLine, match[1].length) : null;
+        if (included) found.push({ path: included.path, line });
+    });
+    return found;
+}
+
+const toRange = (o) => new vscode.Range(new vscode.Position(o.line, o.start), new vscode.Position(o.line, o.end));
+
+class StataMacroReferenceProvider {
+    provideReferences(document, position, context) {
+        const found = findMacroOccurrences(document.getText(), position.line, position.character);
+        if (!found) return [];
+        return found.occurrences
+            .filter((o) => context?.includeDeclaration !== false || !o.definition)
+            .map((o) => new vscode.Location(document.uri, toRange(o)));
+    }
+}
+
+class StataMacroRenameProvider {
+    prepareRename(document, position) {
+        const found = findMacroOccurrences(document.getText(), position.line, position.character);
+        if (!found) throw new Error('Only local and global macros can be renamed.');
+        return { range: toRange(found), placeholder: found.name };
+    }
+
+    provideRenameEdits(document, position, newName) {
+        const found = findMacroOccurrences(document.getText(), position.line, position.character);
+        if (!found) return undefined;
+        if (!MACRO_NAME.test(newName)) {
+            throw new Error(`"${newName}" is not a valid macro name.`);
+        }
+        const edit = new vscode.WorkspaceEdit();
+        for (const o of found.occurrences) {
+            edit.replace(document.uri, toRange(o), newName);
+        }
+        return edit;
+    }
+}
+
+module.exports = {
+    findProgramDefinitions,
+    findMataFunctions,
+    lineMacroOccurrences,
+    findMacroOccurrences,
+    findIncludedPath,
+    findIncludedPaths,
+    resolveIncludedFile,
+    AdoProgramIndex,
+    StataDocumentSymbolProvider,
+    StataDefinitionProvider,
+    StataMacroReferenceProvider,
+    StataMacroRenameProvider
+};
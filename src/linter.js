@@ -0,0 +1,488 @@
+const path = require('path');
+const { getVscode } = require('./runtime-context');
+const { scanLine, logicalLines, splitStatements, maskComments, forEachUnquoted, findUnquoted, isMataBlockStart } = require('./stata-syntax');
+const { findProgramDefinitions } = require('./language-features');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+const PREFIX = '(?:(?:cap(?:t(?:u(?:r(?:e)?)?)?)?|qui(?:e(?:t(?:l(?:y)?)?)?)?|n(?:oi(?:s(?:i(?:l(?:y)?)?)?)?)?)\\s+)*';
+const VERSION_LINE = new RegExp(`^\\s*${PREFIX}vers(?:i(?:o(?:n)?)?)?\\s+\\d`, 'i');
+const SET_MORE_ON = new RegExp(`^(\\s*${PREFIX}set\\s+more\\s+)(on)\\b`, 'i');
+const DELIMIT = /^\s*#d(?:e(?:l(?:i(?:m(?:i(?:t)?)?)?)?)?)?\s+(;|cr)\s*$/i;
+const ABSOLUTE_PATH = /^(?:[A-Za-z]:[\\/]|\\\\[^\\\s]|~\/|\/[^/\s"]+\/)/;
+const GLOBAL_ROOT = /^\s*gl(?:o(?:b(?:al?)?)?)?\s+root\s+(?:"([^"]*)"|(\S+))/;
+
+/**
+ * Lint rules, each configurable as `stataMcp.lint.<id>` (off, hint, information, warning or error).
+ */
+const LINT_RULES = [
+    { id: 'absolutePaths', severity: 'warning', description: 'Hard-coded absolute file paths.' },
+    { id: 'setMoreOn', severity: 'warning', description: '`set more on`, which pauses output in batch runs.' },
+    { id: 'abbreviatedVariables', severity: 'information', description: 'Abbreviated variable names (checked against the dataset in memory).' },
+    { id: 'missingVersion', severity: 'information', description: 'Do-files and programs without a `version` statement.' },
+    { id: 'delimitMismatch', severity: 'error', description: '`#delimit ;` blocks that are not reset or leave a command unterminated.' },
+    { id: 'unbalancedBraces', severity: 'error', description: 'Unmatched `{` or `}`.' }
+];
+
+const KEYWORDS = new Set([
+    'if', 'in', 'using', 'of', 'to', 'with', 'varlist', 'newlist', 'numlist', 'anything', 'and', 'or',
+    '_n', '_N', '_all', '_cons', '_b', '_se', '_rc', '_pi', 'byte', 'int', 'long', 'float', 'double', 'strL'
+]);
+// Commands whose arguments are not (or not only) existing variable names.
+const SKIP_COMMANDS = new Set([
+    'local', 'loc', 'loca', 'global', 'gl', 'glo', 'glob', 'globa', 'scalar', 'sca', 'matrix', 'mat', 'display', 'di', 'dis', 'disp',
+    'program', 'pr', 'pro', 'prog', 'end', 'version', 'vers', 'set', 'cd', 'use', 'u', 'save', 'sa', 'import', 'export', 'insheet', 'outsheet',
+    'do', 'run', 'ru', 'include', 'foreach', 'forvalues', 'forv', 'while', 'if', 'else', 'args', 'syntax', 'tempvar', 'tempname', 'tempfile',
+    'mata', 'log', 'clear', 'rename', 'ren', 'predict', 'label', 'lab', 'la', 'estimates', 'est', 'eststo', 'esttab', 'return', 'ereturn',
+    'exit', 'error', 'merge', 'append', 'sysuse', 'webuse', 'preserve', 'restore', 'frame', 'frames', 'collapse', 'xi', 'putexcel',
+    'file', 'timer', 'help', 'which', 'ssc', 'net', 'ado', 'adopath', 'sysdir', 'macro', 'creturn', 'query', 'graph', 'gr', 'twoway', 'tw',
+    'capture', 'quietly', 'noisily', 'continue', 'break', 'confirm', 'reshape'
+]);
+const NEW_VARIABLE_COMMANDS = new Set(['g', 'ge', 'gen', 'gene', 'gener', 'genera', 'generat', 'generate', 'egen', 'clonevar']);
+
+const range = (line, start, endLine, end) => ({ startLine: line, startCharacter: start, endLine: endLine ?? line, endCharacter: end });
+const insertAt = (line, character, newText) => ({ range: range(line, character, line, character), newText });
+
+/**
+ * Replace quoted string contents with spaces so only bare code remains (offsets preserved).
+ */
+function blankStrings(masked) {
+    const chars = Array.from(masked, () => ' ');
+    forEachUnquoted(masked, (ch, i) => {
+        chars[i] = ch;
+    });
+    return chars.join('');
+}
+
+function firstCodeLine(masked) {
+    return masked.findIndex((line) => line.trim() && !DELIMIT.test(line));
+}
+
+function checkAbsolutePaths(ctx) {
+    const findings = [];
+    const rootDefinition = ctx.lines.map((l) => GLOBAL_ROOT.exec(l)).find(Boolean);
+    const definedRoot = rootDefinition ? (rootDefinition[1] ?? rootDefinition[2]) : null;
+    const docDir = ctx.fileName ? path.dirname(ctx.fileName) : null;
+
+    ctx.masked.forEach((masked, line) => {
+        if (GLOBAL_ROOT.test(masked)) return;
+        const regex = /"([^"]*)"|(?<=^|\s)([^\s",]+)/g;
+        let match;
+        while ((match = regex.exec(masked)) !== null) {
+            const quoted = match[1] !== undefined;
+            const value = quoted ? match[1] : match[2];
+            // Bare tokens such as `y /z/2` are arithmetic, not paths.
+            if (!ABSOLUTE_PATH.test(value) || (!quoted && !/[A-Za-z]{2}/.test(value))) continue;
+            const start = match.index + (quoted ? 1 : 0);
+            const end = start + value.length;
+            const fixes = [];
+            const posix = value.replace(/\\/g, '/');
+
+            if (docDir && path.isAbsolute(value)) {
+                const relative = path.relative(docDir, value);
+                if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+                    fixes.push({ title: `Use path relative to the do-file: ${relative.replace(/\\/g, '/')}`, edits: [{ range: range(line, start, line, end), newText: relative.replace(/\\/g, '/') }] });
+                }
+            }
+            if (definedRoot !== null) {
+                const root = definedRoot.replace(/\\/g, '/').replace(/\/$/, '');
+                if (root && posix.startsWith(`${root}/`)) {
+                    fixes.push({ title: 'Use the ${root} global', edits: [{ range: range(line, start, line, end), newText: `\${root}${posix.slice(root.length)}` }] });
+                }
+            } else {
+                const dir = posix.includes('/', 1) ? posix.slice(0, posix.lastIndexOf('/')) : posix;
+                const insertLine = Math.max(firstCodeLine(ctx.masked), 0);
+                fixes.push({
+                    title: `Move "${dir}" into a global macro`,
+                    edits: [
+                        insertAt(insertLine, 0, `global root "${dir}"\n`),
+                        { range: range(line, start, line, end), newText: `\${root}${posix.slice(dir.length)}` }
+                    ]
+                });
+            }
+            findings.push({ rule: 'absolutePaths', message: `Hard-coded absolute path "${value}" will not work on other machines.`, range: range(line, start, line, end), fixes });
+        }
+    });
+    return findings;
+}
+
+function checkSetMoreOn(ctx) {
+    const findings = [];
+    ctx.masked.forEach((masked, line) => {
+        const match = SET_MORE_ON.exec(masked);
+        if (!match) return;
+        const start = match[1].length;
+        findings.push({
+            rule: 'setMoreOn',
+            message: '`set more on` pauses output and can hang non-interactive runs.',
+            range: range(line, start, line, start + 2),
+            fixes: [{ title: 'Change to `set more off`', edits: [{ range: range(line, start, line, start + 2), newText: 'off' }] }]
+        });
+    });
+    return findings;
+}
+
+function checkMissingVersion(ctx) {
+    const findings = [];
+    const versionLine = `version ${ctx.version}`;
+    const hasVersion = (from, to) => ctx.masked.slice(from, to + 1).some((l) => VERSION_LINE.test(l));
+
+    if (/\.ado$/i.test(ctx.fileName || '')) {
+        for (const program of findProgramDefinitions(ctx.text)) {
+            if (hasVersion(program.startLine, program.endLine)) continue;
+            const next = ctx.lines[program.startLine + 1] || '';
+            const indent = /^\s*/.exec(next)[0] || '    ';
+            findings.push({
+                rule: 'missingVersion',
+                message: `Program ${program.name} does not set a \`version\`; results may change with newer Stata releases.`,
+                range: range(program.startLine, 0, program.startLine, ctx.lines[program.startLine].length),
+                fixes: [{ title: `Insert \`${versionLine}\``, edits: [insertAt(program.startLine + 1, 0, `${indent}${versionLine}\n`)] }]
+            });
+        }
+        return findings;
+    }
+
+    const first = firstCodeLine(ctx.masked);
+    if (first === -1 || hasVersion(0, ctx.masked.length - 1)) return findings;
+    findings.push({
+        rule: 'missingVersion',
+        message: 'Do-file has no `version` statement; results may change with newer Stata releases.',
+        range: range(first, 0, first, ctx.lines[first].length),
+        fixes: [{ title: `Insert \`${versionLine}\``, edits: [insertAt(first, 0, `${versionLine}\n`)] }]
+    });
+    return findings;
+}
+
+function checkDelimit(ctx) {
+    const findings = [];
+    let semicolon = false;
+    let openedAt = -1;
+    let pending = null;
+    let inBlockComment = false;
+
+    ctx.lines.forEach((text, line) => {
+        const scanned = scanLine(text, { inBlockComment, continuation: semicolon && !!pending });
+        inBlockComment = scanned.inBlockComment;
+        const directive = DELIMIT.exec(scanned.code);
+        // Offsets come from the masked line so inline comments do not shift them.
+        const code = scanned.masked.replace(/\s+$/, '');
+        if (directive) {
+            const toSemicolon = directive[1] === ';';
+            if (toSemicolon === semicolon) {
+                findings.push({
+                    rule: 'delimitMismatch',
+                    message: `Redundant \`#delimit ${directive[1]}\`: the delimiter is already ${semicolon ? '";"' : 'carriage return'}.`,
+                    range: range(line, 0, line, text.length),
+                    fixes: [{ title: 'Remove this line', edits: [{ range: range(line, 0, line + 1, 0), newText: '' }] }]
+                });
+                return;
+            }
+            if (!toSemicolon && pending) {
+                findings.push({
+                    rule: 'delimitMismatch',
+                    message: 'Command is not terminated with `;` before `#delimit cr`.',
+                    range: range(pending.startLine, pending.start, pending.endLine, pending.end),
+                    fixes: [{ title: 'Add the missing `;`', edits: [insertAt(pending.endLine, pending.end, ';')] }]
+                });
+            }
+            semicolon = toSemicolon;
+            openedAt = toSemicolon ? line : -1;
+            pending = null;
+            return;
+        }
+        if (!semicolon || !code.trim()) return;
+        let rest = code;
+        let offset = 0;
+        let index;
+        while ((index = findUnquoted(rest, ';')) !== -1) {
+            pending = null;
+            offset += index + 1;
+            rest = rest.slice(index + 1);
+        }
+        if (rest.trim()) {
+            const start = offset + (rest.length - rest.trimStart().length);
+            pending = pending
+                ? { ...pending, endLine: line, end: code.length }
+                : { startLine: line, start, endLine: line, end: code.length };
+        }
+    });
+
+    if (semicolon) {
+        const last = ctx.lines.length - 1;
+        findings.push({
+            rule: 'delimitMismatch',
+            message: '`#delimit ;` is never switched back with `#delimit cr`.',
+            range: range(openedAt, 0, openedAt, ctx.lines[openedAt].length),
+            fixes: [{ title: 'Add `#delimit cr` at the end of the file', edits: [insertAt(last, ctx.lines[last].length, `${ctx.lines[last] ? '\n' : ''}#delimit cr\n`)] }]
+        });
+    }
+    return findings;
+}
+
+function checkBraces(ctx) {
+    const findings = [];
+    const open = [];
+    ctx.masked.forEach((masked, line) => {
+        forEachUnquoted(masked, (ch, i) => {
+            if (ch === '{') {
+                open.push({ line, character: i });
+            } else if (ch === '}') {
+                if (open.length) {
+                    open.pop();
+                } else {
+                    findings.push({
+                        rule: 'unbalancedBraces',
+                        message: 'Closing brace has no matching `{`.',
+                        range: range(line, i, line, i + 1),
+                        fixes: [{ title: 'Remove the unmatched `}`', edits: [{ range: range(line, i, line, i + 1), newText: '' }] }]
+                    });
+                }
+            }
+        });
+    });
+    const last = ctx.lines.length - 1;
+    for (const brace of open) {
+        const indent = /^\s*/.exec(ctx.lines[brace.line])[0];
+        findings.push({
+            rule: 'unbalancedBraces',
+            message: 'Opening brace is never closed.',
+            range: range(brace.line, brace.character, brace.line, brace.character + 1),
+            fixes: [{ title: 'Add a closing `}` at the end of the file', edits: [insertAt(last, ctx.lines[last].length, `${ctx.lines[last] ? '\n' : ''}${indent}}\n`)] }]
+        });
+    }
+    return findings;
+}
+
+function commandOf(code) {
+    const match = /^\s*(?:(?:cap\w*|qui\w*|noi\w*)\s+)*(?:(?:by|bys\w*)\b[^:]*:\s*(?:(?:cap\w*|qui\w*|noi\w*)\s+)*)?([A-Za-z_]\w*)/.exec(code);
+    return match ? { name: match[1], end: match.index + match[0].length } : null;
+}
+
+/**
+ * Names created by the file itself (`generate`, `egen`, `clonevar`, `rename`, `gen()` options).
+ */
+function definedNames(statements) {
+    const names = new Set();
+    for (const statement of statements) {
+        const command = commandOf(statement.code);
+        if (!command) continue;
+        const rest = statement.code.slice(command.end);
+        if (NEW_VARIABLE_COMMANDS.has(command.name)) {
+            const target = /^\s*(?:(?:byte|int|long|float|double|str\d+|strL)\s+)?([A-Za-z_]\w*)/.exec(rest);
+            if (target) names.add(target[1]);
+        } else if (/^ren(?:a(?:m(?:e)?)?)?$/.test(command.name)) {
+            const target = /(\w+)\s*$/.exec(rest.split(',')[0]);
+            if (target) names.add(target[1]);
+        }
+        const option = /\bgen(?:erate)?\(\s*([A-Za-z_]\w*)/g;
+        let match;
+        while ((match = option.exec(rest)) !== null) names.add(match[1]);
+    }
+    return names;
+}
+
+function checkAbbreviations(ctx) {
+    const variables = ctx.variables || [];
+    if (!variables.length) return [];
+    const known = new Set(variables);
+    const mataBlocks = splitStatements(ctx.text).filter((s) => isMataBlockStart(logicalLines(s.code)[0]?.code));
+    const statements = logicalLines(ctx.text)
+        .filter((s) => !s.directive && !mataBlocks.some((b) => s.startLine >= b.startLine && s.startLine <= b.endLine));
+    const defined = definedNames(statements);
+    const findings = [];
+
+    for (const statement of statements) {
+        const command = commandOf(statement.code);
+        if (!command || SKIP_COMMANDS.has(command.name)) continue;
+        let skipNew = NEW_VARIABLE_COMMANDS.has(command.name);
+        let inOptions = false;
+
+        for (let line = statement.startLine; line <= statement.endLine && !inOptions; line++) {
+            const code = blankStrings(ctx.masked[line] || '');
+            let from = 0;
+            if (line === statement.startLine) {
+                const head = commandOf(code);
+                from = head ? head.end : 0;
+            }
+            let depth = 0;
+            const tokens = /[A-Za-z_][A-Za-z0-9_]*|[(),[\]]/g;
+            tokens.lastIndex = from;
+            let token;
+            while ((token = tokens.exec(code)) !== null) {
+                const word = token[0];
+                if (word === '(' || word === '[') { depth++; continue; }
+                if (word === ')' || word === ']') { depth = Math.max(0, depth - 1); continue; }
+                if (word === ',') {
+                    if (depth === 0) { inOptions = true; break; }
+                    continue;
+                }
+                const before = code[token.index - 1] || '';
+                const after = code[token.index + word.length] || '';
+                if (/[`$\w{]/.test(before) || after === '(' || after === '.' || after === "'") continue;
+                // `.a` ... `.z` are extended missing values, not variables; `i.a` is still a factor variable.
+                if (before === '.' && /^[a-z]$/.test(word) && !/[\w)\]'}]/.test(code[token.index - 2] || '')) continue;
+                if (KEYWORDS.has(word) || /^str\d+$/.test(word)) continue;
+                if (skipNew) {
+                    skipNew = false;
+                    continue;
+                }
+                if (known.has(word) || defined.has(word)) continue;
+                const candidates = variables.filter((v) => v.startsWith(word));
+                if (!candidates.length) continue;
+                const tokenRange = range(line, token.index, line, token.index + word.length);
+                findings.push({
+                    rule: 'abbreviatedVariables',
+                    message: candidates.length === 1
+                        ? `"${word}" abbreviates variable ${candidates[0]}; spell it out.`
+                        : `"${word}" is an ambiguous abbreviation (${candidates.slice(0, 5).join(', ')}${candidates.length > 5 ? ', ...' : ''}).`,
+                    range: tokenRange,
+                    fixes: candidates.slice(0, 5).map((name) => ({ title: `Replace with ${name}`, edits: [{ range: tokenRange, newText: name }] }))
+                });
+            }
+        }
+    }
+    return findings;
+}
+
+const CHECKS = {
+    absolutePaths: checkAbsolutePaths,
+    setMoreOn: checkSetMoreOn,
+    abbreviatedVariables: checkAbbreviations,
+    missingVersion: checkMissingVersion,
+    delimitMismatch: checkDelimit,
+    unbalancedBraces: checkBraces
+};
+
+/**
+ * Lint Stata source.
+ * @param {string} text
+ * @param {{fileName?: string, variables?: string[], rules?: Object<string, string>, version?: string}} [options]
+ *   `rules` maps rule ids to a severity; rules set to 'off' are skipped.
+ * @returns {Array<{rule: string, message: string, severity: string, range: object,
+ *   fixes: Array<{title: string, edits: Array<{range: object, newText: string}>}>}>}
+ *   Ranges use 0-based `startLine`/`startCharacter`/`endLine`/`endCharacter`.
+ */
+function lintText(text, options = {}) {
+    const lines = String(text ?? '').split(/\r?\n/);
+    const ctx = {
+        text: String(text ?? ''),
+        lines,
+        masked: maskComments(text),
+        fileName: options.fileName || '',
+        variables: options.variables || [],
+        version: options.version || '17'
+    };
+    const findings = [];
+    for (const rule of LINT_RULES) {
+        const severity = options.rules?.[rule.id] ?? rule.severity;
+        if (severity === 'off') continue;
+        for (const finding of CHECKS[rule.id](ctx)) {
+            findings.push({ ...finding, severity });
+        }
+    }
+    return findings.sort((a, b) => a.range.startLine - b.range.startLine || a.range.startCharacter - b.range.startCharacter);
+}
+
+const SEVERITY_NAMES = { error: 'Error', warning: 'Warning', information: 'Information', hint: 'Hint' };
+
+function toVscodeRange(r) {
+    return new vscode.Range(new vscode.Position(r.startLine, r.startCharacter), new vscode.Position(r.endLine, r.endCharacter));
+}
+
+/**
+ * Runs `lintText` on saved .do/.ado files, publishes diagnostics and serves the quick fixes.
+ */
+class StataLinter {
+    /**
+     * @param {{getVariables?: () => string[]}} [deps] Variable names of the dataset in memory, for abbreviation checks.
+     */
+    constructor({ getVariables } = {}) {
+        this._getVariables = getVariables || (() => []);
+        this._collection = vscode.languages.createDiagnosticCollection('stata-lint');
+        this._findings = new Map();
+    }
+
+    static isLintable(document) {
+        return /\.(?:do|ado)$/i.test(document?.uri?.fsPath || document?.fileName || '');
+    }
+
+    _options(document) {
+        const config = vscode.workspace.getConfiguration('stataMcp');
+        const rules = {};
+        for (const rule of LINT_RULES) {
+            rules[rule.id] = config.get(`lint.${rule.id}`, rule.severity);
+        }
+        return {
+            fileName: document.uri?.fsPath || document.fileName,
+            variables: rules.abbreviatedVariables === 'off' ? [] : this._getVariables(),
+            rules,
+            version: String(config.get('lint.version', '17'))
+        };
+    }
+
+    /**
+     * Lint a document and publish its diagnostics.
+     * @returns {Array<object>} The findings.
+     */
+    lintDocument(document) {
+        const config = vscode.workspace.getConfiguration('stataMcp');
+        if (!StataLinter.isLintable(document) || !config.get('lint.enabled', true)) {
+            this.clear(document);
+            return [];
+        }
+        const findings = lintText(document.getText(), this._options(document));
+        this._findings.set(document.uri.fsPath, findings);
+        this._collection.set(document.uri, findings.map((finding) => {
+            const diagnostic = new vscode.Diagnostic(
+                toVscodeRange(finding.range),
+                finding.message,
+                vscode.DiagnosticSeverity[SEVERITY_NAMES[finding.severity] || 'Warning']
+            );
+            diagnostic.source = 'stata-lint';
+            diagnostic.code = finding.rule;
+            return diagnostic;
+        }));
+        return findings;
+    }
+
+    clear(document) {
+        this._findings.delete(document.uri.fsPath);
+        this._collection.delete(document.uri);
+    }
+
+    provideCodeActions(document, _range, context) {
+        const findings = this._findings.get(document.uri.fsPath) || [];
+        const actions = [];
+        for (const diagnostic of context?.diagnostics || []) {
+            if (diagnostic.source !== 'stata-lint') continue;
+            const finding = findings.find((f) => f.rule === diagnostic.code
+                && f.range.startLine === diagnostic.range.start.line
+                && f.range.startCharacter === diagnostic.range.start.character);
+            for (const fix of finding?.fixes || []) {
+                const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                for (const edit of fix.edits) {
+                    action.edit.replace(document.uri, toVscodeRange(edit.range), edit.newText);
+                }
+                action.diagnostics = [diagnostic];
+                actions.push(action);
+            }
+        }
+        return actions;
+    }
+
+    dispose() {
+        this._collection.dispose();
+        this._findings.clear();
+    }
+}
+
+module.exports = {
+    LINT_RULES,
+    lintText,
+    StataLinter
+};
@@ -80,8 +80,25 @@ function parseSMCL(smclText) {
     return { rc, errorContext };
 }
 
+/**
+ * Reduce SMCL markup to plain text for places that cannot render it (Debug Console, hovers).
+ * @param {string} smclText Raw SMCL string
+ * @returns {string}
+ */
+function stripSmcl(smclText) {
+    if (!smclText) return '';
+    return String(smclText)
+        .replace(/\{hline(?:\s+(\d+))?\}/g, (_, n) => '-'.repeat(n ? parseInt(n, 10) : 20))
+        .replace(/\{c\s+\|\}/g, '|')
+        .replace(/\{c\s+\+\}/g, '+')
+        .replace(/\{space\s+(\d+)\}/g, (_, n) => ' '.repeat(parseInt(n, 10)))
+        .replace(/\{(?:browse|help|stata|view|manlink|mansection)\s+[^}:]*:([^}]*)\}/g, '$1')
+        .replace(/\{[^{}]*\}/g, '');
+}
+
 module.exports = {
     filterMcpLogs,
     parseSMCL,
+    stripSmcl,
     INTERNAL_PATTERNS
 };
@@ -8,9 +8,13 @@ const fs = createDepProxy(getFs);
 const pkg = require('../package.json');
 const https = require('https');
 const { filterMcpLogs } = require('./log-utils');
+const { readRemoteConfig, toRemotePath, toLocalPath, isMappedRemotePath, remoteTempDir, sshServerParams, createHttpTransport, UiChannelTunnel } = require('./mcp-remote');
+const { RunQueue } = require('./run-queue');
 const MCP_PACKAGE_NAME = 'mcp-stata';
 const MCP_PACKAGE_SPEC = 'mcp-stata'; // Default spec for logging/errors
 const MCP_SERVER_ID = 'mcp_stata';
+// Session used when none is named; the only one before named sessions existed.
+const DEFAULT_SESSION = 'default';
 
 // The MCP SDK exposes a stdio client transport we can use for VS Code.
 // For Cursor, we first try a built-in bridge command if available, then fall back to stdio.
@@ -42,12 +46,17 @@ try {
 }
 
 class StataMcpClient {
-    constructor() {
+    /**
+     * @param {{sessionName?: string}} [options] Named sessions each start their own mcp-stata
+     *   server, so they have their own Stata, queue and status.
+     */
+    constructor({ sessionName = DEFAULT_SESSION } = {}) {
+        this.sessionName = sessionName || DEFAULT_SESSION;
         this._clientPromise = null;
         this._transport = null;
         this._cursorCommand = null;
         this._statusEmitter = new EventEmitter();
-        this._queue = Promise.resolve();
+        this._queue = new RunQueue();
         this._pending = 0;
         this._active = false;
         this._activeCancellation = null;
@@ -67,6 +76,12 @@ class StataMcpClient {
         this._forceLatestServer = false;
         this._forceLatestAttempted = false;
         this._pypiVersion = null;
+        // Remote settings while connected to a server on another host (see mcp-remote.js).
+        this._remote = null;
+        this._uiTunnel = null;
+        this._unmappedPathWarned = false;
+        // Transports being closed on purpose; any other close means the server went away.
+        this._closingTransports = new WeakSet();
     }
 
     _attachStderrListener(stream, source) {
@@ -122,6 +137,50 @@ class StataMcpClient {
         return { dispose: () => this._statusEmitter.off('status', listener) };
     }
 
+    /**
+     * Pending, running and recently finished runs. Reorder or pause them here; cancel one
+     * with cancelRun.
+     * @returns {RunQueue}
+     */
+    get runQueue() {
+        return this._queue;
+    }
+
+    /**
+     * @param {(info: {sessionName: string, reason: string}) => void} listener Called when the
+     *   connected mcp-stata server exits or drops the connection without being asked to. Stata's
+     *   state went with it; the next command starts a fresh server.
+     */
+    onConnectionLost(listener) {
+        this._statusEmitter.on('connectionLost', listener);
+        return { dispose: () => this._statusEmitter.off('connectionLost', listener) };
+    }
+
+    /**
+     * Start a fresh server after the connection was lost, retrying with exponential backoff.
+     * @param {{maxAttempts?: number, initialDelayMs?: number, maxDelayMs?: number,
+     *   onAttempt?: (attempt: number, maxAttempts: number) => void}} [options]
+     * @returns {Promise<object>} The connected client.
+     * @throws {Error} The last connection error once every attempt failed.
+     */
+    async reconnect({ maxAttempts = 5, initialDelayMs = 1000, maxDelayMs = 30000, onAttempt } = {}) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (typeof onAttempt === 'function') onAttempt(attempt, maxAttempts);
+            try {
+                return await this._ensureClient();
+            } catch (err) {
+                lastError = err;
+                this._resetClientState();
+                this._log(`[mcp-stata] Reconnect attempt ${attempt}/${maxAttempts} failed: ${err?.message || err}`);
+                if (attempt < maxAttempts) {
+                    await this._delay(Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs));
+                }
+            }
+        }
+        throw lastError || new Error('Could not reconnect to mcp-stata');
+    }
+
     async runSelection(selection, options = {}) {
         const { normalizeResult, includeGraphs, onLog, onRawLog, onProgress, onGraphReady, onTaskDone, runId, cancellationToken: externalCancellationToken, ...rest } = options || {};
         const config = vscode.workspace.getConfiguration('stataMcp');
@@ -139,7 +198,7 @@ class StataMcpClient {
                 args.max_output_lines = maxOutputLines;
             }
             if (cwd && cwd.trim()) {
-                args.cwd = cwd;
+                args.cwd = this._serverPath(cwd, { required: false });
             }
 
             const progressToken = (typeof onProgress === 'function')
@@ -219,11 +278,12 @@ class StataMcpClient {
         const cts = this._createCancellationSource(externalCancellationToken);
 
         const result = await this._enqueue('stata_run', { ...rest, runId, cancellationToken: cts.token, cancellationSource: cts, deferArtifacts: true }, async (client) => {
+            const serverFilePath = this._serverPath(filePath, { required: true });
             const args = {
-                code: filePath,
-                path: filePath,
+                code: serverFilePath,
+                path: serverFilePath,
                 is_file: true,
-                cwd: cwd && cwd.trim() ? cwd : undefined
+                cwd: cwd && cwd.trim() ? this._serverPath(cwd, { required: false }) : undefined
             };
             if (maxOutputLines && maxOutputLines > 0) {
                 args.max_output_lines = maxOutputLines;
@@ -286,6 +346,11 @@ class StataMcpClient {
         return result;
     }
 
+    /**
+     * Run code through the serial queue. Pass `internal: true` for the extension's own
+     * snapshots and lookups: they wait their turn but stay out of the Run Queue list and
+     * run while it is paused.
+     */
     async run(code, options = {}) {
         const { onLog, onRawLog, onProgress, onGraphReady, cancellationToken: externalCancellationToken, ...rest } = options || {};
         const config = vscode.workspace.getConfiguration('stataMcp');
@@ -302,7 +367,7 @@ class StataMcpClient {
                 args.max_output_lines = maxOutputLines;
             }
             if (cwd && cwd.trim()) {
-                args.cwd = cwd;
+                args.cwd = this._serverPath(cwd, { required: false });
             }
 
             const progressToken = (typeof onProgress === 'function')
@@ -357,10 +422,13 @@ class StataMcpClient {
             const text = this._extractText(response);
             const parsed = this._tryParseJson(text) || this._parseJson(response);
             // v3 ToolEnvelope: actual payload lives in `data`
-            if (parsed && typeof parsed === 'object' && parsed.data && typeof parsed.data === 'object') {
-                return parsed.data;
+            const channel = (parsed && typeof parsed === 'object' && parsed.data && typeof parsed.data === 'object')
+                ? parsed.data
+                : parsed;
+            if (this._uiTunnel && typeof channel?.baseUrl === 'string') {
+                return { ...channel, baseUrl: await this._uiTunnel.baseUrlFor(channel.baseUrl) };
             }
-            return parsed;
+            return channel;
         });
     }
 
@@ -371,6 +439,21 @@ class StataMcpClient {
         });
     }
 
+    /**
+     * Fetch the help text for a command or topic as plain text.
+     */
+    async getHelp(topic, options = {}) {
+        return this._enqueue('stata_get_help', options, async (client) => {
+            const response = await this._callTool(client, 'stata_get_help', { topic, plain_text: true });
+            const parsed = this._parseToolJson(response);
+            // v3 ToolEnvelope: the help text lives in `data`; older servers reply with the text itself.
+            const data = parsed && typeof parsed === 'object' && parsed.data !== undefined ? parsed.data : parsed;
+            if (typeof data === 'string') return data;
+            const text = [data?.help, data?.text, data?.content].find((v) => typeof v === 'string');
+            return text ?? this._extractText(response);
+        });
+    }
+
     async listGraphs(options = {}) {
         return this._enqueue('stata_manage_graphs', options, async (client) => {
             const raw = await this._callTool(client, 'stata_manage_graphs', { action: 'list' });
@@ -404,15 +487,41 @@ class StataMcpClient {
         });
     }
 
+    /**
+     * Export the graphs in Stata's memory. Without `format` the server's export_all is used;
+     * with it, each graph (or only those in `names`) is exported individually in that format.
+     * @param {{format?: 'png'|'svg'|'pdf', names?: string[], baseDir?: string}} [options]
+     */
     async exportAllGraphs(options = {}) {
-        return this._enqueue('export_all_graphs', options, async (client) => {
-            const artifacts = await this._collectGraphArtifacts(client, options);
-            return { graphs: artifacts };
+        const { format, names, ...rest } = options || {};
+        if (!format) {
+            return this._enqueue('export_all_graphs', rest, async (client) => {
+                const artifacts = await this._collectGraphArtifacts(client, rest);
+                return { graphs: artifacts };
+            });
+        }
+        return this._enqueue('export_all_graphs', rest, async (client) => {
+            const listed = this._firstGraphs(await this._callTool(client, 'stata_manage_graphs', { action: 'list' }));
+            const graphNames = listed
+                .map((g) => (typeof g === 'string' ? g : (g?.name || g?.graph_name || g?.label)))
+                .filter((name) => name && (!Array.isArray(names) || names.includes(name)));
+            const graphs = [];
+            for (const name of new Set(graphNames)) {
+                try {
+                    const response = await this._callTool(client, 'stata_manage_graphs', { action: 'export', graph_name: name, format });
+                    graphs.push(this._graphResponseToArtifact(response, name, rest.baseDir) || { label: name, error: 'Export returned no file' });
+                } catch (err) {
+                    graphs.push({ label: name, error: `Export failed: ${err.message || String(err)}` });
+                }
+            }
+            return { graphs };
         });
     }
 
     async dispose() {
+        this._closeUiTunnel();
         if (this._transport && typeof this._transport.close === 'function') {
+            this._closingTransports.add(this._transport);
             try {
                 await this._transport.close();
             } catch (error) {
@@ -616,6 +725,7 @@ class StataMcpClient {
             await this._refreshToolList(client);
 
             this._transport = transport;
+            this._watchConnection(client, transport);
             this._statusEmitter.emit('status', 'connected');
             return client;
         })();
@@ -678,6 +788,21 @@ class StataMcpClient {
         const config = vscode.workspace.getConfiguration('stataMcp');
         const env = getEnv();
         const uvCommand = env.MCP_STATA_UVX_CMD || 'uvx';
+
+        let remote;
+        try {
+            remote = readRemoteConfig(config);
+        } catch (err) {
+            this._statusEmitter.emit('status', 'error');
+            throw err;
+        }
+        this._closeUiTunnel();
+        this._remote = remote.mode === 'local' ? null : remote;
+        this._unmappedPathWarned = false;
+        if (this._remote) {
+            return this._createRemoteClient(this._remote, config, env);
+        }
+
         const serverConfig = this._loadServerConfig({ ignoreCommandArgs: this._forceLatestServer });
 
         const fallbackSpec = MCP_PACKAGE_NAME;
@@ -687,7 +812,8 @@ class StataMcpClient {
         let finalCommand = serverConfig.command || uvCommand;
         let finalArgs = serverConfig.args || ['--refresh', '--refresh-package', MCP_PACKAGE_NAME, '--from', currentSpec, MCP_PACKAGE_NAME];
 
-        this._log(`Starting mcp-stata via ${finalCommand} ${finalArgs.join(' ')} (ext v${this._clientVersion})`);
+        const sessionLabel = this.sessionName === DEFAULT_SESSION ? '' : ` for session "${this.sessionName}"`;
+        this._log(`Starting mcp-stata${sessionLabel} via ${finalCommand} ${finalArgs.join(' ')} (ext v${this._clientVersion})`);
 
         // Cursor: try a built-in bridge if present
         const commands = await vscode.commands.getCommands(true);
@@ -706,12 +832,7 @@ class StataMcpClient {
             throw new Error(`MCP SDK not found. Please run \`bun install\` to fetch @modelcontextprotocol/sdk.${detail}`);
         }
 
-        const setupTimeoutSeconds = (() => {
-            if (env.STATA_SETUP_TIMEOUT) return env.STATA_SETUP_TIMEOUT;
-            const val = Number(config.get('setupTimeoutSeconds', 60));
-            if (Number.isFinite(val) && val > 0) return String(Math.round(val));
-            return '60';
-        })();
+        const setupTimeoutSeconds = this._setupTimeoutSeconds(config, env);
 
         // Perform a pre-flight check to avoid ENOENT crashes in the transport layer.
         // On Windows, spawnSync handles .cmd/.exe suffixing when shell is not used if the command is on PATH.
@@ -796,6 +917,66 @@ class StataMcpClient {
             }
         });
 
+        this._watchTransport(transport);
+        const client = this._createSdkClient();
+        return { client, transport, setupTimeoutSeconds };
+    }
+
+    /**
+     * Connect to mcp-stata on another host: started over ssh (MCP over the ssh session's
+     * stdio) or already listening at a Streamable HTTP/SSE URL.
+     */
+    async _createRemoteClient(remote, config, env) {
+        if (!Client) {
+            this._statusEmitter.emit('status', 'error');
+            const detail = sdkLoadError?.message ? ` (${sdkLoadError.message})` : '';
+            throw new Error(`MCP SDK not found. Please run \`bun install\` to fetch @modelcontextprotocol/sdk.${detail}`);
+        }
+        const setupTimeoutSeconds = this._setupTimeoutSeconds(config, env);
+        const sessionLabel = this.sessionName === DEFAULT_SESSION ? '' : ` for session "${this.sessionName}"`;
+        let transport;
+        if (remote.mode === 'ssh') {
+            const { command, args } = sshServerParams(remote, {
+                STATA_SETUP_TIMEOUT: setupTimeoutSeconds,
+                PYTHONUNBUFFERED: '1'
+            });
+            this._log(`Starting mcp-stata${sessionLabel} on ${remote.sshHost} via ${command} ${args.join(' ')} (ext v${this._clientVersion})`);
+            if (!StdioClientTransport) {
+                this._statusEmitter.emit('status', 'error');
+                throw new Error('MCP SDK stdio transport not found. Please run `bun install` to fetch @modelcontextprotocol/sdk.');
+            }
+            transport = new StdioClientTransport({
+                command,
+                args,
+                stderr: 'pipe',
+                cwd: this._resolveWorkspaceRoot(),
+                env: { ...env }
+            });
+        } else {
+            this._log(`Connecting to mcp-stata${sessionLabel} at ${remote.url} (ext v${this._clientVersion})`);
+            transport = createHttpTransport(remote);
+        }
+        if (!remote.pathMappings.length) {
+            this._log('[mcp-stata] No stataMcp.remote.pathMappings: files, logs and graphs are only found where both hosts use the same paths.');
+        } else if (remote.mode === 'ssh') {
+            this._log(`[mcp-stata] Remote logs and graphs are written to ${remoteTempDir(remote)}`);
+        }
+        if (remote.sshHost || remote.mode === 'http') {
+            this._uiTunnel = new UiChannelTunnel(remote);
+        }
+        this._watchTransport(transport);
+        const client = this._createSdkClient();
+        return { client, transport, setupTimeoutSeconds };
+    }
+
+    _setupTimeoutSeconds(config, env) {
+        if (env.STATA_SETUP_TIMEOUT) return env.STATA_SETUP_TIMEOUT;
+        const val = Number(config.get('setupTimeoutSeconds', 60));
+        if (Number.isFinite(val) && val > 0) return String(Math.round(val));
+        return '60';
+    }
+
+    _watchTransport(transport) {
         // Guard against unhandled transport errors (e.g., spawn ENOENT when uvx is missing).
         const transportErrorHandler = (err) => {
             const message = err?.message || String(err);
@@ -828,7 +1009,9 @@ class StataMcpClient {
         } else {
             this._log(`[mcp-stata] WARNING: transport.stderr not available for capture`);
         }
+    }
 
+    _createSdkClient() {
         const client = new Client({ name: 'stata-vscode', version: this._clientVersion });
         if (typeof client.on === 'function') {
             client.on('error', (err) => {
@@ -864,7 +1047,77 @@ class StataMcpClient {
                 });
             }
         }
-        return { client, transport, setupTimeoutSeconds };
+        return client;
+    }
+
+    /**
+     * A local path as the server sees it. Paths outside every mapping are sent unchanged,
+     * except `required` ones (files to run), which the remote server could not open.
+     */
+    _serverPath(localPath, { required = false } = {}) {
+        if (!this._remote || typeof localPath !== 'string' || !localPath) return localPath;
+        const mapped = toRemotePath(localPath, this._remote.pathMappings);
+        if (mapped) return mapped;
+        if (required && this._remote.pathMappings.length) {
+            throw new Error(`${localPath} is not under any stataMcp.remote.pathMappings entry, so the remote Stata cannot open it.`);
+        }
+        return localPath;
+    }
+
+    /**
+     * A local file path as Stata sees it, for files the extension hands to Stata or reads back.
+     * @throws {Error} When connected remotely and the path is not under any path mapping.
+     */
+    serverPath(localPath) {
+        return this._serverPath(localPath, { required: true });
+    }
+
+    /**
+     * Where to put a temporary file both the extension and Stata use. Locally that is
+     * `localTmpPath` itself; on a remote server it is the same file name in the server's
+     * temporary folder (see remoteTempDir), as seen through the path mappings.
+     * @throws {Error} When connected remotely and that folder is not under any path mapping.
+     */
+    sharedTempPath(localTmpPath) {
+        if (!this._remote) return localTmpPath;
+        const serverDir = remoteTempDir(this._remote);
+        if (!serverDir || !isMappedRemotePath(serverDir, this._remote.pathMappings)) {
+            throw new Error('Stata runs on another host and cannot share files with VS Code. Add a stataMcp.remote.pathMappings entry (and keep stataMcp.remote.tempDir under it).');
+        }
+        const localDir = toLocalPath(serverDir, this._remote.pathMappings);
+        fs.mkdirSync(localDir, { recursive: true });
+        return path.join(localDir, path.basename(localTmpPath));
+    }
+
+    /**
+     * A path reported by a remote server as seen locally.
+     */
+    _localPath(serverPath) {
+        if (!this._remote || typeof serverPath !== 'string' || !serverPath) return serverPath;
+        if (!isMappedRemotePath(serverPath, this._remote.pathMappings)) this._warnUnmappedPath(serverPath);
+        return toLocalPath(serverPath, this._remote.pathMappings);
+    }
+
+    /**
+     * Logs and graphs the remote server writes outside every path mapping cannot be read here;
+     * say so once per connection instead of silently showing no output.
+     */
+    _warnUnmappedPath(serverPath) {
+        if (this._unmappedPathWarned) return;
+        this._unmappedPathWarned = true;
+        const hint = this._remote.mode === 'ssh'
+            ? 'Set stataMcp.remote.tempDir to a folder under a mapping.'
+            : 'Start the server with TMPDIR set to a folder under a mapping.';
+        const message = `The remote mcp-stata wrote ${serverPath}, which is not under any stataMcp.remote.pathMappings entry, so its output and graphs cannot be shown. ${hint}`;
+        this._log(`[mcp-stata] ${message}`);
+        vscode.window?.showWarningMessage?.(message);
+    }
+
+    _closeUiTunnel() {
+        if (this._uiTunnel) {
+            this._uiTunnel.close();
+            this._uiTunnel = null;
+        }
     }
 
     async _refreshToolList(client) {
@@ -1005,6 +1258,7 @@ class StataMcpClient {
         this._log(`[mcp-stata] Required tool "${name}" missing. Forcing refresh of ${MCP_PACKAGE_NAME} and restarting MCP client.`);
         try {
             if (this._transport && typeof this._transport.close === 'function') {
+                this._closingTransports.add(this._transport);
                 await this._transport.close();
             }
         } catch (_err) {
@@ -1313,12 +1567,12 @@ class StataMcpClient {
         // v3 tool envelopes: log-path is reported as `path` (log_path event) or `log_path`.
         // Do not accept legacy aliases (logPath, structuredContent, etc).
         const direct = response?.path || response?.log_path;
-        if (typeof direct === 'string' && direct.trim()) return direct;
+        if (typeof direct === 'string' && direct.trim()) return this._localPath(direct);
         const text = this._extractText(response);
         const parsed = this._tryParseJson(text);
         // ToolEnvelope wraps log_path inside data.log_path; also check log.path
         const lp = parsed?.path || parsed?.log_path || parsed?.data?.log_path || parsed?.log?.path;
-        if (typeof lp === 'string' && lp.trim()) return lp;
+        if (typeof lp === 'string' && lp.trim()) return this._localPath(lp);
         return null;
     }
 
@@ -1421,6 +1675,8 @@ class StataMcpClient {
         });
     }
 
+    // Each server holds one Stata session, always called 'default' on the server side; named
+    // sessions are separate servers, so this id does not change with `sessionName`.
     async _breakSession(client, sessionId = 'default') {
         if (!client) return;
         try {
@@ -1530,6 +1786,15 @@ class StataMcpClient {
         const bypassQueue = !!(options.bypassQueue || isMetadata);
 
         const internalRunId = options.runId || `internal-${Math.random().toString(36).slice(2, 9)}`;
+        const queueEntry = bypassQueue ? null : this._queue.add({
+            runId: internalRunId,
+            operation: label,
+            command: meta.filePath ? null : meta.command,
+            filePath: options.sourceFile || meta.filePath || null,
+            cwd: meta.cwd || null,
+            isFile: !!meta.filePath,
+            internal: !!options.internal
+        });
         this._pending += 1;
         // Improve status: if we have more than 1 pending, we are definitely queued.
         this._statusEmitter.emit('status', this._pending > 1 ? 'queued' : (this._active ? 'running' : 'idle'));
@@ -1556,8 +1821,11 @@ class StataMcpClient {
         };
 
         let sub;
-        // Connect the source to our onCancel logic
-        sub = source.token.onCancellationRequested(() => onCancel('Request cancelled'));
+        // Connect the source to our onCancel logic; a run still waiting leaves the queue at once.
+        sub = source.token.onCancellationRequested(() => {
+            if (queueEntry) this._queue.cancelPending(queueEntry);
+            onCancel('Request cancelled');
+        });
 
         // If an external token was also provided, link it to our source
         if (options.cancellationToken && options.cancellationToken !== source.token) {
@@ -1634,24 +1902,29 @@ class StataMcpClient {
         };
 
         const workPromise = (async () => {
+            let result = null;
+            let failure = null;
             try {
-                // Wait for the previous task to finish (or fail) before starting
-                if (!bypassQueue) {
-                    await this._queue.catch(() => { });
+                // Wait until this run reaches the front of the queue and the previous one finished
+                if (queueEntry) {
+                    await this._queue.acquire(queueEntry);
                 }
-                return await work();
+                result = await work();
+                return result;
+            } catch (error) {
+                failure = error;
+                throw error;
             } finally {
+                if (queueEntry) {
+                    const cancelled = source.token.isCancellationRequested || (failure && this._isCancellationError(failure));
+                    this._queue.release(queueEntry, { result, error: failure, cancelled: !!cancelled });
+                }
                 if (sub) {
                     sub.dispose();
                 }
             }
         })();
 
-        // Update the serial queue tail
-        if (!bypassQueue) {
-            this._queue = workPromise.catch(() => { });
-        }
-
         // If cancelled while still in queue, Promise.race will reject immediately
         // while the workPromise still correctly honors the serial chain.
         const out = Promise.race([workPromise, cancelPromise]);
@@ -1742,7 +2015,7 @@ class StataMcpClient {
             filePath: meta.filePath,
             contentText: safeContentText || parsed.stdout || '',
             // v3: only accept canonical log path fields (no legacy aliases).
-            logPath: meta.logPath || parsed.path || parsed.log_path || payload.path || payload.log_path || null,
+            logPath: meta.logPath || this._localPath(parsed.path || parsed.log_path || payload.path || payload.log_path || null),
             logSize: parsed.log_size || payload.log_size || null,
             raw: response
         };
@@ -1922,6 +2195,25 @@ class StataMcpClient {
         return lines.join('\n');
     }
 
+    _watchConnection(client, transport) {
+        if (!client || !transport) return;
+        const previous = client.onclose;
+        client.onclose = () => {
+            if (typeof previous === 'function') previous();
+            if (this._closingTransports.has(transport) || this._transport !== transport) return;
+            const detail = this._formatRecentStderr();
+            this._handleConnectionLost(`mcp-stata closed the connection${detail}`);
+        };
+    }
+
+    _handleConnectionLost(reason) {
+        this._log(`[mcp-stata] Connection lost: ${reason}`);
+        this._rejectPendingTaskWaiters(new Error('The mcp-stata server stopped unexpectedly'));
+        this._resetClientState();
+        this._statusEmitter.emit('status', 'error');
+        this._statusEmitter.emit('connectionLost', { sessionName: this.sessionName, reason });
+    }
+
     _resetClientState() {
         this._clientPromise = null;
         this._transport = null;
@@ -2119,12 +2411,12 @@ class StataMcpClient {
         }
 
         const label = graph.name || graph.label || graph.title || graph.graph_name || 'graph';
-        const base = graph.baseDir || graph.base_dir || baseDir || response?.baseDir || response?.base_dir || null;
+        const base = this._localPath(graph.baseDir || graph.base_dir) || baseDir || response?.baseDir || response?.base_dir || null;
         const href = graph.file_path || graph.path || null;
         if (!href) return null;
         return {
             label,
-            path: href,
+            path: this._localPath(href),
             baseDir: base
         };
     }
@@ -2138,7 +2430,7 @@ class StataMcpClient {
             if (typeof ref.path !== 'string' || !ref.path.trim()) return null;
             return {
                 label: label || ref.title || ref.name || 'graph',
-                path: ref.path,
+                path: this._localPath(ref.path),
                 baseDir: base
             };
         };
@@ -2312,7 +2604,7 @@ class StataMcpClient {
         const label = path.basename(trimmed) || 'graph';
         return {
             label,
-            path: trimmed,
+            path: this._localPath(trimmed),
             baseDir: baseDir || null
         };
     }
@@ -2327,7 +2619,7 @@ class StataMcpClient {
         if (!href) return null;
         return {
             label: candidate.name || candidate.label || candidate.graph_name || path.basename(href || '') || 'graph',
-            path: href,
+            path: this._localPath(href),
             baseDir: baseDir || null
         };
     }
@@ -2622,7 +2914,7 @@ class StataMcpClient {
             return;
         }
 
-        const lp = parsed?.path || parsed?.log_path;
+        const lp = this._localPath(parsed?.path || parsed?.log_path);
         if (run && event === 'log_path' && lp) {
             this._log(`[mcp-stata] log_path payload=${text}`);
             this._log(`[mcp-stata] log_path event matched for run ${run._runId || 'unknown'}, path=${lp}`);
@@ -2667,7 +2959,7 @@ class StataMcpClient {
                 const taskPayload = {
                     taskId: String(taskId),
                     runId: run?._runId || null,
-                    logPath: parsed?.path || parsed?.log_path || null,
+                    logPath: this._localPath(parsed?.path || parsed?.log_path || null),
                     status: parsed?.status || null,
                     rc: typeof parsed?.rc === 'number' ? parsed.rc : null
                 };
@@ -2702,7 +2994,7 @@ class StataMcpClient {
             const artifact = {
                 type: 'help',
                 label: parsed.label || 'Stata Help',
-                path: parsed.path || null,
+                path: this._localPath(parsed.path || null),
                 baseDir: parsed.base_dir || parsed.baseDir || null
             };
             if (artifact.path) {
@@ -2774,6 +3066,8 @@ class StataMcpClient {
 }
 
 let _sharedClient = null;
+const _sessionClients = new Map();
+let _activeSession = DEFAULT_SESSION;
 
 function getClient(options = {}) {
     if (!_sharedClient) {
@@ -2785,9 +3079,60 @@ function getClient(options = {}) {
     return _sharedClient;
 }
 
+/**
+ * The client for a named session, created on first use. The default session is the shared client.
+ * @param {string} [name]
+ * @returns {StataMcpClient}
+ */
+function getSessionClient(name = DEFAULT_SESSION) {
+    if (!name || name === DEFAULT_SESSION) return getClient();
+    let client = _sessionClients.get(name);
+    if (!client) {
+        client = new StataMcpClient({ sessionName: name });
+        _sessionClients.set(name, client);
+    }
+    return client;
+}
+
+/**
+ * Names of the default session and every named session with a client.
+ * @returns {string[]}
+ */
+function listSessions() {
+    return [DEFAULT_SESSION, ..._sessionClients.keys()];
+}
+
+/**
+ * Stop a named session's server. The default session cannot be closed.
+ * @returns {Promise<boolean>} Whether there was a session to close.
+ */
+async function closeSession(name) {
+    const client = _sessionClients.get(name);
+    if (!client) return false;
+    _sessionClients.delete(name);
+    if (_activeSession === name) _activeSession = DEFAULT_SESSION;
+    await client.cancelAll().catch(() => { });
+    await client.dispose();
+    return true;
+}
+
+function setActiveSession(name) {
+    _activeSession = name || DEFAULT_SESSION;
+}
+
+function getActiveSession() {
+    return _activeSession;
+}
+
 module.exports = {
+    DEFAULT_SESSION,
     StataMcpClient,
     getClient,
-    // Keep backward compat but with lazy init
-    get client() { return getClient(); }
+    getSessionClient,
+    listSessions,
+    closeSession,
+    setActiveSession,
+    getActiveSession,
+    // Keep backward compat but with lazy init; follows the active session.
+    get client() { return getSessionClient(_activeSession); }
 };
\ No newline at end of file
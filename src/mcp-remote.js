@@ -0,0 +1,307 @@
+/**
+ * Remote mcp-stata: the server runs on another host, started over ssh or already listening as a
+ * Streamable HTTP (or SSE) endpoint. Files are shared between the hosts (e.g. an NFS or sshfs
+ * mount), and path mappings translate between the local and remote views of them.
+ */
+
+const net = require('net');
+const { getChildProcess, createDepProxy } = require('./runtime-context');
+
+const cp = createDepProxy(getChildProcess);
+
+const REMOTE_MODES = ['local', 'ssh', 'http'];
+const DEFAULT_SERVER_COMMAND = 'uvx mcp-stata';
+const TUNNEL_TIMEOUT_MS = 15000;
+// Folder under the first path mapping where an ssh-started server writes logs and graphs.
+const DEFAULT_TEMP_SUBDIR = '.stata-workbench/tmp';
+
+/**
+ * Remote settings from the `stataMcp` configuration.
+ * @returns {{mode: string, sshHost: string, sshCommand: string, sshArgs: string[], serverCommand: string,
+ *   url: string, headers: object, tempDir: string, pathMappings: Array<{local: string, remote: string}>}}
+ * @throws {Error} When the chosen mode is missing the setting it needs.
+ */
+function readRemoteConfig(config) {
+    const get = (key, fallback) => config?.get?.(`remote.${key}`, fallback) ?? fallback;
+    const mode = REMOTE_MODES.includes(get('mode', 'local')) ? get('mode', 'local') : 'local';
+    const remote = {
+        mode,
+        sshHost: String(get('sshHost', '') || '').trim(),
+        sshCommand: String(get('sshCommand', 'ssh') || 'ssh').trim(),
+        sshArgs: (Array.isArray(get('sshArgs', [])) ? get('sshArgs', []) : []).map(String),
+        serverCommand: String(get('serverCommand', DEFAULT_SERVER_COMMAND) || DEFAULT_SERVER_COMMAND).trim(),
+        url: String(get('url', '') || '').trim(),
+        headers: get('headers', {}) && typeof get('headers', {}) === 'object' ? get('headers', {}) : {},
+        tempDir: String(get('tempDir', '') || '').trim(),
+        pathMappings: (Array.isArray(get('pathMappings', [])) ? get('pathMappings', []) : [])
+            .filter((m) => m && typeof m.local === 'string' && typeof m.remote === 'string' && m.local.trim() && m.remote.trim())
+            .map((m) => ({ local: m.local.trim(), remote: m.remote.trim() }))
+    };
+    if (mode === 'ssh' && !remote.sshHost) {
+        throw new Error('stataMcp.remote.mode is "ssh" but stataMcp.remote.sshHost is not set.');
+    }
+    if (mode === 'http') {
+        let parsed = null;
+        try {
+            parsed = new URL(remote.url);
+        } catch (_err) {
+            parsed = null;
+        }
+        if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+            throw new Error('stataMcp.remote.mode is "http" but stataMcp.remote.url is not an http(s) URL.');
+        }
+    }
+    return remote;
+}
+
+function trimSeparators(p) {
+    return p.length > 1 ? p.replace(/[\\/]+$/, '') : p;
+}
+
+function startsWithDir(p, dir, caseInsensitive) {
+    const a = caseInsensitive ? p.toLowerCase() : p;
+    const b = caseInsensitive ? dir.toLowerCase() : dir;
+    return a === b || (a.startsWith(b) && /[\\/]/.test(a[b.length] || ''));
+}
+
+// Longest matching prefix wins, so nested mappings can override their parent.
+function mapPath(filePath, mappings, from, to) {
+    if (typeof filePath !== 'string' || !filePath) return null;
+    const candidates = mappings
+        .map((m) => ({ from: trimSeparators(m[from]), to: trimSeparators(m[to]) }))
+        .sort((a, b) => b.from.length - a.from.length);
+    for (const m of candidates) {
+        // Windows paths compare case-insensitively and with either separator.
+        const windows = /^[A-Za-z]:|\\/.test(m.from);
+        const normalized = windows ? filePath.replace(/\//g, '\\') : filePath;
+        const prefix = windows ? m.from.replace(/\//g, '\\') : m.from;
+        if (!startsWithDir(normalized, prefix, windows)) continue;
+        const rest = normalized.slice(prefix.length).replace(/^[\\/]+/, '');
+        const targetSep = /^[A-Za-z]:|\\/.test(m.to) ? '\\' : '/';
+        const parts = rest ? rest.split(/[\\/]+/) : [];
+        return parts.length ? [m.to, ...parts].join(targetSep) : m.to;
+    }
+    return null;
+}
+
+/**
+ * A local path as the remote server sees it, or null when no mapping covers it.
+ */
+function toRemotePath(localPath, mappings = []) {
+    return mapPath(localPath, mappings, 'local', 'remote');
+}
+
+/**
+ * A path reported by the remote server as seen locally; unmapped paths are returned unchanged.
+ */
+function toLocalPath(remotePath, mappings = []) {
+    return mapPath(remotePath, mappings, 'remote', 'local') ?? remotePath;
+}
+
+/**
+ * Whether a path reported by the remote server falls under a path mapping, i.e. can be read here.
+ */
+function isMappedRemotePath(remotePath, mappings = []) {
+    return mapPath(remotePath, mappings, 'remote', 'local') !== null;
+}
+
+/**
+ * The remote folder the server should keep its temporary files (logs, graph exports) in, so
+ * they are readable through the path mappings: stataMcp.remote.tempDir, or a folder under the
+ * first mapping. Null when there is neither.
+ */
+function remoteTempDir(remote) {
+    if (remote.tempDir) return remote.tempDir;
+    const first = remote.pathMappings?.[0];
+    if (!first) return null;
+    const root = trimSeparators(first.remote);
+    const sep = /^[A-Za-z]:|\\/.test(root) ? '\\' : '/';
+    return [root, ...DEFAULT_TEMP_SUBDIR.split('/')].join(sep);
+}
+
+function shellQuote(value) {
+    const text = String(value);
+    return /^[A-Za-z0-9_@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Command and arguments that start the server on the ssh host, talking MCP over the ssh session.
+ * Key-based authentication is required: there is no terminal to type a password into. The
+ * server's temporary directory is pointed at remoteTempDir so its logs and graphs are shared.
+ * @param {object} remote From readRemoteConfig.
+ * @param {Record<string, string>} [env] Variables set for the server on the remote host.
+ */
+function sshServerParams(remote, env = {}) {
+    const tempDir = remoteTempDir(remote);
+    const variables = tempDir ? { ...env, TMPDIR: tempDir, TEMP: tempDir, TMP: tempDir } : env;
+    const assignments = Object.entries(variables)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}=${shellQuote(value)}`);
+    const serverCommand = assignments.length
+        ? `env ${assignments.join(' ')} ${remote.serverCommand}`
+        : remote.serverCommand;
+    const remoteCommand = tempDir ? `mkdir -p ${shellQuote(tempDir)} && ${serverCommand}` : serverCommand;
+    return {
+        command: remote.sshCommand,
+        args: [...remote.sshArgs, '-T', '-o', 'BatchMode=yes', remote.sshHost, remoteCommand]
+    };
+}
+
+/**
+ * MCP client transport for an HTTP endpoint: SSE when the URL path ends in /sse, otherwise
+ * Streamable HTTP. Configured headers (e.g. Authorization) are sent with every request.
+ */
+function createHttpTransport(remote) {
+    const url = new URL(remote.url);
+    const requestInit = { headers: { ...remote.headers } };
+    if (/\/sse\/?$/.test(url.pathname)) {
+        const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+        return new SSEClientTransport(url, { requestInit, eventSourceInit: { fetch: (input, init) => fetch(input, { ...init, headers: { ...init?.headers, ...remote.headers } }) } });
+    }
+    const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+    return new StreamableHTTPClientTransport(url, { requestInit });
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function waitForPort(port, timeoutMs, child) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        let exited = null;
+        child?.once?.('exit', (code) => { exited = code; });
+        const attempt = () => {
+            if (exited !== null) {
+                reject(new Error(`ssh exited with code ${exited} before the UI tunnel was up`));
+                return;
+            }
+            const socket = net.connect(port, '127.0.0.1');
+            socket.once('connect', () => {
+                socket.destroy();
+                resolve();
+            });
+            socket.once('error', () => {
+                socket.destroy();
+                if (Date.now() > deadline) {
+                    reject(new Error(`The UI tunnel did not open within ${Math.round(timeoutMs / 1000)} seconds`));
+                } else {
+                    setTimeout(attempt, 100);
+                }
+            });
+        };
+        attempt();
+    });
+}
+
+function isLoopback(hostname) {
+    return /^(?:localhost|127(?:\.\d{1,3}){3}|\[?::1\]?)$/i.test(hostname);
+}
+
+function isWildcard(hostname) {
+    return /^(?:0\.0\.0\.0|\[?::\]?)$/.test(hostname);
+}
+
+/**
+ * Makes the server's UI channel (the Data Browser's HTTP API) reachable locally. With an ssh host
+ * the channel's port is forwarded over `ssh -L`. Without one (http mode), a channel listening on
+ * all interfaces is reached on the HTTP endpoint's host; one listening on the server's loopback
+ * interface cannot be reached from another machine.
+ */
+class UiChannelTunnel {
+    /**
+     * @param {object} remote From readRemoteConfig.
+     * @param {{timeoutMs?: number}} [options]
+     */
+    constructor(remote, { timeoutMs = TUNNEL_TIMEOUT_MS } = {}) {
+        this._remote = remote;
+        this._timeoutMs = timeoutMs;
+        this._current = null;
+    }
+
+    /**
+     * The local base URL for a UI channel base URL reported by the remote server.
+     * @returns {Promise<string>}
+     */
+    async baseUrlFor(baseUrl) {
+        const target = new URL(baseUrl);
+        if (!this._remote.sshHost) {
+            if (this._remote.mode !== 'http') return baseUrl;
+            const endpointHost = new URL(this._remote.url).hostname;
+            if (isWildcard(target.hostname)) {
+                target.hostname = endpointHost;
+            } else if (isLoopback(target.hostname) && !isLoopback(endpointHost)) {
+                throw new Error(`mcp-stata's Data Browser channel only listens on ${target.hostname} on ${endpointHost}. Set stataMcp.remote.sshHost to reach it through an ssh tunnel.`);
+            }
+            return target.toString().replace(/\/$/, '');
+        }
+        const port = Number(target.port) || (target.protocol === 'https:' ? 443 : 80);
+        const key = `${target.hostname}:${port}`;
+        if (this._current?.key !== key) {
+            this.close();
+            const current = { key, child: null, ready: null };
+            current.ready = this._open(current, target.hostname, port);
+            this._current = current;
+        }
+        const current = this._current;
+        try {
+            const localPort = await current.ready;
+            return `${target.protocol}//127.0.0.1:${localPort}`;
+        } catch (err) {
+            if (this._current === current) this._current = null;
+            throw err;
+        }
+    }
+
+    async _open(current, host, port) {
+        const localPort = await freePort();
+        const args = [
+            ...this._remote.sshArgs,
+            '-N', '-T',
+            '-o', 'BatchMode=yes',
+            '-o', 'ExitOnForwardFailure=yes',
+            '-L', `127.0.0.1:${localPort}:${host}:${port}`,
+            this._remote.sshHost
+        ];
+        const child = cp.spawn(this._remote.sshCommand, args, { stdio: 'ignore', windowsHide: true });
+        current.child = child;
+        child.on?.('error', () => { });
+        child.once?.('exit', () => {
+            if (this._current === current) this._current = null;
+        });
+        try {
+            await waitForPort(localPort, this._timeoutMs, child);
+        } catch (err) {
+            child.kill?.();
+            throw err;
+        }
+        return localPort;
+    }
+
+    close() {
+        const current = this._current;
+        this._current = null;
+        current?.child?.kill?.();
+    }
+}
+
+module.exports = {
+    REMOTE_MODES,
+    DEFAULT_SERVER_COMMAND,
+    readRemoteConfig,
+    toRemotePath,
+    toLocalPath,
+    isMappedRemotePath,
+    remoteTempDir,
+    sshServerParams,
+    createHttpTransport,
+    UiChannelTunnel
+};
@@ -0,0 +1,277 @@
+/**
+ * Minimal Parquet writer for Data Browser exports: one row group per Arrow page, one
+ * PLAIN-encoded, uncompressed data page per column chunk, every column OPTIONAL so
+ * Stata missing values become nulls. Metadata uses the Thrift compact protocol.
+ */
+
+const { Type } = require('apache-arrow');
+const { getFs, createDepProxy } = require('./runtime-context');
+
+const fs = createDepProxy(getFs);
+
+const MAGIC = Buffer.from('PAR1', 'ascii');
+
+// parquet.thrift enums
+const PhysicalType = { INT32: 1, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const ConvertedType = { UTF8: 0 };
+const Repetition = { REQUIRED: 0, OPTIONAL: 1 };
+const Encoding = { PLAIN: 0, RLE: 3 };
+const PageType = { DATA_PAGE: 0 };
+const CODEC_UNCOMPRESSED = 0;
+
+// Thrift compact protocol type ids
+const CT = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+/**
+ * Encoder for the subset of the Thrift compact protocol Parquet metadata needs.
+ * Structs are written as arrays of [fieldId, type, value] in ascending field order.
+ */
+class CompactWriter {
+    constructor() {
+        this._bytes = [];
+    }
+
+    varint(value) {
+        let n = BigInt(value);
+        while (n >= 0x80n) {
+            this._bytes.push(Number((n & 0x7fn) | 0x80n));
+            n >>= 7n;
+        }
+        this._bytes.push(Number(n));
+    }
+
+    zigzag(value) {
+        const n = BigInt(value);
+        this.varint(n >= 0n ? n << 1n : ((-n) << 1n) - 1n);
+    }
+
+    binary(value) {
+        const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+        this.varint(buffer.length);
+        for (const byte of buffer) this._bytes.push(byte);
+    }
+
+    value(type, value) {
+        switch (type) {
+            case CT.I32:
+            case CT.I64:
+                this.zigzag(value);
+                break;
+            case CT.BINARY:
+                this.binary(value);
+                break;
+            case CT.STRUCT:
+                this.struct(value);
+                break;
+            case CT.LIST: {
+                const [elementType, items] = value;
+                if (items.length < 15) {
+                    this._bytes.push((items.length << 4) | elementType);
+                } else {
+                    this._bytes.push(0xf0 | elementType);
+                    this.varint(items.length);
+                }
+                items.forEach((item) => this.value(elementType, item));
+                break;
+            }
+            default:
+                throw new Error(`Unsupported thrift type ${type}`);
+        }
+    }
+
+    struct(fields) {
+        let last = 0;
+        for (const [id, type, value] of fields) {
+            if (value === undefined || value === null) continue;
+            const delta = id - last;
+            if (delta > 0 && delta <= 15) {
+                this._bytes.push((delta << 4) | type);
+            } else {
+                this._bytes.push(type);
+                this.zigzag(id);
+            }
+            this.value(type, value);
+            last = id;
+        }
+        this._bytes.push(0);
+    }
+
+    toBuffer() {
+        return Buffer.from(this._bytes);
+    }
+}
+
+function encodeStruct(fields) {
+    const writer = new CompactWriter();
+    writer.struct(fields);
+    return writer.toBuffer();
+}
+
+/**
+ * Definition levels (0 = null, 1 = present) in the RLE/bit-packing hybrid encoding,
+ * as RLE runs only, prefixed with their byte length as data page v1 requires.
+ */
+function encodeDefinitionLevels(present) {
+    const writer = new CompactWriter();
+    let i = 0;
+    while (i < present.length) {
+        let run = 1;
+        while (i + run < present.length && present[i + run] === present[i]) run++;
+        writer.varint(run << 1);
+        writer._bytes.push(present[i] ? 1 : 0);
+        i += run;
+    }
+    const levels = writer.toBuffer();
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(levels.length);
+    return Buffer.concat([length, levels]);
+}
+
+function columnKind(arrowType) {
+    if (arrowType.typeId === Type.Int) return arrowType.bitWidth > 32 ? 'int64' : 'int32';
+    if (arrowType.typeId === Type.Float) return 'double';
+    return 'string';
+}
+
+function encodeValues(kind, values) {
+    if (kind === 'int32') {
+        const buffer = Buffer.alloc(values.length * 4);
+        values.forEach((v, i) => buffer.writeInt32LE(Number(v), i * 4));
+        return buffer;
+    }
+    if (kind === 'int64') {
+        const buffer = Buffer.alloc(values.length * 8);
+        values.forEach((v, i) => buffer.writeBigInt64LE(BigInt(v), i * 8));
+        return buffer;
+    }
+    if (kind === 'double') {
+        const buffer = Buffer.alloc(values.length * 8);
+        values.forEach((v, i) => buffer.writeDoubleLE(Number(v), i * 8));
+        return buffer;
+    }
+    const parts = [];
+    for (const v of values) {
+        const bytes = Buffer.from(String(v), 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        parts.push(length, bytes);
+    }
+    return Buffer.concat(parts);
+}
+
+const PHYSICAL = { int32: PhysicalType.INT32, int64: PhysicalType.INT64, double: PhysicalType.DOUBLE, string: PhysicalType.BYTE_ARRAY };
+
+/**
+ * Streams Arrow tables into a Parquet file. The schema is taken from the first table.
+ */
+class ParquetWriter {
+    constructor(filePath) {
+        this._fd = fs.openSync(filePath, 'w');
+        this._offset = 0;
+        this._columns = null;
+        this._rowGroups = [];
+        this._numRows = 0;
+        this._write(MAGIC);
+    }
+
+    _write(buffer) {
+        fs.writeSync(this._fd, buffer);
+        this._offset += buffer.length;
+    }
+
+    writeTable(table) {
+        if (!this._columns) {
+            this._columns = table.schema.fields.map((field) => ({ name: field.name, kind: columnKind(field.type) }));
+        }
+        const rows = table.numRows;
+        if (rows === 0) return;
+
+        const chunks = [];
+        let groupBytes = 0;
+        this._columns.forEach((column, index) => {
+            const vector = table.getChildAt(index);
+            const present = new Array(rows);
+            const values = [];
+            for (let i = 0; i < rows; i++) {
+                const value = vector ? vector.get(i) : null;
+                const isPresent = value !== null && value !== undefined && !(typeof value === 'number' && Number.isNaN(value));
+                present[i] = isPresent;
+                if (isPresent) values.push(value);
+            }
+            const body = Buffer.concat([encodeDefinitionLevels(present), encodeValues(column.kind, values)]);
+            const header = encodeStruct([
+                [1, CT.I32, PageType.DATA_PAGE],
+                [2, CT.I32, body.length],
+                [3, CT.I32, body.length],
+                [5, CT.STRUCT, [
+                    [1, CT.I32, rows],
+                    [2, CT.I32, Encoding.PLAIN],
+                    [3, CT.I32, Encoding.RLE],
+                    [4, CT.I32, Encoding.RLE]
+                ]]
+            ]);
+            const pageOffset = this._offset;
+            this._write(header);
+            this._write(body);
+            const size = header.length + body.length;
+            groupBytes += size;
+            chunks.push([
+                [2, CT.I64, pageOffset],
+                [3, CT.STRUCT, [
+                    [1, CT.I32, PHYSICAL[column.kind]],
+                    [2, CT.LIST, [CT.I32, [Encoding.PLAIN, Encoding.RLE]]],
+                    [3, CT.LIST, [CT.BINARY, [column.name]]],
+                    [4, CT.I32, CODEC_UNCOMPRESSED],
+                    [5, CT.I64, rows],
+                    [6, CT.I64, size],
+                    [7, CT.I64, size],
+                    [9, CT.I64, pageOffset]
+                ]]
+            ]);
+        });
+        this._rowGroups.push([
+            [1, CT.LIST, [CT.STRUCT, chunks]],
+            [2, CT.I64, groupBytes],
+            [3, CT.I64, rows]
+        ]);
+        this._numRows += rows;
+    }
+
+    close() {
+        const columns = this._columns || [];
+        const schema = [
+            [[4, CT.BINARY, 'schema'], [5, CT.I32, columns.length]],
+            ...columns.map((column) => [
+                [1, CT.I32, PHYSICAL[column.kind]],
+                [3, CT.I32, Repetition.OPTIONAL],
+                [4, CT.BINARY, column.name],
+                [6, CT.I32, column.kind === 'string' ? ConvertedType.UTF8 : null]
+            ])
+        ];
+        const footer = encodeStruct([
+            [1, CT.I32, 1],
+            [2, CT.LIST, [CT.STRUCT, schema]],
+            [3, CT.I64, this._numRows],
+            [4, CT.LIST, [CT.STRUCT, this._rowGroups]],
+            [6, CT.BINARY, 'Stata Workbench']
+        ]);
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(footer.length);
+        this._write(footer);
+        this._write(length);
+        this._write(MAGIC);
+        fs.closeSync(this._fd);
+    }
+
+    abort() {
+        try {
+            fs.closeSync(this._fd);
+        } catch (_err) {
+            // Already closed.
+        }
+    }
+}
+
+module.exports = {
+    ParquetWriter
+};
@@ -0,0 +1,459 @@
+/**
+ * Pipelines: a project's do-files run in dependency order, each one rerun only when its do-file
+ * or a file it reads changed since its last successful run, or a file it writes is missing.
+ * Steps are listed in a stata-pipeline.json or taken from the `do` commands of a master.do; the
+ * files a step reads and writes are listed there or inferred from its use/merge/save/export commands.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { getFs, createDepProxy } = require('./runtime-context');
+const { logicalLines } = require('./stata-syntax');
+
+const fs = createDepProxy(getFs);
+
+const PIPELINE_FILE = 'stata-pipeline.json';
+const MASTER_FILE = 'master.do';
+// Workspace state key holding, per pipeline, the hashes each step last ran successfully with.
+const PIPELINE_STATE_KEY = 'stataWorkbench.pipelineHashes';
+
+const PREFIXES = /^(?:(?:quietly|qui|noisily|noi|capture|cap)\s*:?\s+)+/i;
+
+// Commands that read or write files. `using` is where the file is named: 'required' after
+// `using`, 'optional' after `using` when present and otherwise first, 'none' first.
+const IO_COMMANDS = [
+    { pattern: /^(?:use|u)\b/i, io: 'input', using: 'optional', extension: '.dta' },
+    { pattern: /^(?:merge|append|joinby|cross)\b/i, io: 'input', using: 'required', extension: '.dta' },
+    { pattern: /^(?:import\s+\w+|insheet|infile|infix)\b/i, io: 'input', using: 'optional' },
+    { pattern: /^(?:estimates|estimate|est)\s+use\b/i, io: 'input', using: 'none', extension: '.ster' },
+    { pattern: /^(?:save|saveold)\b/i, io: 'output', using: 'none', extension: '.dta' },
+    { pattern: /^(?:estimates|estimate|est)\s+save\b/i, io: 'output', using: 'none', extension: '.ster' },
+    { pattern: /^export\s+\w+\b/i, io: 'output', using: 'optional' },
+    { pattern: /^(?:outsheet|esttab|estout)\b/i, io: 'output', using: 'required' },
+    { pattern: /^(?:graph|gr)\s+export\b/i, io: 'output', using: 'none' }
+];
+
+function commandsOf(text) {
+    return logicalLines(String(text ?? ''))
+        .filter((line) => !line.directive)
+        .map((line) => line.code.trim().replace(PREFIXES, ''))
+        .filter(Boolean);
+}
+
+/**
+ * The first file name in `text`, unquoted (`"a b.dta"`, `` `"a.dta"' `` or `a.dta`).
+ */
+function fileArgument(text) {
+    const match = /^(?:`"(.*?)"'|"([^"]*)"|([^\s,]+))/.exec(String(text).trim());
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Record a `global`/`local` definition; returns false for any other command.
+ */
+function defineMacro(code, macros) {
+    const match = /^(gl(?:obal|oba|ob|o)?|loc(?:al|a)?)\s+(\w+)\s*(.*)$/i.exec(code);
+    if (!match) return false;
+    const [, kind, name, rawValue] = match;
+    const scope = /^gl/i.test(kind) ? macros.global : macros.local;
+    const value = rawValue.trim();
+    if (/^[=:]/.test(value)) {
+        delete scope[name];
+    } else {
+        const quoted = /^`"(.*)"'$/.exec(value) || /^"(.*)"$/.exec(value);
+        scope[name] = quoted ? quoted[1] : value;
+    }
+    return true;
+}
+
+/**
+ * Substitute the macros we know; null when any reference is left unresolved.
+ */
+function expandMacros(text, macros) {
+    let result = String(text);
+    for (let i = 0; i < 10; i += 1) {
+        const next = result
+            .replace(/`(\w+)'/g, (whole, name) => (name in macros.local ? macros.local[name] : whole))
+            .replace(/\$\{(\w+)\}|\$(\w+)/g, (whole, braced, bare) => {
+                const name = braced || bare;
+                return name in macros.global ? macros.global[name] : whole;
+            });
+        if (next === result) break;
+        result = next;
+    }
+    return /[`$]/.test(result) ? null : result;
+}
+
+function resolveFile(file, cwd, extension) {
+    const withExtension = extension && !path.extname(file) ? `${file}${extension}` : file;
+    return path.resolve(cwd, withExtension);
+}
+
+/**
+ * The files a do-file reads and writes, as absolute paths. Files it writes are never also
+ * counted as read, so a step that updates a dataset in place does not invalidate itself.
+ * @param {string} text Do-file source.
+ * @param {{cwd: string, globals?: Object<string, string>}} options Working directory the do-file
+ *   runs in and the globals defined before it runs.
+ * @returns {{inputs: string[], outputs: string[], unresolved: string[]}} `unresolved` lists
+ *   file names built from macros we cannot expand (loop variables, computed names); tempfiles
+ *   are left out.
+ */
+function inferFileIO(text, { cwd, globals = {} }) {
+    const macros = { global: { ...globals }, local: {} };
+    const inputs = new Set();
+    const outputs = new Set();
+    const unresolved = [];
+    const tempfiles = new Set();
+    let dir = cwd;
+    for (const code of commandsOf(text)) {
+        if (defineMacro(code, macros)) continue;
+        const temp = /^tempfile\s+(.+)$/i.exec(code);
+        if (temp) {
+            temp[1].split(/\s+/).forEach((name) => tempfiles.add(name));
+            continue;
+        }
+        const cd = /^cd\s+(.+)$/i.exec(code);
+        if (cd) {
+            const target = expandMacros(fileArgument(cd[1]) || '', macros);
+            if (target) dir = path.resolve(dir, target);
+            continue;
+        }
+        const rule = IO_COMMANDS.find(({ pattern }) => pattern.test(code));
+        if (!rule) continue;
+        const rest = code.replace(rule.pattern, '');
+        const using = /\busing\s+/i.exec(rest);
+        let raw = null;
+        if (using) {
+            raw = fileArgument(rest.slice(using.index + using[0].length));
+        } else if (rule.using !== 'required') {
+            raw = fileArgument(rest);
+        }
+        if (!raw) continue;
+        const file = expandMacros(raw, macros);
+        if (!file) {
+            if (!tempfiles.has(/^`(\w+)'$/.exec(raw)?.[1])) unresolved.push(raw);
+            continue;
+        }
+        (rule.io === 'input' ? inputs : outputs).add(resolveFile(file, dir, rule.extension));
+    }
+    return {
+        inputs: [...inputs].filter((file) => !outputs.has(file)),
+        outputs: [...outputs],
+        unresolved
+    };
+}
+
+/**
+ * The do-files a master.do runs, in order, with the directory and globals each one starts with.
+ * @returns {{steps: Array<{file: string, cwd: string, globals: Object<string, string>}>, unresolved: string[]}}
+ */
+function masterSteps(text, { cwd }) {
+    const macros = { global: {}, local: {} };
+    const steps = [];
+    const unresolved = [];
+    let dir = cwd;
+    for (const code of commandsOf(text)) {
+        if (defineMacro(code, macros)) continue;
+        const cd = /^cd\s+(.+)$/i.exec(code);
+        const run = /^(?:do|run)\s+(.+)$/i.exec(code);
+        const raw = fileArgument((cd || run)?.[1] || '');
+        if (!raw) continue;
+        const file = expandMacros(raw, macros);
+        if (!file) {
+            unresolved.push(raw);
+        } else if (cd) {
+            dir = path.resolve(dir, file);
+        } else {
+            steps.push({ file: resolveFile(file, dir, '.do'), cwd: dir, globals: { ...macros.global } });
+        }
+    }
+    return { steps, unresolved };
+}
+
+function stringList(value, label) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        throw new Error(`${PIPELINE_FILE}: "${label}" must be a list of file names`);
+    }
+    return value;
+}
+
+/**
+ * Steps of a stata-pipeline.json:
+ * `{"cwd": ".", "steps": [{"name": "clean", "do": "code/clean.do", "inputs": [...], "outputs": [...]}]}`.
+ * Paths are relative to `cwd`, itself relative to the pipeline file; steps without
+ * `inputs`/`outputs` have them inferred from their do-file.
+ */
+function parsePipelineFile(text, { cwd }) {
+    let spec;
+    try {
+        spec = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${PIPELINE_FILE} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(spec?.steps)) {
+        throw new Error(`${PIPELINE_FILE} must have a "steps" list`);
+    }
+    const dir = path.resolve(cwd, typeof spec.cwd === 'string' ? spec.cwd : '.');
+    const steps = spec.steps.map((step, index) => {
+        if (typeof step?.do !== 'string' || !step.do.trim()) {
+            throw new Error(`${PIPELINE_FILE}: step ${index + 1} has no "do" file`);
+        }
+        const inputs = stringList(step.inputs, `steps[${index}].inputs`);
+        const outputs = stringList(step.outputs, `steps[${index}].outputs`);
+        return {
+            name: typeof step.name === 'string' ? step.name : null,
+            file: resolveFile(step.do, dir, '.do'),
+            cwd: dir,
+            globals: {},
+            inputs: inputs?.map((file) => path.resolve(dir, file)),
+            outputs: outputs?.map((file) => path.resolve(dir, file))
+        };
+    });
+    return { steps, unresolved: [] };
+}
+
+function stepId(file, root, seen) {
+    const base = path.relative(root, file).split(path.sep).join('/');
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}#${count}`;
+}
+
+/**
+ * Order steps so each runs after the steps writing the files it reads, keeping the listed
+ * order otherwise.
+ */
+function orderSteps(steps) {
+    const producers = new Map();
+    for (const step of steps) {
+        for (const output of step.outputs) producers.set(output, step);
+    }
+    for (const step of steps) {
+        step.dependsOn = [...new Set(step.inputs.map((input) => producers.get(input)).filter((p) => p && p !== step))].map((p) => p.id);
+    }
+    const ordered = [];
+    const placed = new Set();
+    const visiting = [];
+    const visit = (step) => {
+        if (placed.has(step.id)) return;
+        const loop = visiting.indexOf(step.id);
+        if (loop >= 0) {
+            throw new Error(`Pipeline steps depend on each other: ${[...visiting.slice(loop), step.id].join(' → ')}`);
+        }
+        visiting.push(step.id);
+        for (const id of step.dependsOn) visit(steps.find((s) => s.id === id));
+        visiting.pop();
+        placed.add(step.id);
+        ordered.push(step);
+    };
+    steps.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Read a pipeline from a stata-pipeline.json or a master.do.
+ * @param {string} pipelineFile
+ * @returns {{file: string, root: string, unresolved: Array<{step: string, file: string}>,
+ *   steps: Array<{id: string, name: string, file: string, cwd: string, globals: Object<string, string>,
+ *   inputs: string[], outputs: string[], dependsOn: string[]}>}}
+ */
+function loadPipeline(pipelineFile) {
+    const root = path.dirname(pipelineFile);
+    const text = fs.readFileSync(pipelineFile, 'utf8');
+    const declared = path.extname(pipelineFile).toLowerCase() === '.json'
+        ? parsePipelineFile(text, { cwd: root })
+        : masterSteps(text, { cwd: root });
+    const unresolved = declared.unresolved.map((file) => ({ step: path.basename(pipelineFile), file }));
+    const seen = new Map();
+    const steps = declared.steps.map((step) => {
+        let source;
+        try {
+            source = fs.readFileSync(step.file, 'utf8');
+        } catch (_err) {
+            throw new Error(`Pipeline step ${path.relative(root, step.file)} does not exist`);
+        }
+        const id = stepId(step.file, root, seen);
+        const inferred = step.inputs && step.outputs ? null : inferFileIO(source, step);
+        for (const file of inferred?.unresolved || []) unresolved.push({ step: id, file });
+        return {
+            id,
+            name: step.name || path.basename(step.file),
+            file: step.file,
+            cwd: step.cwd,
+            globals: step.globals || {},
+            inputs: step.inputs || inferred.inputs,
+            outputs: step.outputs || inferred.outputs
+        };
+    });
+    return { file: pipelineFile, root, steps: orderSteps(steps), unresolved };
+}
+
+/**
+ * SHA-256 of a file's contents, or null when it does not exist.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve) => {
+        const hash = crypto.createHash('sha256');
+        let stream;
+        try {
+            stream = fs.createReadStream(filePath);
+        } catch (_err) {
+            resolve(null);
+            return;
+        }
+        stream.on('error', () => resolve(null));
+        stream.on('data', (chunk) => hash.update(chunk));
+        stream.on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function relative(root, file) {
+    return path.relative(root, file).split(path.sep).join('/');
+}
+
+/**
+ * The `global` commands that set up a step's globals, as master.do would before its `do`.
+ */
+function globalsCode(globals = {}) {
+    return Object.entries(globals).map(([name, value]) => `global ${name} \`"${value}"'`).join('\n');
+}
+
+function hashGlobals(globals = {}) {
+    const sorted = Object.keys(globals).sort().map((name) => [name, globals[name]]);
+    return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+async function stepFingerprint(step, root) {
+    const inputs = {};
+    for (const input of step.inputs) {
+        inputs[relative(root, input)] = await hashFile(input);
+    }
+    return { doFile: await hashFile(step.file), globals: hashGlobals(step.globals), inputs };
+}
+
+/**
+ * Why a step has to run again, or null when it is up to date.
+ */
+function staleReason(step, saved, fingerprint, root) {
+    if (!saved) return 'not run before';
+    if (saved.doFile !== fingerprint.doFile) return 'do-file changed';
+    if (saved.globals !== fingerprint.globals) return 'globals changed';
+    const missing = Object.keys(fingerprint.inputs).filter((file) => fingerprint.inputs[file] === null);
+    if (missing.length) return `input missing: ${missing.join(', ')}`;
+    const changed = Object.keys(fingerprint.inputs).filter((file) => saved.inputs?.[file] !== fingerprint.inputs[file]);
+    if (changed.length) return `input changed: ${changed.join(', ')}`;
+    const absent = step.outputs.filter((file) => !fs.existsSync(file)).map((file) => relative(root, file));
+    if (absent.length) return `output missing: ${absent.join(', ')}`;
+    return null;
+}
+
+/**
+ * The hashes each pipeline step last ran successfully with, kept in workspace state.
+ */
+class PipelineHashes {
+    /**
+     * @param {{state?: {get: Function, update: Function}}} [options]
+     */
+    constructor({ state = null } = {}) {
+        this._state = state;
+        const saved = state?.get?.(PIPELINE_STATE_KEY);
+        this._pipelines = saved && typeof saved === 'object' ? { ...saved } : {};
+    }
+
+    get(pipelineFile, id) {
+        return this._pipelines[pipelineFile]?.[id] || null;
+    }
+
+    set(pipelineFile, id, record) {
+        this._pipelines[pipelineFile] = { ...this._pipelines[pipelineFile], [id]: record };
+        this._save();
+    }
+
+    delete(pipelineFile, id) {
+        if (!this._pipelines[pipelineFile]?.[id]) return;
+        const { [id]: _removed, ...rest } = this._pipelines[pipelineFile];
+        this._pipelines[pipelineFile] = rest;
+        this._save();
+    }
+
+    _save() {
+        Promise.resolve(this._state?.update?.(PIPELINE_STATE_KEY, { ...this._pipelines })).catch(() => { });
+    }
+}
+
+/**
+ * Run the steps that are out of date, in order, stopping at the first failure: later steps
+ * read what the failed one should have written.
+ * @param {object} pipeline From loadPipeline.
+ * @param {{hashes?: PipelineHashes, force?: boolean,
+ *   runStep: (step: object, info: {index: number, total: number, reason: string}) =>
+ *     Promise<{ok: boolean, rc?: number|null, message?: string}>,
+ *   onStep?: (step: object, info: {index: number, total: number, status: string, reason?: string}) => void}} options
+ *   `force` reruns every step.
+ * @returns {Promise<Array<object>>} Each step with `status` 'ran', 'up-to-date', 'failed' or 'not-run'.
+ */
+async function runPipeline(pipeline, { hashes = null, force = false, runStep, onStep = () => { } }) {
+    const results = [];
+    const total = pipeline.steps.length;
+    let failed = false;
+    for (const [index, step] of pipeline.steps.entries()) {
+        if (failed) {
+            results.push({ step, status: 'not-run' });
+            continue;
+        }
+        const fingerprint = await stepFingerprint(step, pipeline.root);
+        const reason = force ? 'rerun requested' : staleReason(step, hashes?.get(pipeline.file, step.id), fingerprint, pipeline.root);
+        if (!reason) {
+            results.push({ step, status: 'up-to-date' });
+            onStep(step, { index, total, status: 'up-to-date' });
+            continue;
+        }
+        onStep(step, { index, total, status: 'running', reason });
+        let outcome;
+        try {
+            outcome = await runStep(step, { index, total, reason });
+        } catch (err) {
+            outcome = { ok: false, message: err?.message || String(err) };
+        }
+        if (outcome?.ok) {
+            hashes?.set(pipeline.file, step.id, { ...fingerprint, ranAt: new Date().toISOString() });
+            results.push({ step, status: 'ran', reason });
+        } else {
+            failed = true;
+            hashes?.delete(pipeline.file, step.id);
+            results.push({ step, status: 'failed', reason, rc: outcome?.rc ?? null, message: outcome?.message || '' });
+        }
+        onStep(step, { index, total, status: results[results.length - 1].status, reason });
+    }
+    return results;
+}
+
+/**
+ * One-line summary of a pipeline run, e.g. "2 ran, 5 up to date, clean.do failed with r(601), 3 not run".
+ */
+function pipelineSummary(results) {
+    const count = (status) => results.filter((r) => r.status === status).length;
+    const failed = results.find((r) => r.status === 'failed');
+    const parts = [`${count('ran')} ran`, `${count('up-to-date')} up to date`];
+    if (failed) {
+        parts.push(`${failed.step.name} failed${failed.rc !== null && failed.rc !== undefined ? ` with r(${failed.rc})` : ''}`);
+        if (count('not-run')) parts.push(`${count('not-run')} not run`);
+    }
+    return parts.join(', ');
+}
+
+module.exports = {
+    PIPELINE_FILE,
+    MASTER_FILE,
+    PIPELINE_STATE_KEY,
+    PipelineHashes,
+    inferFileIO,
+    masterSteps,
+    loadPipeline,
+    hashFile,
+    globalsCode,
+    runPipeline,
+    pipelineSummary
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const { getVscode, getFs, createDepProxy } = require('./runtime-context');
+const { parseSMCL, determineSuccess } = require('./terminal-panel');
+const { logicalLines } = require('./stata-syntax');
+const { findIncludedPaths, resolveIncludedFile } = require('./language-features');
+
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+const fs = createDepProxy(getFs);
+
+const DIAGNOSTIC_SOURCE = 'Stata';
+const MAX_INCLUDE_DEPTH = 3;
+
+function normalizeCommand(code) {
+    return String(code ?? '').replace(/\/\/\/\s*/g, '').replace(/[{}]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the logical line that ran `command`.
+ * @param {string} text Source of the do-file.
+ * @param {string} command Command as echoed by Stata.
+ * @param {number} [occurrence] 1-based count of how often the command had run when it failed;
+ *   repeated commands map to their n-th appearance in the file.
+ * @returns {{startLine: number, endLine: number}|null}
+ */
+function locateCommand(text, command, occurrence = 1) {
+    const target = normalizeCommand(command);
+    if (!target) return null;
+    const matches = logicalLines(text).filter((l) => !l.directive && normalizeCommand(l.code) === target);
+    if (!matches.length) return null;
+    const index = Math.min(Math.max(occurrence, 1), matches.length) - 1;
+    return { startLine: matches[index].startLine, endLine: matches[index].endLine };
+}
+
+/**
+ * Map a failed run back to a source location, searching the do-file first and then
+ * the files it pulls in with `do`/`run`/`include`.
+ * @param {string} filePath Do-file that was run.
+ * @param {string} text Its source (the editor buffer, which may be unsaved).
+ * @param {{command: string, commandOccurrence?: number}} failure
+ * @returns {{filePath: string, text: string, startLine: number, endLine: number}|null}
+ */
+function locateFailure(filePath, text, failure) {
+    const seen = new Set();
+    const visit = (currentPath, currentText, depth) => {
+        if (seen.has(currentPath)) return null;
+        seen.add(currentPath);
+        const hit = locateCommand(currentText, failure.command, failure.commandOccurrence);
+        if (hit) return { filePath: currentPath, text: currentText, ...hit };
+        if (depth >= MAX_INCLUDE_DEPTH) return null;
+        for (const included of findIncludedPaths(currentText)) {
+            const resolved = resolveIncludedFile(included.path, path.dirname(currentPath));
+            if (!resolved) continue;
+            let includedText;
+            try {
+                includedText = fs.readFileSync(resolved, 'utf8');
+            } catch (_err) {
+                continue;
+            }
+            const found = visit(resolved, includedText, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    };
+    return visit(filePath, text, 0);
+}
+
+/**
+ * Publishes run errors as editor diagnostics, one set per do-file that was run.
+ */
+class RunDiagnostics {
+    constructor(collection = vscode.languages.createDiagnosticCollection('stata')) {
+        this._collection = collection;
+        // Run file -> URIs that carry diagnostics from its last run (the file itself or included files).
+        this._published = new Map();
+    }
+
+    /**
+     * Update diagnostics after `filePath` ran. Successful runs clear them.
+     * @param {string} filePath
+     * @param {string} text Source of the file as it was run.
+     * @param {object} result Normalized run result.
+     * @returns {object|null} The published diagnostic location, if any.
+     */
+    update(filePath, text, result) {
+        this.clear(filePath);
+        const combined = (result?.stdout || result?.contentText || '') + '\n' + (result?.stderr || '');
+        const parsed = parseSMCL(combined);
+        const rc = parsed.rc ?? (typeof result?.rc === 'number' ? result.rc : null);
+        if (determineSuccess(result, rc) || !parsed.command) return null;
+
+        const location = locateFailure(filePath, text, parsed);
+        if (!location) return null;
+
+        const lines = location.text.split(/\r?\n/);
+        const startCharacter = lines[location.startLine].length - lines[location.startLine].trimStart().length;
+        const range = new vscode.Range(
+            new vscode.Position(location.startLine, startCharacter),
+            new vscode.Position(location.endLine, lines[location.endLine].length)
+        );
+        const message = [
+            parsed.errors.length ? parsed.errors.join('\n') : `Stata error${rc !== null ? ` r(${rc})` : ''}`,
+            parsed.callStack.length ? `In: ${parsed.callStack.join(' → ')}` : null
+        ].filter(Boolean).join('\n');
+
+        const diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Error);
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        if (rc !== null) {
+            diagnostic.code = {
+                value: `r(${rc})`,
+                target: vscode.Uri.parse(`command:stata-workbench.showErrorHelp?${encodeURIComponent(JSON.stringify([rc]))}`)
+            };
+        }
+
+        const uri = vscode.Uri.file(location.filePath);
+        this._collection.set(uri, [diagnostic]);
+        this._published.set(filePath, [uri]);
+        return { ...location, rc, diagnostic };
+    }
+
+    clear(filePath) {
+        for (const uri of this._published.get(filePath) || []) {
+            this._collection.delete(uri);
+        }
+        this._published.delete(filePath);
+    }
+
+    dispose() {
+        this._collection.dispose();
+        this._published.clear();
+    }
+}
+
+/**
+ * Offers "Show help for r(N)" on Stata run diagnostics.
+ */
+class ErrorHelpCodeActionProvider {
+    provideCodeActions(_document, _range, context) {
+        const actions = [];
+        for (const diagnostic of context?.diagnostics || []) {
+            if (diagnostic.source !== DIAGNOSTIC_SOURCE) continue;
+            const rc = Number(/^r\((\d+)\)$/.exec(diagnostic.code?.value || '')?.[1]);
+            if (!rc) continue;
+            const action = new vscode.CodeAction(`Show help for r(${rc})`, vscode.CodeActionKind.QuickFix);
+            action.command = { command: 'stata-workbench.showErrorHelp', title: `Show help for r(${rc})`, arguments: [rc] };
+            action.diagnostics = [diagnostic];
+            actions.push(action);
+        }
+        return actions;
+    }
+}
+
+module.exports = {
+    RunDiagnostics,
+    ErrorHelpCodeActionProvider,
+    locateCommand,
+    locateFailure
+};
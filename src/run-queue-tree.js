@@ -0,0 +1,157 @@
+const path = require('path');
+const { getVscode } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+const STATUS_ICONS = {
+    pending: 'clock',
+    running: 'sync~spin',
+    done: 'pass',
+    failed: 'error',
+    cancelled: 'circle-slash'
+};
+
+/**
+ * Tree data provider for the "Run Queue" sidebar view: the active session's run queue.
+ * While a run is in progress the view re-renders every second so elapsed times keep counting.
+ */
+class RunQueueTreeProvider {
+    /**
+     * @param {{queue?: import('./run-queue').RunQueue|null, tickMs?: number}} [options]
+     */
+    constructor({ queue = null, tickMs = 1000 } = {}) {
+        this._queue = null;
+        this._subscription = null;
+        this._tickMs = tickMs;
+        this._timer = null;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.setQueue(queue);
+    }
+
+    get queue() {
+        return this._queue;
+    }
+
+    /**
+     * Show another queue, e.g. after switching sessions.
+     */
+    setQueue(queue) {
+        if (queue === this._queue) return;
+        this._subscription?.dispose();
+        this._queue = queue || null;
+        this._subscription = this._queue ? this._queue.onDidChange(() => this.refresh()) : null;
+        this.refresh();
+    }
+
+    refresh() {
+        this._updateTimer();
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(node) {
+        const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+        item.id = node.id;
+        if (node.description) item.description = node.description;
+        if (node.tooltip) item.tooltip = node.tooltip;
+        if (node.icon) item.iconPath = new vscode.ThemeIcon(node.icon);
+        if (node.contextValue) item.contextValue = node.contextValue;
+        return item;
+    }
+
+    getChildren(node) {
+        if (node) return [];
+        return buildQueueNodes(this._queue);
+    }
+
+    dispose() {
+        this._subscription?.dispose();
+        this._subscription = null;
+        this._stopTimer();
+    }
+
+    _updateTimer() {
+        const running = !!this._queue?.items().some((entry) => entry.status === 'running' || entry.status === 'pending');
+        if (running && !this._timer) {
+            this._timer = setInterval(() => this._onDidChangeTreeData.fire(), this._tickMs);
+            this._timer.unref?.();
+        } else if (!running) {
+            this._stopTimer();
+        }
+    }
+
+    _stopTimer() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function elapsed(entry, now) {
+    if (entry.status === 'pending') return `waiting ${formatElapsed(now - entry.queuedAt)}`;
+    if (!entry.startedAt) return '';
+    return formatElapsed((entry.endedAt || now) - entry.startedAt);
+}
+
+/**
+ * Convert a run queue into tree nodes, in execution order.
+ */
+function buildQueueNodes(queue, now = Date.now()) {
+    if (!queue) return [];
+    const items = queue.items();
+    const nodes = [];
+    if (queue.paused) {
+        const waiting = items.filter((entry) => entry.status === 'pending').length;
+        nodes.push({
+            id: 'queue:paused',
+            label: 'Queue paused',
+            description: waiting ? `${waiting} waiting` : '',
+            icon: 'debug-pause'
+        });
+    }
+    if (!items.length) {
+        nodes.push({ id: 'queue:empty', label: 'No runs', icon: 'info' });
+        return nodes;
+    }
+    let position = 0;
+    for (const entry of items) {
+        const pending = entry.status === 'pending';
+        if (pending) position += 1;
+        const rc = entry.rc !== null && entry.rc !== undefined ? `r(${entry.rc})` : '';
+        const file = entry.filePath ? path.basename(entry.filePath) : '';
+        nodes.push({
+            id: `run:${entry.runId}`,
+            label: entry.label,
+            description: [pending ? `#${position}` : entry.status, file, elapsed(entry, now), rc].filter(Boolean).join(' · '),
+            tooltip: [
+                entry.command || entry.label,
+                entry.filePath ? `File: ${entry.filePath}` : null,
+                entry.cwd ? `Directory: ${entry.cwd}` : null,
+                `Status: ${entry.status}${rc ? ` ${rc}` : ''}`,
+                entry.error ? `Error: ${entry.error}` : null
+            ].filter(Boolean).join('\n'),
+            icon: STATUS_ICONS[entry.status] || 'circle-outline',
+            contextValue: `stataRun.${entry.status}`,
+            runId: entry.runId
+        });
+    }
+    return nodes;
+}
+
+module.exports = {
+    RunQueueTreeProvider,
+    buildQueueNodes,
+    formatElapsed
+};
@@ -0,0 +1,197 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+
+const FINISHED_LIMIT = 20;
+
+/**
+ * The runs of one mcp-stata client, in the order they execute: at most one running, the pending
+ * ones behind it and the most recently finished. Only runs that go through the serial queue are
+ * listed; quick metadata requests bypass it. Pending runs can be reordered, and pausing holds
+ * them (and new submissions) until the queue is resumed; a run already started is not affected.
+ * Internal runs (the extension's own snapshots and lookups) take their turn like any other but
+ * are never listed, and still start while the queue is paused.
+ */
+class RunQueue {
+    /**
+     * @param {{finishedLimit?: number}} [options] How many finished runs to keep.
+     */
+    constructor({ finishedLimit = FINISHED_LIMIT } = {}) {
+        this._finishedLimit = Math.max(0, finishedLimit);
+        this._pending = [];
+        this._running = null;
+        this._finished = [];
+        this._paused = false;
+        this._emitter = new EventEmitter();
+    }
+
+    get paused() {
+        return this._paused;
+    }
+
+    /**
+     * The running run, then the pending ones in execution order, then finished ones, newest first.
+     * @returns {object[]}
+     */
+    items() {
+        const running = this._running && !this._running.internal ? [this._running] : [];
+        return [...running, ...this._pending.filter((entry) => !entry.internal), ...this._finished];
+    }
+
+    find(runId) {
+        return this.items().find((entry) => entry.runId === String(runId)) || null;
+    }
+
+    /**
+     * Queue a run. It starts once it reaches the front, nothing is running and the queue is not paused.
+     * @param {{runId: string, operation?: string, command?: string|null, filePath?: string|null,
+     *   cwd?: string|null, isFile?: boolean, internal?: boolean}} run
+     * @returns {object} The queue entry; pass it to acquire and release.
+     */
+    add({ runId, operation = 'run', command = null, filePath = null, cwd = null, isFile = false, internal = false }) {
+        const entry = {
+            runId: String(runId),
+            internal: !!internal,
+            label: entryLabel({ operation, command, filePath, isFile }),
+            kind: isFile ? 'file' : (command ? 'code' : 'operation'),
+            command: command || null,
+            filePath: filePath || null,
+            cwd: cwd || null,
+            status: 'pending',
+            queuedAt: Date.now(),
+            startedAt: null,
+            endedAt: null,
+            rc: null,
+            error: null
+        };
+        entry._turn = new Promise((resolve) => {
+            entry._start = resolve;
+        });
+        this._pending.push(entry);
+        if (!entry.internal) this._changed();
+        return entry;
+    }
+
+    /**
+     * Resolves when the entry may run (or, for a cancelled entry, at once so its caller can fail).
+     */
+    acquire(entry) {
+        this._pump();
+        return entry._turn;
+    }
+
+    /**
+     * Record how a run ended and start the next one.
+     * @param {object} entry
+     * @param {{result?: object, error?: Error|null, cancelled?: boolean}} outcome
+     */
+    release(entry, { result = null, error = null, cancelled = false } = {}) {
+        if (this._running !== entry) return;
+        this._running = null;
+        entry.endedAt = Date.now();
+        entry.rc = typeof result?.rc === 'number' ? result.rc : null;
+        if (cancelled) {
+            entry.status = 'cancelled';
+        } else if (error || result?.success === false || (entry.rc !== null && entry.rc !== 0)) {
+            entry.status = 'failed';
+            entry.error = error?.message || result?.error?.message || null;
+        } else {
+            entry.status = 'done';
+        }
+        this._finish(entry);
+        this._pump();
+    }
+
+    /**
+     * Take a pending run out of the queue as cancelled.
+     * @returns {boolean} False when the run already started or finished.
+     */
+    cancelPending(entry) {
+        const index = this._pending.indexOf(entry);
+        if (index < 0) return false;
+        this._pending.splice(index, 1);
+        entry.status = 'cancelled';
+        entry.endedAt = Date.now();
+        this._finish(entry);
+        entry._start();
+        return true;
+    }
+
+    /**
+     * Move a pending run `offset` places towards the front (negative) or back (positive).
+     * @returns {boolean} False when the run is not pending or cannot move that way.
+     */
+    move(runId, offset) {
+        const listed = this._pending.filter((entry) => !entry.internal);
+        const index = listed.findIndex((entry) => entry.runId === String(runId));
+        const target = index + offset;
+        if (index < 0 || !offset || target < 0 || target >= listed.length) return false;
+        const entry = listed[index];
+        this._pending.splice(this._pending.indexOf(entry), 1);
+        const anchor = this._pending.indexOf(listed[target]);
+        this._pending.splice(offset < 0 ? anchor : anchor + 1, 0, entry);
+        this._changed();
+        return true;
+    }
+
+    pause() {
+        if (this._paused) return;
+        this._paused = true;
+        this._changed();
+    }
+
+    resume() {
+        if (!this._paused) return;
+        this._paused = false;
+        this._changed();
+        this._pump();
+    }
+
+    clearFinished() {
+        if (!this._finished.length) return;
+        this._finished = [];
+        this._changed();
+    }
+
+    /**
+     * @param {() => void} listener Called after runs are added, start, finish or move, and on pause/resume.
+     * @returns {{dispose: () => void}}
+     */
+    onDidChange(listener) {
+        this._emitter.on('change', listener);
+        return { dispose: () => this._emitter.off('change', listener) };
+    }
+
+    _pump() {
+        if (this._running) return;
+        const index = this._paused ? this._pending.findIndex((entry) => entry.internal) : 0;
+        if (index < 0 || !this._pending.length) return;
+        const [entry] = this._pending.splice(index, 1);
+        entry.status = 'running';
+        entry.startedAt = Date.now();
+        this._running = entry;
+        if (!entry.internal) this._changed();
+        entry._start();
+    }
+
+    _finish(entry) {
+        if (entry.internal) return;
+        this._finished.unshift(entry);
+        this._finished.length = Math.min(this._finished.length, this._finishedLimit);
+        this._changed();
+    }
+
+    _changed() {
+        this._emitter.emit('change');
+    }
+}
+
+function entryLabel({ operation, command, filePath, isFile }) {
+    if (isFile && filePath) return `do "${path.basename(filePath)}"`;
+    const firstLine = String(command || '').split(/\r?\n/).find((line) => line.trim());
+    if (firstLine) return firstLine.trim();
+    return String(operation || 'run').replace(/_/g, ' ');
+}
+
+module.exports = {
+    RunQueue
+};
@@ -0,0 +1,267 @@
+/**
+ * Session checkpoints: enough of each session's history to rebuild it after mcp-stata dies.
+ * A checkpoint holds the working directory, the command that loaded the dataset in memory and
+ * the successful commands run since, which are replayed into the new session on request.
+ */
+
+const { splitStatements } = require('./stata-syntax');
+
+// Workspace state key holding the checkpoint of every session.
+const CHECKPOINTS_STATE_KEY = 'stataWorkbench.checkpoints';
+const DEFAULT_MAX_COMMANDS = 200;
+
+// Commands that replace the dataset in memory; the history before them is not needed.
+const LOAD_COMMAND = /^(?:(?:quietly|qui|noisily|noi|capture|cap)\s+)*(use|sysuse|webuse|import\s+\w+|insheet|infile|infix)\b/i;
+const CLEAR_COMMAND = /^(?:(?:quietly|qui|capture|cap)\s+)*(?:clear(?:\s+(?:all|\*))?|drop\s+_all)\s*$/i;
+// Runs a do-file: its changes to the data are not seen here, so the checkpoint ends before it.
+const DO_FILE_COMMAND = /^(?:do|run|include)\b/i;
+
+// Commands whose side effects are outside Stata's memory (files, programs, windows):
+// replaying them could overwrite files or repeat downloads, so they are left out.
+const SIDE_EFFECT_COMMANDS = [
+    [/^(?:save|saveold|export|outsheet|outfile|putexcel|putdocx|putpdf|graph\s+export|gr\s+export|translate|log|cmdlog|file\s+(?:open|write))\b/i, 'writes files'],
+    [/^(?:erase|rm|rmdir|mkdir|copy|shell|!|winexec|xshell|unixcmd)\b/i, 'changes files or runs programs outside Stata'],
+    [/^(?:do|run|include)\b/i, 'runs a do-file, which may write files'],
+    [/^(?:net|ssc|ado|update)\b/i, 'installs or updates packages'],
+    [/^(?:browse|br|edit|view|help|doedit|db)\b/i, 'opens a window']
+];
+
+function stripPrefixes(code) {
+    return code.trim().replace(/^(?:(?:quietly|qui|noisily|noi|capture|cap)\s*:?\s+)+/i, '');
+}
+
+/**
+ * The file a load command reads, as written (e.g. `auto.dta` for `use "auto.dta", clear`).
+ * @returns {string|null}
+ */
+function datasetSource(code) {
+    const text = stripPrefixes(code).split(/\r?\n/)[0];
+    const match = LOAD_COMMAND.exec(text);
+    if (!match) return null;
+    const withoutOptions = text.replace(/,[^"']*$/, '');
+    const using = /\busing\s+("([^"]+)"|`"([^"]+)"'|(\S+))/i.exec(withoutOptions);
+    if (using) return using[2] || using[3] || using[4];
+    const rest = withoutOptions.slice(match[0].length).trim();
+    const quoted = /^("([^"]+)"|`"([^"]+)"'|(\S+))/.exec(rest);
+    return quoted ? (quoted[2] || quoted[3] || quoted[4]) : null;
+}
+
+function sideEffect(code) {
+    const text = stripPrefixes(code);
+    const found = SIDE_EFFECT_COMMANDS.find(([pattern]) => pattern.test(text));
+    return found ? found[1] : null;
+}
+
+/**
+ * Checkpoints of every session of a workspace, kept in workspace state.
+ */
+class SessionCheckpoints {
+    /**
+     * @param {{state?: {get: Function, update: Function}, maxCommands?: number}} [options]
+     *   At most `maxCommands` commands since the dataset was loaded are kept per session.
+     */
+    constructor({ state = null, maxCommands = DEFAULT_MAX_COMMANDS } = {}) {
+        this._state = state;
+        this._maxCommands = Math.max(1, maxCommands);
+        const saved = state?.get?.(CHECKPOINTS_STATE_KEY);
+        this._checkpoints = saved && typeof saved === 'object' ? { ...saved } : {};
+    }
+
+    /**
+     * @returns {{cwd: string|null, dataset: {source: string|null, command: string, cwd: string|null}|null,
+     *   commands: Array<{code: string, cwd: string|null}>, dropped: number,
+     *   stoppedAt?: {code: string, cwd: string|null, later: number}|null, updatedAt: string}|null}
+     *   `stoppedAt` is the do-file run the checkpoint cannot replay past, with the number of
+     *   commands run after it.
+     */
+    get(session) {
+        return this._checkpoints[session] || null;
+    }
+
+    /**
+     * Record a successful run. Loading a dataset (or clearing memory) starts the checkpoint
+     * afresh from that command. Running a do-file ends it: the file may load other data, so
+     * nothing from there on is replayed until the next load or clear.
+     */
+    record(session, { code, cwd = null }) {
+        const statements = splitStatements(String(code ?? '')).filter((s) => !s.directive && s.code.trim());
+        if (!statements.length) return null;
+        const checkpoint = this.get(session) || { cwd: null, dataset: null, commands: [], dropped: 0 };
+        for (const statement of statements) {
+            const text = statement.code.trim();
+            const firstLine = stripPrefixes(text).split(/\r?\n/)[0];
+            if (LOAD_COMMAND.test(firstLine)) {
+                checkpoint.cwd = cwd;
+                checkpoint.dataset = { source: datasetSource(text), command: text, cwd };
+                checkpoint.commands = [];
+                checkpoint.dropped = 0;
+                checkpoint.stoppedAt = null;
+                continue;
+            }
+            if (CLEAR_COMMAND.test(text)) {
+                checkpoint.cwd = cwd;
+                checkpoint.dataset = null;
+                checkpoint.commands = [];
+                checkpoint.dropped = 0;
+                checkpoint.stoppedAt = null;
+                continue;
+            }
+            if (checkpoint.stoppedAt) {
+                checkpoint.stoppedAt.later += 1;
+                continue;
+            }
+            if (DO_FILE_COMMAND.test(firstLine)) {
+                checkpoint.stoppedAt = { code: text, cwd, later: 0 };
+                continue;
+            }
+            if (!checkpoint.dataset && !checkpoint.commands.length) checkpoint.cwd = cwd;
+            checkpoint.commands.push({ code: text, cwd });
+        }
+        if (checkpoint.commands.length > this._maxCommands) {
+            const excess = checkpoint.commands.length - this._maxCommands;
+            checkpoint.commands.splice(0, excess);
+            checkpoint.dropped = (checkpoint.dropped || 0) + excess;
+        }
+        checkpoint.updatedAt = new Date().toISOString();
+        this._checkpoints[session] = checkpoint;
+        this._save();
+        return checkpoint;
+    }
+
+    clear(session) {
+        if (!this._checkpoints[session]) return false;
+        delete this._checkpoints[session];
+        this._save();
+        return true;
+    }
+
+    _save() {
+        Promise.resolve(this._state?.update?.(CHECKPOINTS_STATE_KEY, { ...this._checkpoints })).catch(() => { });
+    }
+}
+
+/**
+ * What replaying a checkpoint runs, in order, and what it leaves out.
+ * @returns {{steps: Array<{kind: 'data'|'command', code: string, cwd: string|null}>,
+ *   skipped: Array<{code?: string, label?: string, reason: string}>, stoppedAt: string|null}}
+ *   `stoppedAt` is the do-file run the replay stops before, if any.
+ */
+function replayPlan(checkpoint) {
+    const steps = [];
+    const skipped = [];
+    const stoppedAt = checkpoint?.stoppedAt?.code || null;
+    if (!checkpoint) return { steps, skipped, stoppedAt };
+    if (checkpoint.dropped) {
+        skipped.push({
+            label: `${checkpoint.dropped} earlier command${checkpoint.dropped === 1 ? '' : 's'}`,
+            reason: 'older than the commands the checkpoint keeps'
+        });
+    }
+    if (checkpoint.dataset) {
+        steps.push({ kind: 'data', code: checkpoint.dataset.command, cwd: checkpoint.dataset.cwd ?? checkpoint.cwd });
+    }
+    for (const command of checkpoint.commands || []) {
+        const reason = sideEffect(command.code);
+        if (reason) {
+            skipped.push({ code: command.code, reason });
+        } else {
+            steps.push({ kind: 'command', code: command.code, cwd: command.cwd ?? checkpoint.cwd });
+        }
+    }
+    if (stoppedAt) {
+        skipped.push({ code: stoppedAt, reason: 'runs a do-file whose changes to the data are not recorded, so the session is rebuilt as it was before it' });
+        const later = checkpoint.stoppedAt.later || 0;
+        if (later) {
+            skipped.push({ label: `${later} later command${later === 1 ? '' : 's'}`, reason: 'ran after that do-file' });
+        }
+    }
+    return { steps, skipped, stoppedAt };
+}
+
+/**
+ * Run a replay plan, one step at a time, stopping at the first failure: later commands
+ * depend on the state the failed one should have built.
+ * @param {{steps: object[]}} plan From replayPlan.
+ * @param {(step: object) => Promise<{ok: boolean, rc?: number|null, message?: string}>} runStep
+ * @returns {Promise<Array<object>>} Each step with `status` 'restored', 'failed' or 'not-run'.
+ */
+async function replayCheckpoint(plan, runStep) {
+    const results = [];
+    let failed = false;
+    for (const step of plan.steps) {
+        if (failed) {
+            results.push({ ...step, status: 'not-run' });
+            continue;
+        }
+        let outcome;
+        try {
+            outcome = await runStep(step);
+        } catch (err) {
+            outcome = { ok: false, message: err?.message || String(err) };
+        }
+        if (outcome?.ok) {
+            results.push({ ...step, status: 'restored' });
+        } else {
+            failed = true;
+            results.push({ ...step, status: 'failed', rc: outcome?.rc ?? null, message: outcome?.message || '' });
+        }
+    }
+    return results;
+}
+
+function quoteCode(code) {
+    const lines = String(code).split(/\r?\n/);
+    return lines.length === 1 ? `\`${lines[0]}\`` : `\`${lines[0]}\` … (${lines.length} lines)`;
+}
+
+/**
+ * Markdown report of a restore: what came back and what did not, and why.
+ * @param {object} checkpoint
+ * @param {{skipped: object[]}} plan From replayPlan.
+ * @param {object[]} results From replayCheckpoint.
+ * @param {{session?: string, date?: Date}} [options]
+ * @returns {string}
+ */
+function restoreReport(checkpoint, plan, results, { session = 'default', date = new Date() } = {}) {
+    const restored = results.filter((r) => r.status === 'restored');
+    const notRestored = [
+        ...results.filter((r) => r.status !== 'restored').map((r) => ({
+            code: r.code,
+            reason: r.status === 'failed'
+                ? `failed${r.rc !== null && r.rc !== undefined ? ` with r(${r.rc})` : ''}${r.message ? `: ${r.message.split('\n')[0]}` : ''}`
+                : 'not run after an earlier failure'
+        })),
+        ...plan.skipped
+    ];
+    const dataStep = results.find((r) => r.kind === 'data');
+    const lines = [
+        `# Session restore: ${session}`,
+        '',
+        `Checkpoint of ${checkpoint?.updatedAt || 'unknown time'}, replayed on ${date.toISOString()}.`,
+        ''
+    ];
+    if (checkpoint?.cwd) lines.push(`- Working directory: \`${checkpoint.cwd}\``);
+    if (checkpoint?.dataset) {
+        const source = checkpoint.dataset.source || checkpoint.dataset.command;
+        lines.push(`- Dataset: \`${source}\` — ${dataStep?.status === 'restored' ? 'reloaded' : 'not reloaded'}`);
+    } else {
+        lines.push('- Dataset: none was loaded with a command since memory was last cleared');
+    }
+    const commandTotal = results.filter((r) => r.kind === 'command').length;
+    lines.push(`- Commands replayed: ${restored.filter((r) => r.kind === 'command').length} of ${commandTotal}`);
+    if (plan.stoppedAt) lines.push(`- Restored to the state before ${quoteCode(plan.stoppedAt)}, not the state at the crash`);
+    lines.push('', `## Restored (${restored.length})`, '');
+    lines.push(...(restored.length ? restored.map((r) => `- ${quoteCode(r.code)}`) : ['- Nothing']));
+    lines.push('', `## Not restored (${notRestored.length})`, '');
+    lines.push(...(notRestored.length ? notRestored.map((r) => `- ${r.label || quoteCode(r.code)}: ${r.reason}`) : ['- Nothing']));
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CHECKPOINTS_STATE_KEY,
+    SessionCheckpoints,
+    datasetSource,
+    replayPlan,
+    replayCheckpoint,
+    restoreReport
+};
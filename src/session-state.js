@@ -0,0 +1,219 @@
+/**
+ * Session state snapshot: frames, variables, value labels, macros, scalars, matrices and
+ * stored estimates, gathered in one Stata run and emitted as delimited records.
+ */
+
+const RECORD_PREFIX = '@@WB';
+const SEP = '|#|';
+const MAX_VALUE_LABEL_ENTRIES = 50;
+
+const FRAME_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+
+/**
+ * Mata that prints the variable and value label records of the current frame, recorded
+ * under the frame name held by the Mata expression `frame`. `entryLimit` caps the entries
+ * printed per label set; null prints them all.
+ */
+function frameRecordsCode(frame, entryLimit) {
+    const entries = entryLimit === null ? 'rows(__wb_values)' : `min((rows(__wb_values), ${entryLimit}))`;
+    return `    for (__wb_j = 1; __wb_j <= st_nvar(); __wb_j++) {
+        printf("${RECORD_PREFIX}%svar%s%s%s%s%s%s%s%s%s%s%s%s\\n", __wb_sep, __wb_sep, ${frame}, __wb_sep, st_varname(__wb_j), __wb_sep, st_vartype(__wb_j), __wb_sep, st_varformat(__wb_j), __wb_sep, st_varvaluelabel(__wb_j), __wb_sep, st_varlabel(__wb_j))
+    }
+    stata("quietly label dir")
+    __wb_names = tokens(st_global("r(names)"))
+    for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+        __wb_values = .
+        __wb_text = ""
+        st_vlload(__wb_names[__wb_j], __wb_values, __wb_text)
+        printf("${RECORD_PREFIX}%svlabel%s%s%s%s%s%g\\n", __wb_sep, __wb_sep, ${frame}, __wb_sep, __wb_names[__wb_j], __wb_sep, rows(__wb_values))
+        for (__wb_k = 1; __wb_k <= ${entries}; __wb_k++) {
+            printf("${RECORD_PREFIX}%svlentry%s%s%s%s%s%g%s%s\\n", __wb_sep, __wb_sep, ${frame}, __wb_sep, __wb_names[__wb_j], __wb_sep, __wb_values[__wb_k], __wb_sep, __wb_text[__wb_k])
+        }
+    }
+`;
+}
+
+// Mata prints one record per line: @@WB|#|kind|#|field|#|field...
+// r() is held around the snapshot so the user's results survive `label dir` / `estimates dir`.
+const STATE_SNAPSHOT_CODE = `capture _return hold __wb_r
+mata:
+__wb_sep = "${SEP}"
+__wb_cur = st_framecurrent()
+__wb_frames = st_framedir()
+for (__wb_i = 1; __wb_i <= length(__wb_frames); __wb_i++) {
+    st_framecurrent(__wb_frames[__wb_i])
+    printf("${RECORD_PREFIX}%sframe%s%s%s%g%s%g%s%s\\n", __wb_sep, __wb_sep, __wb_frames[__wb_i], __wb_sep, st_nobs(), __wb_sep, st_nvar(), __wb_sep, (__wb_frames[__wb_i] == __wb_cur ? "1" : "0"))
+${frameRecordsCode('__wb_frames[__wb_i]', MAX_VALUE_LABEL_ENTRIES)}}
+st_framecurrent(__wb_cur)
+__wb_names = st_dir("global", "macro", "*")
+for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+    printf("${RECORD_PREFIX}%sglobal%s%s%s%s\\n", __wb_sep, __wb_sep, __wb_names[__wb_j], __wb_sep, st_global(__wb_names[__wb_j]))
+}
+__wb_names = st_dir("global", "numscalar", "*")
+for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+    printf("${RECORD_PREFIX}%sscalar%s%s%s%g\\n", __wb_sep, __wb_sep, __wb_names[__wb_j], __wb_sep, st_numscalar(__wb_names[__wb_j]))
+}
+__wb_names = st_dir("global", "strscalar", "*")
+for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+    printf("${RECORD_PREFIX}%sscalar%s%s%s%s\\n", __wb_sep, __wb_sep, __wb_names[__wb_j], __wb_sep, st_strscalar(__wb_names[__wb_j]))
+}
+__wb_names = st_dir("global", "matrix", "*")
+for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+    printf("${RECORD_PREFIX}%smatrix%s%s%s%g%s%g\\n", __wb_sep, __wb_sep, __wb_names[__wb_j], __wb_sep, rows(st_matrix(__wb_names[__wb_j])), __wb_sep, cols(st_matrix(__wb_names[__wb_j])))
+}
+stata("quietly estimates dir")
+__wb_names = tokens(st_global("r(names)"))
+for (__wb_j = 1; __wb_j <= length(__wb_names); __wb_j++) {
+    printf("${RECORD_PREFIX}%sestimate%s%s\\n", __wb_sep, __wb_sep, __wb_names[__wb_j])
+}
+printf("${RECORD_PREFIX}%sactive%s%s%s%s\\n", __wb_sep, __wb_sep, st_global("e(cmd)"), __wb_sep, st_global("e(depvar)"))
+mata drop __wb_*
+end
+capture _return restore __wb_r`;
+
+/**
+ * Snapshot of one frame's variables and every entry of its value label sets, for views that
+ * need whole label sets (the Data Browser) rather than the capped overview above.
+ * @param {string|null} [frame] Frame to read; defaults to the current frame.
+ */
+function valueLabelSnapshotCode(frame = null) {
+    if (frame && !FRAME_NAME.test(frame)) throw new Error(`Invalid frame name: ${frame}`);
+    return `capture _return hold __wb_r
+mata:
+__wb_sep = "${SEP}"
+__wb_cur = st_framecurrent()
+__wb_frame = ${frame ? `"${frame}"` : '__wb_cur'}
+st_framecurrent(__wb_frame)
+${frameRecordsCode('__wb_frame', null)}st_framecurrent(__wb_cur)
+mata drop __wb_*
+end
+capture _return restore __wb_r`;
+}
+
+function emptyState() {
+    return { frames: [], globals: [], scalars: [], matrices: [], estimates: [], activeEstimate: null };
+}
+
+/**
+ * Undo SMCL escaping of braces that Stata applies to printed text.
+ */
+function unescapeSmcl(text) {
+    return String(text ?? '')
+        .replace(/\{c -\(\}/g, '{')
+        .replace(/\{c \)-\}/g, '}');
+}
+
+/**
+ * Parse the log produced by STATE_SNAPSHOT_CODE.
+ * @param {string} text Raw (SMCL or plain) output of the snapshot run.
+ * @returns {{frames: Array, globals: Array, scalars: Array, matrices: Array, estimates: string[], activeEstimate: object|null}}
+ */
+function parseStateSnapshot(text) {
+    const state = emptyState();
+    const frames = new Map();
+    const frameFor = (name) => {
+        if (!frames.has(name)) {
+            const frame = { name, n: 0, k: 0, current: false, variables: [], valueLabels: [] };
+            frames.set(name, frame);
+            state.frames.push(frame);
+        }
+        return frames.get(name);
+    };
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        // Output lines may carry leading SMCL style tags such as {res} or {txt}.
+        const line = rawLine.replace(/^(?:\{[a-z]+\})+/, '');
+        if (!line.startsWith(RECORD_PREFIX + SEP)) continue;
+        const fields = line.slice(RECORD_PREFIX.length + SEP.length).split(SEP).map(unescapeSmcl);
+        const kind = fields.shift();
+
+        switch (kind) {
+            case 'frame': {
+                const frame = frameFor(fields[0]);
+                frame.n = Number(fields[1]) || 0;
+                frame.k = Number(fields[2]) || 0;
+                frame.current = fields[3] === '1';
+                break;
+            }
+            case 'var':
+                frameFor(fields[0]).variables.push({
+                    name: fields[1],
+                    type: fields[2] || '',
+                    format: fields[3] || '',
+                    valueLabel: fields[4] || '',
+                    label: fields.slice(5).join(SEP)
+                });
+                break;
+            case 'vlabel':
+                frameFor(fields[0]).valueLabels.push({ name: fields[1], count: Number(fields[2]) || 0, entries: [] });
+                break;
+            case 'vlentry': {
+                const vl = frameFor(fields[0]).valueLabels.find((entry) => entry.name === fields[1]);
+                if (vl) vl.entries.push({ value: fields[2], text: fields.slice(3).join(SEP) });
+                break;
+            }
+            case 'global':
+                state.globals.push({ name: fields[0], value: fields.slice(1).join(SEP) });
+                break;
+            case 'scalar':
+                state.scalars.push({ name: fields[0], value: fields.slice(1).join(SEP) });
+                break;
+            case 'matrix':
+                state.matrices.push({ name: fields[0], rows: Number(fields[1]) || 0, cols: Number(fields[2]) || 0 });
+                break;
+            case 'estimate':
+                state.estimates.push(fields[0]);
+                break;
+            case 'active':
+                state.activeEstimate = fields[0] ? { cmd: fields[0], depvar: fields[1] || '' } : null;
+                break;
+            default:
+                break;
+        }
+    }
+    return state;
+}
+
+/**
+ * Run the snapshot through the MCP client and parse it.
+ * @param {object} client StataMcpClient instance.
+ * @param {object} [options] Extra options passed to `client.run`.
+ */
+async function fetchSessionState(client, options = {}) {
+    const result = await client.run(STATE_SNAPSHOT_CODE, { internal: true, ...options });
+    if (result && result.success === false) {
+        const detail = result.stderr || (typeof result.rc === 'number' ? `r(${result.rc})` : 'unknown error');
+        throw new Error(`Failed to read Stata session state: ${detail}`);
+    }
+    return parseStateSnapshot(result?.stdout || '');
+}
+
+/**
+ * Read the full value label sets of a frame, keyed by the variables that use them.
+ * @param {object} client StataMcpClient instance.
+ * @param {{frame?: string|null}} [options]
+ * @returns {Promise<Object<string, Array<{value: string, text: string}>>>}
+ */
+async function fetchValueLabels(client, { frame = null, ...options } = {}) {
+    const result = await client.run(valueLabelSnapshotCode(frame), { internal: true, ...options });
+    if (result && result.success === false) {
+        const detail = result.stderr || (typeof result.rc === 'number' ? `r(${result.rc})` : 'unknown error');
+        throw new Error(`Failed to read value labels: ${detail}`);
+    }
+    const [snapshot] = parseStateSnapshot(result?.stdout || '').frames;
+    const labels = {};
+    for (const variable of snapshot?.variables || []) {
+        const valueLabel = variable.valueLabel && snapshot.valueLabels.find((vl) => vl.name === variable.valueLabel);
+        if (valueLabel) labels[variable.name] = valueLabel.entries;
+    }
+    return labels;
+}
+
+module.exports = {
+    STATE_SNAPSHOT_CODE,
+    parseStateSnapshot,
+    fetchSessionState,
+    valueLabelSnapshotCode,
+    fetchValueLabels,
+    emptyState
+};
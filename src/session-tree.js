@@ -0,0 +1,193 @@
+const { getVscode } = require('./runtime-context');
+const vscode = new Proxy({}, {
+    get(_target, prop) {
+        return getVscode()?.[prop];
+    }
+});
+
+/**
+ * Tree data provider for the "Stata Session" sidebar view.
+ * State is loaded lazily the first time VS Code asks for children after a refresh,
+ * so nothing runs in Stata while the view is collapsed or hidden.
+ */
+class SessionTreeProvider {
+    /**
+     * @param {{loadState: () => Promise<object>}} deps `loadState` resolves to a parsed session snapshot.
+     */
+    constructor({ loadState }) {
+        this._loadState = loadState;
+        this._state = null;
+        this._error = null;
+        this._loading = null;
+        // Bumped by refresh(); a load started before the latest refresh is discarded.
+        this._generation = 0;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    /**
+     * Drop the cached snapshot; the next render reloads it.
+     */
+    refresh() {
+        this._generation += 1;
+        this._state = null;
+        this._error = null;
+        this._loading = null;
+        this._onDidChangeTreeData.fire();
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    getTreeItem(node) {
+        const item = new vscode.TreeItem(node.label, node.children ? vscode.TreeItemCollapsibleState[node.expanded ? 'Expanded' : 'Collapsed'] : vscode.TreeItemCollapsibleState.None);
+        item.id = node.id;
+        if (node.description) item.description = node.description;
+        if (node.tooltip) item.tooltip = node.tooltip;
+        if (node.icon) item.iconPath = new vscode.ThemeIcon(node.icon);
+        if (node.contextValue) item.contextValue = node.contextValue;
+        return item;
+    }
+
+    async getChildren(node) {
+        if (node) return node.children || [];
+        try {
+            await this._ensureState();
+        } catch (err) {
+            return [messageNode('error', `Could not read session state: ${err?.message || err}`, 'warning')];
+        }
+        return buildRootNodes(this._state);
+    }
+
+    async _ensureState() {
+        if (this._state) return this._state;
+        if (this._error) throw this._error;
+        if (!this._loading) {
+            const generation = this._generation;
+            const loading = Promise.resolve()
+                .then(() => this._loadState())
+                .then((state) => {
+                    // Stale: the session changed while this snapshot was being read.
+                    if (generation !== this._generation) return this._ensureState();
+                    this._state = state;
+                    return state;
+                }, (err) => {
+                    if (generation !== this._generation) return this._ensureState();
+                    this._error = err;
+                    throw err;
+                })
+                .finally(() => {
+                    if (this._loading === loading) this._loading = null;
+                });
+            this._loading = loading;
+        }
+        return this._loading;
+    }
+}
+
+function messageNode(id, label, icon) {
+    return { id: `message:${id}`, label, icon };
+}
+
+function section(id, label, children, icon, extra = {}) {
+    return {
+        id,
+        label,
+        description: String(children.length),
+        icon,
+        children: children.length ? children : [messageNode(`${id}:empty`, 'None')],
+        ...extra
+    };
+}
+
+/**
+ * Convert a parsed snapshot (see session-state.js) into tree nodes.
+ */
+function buildRootNodes(state) {
+    if (!state) return [];
+    const roots = [];
+
+    for (const frame of state.frames) {
+        const variables = frame.variables.map((v) => ({
+            id: `var:${frame.name}:${v.name}`,
+            label: v.name,
+            description: [v.type, v.format, v.label].filter(Boolean).join('  '),
+            tooltip: [
+                `${v.name} (${v.type}, ${v.format})`,
+                v.label ? `Label: ${v.label}` : null,
+                v.valueLabel ? `Value label: ${v.valueLabel}` : null
+            ].filter(Boolean).join('\n'),
+            icon: 'symbol-variable',
+            contextValue: 'stataVariable',
+            frame: frame.name,
+            variable: v.name
+        }));
+        const valueLabels = frame.valueLabels.map((vl) => ({
+            id: `vlabel:${frame.name}:${vl.name}`,
+            label: vl.name,
+            description: `${vl.count} value${vl.count === 1 ? '' : 's'}`,
+            icon: 'symbol-enum',
+            children: vl.entries.map((entry, i) => ({
+                id: `vlentry:${frame.name}:${vl.name}:${i}`,
+                label: String(entry.value),
+                description: entry.text
+            }))
+        }));
+
+        roots.push({
+            id: `frame:${frame.name}`,
+            label: frame.name,
+            description: `${frame.current ? 'current · ' : ''}${frame.n.toLocaleString()} obs × ${frame.k.toLocaleString()} vars`,
+            icon: 'table',
+            contextValue: frame.current ? 'stataFrameCurrent' : 'stataFrame',
+            frame: frame.name,
+            expanded: frame.current,
+            children: [
+                section(`vars:${frame.name}`, 'Variables', variables, 'symbol-field', { expanded: frame.current }),
+                section(`vlabels:${frame.name}`, 'Value Labels', valueLabels, 'symbol-enum')
+            ]
+        });
+    }
+
+    roots.push(section('globals', 'Globals', state.globals.map((g) => ({
+        id: `global:${g.name}`,
+        label: g.name,
+        description: g.value,
+        tooltip: `$${g.name} = ${g.value}`
+    })), 'symbol-string'));
+
+    roots.push(section('scalars', 'Scalars', state.scalars.map((s) => ({
+        id: `scalar:${s.name}`,
+        label: s.name,
+        description: s.value
+    })), 'symbol-constant'));
+
+    roots.push(section('matrices', 'Matrices', state.matrices.map((m) => ({
+        id: `matrix:${m.name}`,
+        label: m.name,
+        description: `${m.rows} × ${m.cols}`
+    })), 'symbol-array'));
+
+    const estimates = state.estimates.map((name) => ({
+        id: `estimate:${name}`,
+        label: name,
+        icon: 'bookmark'
+    }));
+    if (state.activeEstimate) {
+        estimates.unshift({
+            id: 'estimate:__active',
+            label: 'active',
+            description: [state.activeEstimate.cmd, state.activeEstimate.depvar].filter(Boolean).join(' '),
+            icon: 'pulse'
+        });
+    }
+    roots.push(section('estimates', 'Estimates', estimates, 'beaker'));
+
+    return roots;
+}
+
+module.exports = {
+    SessionTreeProvider,
+    buildRootNodes
+};
@@ -0,0 +1,163 @@
+const { EventEmitter } = require('events');
+const { DEFAULT_SESSION } = require('./mcp-client');
+
+// Workspace state key holding the named sessions and editor bindings.
+const SESSIONS_STATE_KEY = 'stataWorkbench.sessions';
+
+const SESSION_NAME = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,39}$/;
+
+function isValidSessionName(name) {
+    return typeof name === 'string' && SESSION_NAME.test(name) && name.trim() === name;
+}
+
+/**
+ * Session name for a workspace folder, or null when the folder name has nothing usable.
+ */
+function sessionNameForFolder(folderName) {
+    const name = String(folderName ?? '').replace(/[^A-Za-z0-9 _.-]/g, '_').replace(/^[^A-Za-z0-9]+/, '').trim().slice(0, 40).trim();
+    return isValidSessionName(name) ? name : null;
+}
+
+/**
+ * The Stata sessions of a workspace and which editors run in which. The default session always
+ * exists; named ones are added by the user or, with per-folder sessions on, one per workspace
+ * folder. Names and editor bindings are kept in workspace state. The active session is not:
+ * every session starts afresh after a reload, so the workspace starts on the default one.
+ */
+class StataSessions {
+    /**
+     * @param {{state?: {get: Function, update: Function}}} [options] Workspace state to persist to.
+     */
+    constructor({ state = null } = {}) {
+        this._state = state;
+        const saved = state?.get?.(SESSIONS_STATE_KEY) || {};
+        this._names = (Array.isArray(saved.sessions) ? saved.sessions : [])
+            .filter((name) => isValidSessionName(name) && name !== DEFAULT_SESSION);
+        this._bindings = new Map(Object.entries(saved.bindings || {}).filter(([, name]) => this.has(name)));
+        this._active = DEFAULT_SESSION;
+        this._emitter = new EventEmitter();
+    }
+
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * Every session name, the default one first.
+     * @returns {string[]}
+     */
+    names() {
+        return [DEFAULT_SESSION, ...this._names];
+    }
+
+    has(name) {
+        return name === DEFAULT_SESSION || this._names.includes(name);
+    }
+
+    /**
+     * Add a named session if it is new.
+     * @returns {string} The session name.
+     */
+    add(name) {
+        const trimmed = String(name ?? '').trim();
+        if (!isValidSessionName(trimmed)) {
+            throw new Error(`"${trimmed}" is not a valid session name. Use letters, digits, spaces, "_", "-" or "." (at most 40).`);
+        }
+        if (!this.has(trimmed)) {
+            this._names.push(trimmed);
+            this._save();
+            this._changed();
+        }
+        return trimmed;
+    }
+
+    /**
+     * Make a session (added if new) the one unbound editors and the terminal run in.
+     */
+    setActive(name) {
+        const session = this.add(name);
+        if (this._active === session) return;
+        this._active = session;
+        this._changed();
+    }
+
+    /**
+     * Forget a named session and the editors bound to it.
+     * @returns {boolean} False for the default session or an unknown name.
+     */
+    remove(name) {
+        if (name === DEFAULT_SESSION || !this.has(name)) return false;
+        this._names = this._names.filter((n) => n !== name);
+        for (const [uri, bound] of this._bindings) {
+            if (bound === name) this._bindings.delete(uri);
+        }
+        if (this._active === name) this._active = DEFAULT_SESSION;
+        this._save();
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Run a document in `name` (added if new), whichever session is active.
+     * @param {string|{toString(): string}} uri
+     */
+    bind(uri, name) {
+        const session = this.add(name);
+        this._bindings.set(String(uri), session);
+        this._save();
+        this._changed();
+        return session;
+    }
+
+    unbind(uri) {
+        if (!this._bindings.delete(String(uri))) return false;
+        this._save();
+        this._changed();
+        return true;
+    }
+
+    boundSession(uri) {
+        return uri ? this._bindings.get(String(uri)) || null : null;
+    }
+
+    /**
+     * The session code from a document runs in: the one it is bound to, then its workspace
+     * folder's session when `perFolder` is on, then the active session.
+     * @param {string|{toString(): string}|null} uri
+     * @param {{folderName?: string|null, perFolder?: boolean}} [options]
+     * @returns {string}
+     */
+    sessionFor(uri, { folderName = null, perFolder = false } = {}) {
+        const bound = this.boundSession(uri);
+        if (bound) return bound;
+        const folderSession = perFolder ? sessionNameForFolder(folderName) : null;
+        if (folderSession) return this.add(folderSession);
+        return this._active;
+    }
+
+    /**
+     * @param {() => void} listener Called after sessions, bindings or the active session change.
+     * @returns {{dispose: () => void}}
+     */
+    onDidChange(listener) {
+        this._emitter.on('change', listener);
+        return { dispose: () => this._emitter.off('change', listener) };
+    }
+
+    _changed() {
+        this._emitter.emit('change');
+    }
+
+    _save() {
+        const value = { sessions: [...this._names], bindings: Object.fromEntries(this._bindings) };
+        Promise.resolve(this._state?.update?.(SESSIONS_STATE_KEY, value)).catch(() => { });
+    }
+}
+
+module.exports = {
+    DEFAULT_SESSION,
+    SESSIONS_STATE_KEY,
+    StataSessions,
+    isValidSessionName,
+    sessionNameForFolder
+};
@@ -0,0 +1,331 @@
+/**
+ * Lightweight Stata source scanning shared by editor features.
+ * This is not a full parser: it understands strings, comments, `///` continuations,
+ * `#delimit ;` and block structure well enough to split code into runnable statements.
+ */
+
+/**
+ * Scan one physical line, separating code from comments.
+ * @param {string} line
+ * @param {{inBlockComment?: boolean}} [state] Carries an open `/* ... *\/` comment across lines.
+ * @returns {{code: string, comment: string, masked: string, continues: boolean, inBlockComment: boolean, commentStart: number}}
+ *   `code` keeps string contents intact; comments are removed.
+ *   `masked` is the line with comment characters blanked out, so offsets still match the source.
+ *   `continues` is true when the line ends with a `///` continuation.
+ *   `commentStart` is the offset of a trailing `//` or `///` comment, or -1.
+ */
+function scanLine(line, state = {}) {
+    const text = String(line ?? '');
+    let inBlockComment = !!state.inBlockComment;
+    let inString = false;
+    let compoundDepth = 0;
+    let code = '';
+    let comment = '';
+    let masked = '';
+    let continues = false;
+    let commentStart = -1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        const next = text[i + 1];
+
+        if (inBlockComment) {
+            if (ch === '*' && next === '/') {
+                inBlockComment = false;
+                comment += '*/';
+                masked += '  ';
+                i++;
+            } else {
+                comment += ch;
+                masked += ' ';
+            }
+            continue;
+        }
+
+        if (compoundDepth > 0) {
+            code += ch;
+            masked += ch;
+            if (ch === '`' && next === '"') {
+                compoundDepth++;
+                code += next;
+                masked += next;
+                i++;
+            } else if (ch === '"' && next === "'") {
+                compoundDepth--;
+                code += next;
+                masked += next;
+                i++;
+            }
+            continue;
+        }
+
+        if (inString) {
+            code += ch;
+            masked += ch;
+            if (ch === '"') inString = false;
+            continue;
+        }
+
+        if (ch === '`' && next === '"') {
+            compoundDepth = 1;
+            code += '`"';
+            masked += '`"';
+            i++;
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+            code += ch;
+            masked += ch;
+            continue;
+        }
+        if (ch === '/' && next === '*') {
+            inBlockComment = true;
+            comment += '/*';
+            masked += '  ';
+            i++;
+            continue;
+        }
+        // `//` only starts a comment at the start of a line or after whitespace.
+        if (ch === '/' && next === '/' && (i === 0 || /\s/.test(text[i - 1]))) {
+            const rest = text.slice(i);
+            if (rest.startsWith('///')) continues = true;
+            commentStart = i;
+            comment += rest;
+            masked += ' '.repeat(rest.length);
+            break;
+        }
+        code += ch;
+        masked += ch;
+    }
+
+    // A `*` comment only counts at the start of a statement.
+    if (!state.continuation && /^\s*\*/.test(code) && !inBlockComment) {
+        comment = code.trim() + comment;
+        code = '';
+        masked = ' '.repeat(masked.length);
+        continues = false;
+    }
+
+    return { code: code.replace(/\s+$/, ''), comment, masked, continues, inBlockComment, commentStart };
+}
+
+/**
+ * Join physical lines into logical commands, honouring `///`, block comments and `#delimit ;`.
+ * @param {string} text
+ * @returns {Array<{startLine: number, endLine: number, code: string, semicolon?: boolean, directive?: boolean}>}
+ *   Comment-free code for each command; `directive` marks `#delimit` lines.
+ */
+function logicalLines(text) {
+    const lines = String(text ?? '').split(/\r?\n/);
+    const out = [];
+    let inBlockComment = false;
+    let semicolonMode = false;
+    let pending = null;
+
+    const flush = (endLine) => {
+        if (pending && pending.code.trim()) {
+            out.push({ startLine: pending.startLine, endLine, code: pending.code.trim(), semicolon: semicolonMode });
+        }
+        pending = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const scanned = scanLine(lines[i], { inBlockComment, continuation: !!pending });
+        inBlockComment = scanned.inBlockComment;
+        const code = scanned.code;
+
+        const delimit = /^\s*#d(?:e(?:l(?:i(?:m(?:i(?:t)?)?)?)?)?)?\s+(;|cr)\s*$/i.exec(code);
+        if (delimit && !pending) {
+            out.push({ startLine: i, endLine: i, code: code.trim(), directive: true });
+            semicolonMode = delimit[1] === ';';
+            continue;
+        }
+
+        if (semicolonMode) {
+            let rest = code;
+            let index;
+            while ((index = findUnquoted(rest, ';')) !== -1) {
+                const piece = rest.slice(0, index);
+                if (!pending) pending = { startLine: i, code: '' };
+                pending.code += (pending.code ? ' ' : '') + piece.trim();
+                flush(i);
+                rest = rest.slice(index + 1);
+            }
+            if (rest.trim()) {
+                if (!pending) pending = { startLine: i, code: '' };
+                pending.code += (pending.code ? ' ' : '') + rest.trim();
+            }
+            continue;
+        }
+
+        if (!code.trim() && !pending) {
+            continue;
+        }
+        if (!pending) pending = { startLine: i, code: '' };
+        pending.code += (pending.code ? ' ' : '') + code.trim();
+        if (!scanned.continues && !inBlockComment) {
+            flush(i);
+        }
+    }
+    flush(lines.length - 1);
+    return out;
+}
+
+/**
+ * Blank out comments in every line, keeping line lengths so positions map back to the source.
+ * @param {string} text
+ * @returns {string[]} One masked string per physical line.
+ */
+function maskComments(text) {
+    let inBlockComment = false;
+    let continuation = false;
+    return String(text ?? '').split(/\r?\n/).map((line) => {
+        const scanned = scanLine(line, { inBlockComment, continuation });
+        inBlockComment = scanned.inBlockComment;
+        continuation = scanned.continues;
+        return scanned.masked;
+    });
+}
+
+/**
+ * Call `visit(ch, index)` for every character outside plain and compound strings.
+ * Returning `false` from the visitor stops the walk.
+ */
+function forEachUnquoted(text, visit) {
+    const source = String(text ?? '');
+    let inString = false;
+    let compoundDepth = 0;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        const next = source[i + 1];
+        if (compoundDepth > 0) {
+            if (ch === '`' && next === '"') { compoundDepth++; i++; }
+            else if (ch === '"' && next === "'") { compoundDepth--; i++; }
+            continue;
+        }
+        if (inString) {
+            if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '`' && next === '"') { compoundDepth = 1; i++; continue; }
+        if (ch === '"') { inString = true; continue; }
+        if (visit(ch, i) === false) return;
+    }
+}
+
+function findUnquoted(text, target) {
+    let found = -1;
+    forEachUnquoted(text, (ch, i) => {
+        if (ch === target) {
+            found = i;
+            return false;
+        }
+        return true;
+    });
+    return found;
+}
+
+/**
+ * Net brace depth change for comment-free code, ignoring braces in strings.
+ */
+function braceDelta(code) {
+    let delta = 0;
+    forEachUnquoted(code, (ch) => {
+        if (ch === '{') delta++;
+        else if (ch === '}') delta--;
+    });
+    return delta;
+}
+
+const PROGRAM_START = /^(?:\w+\s*:\s*)?(?:capture\s+|cap\s+)?pr(?:o(?:g(?:r(?:a(?:m)?)?)?)?)?\s+(?!drop\b|dir\b|list\b)(?:de(?:f(?:i(?:n(?:e)?)?)?)?\s+)?[A-Za-z_]/i;
+const MATA_START = /^mata\s*:?\s*$/i;
+const END_LINE = /^end\s*$/i;
+const PROGRAM_NAME = /^(?:\w+\s*:\s*)?(?:capture\s+|cap\s+)?pr(?:o(?:g(?:r(?:a(?:m)?)?)?)?)?\s+(?:de(?:f(?:i(?:n(?:e)?)?)?)?\s+)?([A-Za-z_][\w.]*)/i;
+
+/**
+ * Name of the program a logical command defines (`program [define] name`), or null.
+ */
+function programName(code) {
+    const text = String(code ?? '').trim();
+    if (!PROGRAM_START.test(text)) return null;
+    return PROGRAM_NAME.exec(text)?.[1] || null;
+}
+
+function isMataBlockStart(code) {
+    return MATA_START.test(String(code ?? '').trim());
+}
+
+/**
+ * Split code into top-level statements. Brace blocks (foreach, forvalues, if/else, while)
+ * and `program`/`mata` ... `end` blocks stay together as a single statement.
+ * @param {string} text
+ * @returns {Array<{startLine: number, endLine: number, code: string, directive: boolean}>}
+ *   `code` is the original source of the statement's lines, or the rejoined commands
+ *   when the statement was written under `#delimit ;`.
+ */
+function splitStatements(text) {
+    const lines = String(text ?? '').split(/\r?\n/);
+    let block = null;
+
+    const entries = [];
+    const push = (entry) => {
+        // `else` continues the preceding `if` block.
+        const previous = entries[entries.length - 1];
+        if (previous && /^else\b/i.test(entry.parts[0].code)) {
+            previous.endLine = entry.endLine;
+            previous.parts.push(...entry.parts);
+            return;
+        }
+        entries.push(entry);
+    };
+
+    for (const logical of logicalLines(text)) {
+        if (block) {
+            block.endLine = logical.endLine;
+            block.parts.push(logical);
+            if (block.kind === 'end') {
+                if (END_LINE.test(logical.code)) block.done = true;
+            } else {
+                block.depth += braceDelta(logical.code);
+                if (block.depth <= 0) block.done = true;
+            }
+        } else if (PROGRAM_START.test(logical.code) || MATA_START.test(logical.code)) {
+            block = { kind: 'end', startLine: logical.startLine, endLine: logical.endLine, depth: 0, parts: [logical] };
+        } else {
+            const depth = braceDelta(logical.code);
+            if (depth > 0) {
+                block = { kind: 'brace', startLine: logical.startLine, endLine: logical.endLine, depth, parts: [logical] };
+            } else {
+                push({ startLine: logical.startLine, endLine: logical.endLine, parts: [logical] });
+            }
+        }
+
+        if (block?.done) {
+            push(block);
+            block = null;
+        }
+    }
+    if (block) push(block);
+
+    return entries.map((entry) => ({
+        startLine: entry.startLine,
+        endLine: entry.endLine,
+        code: entry.parts.some((p) => p.semicolon)
+            ? entry.parts.map((p) => p.code).join('\n')
+            : lines.slice(entry.startLine, entry.endLine + 1).join('\n'),
+        directive: entry.parts.every((p) => p.directive)
+    }));
+}
+
+module.exports = {
+    scanLine,
+    logicalLines,
+    maskComments,
+    splitStatements,
+    braceDelta,
+    programName,
+    isMataBlockStart,
+    findUnquoted,
+    forEachUnquoted
+};
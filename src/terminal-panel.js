@@ -14,10 +14,12 @@ const { getTmpDir } = require('./fs-utils');
 /**
  * Parse SMCL text and extract formatted error information
  * @param {string} smclText -Raw SMCL text
- * @returns {{rc: number|null, formattedText: string}}
+ * @returns {{rc: number|null, formattedText: string, hasError?: boolean, callStack: string[], command: string|null, commandOccurrence: number, errors: string[]}}
+ *   `command` is the last command Stata echoed (`. cmd`, with `>` continuations) before the first error;
+ *   `commandOccurrence` counts how many times that same command had been echoed by then.
  */
 function parseSMCL(smclText) {
-  if (!smclText) return { rc: null, formattedText: '' };
+  if (!smclText) return { rc: null, formattedText: '', callStack: [], command: null, commandOccurrence: 0, errors: [] };
   const lines = smclText.split('\n');
   let extractedRC = null;
   let callStack = [];
@@ -25,11 +27,17 @@ function parseSMCL(smclText) {
   let errorMessages = [];
   let errorLineIndex = -1;
   let hasError = false;
+  let echoes = [];
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     const trimmedLine = line.trim();
     if (!trimmedLine) continue;
+    if (errorLineIndex === -1) {
+      const echo = line.replace(/^(?:\{(?:com|txt|res|inp|sf)\})+/, '');
+      if (echo.startsWith('. ')) echoes.push(echo.substring(2));
+      else if (echoes.length && echo.startsWith('> ')) echoes[echoes.length - 1] += ' ' + echo.substring(2);
+    }
     if (!extractedRC) {
       const searchMatch = line.match(/\{search r\((\d+)\)/i);
       if (searchMatch) {
@@ -84,7 +92,10 @@ function parseSMCL(smclText) {
       }
     }
   }
-  if (errorMessages.length === 0) return { rc: extractedRC, formattedText: '', hasError: hasError };
+  echoes = echoes.map(cleanEchoedCommand);
+  const command = echoes.length ? echoes[echoes.length - 1] : null;
+  const commandOccurrence = echoes.filter(e => e === command).length;
+  if (errorMessages.length === 0) return { rc: extractedRC, formattedText: '', hasError: hasError, callStack, command, commandOccurrence, errors: [] };
   let filteredErrors = errorMessages.filter(e => e.length > 0);
   if (filteredErrors.length > 1) {
     const hasSpecificError = filteredErrors.some(e => !e.match(/^error \d+$/i));
@@ -99,7 +110,17 @@ function parseSMCL(smclText) {
     parts.push(`\nCommand:\n  ${formattedCmd}`);
   }
   if (uniqueErrors.length > 0) parts.push(`\nError: ${uniqueErrors.join('\n       ')}`);
-  return { rc: extractedRC, formattedText: parts.join('\n').trim(), hasError: hasError };
+  return { rc: extractedRC, formattedText: parts.join('\n').trim(), hasError: hasError, callStack, command, commandOccurrence, errors: uniqueErrors };
+}
+
+function cleanEchoedCommand(echo) {
+  return echo
+    .replace(/\{c -\(\}/g, '{')
+    .replace(/\{c \)-\}/g, '}')
+    .replace(/\{(?:com|txt|res|inp|err|sf|bf|it)\}/g, '')
+    .replace(/\/\/\/\s*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
 class TerminalPanel {
@@ -122,9 +143,54 @@ class TerminalPanel {
   static _webviewReady = true;
   static _pendingWebviewMessages = [];
   static _panelInstanceId = 0;
+  // runId -> { code, label } for recent runs, so artifacts can be traced to their command.
+  static _runInfo = new Map();
+  static _artifactListener = null;
+  // Named Stata session this panel class shows; null for the default session.
+  static sessionName = null;
+  static _sessionPanels = new Map();
+
+  /**
+   * The terminal panel class for a named Stata session. Each session gets its own tab with its own
+   * run state and handlers; everything else (providers, listeners, extension URI) is shared.
+   * @param {string|null} name Session name; null or 'default' returns TerminalPanel itself.
+   * @returns {typeof TerminalPanel}
+   */
+  static forSession(name) {
+    if (!name || name === 'default') return TerminalPanel;
+    let panel = TerminalPanel._sessionPanels.get(name);
+    if (!panel) {
+      panel = class extends TerminalPanel {
+        static sessionName = name;
+        static currentPanel = null;
+        static _runCommand = null;
+        static _defaultRunCommand = null;
+        static _cancelHandler = null;
+        static _cancelTaskHandler = null;
+        static _clearHandler = null;
+        static _activeRunId = null;
+        static _activeFilePath = null;
+        static _webviewReady = true;
+        static _pendingWebviewMessages = [];
+      };
+      TerminalPanel._sessionPanels.set(name, panel);
+    }
+    return panel;
+  }
+
+  /**
+   * Close a named session's tab and forget its panel class.
+   * @param {string} name
+   */
+  static disposeSession(name) {
+    const panel = TerminalPanel._sessionPanels.get(name);
+    if (!panel) return;
+    TerminalPanel._sessionPanels.delete(name);
+    panel.currentPanel?.dispose();
+  }
 
   static setExtensionUri(uri) {
-    TerminalPanel.extensionUri = uri;
+    this.extensionUri = uri;
   }
 
   /**
@@ -135,7 +201,23 @@ class TerminalPanel {
    * @param {() => object} fn
    */
   static setHandlersFactory(fn) {
-    TerminalPanel._handlersFactory = fn;
+    this._handlersFactory = fn;
+  }
+
+  /**
+   * Register a callback for every artifact attached to a run, whether or not the panel is open.
+   * @param {(artifact: object, run: {runId: string, code?: string, label?: string|null}) => void} fn
+   */
+  static setArtifactListener(fn) {
+    this._artifactListener = fn;
+  }
+
+  static _rememberRun(runId, code, label) {
+    if (!runId) return;
+    this._runInfo.set(runId, { code, label: label || null });
+    while (this._runInfo.size > 200) {
+      this._runInfo.delete(this._runInfo.keys().next().value);
+    }
   }
 
   /**
@@ -144,26 +226,26 @@ class TerminalPanel {
    */
   static _bindHandlers({ runCommand, variableProvider, downloadGraphPdf, openHelpPanel, cancelRun, cancelTask, clearAll } = {}) {
     if (typeof runCommand === 'function') {
-      TerminalPanel._runCommand = runCommand;
-      TerminalPanel._defaultRunCommand = runCommand;
+      this._runCommand = runCommand;
+      this._defaultRunCommand = runCommand;
     }
     if (typeof variableProvider === 'function') {
-      TerminalPanel.variableProvider = variableProvider;
+      this.variableProvider = variableProvider;
     }
     if (typeof downloadGraphPdf === 'function') {
-      TerminalPanel._downloadGraphPdf = downloadGraphPdf;
+      this._downloadGraphPdf = downloadGraphPdf;
     }
     if (typeof openHelpPanel === 'function') {
-      TerminalPanel._openHelpPanel = openHelpPanel;
+      this._openHelpPanel = openHelpPanel;
     }
     if (typeof cancelRun === 'function') {
-      TerminalPanel._cancelHandler = cancelRun;
+      this._cancelHandler = cancelRun;
     }
     if (typeof cancelTask === 'function') {
-      TerminalPanel._cancelTaskHandler = cancelTask;
+      this._cancelTaskHandler = cancelTask;
     }
     if (typeof clearAll === 'function') {
-      TerminalPanel._clearHandler = clearAll;
+      this._clearHandler = clearAll;
     }
   }
 
@@ -182,95 +264,97 @@ class TerminalPanel {
    * @param {vscode.ViewColumn} [options.column]
    */
   static show({ filePath, initialCode, initialResult, runCommand, variableProvider, downloadGraphPdf, openHelpPanel, cancelRun, cancelTask, clearAll, column }) {
-    const targetColumn = column || (TerminalPanel.currentPanel ? TerminalPanel.currentPanel.viewColumn : vscode.ViewColumn.Beside);
-    TerminalPanel._activeFilePath = filePath || null;
-    TerminalPanel._bindHandlers({ runCommand, variableProvider, downloadGraphPdf, openHelpPanel, cancelRun, cancelTask, clearAll });
-    if (!TerminalPanel.currentPanel) {
-      TerminalPanel.currentPanel = vscode.window.createWebviewPanel(
-        'stataTerminal',
-        'Stata Terminal',
+    const targetColumn = column || (this.currentPanel ? this.currentPanel.viewColumn : vscode.ViewColumn.Beside);
+    this._activeFilePath = filePath || null;
+    this._bindHandlers({ runCommand, variableProvider, downloadGraphPdf, openHelpPanel, cancelRun, cancelTask, clearAll });
+    if (!this.currentPanel) {
+      // Session tabs are not restored on reload: their Stata sessions are gone by then.
+      this.currentPanel = vscode.window.createWebviewPanel(
+        this.sessionName ? 'stataTerminalSession' : 'stataTerminal',
+        this.sessionName ? `Stata Terminal (${this.sessionName})` : 'Stata Terminal',
         targetColumn,
         {
           enableScripts: true,
           retainContextWhenHidden: true,
           localResourceRoots: [
-            vscode.Uri.joinPath(TerminalPanel.extensionUri, 'src', 'ui-shared'),
-            vscode.Uri.joinPath(TerminalPanel.extensionUri, 'dist', 'ui-shared'),
+            vscode.Uri.joinPath(this.extensionUri, 'src', 'ui-shared'),
+            vscode.Uri.joinPath(this.extensionUri, 'dist', 'ui-shared'),
             vscode.Uri.file(getTmpDir())
           ]
         }
       );
       TerminalPanel._panelInstanceId += 1;
-      TerminalPanel.currentPanel.__stataPanelId = TerminalPanel._panelInstanceId;
+      this.currentPanel.__stataPanelId = TerminalPanel._panelInstanceId;
 
-      TerminalPanel.currentPanel.onDidDispose(() => {
-        TerminalPanel.currentPanel = null;
-        TerminalPanel._webviewReady = true;
-        TerminalPanel._pendingWebviewMessages = [];
+      this.currentPanel.onDidDispose(() => {
+        this.currentPanel = null;
+        this._webviewReady = true;
+        this._pendingWebviewMessages = [];
       });
 
-      TerminalPanel._setupWebviewHandlers();
+      this._setupWebviewHandlers();
     }
 
-    const webview = TerminalPanel.currentPanel.webview;
+    const webview = this.currentPanel.webview;
     const nonce = getNonce();
 
     // Convert initial data to history entry format for embedding
     const initialHistory = (initialCode && initialResult)
-      ? [toEntry(initialCode, initialResult)]
+      ? [toEntry(initialCode, initialResult, this)]
       : [];
-    TerminalPanel.currentPanel.webview.html = renderHtml(webview, TerminalPanel.extensionUri, nonce, TerminalPanel._activeFilePath, initialHistory);
+    this.currentPanel.webview.html = renderHtml(webview, this.extensionUri, nonce, this._activeFilePath, initialHistory);
 
-    TerminalPanel._webviewReady = false;
-    TerminalPanel._pendingWebviewMessages = [];
+    this._webviewReady = false;
+    this._pendingWebviewMessages = [];
 
-    TerminalPanel.currentPanel.reveal(targetColumn, true);
+    this.currentPanel.reveal(targetColumn, true);
   }
 
   static restorePanel(webviewPanel, state) {
-    TerminalPanel.currentPanel = webviewPanel;
+    this.currentPanel = webviewPanel;
     TerminalPanel._panelInstanceId += 1;
-    TerminalPanel.currentPanel.__stataPanelId = TerminalPanel._panelInstanceId;
+    this.currentPanel.__stataPanelId = TerminalPanel._panelInstanceId;
 
-    TerminalPanel._webviewReady = false;
-    TerminalPanel._pendingWebviewMessages = [];
+    this._webviewReady = false;
+    this._pendingWebviewMessages = [];
 
-    TerminalPanel.currentPanel.onDidDispose(() => {
-      TerminalPanel.currentPanel = null;
-      TerminalPanel._webviewReady = true;
-      TerminalPanel._pendingWebviewMessages = [];
+    this.currentPanel.onDidDispose(() => {
+      this.currentPanel = null;
+      this._webviewReady = true;
+      this._pendingWebviewMessages = [];
     });
 
-    TerminalPanel._setupWebviewHandlers();
-    if (TerminalPanel._handlersFactory) {
-      TerminalPanel._bindHandlers(TerminalPanel._handlersFactory());
+    this._setupWebviewHandlers();
+    if (this._handlersFactory) {
+      this._bindHandlers(this._handlersFactory());
     }
 
-    if (!TerminalPanel.extensionUri) return; // extensionUri set by activate(); skip renderHtml if not yet ready
+    if (!this.extensionUri) return; // extensionUri set by activate(); skip renderHtml if not yet ready
 
     const nonce = getNonce();
-    TerminalPanel.currentPanel.webview.html = renderHtml(
-      TerminalPanel.currentPanel.webview,
-      TerminalPanel.extensionUri,
+    this.currentPanel.webview.html = renderHtml(
+      this.currentPanel.webview,
+      this.extensionUri,
       nonce,
-      TerminalPanel._activeFilePath,
+      this._activeFilePath,
       []
     );
   }
 
   static _setupWebviewHandlers() {
-    if (!TerminalPanel.currentPanel) return;
-    const webview = TerminalPanel.currentPanel.webview;
+    if (!this.currentPanel) return;
+    const webview = this.currentPanel.webview;
     webview.onDidReceiveMessage(async (message) => {
       if (!message || typeof message !== 'object') return;
 
-      if (TerminalPanel._testCapture) {
-        TerminalPanel._testCapture(message);
+      if (this._testCapture) {
+        this._testCapture(message);
       }
 
       if (message.type === 'ready') {
-        TerminalPanel._webviewReady = true;
-        TerminalPanel._flushPendingMessages();
+        this._webviewReady = true;
+        this._flushPendingMessages();
+        this._postHistory(webview);
         return;
       }
 
@@ -280,23 +364,23 @@ class TerminalPanel {
       }
 
       if (message.type === 'run' && typeof message.code === 'string') {
-        await TerminalPanel.handleRun(message.code, TerminalPanel._runCommand);
+        await this.handleRun(message.code, this._runCommand);
       }
       if ((message.command === 'download-graph-pdf' || message.type === 'downloadGraphPdf') && message.graphName) {
-        await TerminalPanel._handleDownloadGraphPdf(message.graphName, message.baseDir);
+        await this._handleDownloadGraphPdf(message.graphName, message.baseDir);
       }
       if (message.command === 'cancel-run' || message.type === 'cancelRun') {
-        await TerminalPanel._handleCancelRun();
+        await this._handleCancelRun();
       }
       if (message.type === 'cancelTask' && message.runId) {
-        await TerminalPanel._handleCancelTask(message.runId);
+        await this._handleCancelTask(message.runId);
       }
       if (message.type === 'clearAll') {
-        await TerminalPanel._handleClearAll();
+        await this._handleClearAll();
       }
       if (message.type === 'openArtifact') {
-        if ((message.artifactType === 'help' || message.type_hint === 'help') && message.path && typeof TerminalPanel._openHelpPanel === 'function') {
-          TerminalPanel._openHelpPanel(message.path, message.label);
+        if ((message.artifactType === 'help' || message.type_hint === 'help') && message.path && typeof this._openHelpPanel === 'function') {
+          this._openHelpPanel(message.path, message.label);
         } else if (message.path) {
           openArtifact(message.path, message.baseDir);
         }
@@ -315,7 +399,7 @@ class TerminalPanel {
         }
       }
       if (message.type === 'requestVariables') {
-        const provider = TerminalPanel.variableProvider;
+        const provider = this.variableProvider;
         if (typeof provider === 'function') {
           try {
             const vars = await provider();
@@ -334,7 +418,7 @@ class TerminalPanel {
         console.log(`[Client Log] ${message.level || 'info'}: ${message.message}`);
       }
       if (message.type === 'fetchLog') {
-        await TerminalPanel._handleFetchLog(message.runId, message.path, message.offset, message.maxBytes);
+        await this._handleFetchLog(message.runId, message.path, message.offset, message.maxBytes);
       }
     });
 
@@ -342,8 +426,8 @@ class TerminalPanel {
       const originalPostMessage = webview.postMessage.bind(webview);
       webview.postMessage = (msg) => {
         try {
-          if (TerminalPanel._testOutgoingCapture) {
-            TerminalPanel._testOutgoingCapture(msg);
+          if (this._testOutgoingCapture) {
+            this._testOutgoingCapture(msg);
           }
         } catch (_err) {
         }
@@ -355,11 +439,11 @@ class TerminalPanel {
 
 
   static _postMessage(msg) {
-    if (!TerminalPanel.currentPanel) return;
-    const webview = TerminalPanel.currentPanel.webview;
+    if (!this.currentPanel) return;
+    const webview = this.currentPanel.webview;
     if (!webview || typeof webview.postMessage !== 'function') return;
-    if (!TerminalPanel._webviewReady) {
-      TerminalPanel._pendingWebviewMessages.push(msg);
+    if (!this._webviewReady) {
+      this._pendingWebviewMessages.push(msg);
       if (msg && msg.type && msg.type !== 'runLogAppend') {
       }
       return;
@@ -370,42 +454,43 @@ class TerminalPanel {
   }
 
   static _flushPendingMessages() {
-    if (!TerminalPanel.currentPanel) return;
-    if (!TerminalPanel._webviewReady) return;
-    const pending = Array.isArray(TerminalPanel._pendingWebviewMessages)
-      ? TerminalPanel._pendingWebviewMessages
+    if (!this.currentPanel) return;
+    if (!this._webviewReady) return;
+    const pending = Array.isArray(this._pendingWebviewMessages)
+      ? this._pendingWebviewMessages
       : [];
-    TerminalPanel._pendingWebviewMessages = [];
+    this._pendingWebviewMessages = [];
     for (const msg of pending) {
-      TerminalPanel._postMessage(msg);
+      this._postMessage(msg);
     }
   }
 
   static updateDatasetSummary(n, k) {
-    TerminalPanel._postMessage({ type: 'datasetSummary', n, k });
+    this._postMessage({ type: 'datasetSummary', n, k });
   }
 
   static async handleRun(code, runCommand) {
     return Sentry.startSpan({ name: 'stata.terminal.handleRun', op: 'extension.operation' }, async () => {
-      if (!TerminalPanel.currentPanel) return;
+      if (!this.currentPanel) return;
       const trimmed = (code || '').trim();
       if (!trimmed) return;
 
-      const runId = TerminalPanel._generateRunId();
-      TerminalPanel._activeRunId = runId;
-      TerminalPanel._postMessage({ type: 'busy', value: true });
-      TerminalPanel._postMessage({ type: 'runStarted', runId, code: trimmed });
+      const runId = this._generateRunId();
+      this._activeRunId = runId;
+      this._rememberRun(runId, trimmed);
+      this._postMessage({ type: 'busy', value: true });
+      this._postMessage({ type: 'runStarted', runId, code: trimmed });
 
       try {
-        const cwd = TerminalPanel._activeFilePath ? path.dirname(TerminalPanel._activeFilePath) : null;
+        const cwd = this._activeFilePath ? path.dirname(this._activeFilePath) : null;
         const hooks = {
           runId,
           onLog: (text) => {
             if (!text) return;
-            TerminalPanel._postMessage({ type: 'runLogAppend', runId, text: formatStreamChunk(text), streamFormat: 'plain' });
+            this._postMessage({ type: 'runLogAppend', runId, text: formatStreamChunk(text), streamFormat: 'plain' });
           },
           onProgress: (progress, total, message) => {
-            TerminalPanel._postMessage({ type: 'runProgress', runId, progress, total, message });
+            this._postMessage({ type: 'runProgress', runId, progress, total, message });
           },
           onTaskDone: (payload) => {
             let stdout = null;
@@ -418,7 +503,7 @@ class TerminalPanel {
               } catch (_err) {
               }
             }
-            TerminalPanel.notifyTaskDone(runId, payload?.logPath, payload?.logSize, stdout, payload?.rc);
+            this.notifyTaskDone(runId, payload?.logPath, payload?.logSize, stdout, payload?.rc);
           },
           cwd
         };
@@ -466,7 +551,7 @@ class TerminalPanel {
         // Determine success using parsed RC
         const success = determineSuccess(result, finalRC);
 
-        TerminalPanel._postMessage({
+        this._postMessage({
           type: 'runFinished',
           runId,
           rc: finalRC,
@@ -477,27 +562,27 @@ class TerminalPanel {
           // fullStdout: always available for the 'Log' tab.
           fullStdout: (result?.stdout || result?.contentText || ''),
           stderr: success ? '' : finalStderr,
-          artifacts: normalizeArtifacts(result),
+          artifacts: normalizeArtifacts(result, this),
           baseDir: result?.cwd || ''
         });
       } catch (error) {
-        TerminalPanel._postMessage({ type: 'runFailed', runId, message: error?.message || String(error) });
+        this._postMessage({ type: 'runFailed', runId, message: error?.message || String(error) });
       } finally {
-        TerminalPanel._activeRunId = null;
-        TerminalPanel._postMessage({ type: 'busy', value: false });
+        this._activeRunId = null;
+        this._postMessage({ type: 'busy', value: false });
       }
     });
   }
 
   static async _handleDownloadGraphPdf(graphName, baseDir) {
     return Sentry.startSpan({ name: 'terminal.downloadGraphPdf', op: 'extension.operation' }, async () => {
-      if (typeof TerminalPanel._downloadGraphPdf !== 'function') return;
+      if (typeof this._downloadGraphPdf !== 'function') return;
       try {
-        await TerminalPanel._downloadGraphPdf(graphName, baseDir);
-        TerminalPanel._postMessage({ type: 'downloadStatus', success: true, graphName });
+        await this._downloadGraphPdf(graphName, baseDir);
+        this._postMessage({ type: 'downloadStatus', success: true, graphName });
       } catch (error) {
         console.error('[TerminalPanel] downloadGraphPdf failed:', error);
-        TerminalPanel._postMessage({
+        this._postMessage({
           type: 'downloadStatus',
           success: false,
           graphName,
@@ -509,14 +594,14 @@ class TerminalPanel {
 
   static async _handleCancelRun() {
     return Sentry.startSpan({ name: 'terminal.cancelRun', op: 'extension.operation' }, async () => {
-      if (typeof TerminalPanel._cancelHandler === 'function') {
+      if (typeof this._cancelHandler === 'function') {
         try {
-          await TerminalPanel._cancelHandler();
+          await this._cancelHandler();
           // Optimistically mark the active run as cancelled in the UI.
-          const runId = TerminalPanel._activeRunId;
+          const runId = this._activeRunId;
           if (runId) {
-            TerminalPanel._postMessage({ type: 'runCancelled', runId, message: 'Run cancelled by user.' });
-            TerminalPanel._postMessage({ type: 'busy', value: false });
+            this._postMessage({ type: 'runCancelled', runId, message: 'Run cancelled by user.' });
+            this._postMessage({ type: 'busy', value: false });
           }
         } catch (error) {
           console.error('[TerminalPanel] cancelRun failed:', error);
@@ -527,9 +612,9 @@ class TerminalPanel {
 
   static async _handleCancelTask(runId) {
     return Sentry.startSpan({ name: 'terminal.cancelTask', op: 'extension.operation' }, async () => {
-      if (typeof TerminalPanel._cancelTaskHandler === 'function') {
+      if (typeof this._cancelTaskHandler === 'function') {
         try {
-          await TerminalPanel._cancelTaskHandler(runId);
+          await this._cancelTaskHandler(runId);
         } catch (error) {
           console.error('[TerminalPanel] cancelTask failed:', error);
         }
@@ -537,70 +622,71 @@ class TerminalPanel {
     });
   }
 
-  static startStreamingEntry(code, filePath, runCommand, variableProvider, cancelRun, cancelTask, downloadGraphPdf) {
+  static startStreamingEntry(code, filePath, runCommand, variableProvider, cancelRun, cancelTask, downloadGraphPdf, label) {
     const trimmed = (code || '').trim();
     if (!trimmed) return null;
 
-    TerminalPanel._activeFilePath = filePath || TerminalPanel._activeFilePath || null;
+    this._activeFilePath = filePath || this._activeFilePath || null;
     if (typeof variableProvider === 'function') {
-      TerminalPanel.variableProvider = variableProvider;
+      this.variableProvider = variableProvider;
     }
     if (typeof runCommand === 'function') {
-      TerminalPanel._defaultRunCommand = runCommand;
+      this._defaultRunCommand = runCommand;
     }
     if (typeof cancelRun === 'function') {
-      TerminalPanel._cancelHandler = cancelRun;
+      this._cancelHandler = cancelRun;
     }
     if (typeof cancelTask === 'function') {
-      TerminalPanel._cancelTaskHandler = cancelTask;
+      this._cancelTaskHandler = cancelTask;
     }
     if (typeof downloadGraphPdf === 'function') {
-      TerminalPanel._downloadGraphPdf = downloadGraphPdf;
+      this._downloadGraphPdf = downloadGraphPdf;
     }
 
-    if (!TerminalPanel.currentPanel) {
-      TerminalPanel.show({
+    if (!this.currentPanel) {
+      this.show({
         filePath,
         initialCode: null,
         initialResult: null,
-        runCommand: runCommand || TerminalPanel._defaultRunCommand || (async () => { throw new Error('Session not fully initialized'); }),
-        variableProvider: variableProvider || TerminalPanel.variableProvider,
-        downloadGraphPdf: TerminalPanel._downloadGraphPdf,
-        openHelpPanel: TerminalPanel._openHelpPanel,
-        cancelRun: TerminalPanel._cancelHandler,
-        cancelTask: TerminalPanel._cancelTaskHandler,
-        clearAll: TerminalPanel._clearHandler
+        runCommand: runCommand || this._defaultRunCommand || (async () => { throw new Error('Session not fully initialized'); }),
+        variableProvider: variableProvider || this.variableProvider,
+        downloadGraphPdf: this._downloadGraphPdf,
+        openHelpPanel: this._openHelpPanel,
+        cancelRun: this._cancelHandler,
+        cancelTask: this._cancelTaskHandler,
+        clearAll: this._clearHandler
       });
     }
 
-    if (!TerminalPanel.currentPanel) return null;
-    const runId = TerminalPanel._generateRunId();
-    TerminalPanel._postMessage({ type: 'busy', value: true });
-    TerminalPanel._postMessage({ type: 'runStarted', runId, code: trimmed });
-    const targetColumn = TerminalPanel.currentPanel.viewColumn || vscode.ViewColumn.Beside;
-    TerminalPanel.currentPanel.reveal(targetColumn, true);
+    if (!this.currentPanel) return null;
+    const runId = this._generateRunId();
+    this._rememberRun(runId, trimmed, label);
+    this._postMessage({ type: 'busy', value: true });
+    this._postMessage({ type: 'runStarted', runId, code: trimmed, label: label || null });
+    const targetColumn = this.currentPanel.viewColumn || vscode.ViewColumn.Beside;
+    this.currentPanel.reveal(targetColumn, true);
     return runId;
   }
 
   static updateStreamingStatus(runId, status) {
-    if (!TerminalPanel.currentPanel || !runId) return;
-    TerminalPanel._postMessage({ type: 'runStatusUpdate', runId, status });
+    if (!this.currentPanel || !runId) return;
+    this._postMessage({ type: 'runStatusUpdate', runId, status });
   }
 
   static appendStreamingLog(runId, text) {
-    if (!TerminalPanel.currentPanel || !runId) return;
+    if (!this.currentPanel || !runId) return;
     const chunk = String(text ?? '');
     if (!chunk) return;
-    TerminalPanel._postMessage({ type: 'runLogAppend', runId, text: formatStreamChunk(chunk), streamFormat: 'plain' });
+    this._postMessage({ type: 'runLogAppend', runId, text: formatStreamChunk(chunk), streamFormat: 'plain' });
   }
 
   static updateStreamingProgress(runId, progress, total, message) {
-    if (!TerminalPanel.currentPanel || !runId) return;
-    TerminalPanel._postMessage({ type: 'runProgress', runId, progress, total, message });
+    if (!this.currentPanel || !runId) return;
+    this._postMessage({ type: 'runProgress', runId, progress, total, message });
   }
 
   static finishStreamingEntry(runId, result) {
-    if (!TerminalPanel.currentPanel || !runId) return;
+    if (!this.currentPanel || !runId) return;
 
     // Parse SMCL stdout + stderr to extract RC and format
     let finalRC = typeof result?.rc === 'number' ? result.rc : null;
@@ -639,7 +725,7 @@ class TerminalPanel {
       }
     }
 
-    TerminalPanel._postMessage({
+    this._postMessage({
       type: 'runFinished',
       runId,
       rc: finalRC,
@@ -651,15 +737,15 @@ class TerminalPanel {
       stderr: success ? '' : finalStderr,
       logPath: result?.logPath || null,
       logSize,
-      artifacts: normalizeArtifacts(result),
+      artifacts: normalizeArtifacts(result, this),
       baseDir: result?.cwd || ''
     });
-    TerminalPanel._postMessage({ type: 'busy', value: false });
+    this._postMessage({ type: 'busy', value: false });
   }
 
   static notifyTaskDone(runId, logPath, logSize, stdout, rc) {
-    if (!TerminalPanel.currentPanel || !runId) return;
-    TerminalPanel._postMessage({
+    if (!this.currentPanel || !runId) return;
+    this._postMessage({
       type: 'taskDone',
       runId,
       logPath: logPath || null,
@@ -670,8 +756,15 @@ class TerminalPanel {
   }
 
   static appendRunArtifact(runId, artifact) {
-    if (!TerminalPanel.currentPanel || !runId || !artifact) return;
-    const webview = TerminalPanel.currentPanel.webview;
+    if (runId && artifact && typeof this._artifactListener === 'function') {
+      try {
+        this._artifactListener(artifact, { runId, ...this._runInfo.get(runId), session: this.sessionName });
+      } catch (err) {
+        console.error('[TerminalPanel] artifact listener failed:', err);
+      }
+    }
+    if (!this.currentPanel || !runId || !artifact) return;
+    const webview = this.currentPanel.webview;
     const baseDir = artifact.baseDir || null;
     const resolved = artifact.path ? resolveArtifactUri(artifact.path, baseDir) : null;
     const previewPath = (webview && resolved && resolved.scheme === 'file' && resolved.fsPath.toLowerCase().endsWith('.svg'))
@@ -682,7 +775,7 @@ class TerminalPanel {
     } else if (artifact.path) {
       console.log('[TerminalPanel] No previewPath for', artifact.path);
     }
-    TerminalPanel._postMessage({
+    this._postMessage({
       type: 'runArtifact',
       runId,
       artifact: { ...artifact, previewPath }
@@ -697,11 +790,11 @@ class TerminalPanel {
       }
       try {
         // Lazy require to avoid circularity if possible, or assume mcpClient is globally available 
-        if (TerminalPanel._logProvider) {
-          const slice = await TerminalPanel._logProvider(path, offset, maxBytes);
+        if (this._logProvider) {
+          const slice = await this._logProvider(path, offset, maxBytes);
           const rawData = slice?.data || '';
 
-          TerminalPanel._postMessage({
+          this._postMessage({
             type: 'logChunk',
             runId,
             path,
@@ -718,13 +811,31 @@ class TerminalPanel {
   }
 
   static setLogProvider(fn) {
-    TerminalPanel._logProvider = fn;
+    this._logProvider = fn;
+  }
+
+  /**
+   * Source of previously run commands, used to seed the input's up-arrow history
+   * when a fresh panel has none of its own.
+   */
+  static setHistoryProvider(fn) {
+    this._historyProvider = fn;
+  }
+
+  static _postHistory(webview) {
+    if (typeof this._historyProvider !== 'function') return;
+    try {
+      const commands = this._historyProvider() || [];
+      if (commands.length) webview.postMessage({ type: 'history', commands: commands.slice(-500) });
+    } catch (_err) {
+      // Best effort: the panel works without earlier history.
+    }
   }
 
   static failStreamingEntry(runId, errorMessage) {
-    if (!TerminalPanel.currentPanel || !runId) return;
-    TerminalPanel._postMessage({ type: 'runFailed', runId, message: errorMessage });
-    TerminalPanel._postMessage({ type: 'busy', value: false });
+    if (!this.currentPanel || !runId) return;
+    this._postMessage({ type: 'runFailed', runId, message: errorMessage });
+    this._postMessage({ type: 'busy', value: false });
   }
 
   static _generateRunId() {
@@ -740,68 +851,68 @@ class TerminalPanel {
    */
   static addEntry(code, result, filePath, runCommand, variableProvider) {
     return Sentry.startSpan({ name: 'terminal.addEntry', op: 'extension.ui' }, () => {
-      if (!TerminalPanel.currentPanel) {
+      if (!this.currentPanel) {
         // If panel not open, open it with this as initial state
         if (typeof runCommand === 'function') {
-          TerminalPanel._defaultRunCommand = runCommand;
+          this._defaultRunCommand = runCommand;
         }
         if (typeof variableProvider === 'function') {
-          TerminalPanel.variableProvider = variableProvider;
+          this.variableProvider = variableProvider;
         }
-        TerminalPanel.show({
+        this.show({
           filePath,
           initialCode: code,
           initialResult: result,
           runCommand: runCommand || (async () => { throw new Error('Session not fully initialized'); }),
-          variableProvider: variableProvider || TerminalPanel.variableProvider,
-          downloadGraphPdf: TerminalPanel._downloadGraphPdf,
-          openHelpPanel: TerminalPanel._openHelpPanel,
-          cancelRun: TerminalPanel._cancelHandler,
-          clearAll: TerminalPanel._clearHandler
+          variableProvider: variableProvider || this.variableProvider,
+          downloadGraphPdf: this._downloadGraphPdf,
+          openHelpPanel: this._openHelpPanel,
+          cancelRun: this._cancelHandler,
+          clearAll: this._clearHandler
         });
         return;
       }
 
-      TerminalPanel._activeFilePath = filePath || TerminalPanel._activeFilePath || null;
+      this._activeFilePath = filePath || this._activeFilePath || null;
 
       // Panel exists, just append
-      TerminalPanel._postMessage({
+      this._postMessage({
         type: 'append',
-        entry: toEntry(code, result)
+        entry: toEntry(code, result, this)
       });
 
       // Explicitly reveal it
-      const targetColumn = TerminalPanel.currentPanel.viewColumn || vscode.ViewColumn.Beside;
-      TerminalPanel.currentPanel.reveal(targetColumn, true);
+      const targetColumn = this.currentPanel.viewColumn || vscode.ViewColumn.Beside;
+      this.currentPanel.reveal(targetColumn, true);
     });
   }
 
   static async _handleClearAll() {
     return Sentry.startSpan({ name: 'terminal.clearAll', op: 'extension.operation' }, async () => {
-      if (typeof TerminalPanel._clearHandler === 'function') {
+      if (typeof this._clearHandler === 'function') {
         try {
           // Clear UI first, before running command
-          TerminalPanel._postMessage({ type: 'cleared' });
-          TerminalPanel._postMessage({ type: 'busy', value: true });
-          await TerminalPanel._clearHandler();
+          this._postMessage({ type: 'cleared' });
+          this._postMessage({ type: 'busy', value: true });
+          await this._clearHandler();
           // Success -UI already cleared, no need to show anything
         } catch (error) {
           Sentry.captureException(error);
           console.error('[TerminalPanel] clearAll failed:', error);
-          TerminalPanel._postMessage({ type: 'error', message: 'Failed to clear: ' + error.message });
+          this._postMessage({ type: 'error', message: 'Failed to clear: ' + error.message });
         } finally {
-          TerminalPanel._postMessage({ type: 'busy', value: false });
+          this._postMessage({ type: 'busy', value: false });
         }
         return;
       }
       // Fallback: clear UI first, then run command silently
-      TerminalPanel._postMessage({ type: 'cleared' });
-      if (typeof TerminalPanel._defaultRunCommand === 'function') {
+      this._postMessage({ type: 'cleared' });
+      if (typeof this._defaultRunCommand === 'function') {
         // Run silently in background without showing in terminal
         try {
-          await TerminalPanel._defaultRunCommand('clear all', {});
+          await this._defaultRunCommand('clear all', {});
         } catch (error) {
-          TerminalPanel._postMessage({ type: 'error', message: 'Failed to clear: ' + error.message });
+          this._postMessage({ type: 'error', message: 'Failed to clear: ' + error.message });
         }
       }
     });
@@ -815,6 +926,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
   const designUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'design.css'));
   const highlightCssUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'highlight.css'));
   const mainJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'dist', 'ui-shared', 'main.js'));
+  const graphViewerJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'dist', 'ui-shared', 'graph-viewer.js'));
   const highlightJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'highlight.min.js'));
   const markJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'mark.min.js'));
   const autocompleteJsUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'ui-shared', 'autocomplete.js'));
@@ -1006,6 +1118,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         <button class="btn btn-sm" data-action="close-artifact-modal" type="button">Close</button>
       </div>
       <div class="artifact-modal-body">
+        <div class="graph-viewer hidden" id="artifact-modal-viewer"></div>
         <img class="artifact-modal-img" id="artifact-modal-img" alt="" />
         <div class="artifact-modal-meta" id="artifact-modal-meta"></div>
       </div>
@@ -1013,7 +1126,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         <button class="btn btn-sm" id="artifact-modal-open" type="button">Open</button>
         <button class="btn btn-sm" id="artifact-modal-reveal" type="button">Reveal</button>
         <button class="btn btn-sm" id="artifact-modal-copy" type="button">Copy path</button>
-        <button class="btn btn-sm btn-primary" id="artifact-modal-download" type="button">Download PDF</button>
+        <button class="btn btn-sm btn-primary" id="artifact-modal-download" type="button">Export…</button>
       </div>
     </div>
   </div>
@@ -1051,6 +1164,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
   <script src="${highlightJsUri}"></script>
   <script src="${markJsUri}"></script>
   <script src="${mainJsUri}"></script>
+  <script src="${graphViewerJsUri}"></script>
   <script src="${autocompleteJsUri}"></script>
   <script nonce="${nonce}">
     const vscode = acquireVsCodeApi();
@@ -1615,7 +1729,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         if (autoScrollPinned) scrollToBottom();
     }
 
-    function ensureRunGroup(runId, code) {
+    function ensureRunGroup(runId, code, label) {
         if (runs[runId]) return runs[runId];
 
         const lastGroup = chatStream.lastElementChild;
@@ -1632,6 +1746,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
 
         const userHtml = code ? (
             '<div class="user-bubble">'
+            + (label ? '<div class="user-bubble-label">' + window.stataUI.escapeHtml(label) + '</div>' : '')
             + window.stataUI.escapeHtml(code)
             + '</div>'
         ) : '';
@@ -1926,6 +2041,8 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
     const modal = document.getElementById('artifact-modal');
     const modalTitle = document.getElementById('artifact-modal-title');
     const modalImg = document.getElementById('artifact-modal-img');
+    const modalViewerEl = document.getElementById('artifact-modal-viewer');
+    const modalViewer = window.stataGraphViewer && modalViewerEl ? window.stataGraphViewer.createGraphViewer(modalViewerEl) : null;
     const modalMeta = document.getElementById('artifact-modal-meta');
     const modalOpenBtn = document.getElementById('artifact-modal-open');
     const modalRevealBtn = document.getElementById('artifact-modal-reveal');
@@ -1939,6 +2056,16 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         if (modalImg) {
             modalImg.src = artifact.src || '';
             modalImg.alt = artifact.label || 'Graph';
+            modalImg.classList.remove('hidden');
+        }
+        // SVG graphs open in the interactive viewer; anything else stays a plain image.
+        if (modalViewer) {
+            modalViewer.clear();
+            if (/\.svg$/i.test(artifact.path || '') && artifact.src) {
+                modalViewer.load(artifact.src).then((ok) => {
+                    if (ok && activeModalArtifact === artifact && modalImg) modalImg.classList.add('hidden');
+                });
+            }
         }
         if (modalMeta) {
             modalMeta.textContent = artifact.path || '';
@@ -1962,9 +2089,10 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
             modal.setAttribute('aria-hidden', 'true');
         }
         if (modalImg) modalImg.src = '';
+        if (modalViewer) modalViewer.clear();
     }
 
-    // Download button handler -requests PDF export and downloads it
+    // Download button handler - asks the extension to export the graph
     if (modalDownloadBtn) {
         modalDownloadBtn.addEventListener('click', async () => {
             console.log('[Modal] Download button clicked');
@@ -1985,11 +2113,11 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
             try {
                 const originalText = modalDownloadBtn.textContent;
                 modalDownloadBtn.disabled = true;
-                modalDownloadBtn.textContent = 'Downloading...';
+                modalDownloadBtn.textContent = 'Exporting...';
                 
                 console.log('[Modal] Sending download-graph-pdf message:', graphName);
                 
-                // Request PDF export from the extension
+                // Format and size are chosen in the extension
                 vscode.postMessage({
                     command: 'download-graph-pdf',
                     graphName: graphName,
@@ -2007,7 +2135,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
             } catch (err) {
                 console.error('[Modal] Download error:', err);
                 modalDownloadBtn.disabled = false;
-                modalDownloadBtn.textContent = 'Download PDF';
+                modalDownloadBtn.textContent = 'Export…';
                 alert('Download failed: ' + err.message);
             }
         });
@@ -2044,6 +2172,14 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
           // Legacy init support if needed, but we prefer embedded
           if (msg.history) msg.history.forEach(appendEntry);
       }
+      if (msg.type === 'history') {
+          // Persisted history only fills an empty input history; the panel's own state wins.
+          if (history.length === 0 && Array.isArray(msg.commands)) {
+              history.push(...msg.commands);
+              historyIndex = -1;
+          }
+          return;
+      }
       if (msg.type === 'append') {
         appendEntry(msg.entry);
         scheduleHighlight();
@@ -2119,7 +2255,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         const runId = msg.runId;
         const code = String(msg.code || '');
         runMetrics[runId] = { start: Date.now(), logChunks: 0, logChars: 0 };
-        ensureRunGroup(runId, code);
+        ensureRunGroup(runId, code, msg.label || '');
         updateStatusIndicator(null, null); // Reset status when run starts
       }
 
@@ -2183,7 +2319,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
         // Reset modal download button state
         if (modalDownloadBtn) {
           modalDownloadBtn.disabled = false;
-          modalDownloadBtn.textContent = 'Download PDF';
+          modalDownloadBtn.textContent = 'Export…';
         }
         if (!msg.success && msg.message) {
           console.error('[Modal] Download failed:', msg.message);
@@ -2970,7 +3106,7 @@ function renderHtml(webview, extensionUri, nonce, filePath, initialEntries = [])
 </html>`;
 }
 
-function toEntry(code, result) {
+function toEntry(code, result, panelClass = TerminalPanel) {
   // Parse SMCL stderr to extract RC and format
   let finalRC = typeof result?.rc === 'number' ? result.rc : null;
   let finalStderr = result?.stderr || '';
@@ -3029,7 +3165,7 @@ function toEntry(code, result) {
     stdout,
     fullStdout: result?.stdout || result?.contentText || '',
     stderr,
-    artifacts: normalizeArtifacts(result),
+    artifacts: normalizeArtifacts(result, panelClass),
     timestamp: Date.now()
   };
 }
@@ -3037,14 +3173,16 @@ function toEntry(code, result) {
 /**
  * Normalizes artifact objects for display in the terminal panel.
  * @param {object} result
+ * @param {typeof TerminalPanel} [panelClass] Panel class the artifacts are rendered in (a named
+ *   session has its own); its webview resolves SVG preview URIs.
  * @returns {Array<object>}
  */
-function normalizeArtifacts(result) {
+function normalizeArtifacts(result, panelClass = TerminalPanel) {
   const preferred = Array.isArray(result?.graphArtifacts)
     ? result.graphArtifacts
     : (result?.artifacts || []);
   if (!Array.isArray(preferred)) return [];
-  const webview = TerminalPanel.currentPanel?.webview || null;
+  const webview = panelClass?.currentPanel?.webview || null;
   const normalized = preferred.map((a) => {
     if (!a) return null;
     const label = a.label || path.basename(a.path || '') || 'artifact';
@@ -83,6 +83,8 @@ if (Sentry && Sentry.init) {
 
 // --- Imports ---
 import { tableFromIPC } from 'apache-arrow';
+// Shared with the extension's cell edits so search and edit quote strings the same way.
+import { stataString } from '../data-edit';
 
 const perf = {
     marks: {},
@@ -110,8 +112,21 @@ let state = {
     offset: 0,
     limit: 100,
     totalObs: 0,
+    viewObs: null,
     filter: '',
-    isLoading: false
+    isLoading: false,
+    statsCollapsed: false,
+    editMode: false,
+    valueLabels: null,
+    showLabels: true,
+    // Frame this browser is bound to (null follows Stata's current frame) and the frame Stata has current.
+    frame: null,
+    currentFrame: null,
+    // Open quick plot: {type, y, x} variable names.
+    plot: null,
+    // Active search: {query, regex, viewId, hits, index, matches}; focusObs is the row last jumped to.
+    search: null,
+    focusObs: null
 };
 
 const dom = {
@@ -119,13 +134,42 @@ const dom = {
     header: document.getElementById('grid-header'),
     filterInput: document.getElementById('filter-input'),
     applyFilterBtn: document.getElementById('apply-filter'),
+    searchInput: document.getElementById('search-input'),
+    searchRegexBtn: document.getElementById('btn-search-regex'),
+    searchPrevBtn: document.getElementById('btn-search-prev'),
+    searchNextBtn: document.getElementById('btn-search-next'),
+    searchInfo: document.getElementById('search-info'),
+    gotoInput: document.getElementById('goto-input'),
     prevBtn: document.getElementById('btn-prev'),
     nextBtn: document.getElementById('btn-next'),
     refreshBtn: document.getElementById('btn-refresh'),
+    statsBtn: document.getElementById('btn-stats'),
+    editBtn: document.getElementById('btn-edit'),
+    undoBtn: document.getElementById('btn-undo'),
+    exportBtn: document.getElementById('btn-export'),
+    labelsBtn: document.getElementById('btn-labels'),
+    gridContainer: document.getElementById('data-grid-container'),
     varSelector: document.getElementById('variable-selector'),
     pageInfo: document.getElementById('page-info'),
     statusText: document.getElementById('status-text'),
     frameName: document.getElementById('frame-name'),
+    frameSelect: document.getElementById('frame-select'),
+    frameBanner: document.getElementById('frame-banner'),
+    frameBannerText: document.getElementById('frame-banner-text'),
+    switchFrameBtn: document.getElementById('btn-switch-frame'),
+    compareBtn: document.getElementById('btn-compare'),
+    plotBtn: document.getElementById('btn-plot'),
+    plotMenu: document.getElementById('plot-menu'),
+    plotPanel: document.getElementById('plot-panel'),
+    plotType: document.getElementById('plot-type'),
+    plotY: document.getElementById('plot-y'),
+    plotX: document.getElementById('plot-x'),
+    plotXField: document.getElementById('plot-x-field'),
+    plotCanvas: document.getElementById('plot-canvas'),
+    plotNote: document.getElementById('plot-note'),
+    plotCommand: document.getElementById('plot-command'),
+    plotInsertBtn: document.getElementById('btn-plot-insert'),
+    plotCloseBtn: document.getElementById('btn-plot-close'),
     obsCount: document.getElementById('obs-count'),
     varCount: document.getElementById('var-count'),
     loading: document.getElementById('loading-overlay'),
@@ -141,6 +185,9 @@ const dom = {
 
 let isInitialized = false;
 let pendingRefresh = false;
+let valueLabelsPending = false;
+// Last page rendered, so label and format changes can redraw without refetching.
+let lastPage = null;
 const pendingRequests = new Map();
 
 // --- Message Listener (Register early) ---
@@ -159,6 +206,7 @@ window.addEventListener('message', (event) => {
                 if (message.config) {
                     state.config = message.config;
                 }
+                if (message.frame !== undefined) state.frame = message.frame || null;
                 initBrowser(message.baseUrl, message.token);
             } else {
                 console.error('[DataBrowser Webview] Init message missing credentials');
@@ -176,6 +224,17 @@ window.addEventListener('message', (event) => {
         case 'apiResponse':
             handleApiResponse(message);
             break;
+        case 'valueLabels':
+            valueLabelsPending = false;
+            state.valueLabels = message.labels || {};
+            if (state.showLabels && Object.keys(state.valueLabels).length) rerenderGrid();
+            break;
+        case 'editResult':
+            handleEditResult(message);
+            break;
+        case 'frames':
+            renderFrameOptions(message.frames || []);
+            break;
         default:
             console.warn('[DataBrowser Webview] Unknown message type:', message.type);
     }
@@ -386,7 +445,9 @@ class ApiError extends Error {
 }
 
 async function apiCall(endpoint, method = 'GET', body = null) {
-    const url = `${state.baseUrl}${endpoint}`;
+    let url = `${state.baseUrl}${endpoint}`;
+    // A bound browser asks for its own frame, whichever frame is current in Stata.
+    if (state.frame) url += `${url.includes('?') ? '&' : '?'}frame=${encodeURIComponent(state.frame)}`;
     log(`API Call (Proxy): ${method} ${url}`);
     const reqId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -447,13 +508,39 @@ function initBrowser(baseUrl, token) {
     apiCall('/v1/dataset', 'GET')
         .then(response => {
             const datasetInfo = response.dataset || response;
+            state.currentFrame = datasetInfo.frame || null;
+            if (!frameMatches()) {
+                // The server answered for another frame (or did not say which); keep this browser's data untouched.
+                showFrameBanner();
+                return null;
+            }
+            hideFrameBanner();
+            const datasetChanged = datasetInfo.id !== state.datasetId;
+            if (datasetChanged) {
+                statsCache.clear();
+                columnValues.clear();
+                // Search views belong to the old dataset.
+                state.search = null;
+                state.focusObs = null;
+                updateSearchInfo();
+            }
+            statsQueue.length = 0;
             state.datasetId = datasetInfo.id;
             state.totalObs = datasetInfo.n || 0;
             log(`Dataset Info: ${JSON.stringify(response)}`);
             updateDataSummary(state.totalObs, 0);
-            return apiCall('/v1/vars', 'GET');
+            if (datasetChanged) state.valueLabels = null;
+            // Labels come from the extension's session snapshot; the grid re-renders when they arrive.
+            if (state.valueLabels === null) requestValueLabels();
+            const cached = varsCache.get(state.datasetId);
+            if (cached) return { vars: cached };
+            return apiCall('/v1/vars', 'GET').then(res => {
+                rememberVars(state.datasetId, (res.vars || []).map(normalizeVarMeta));
+                return { vars: varsCache.get(state.datasetId) };
+            });
         })
         .then(response => {
+            if (!response) return;
             const variables = response.vars || [];
             log(`Loaded ${variables.length} variables`);
             populateVariableSelector(variables);
@@ -508,6 +595,7 @@ async function loadPage() {
             const numRows = data.table ? data.table.numRows : 0;
             log(`Page loaded. Records: ${numRows}`);
 
+            lastPage = data;
             perf.start('renderGrid');
             renderGrid(data);
             const renderTime = perf.end('renderGrid');
@@ -533,12 +621,18 @@ async function loadPage() {
 async function applyFilter() {
     const filterExpr = dom.filterInput.value.trim();
     log(`Applying filter: "${filterExpr}"`);
+    // Hits were found within the old filter.
+    if (state.search) clearSearch();
 
     if (!filterExpr) {
         if (state.viewId) {
             await apiCall(`/v1/views/${state.viewId}`, 'DELETE').catch(() => { });
+            statsCache.delete(statsKey());
             state.viewId = null;
+            state.viewObs = null;
         }
+        state.filter = '';
+        statsQueue.length = 0;
         state.offset = 0;
         await loadPage();
         return;
@@ -562,6 +656,9 @@ async function applyFilter() {
         if (viewData && viewData.id) {
             log(`View created: ${viewData.id}`);
             state.viewId = viewData.id;
+            state.viewObs = viewData.filteredN ?? null;
+            state.filter = filterExpr;
+            statsQueue.length = 0;
             state.offset = 0;
             if (viewData.filteredN !== undefined) {
                 if (dom.obsCount) dom.obsCount.textContent = viewData.filteredN.toLocaleString();
@@ -630,13 +727,22 @@ function renderGrid(pageData) {
             <div style="display:flex; align-items:center; justify-content: space-between;">
                 <div style="display:flex; align-items:center;">
                     <span class="type-indicator type-${getTypeClass(v.type)}"></span>
-                    <span title="${v.label || v.name}">${v.name}</span>
+                    <span class="col-name">${v.name}</span>
                 </div>
                 ${sortIcon}
             </div>
         `;
+        const nameEl = th.querySelector('.col-name');
+        if (nameEl) nameEl.title = headerTooltip(v);
+        const statsEl = document.createElement('div');
+        statsEl.className = 'col-stats';
+        statsEl.dataset.var = v.name;
+        // Clicking the summary should not sort the column.
+        statsEl.onclick = (e) => e.stopPropagation();
+        th.appendChild(statsEl);
         dom.header.appendChild(th);
     });
+    attachColumnStats();
 
     dom.grid.innerHTML = '';
     const returnedVars = pageData.vars || [];
@@ -656,6 +762,7 @@ function renderGrid(pageData) {
         tdObs.textContent = obsVal || '';
         tdObs.style.color = 'var(--text-tertiary)';
         tr.appendChild(tdObs);
+        if (state.focusObs !== null && Number(obsVal) === state.focusObs) tr.classList.add('focused-row');
 
         displayVars.forEach(v => {
             const td = document.createElement('td');
@@ -666,13 +773,21 @@ function renderGrid(pageData) {
                 val = table.getChildAt(idx).get(i);
             }
 
-            td.textContent = (val === null || val === undefined) ? '.' : String(val);
+            renderCell(td, v, val);
+            if (cellMatchesSearch(val)) td.classList.add('search-hit');
+            td.dataset.var = v.name;
+            td.dataset.obs = String(obsVal);
+            if (val !== null && val !== undefined) td.dataset.value = String(val);
             tr.appendChild(td);
         });
         dom.grid.appendChild(tr);
     }
 }
 
+function rerenderGrid() {
+    if (lastPage && lastPage.table) renderGrid(lastPage);
+}
+
 function getTypeClass(type) {
     if (!type) return 'str';
     if (type.startsWith('str')) return 'str';
@@ -680,6 +795,657 @@ function getTypeClass(type) {
     return 'float';
 }
 
+// --- Variable Metadata and Display Formats ---
+
+// datasetId -> normalized /v1/vars entries. Dataset ids change whenever the data does.
+const varsCache = new Map();
+const VARS_CACHE_SIZE = 8;
+
+function rememberVars(datasetId, vars) {
+    varsCache.delete(datasetId);
+    varsCache.set(datasetId, vars);
+    while (varsCache.size > VARS_CACHE_SIZE) varsCache.delete(varsCache.keys().next().value);
+}
+
+/**
+ * Accept the spellings the server may use for formats, value label names and notes.
+ */
+function normalizeVarMeta(v) {
+    let notes = v.notes ?? v.note ?? [];
+    if (!Array.isArray(notes)) notes = [notes];
+    return {
+        ...v,
+        label: v.label || '',
+        format: v.format || v.fmt || '',
+        valueLabel: v.valueLabel || v.value_label || v.vallab || '',
+        notes: notes.map(String).filter(n => n.trim())
+    };
+}
+
+function headerTooltip(v) {
+    const lines = [v.label || v.name];
+    const details = [v.type, v.format, v.valueLabel ? `values: ${v.valueLabel}` : ''].filter(Boolean).join('  ');
+    if (details) lines.push(details);
+    (v.notes || []).forEach((note, i) => lines.push(`Note ${i + 1}: ${note}`));
+    return lines.join('\n');
+}
+
+function valueLabelText(v, val) {
+    const entries = state.valueLabels?.[v.name];
+    if (!entries || val === null || val === undefined) return null;
+    const match = entries.find(e => Number(e.value) === Number(val));
+    return match ? match.text : null;
+}
+
+/**
+ * Show a cell the way Stata's browser would: value label text (raw code on hover) when
+ * labels are on, otherwise the value in the variable's display format.
+ */
+function renderCell(td, v, val) {
+    td.classList.remove('labelled');
+    td.removeAttribute('title');
+    const label = state.showLabels ? valueLabelText(v, val) : null;
+    if (label !== null) {
+        td.textContent = label;
+        td.title = String(val);
+        td.classList.add('labelled');
+        return;
+    }
+    td.textContent = formatValue(val, v.format);
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const STATA_EPOCH = Date.UTC(1960, 0, 1);
+const MS_PER_DAY = 86400000;
+const DEFAULT_DATE_MASKS = { c: 'DDmonCCYY_HH:MM:SS', d: 'DDmonCCYY' };
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function withCommas(digits) {
+    return digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+// Mask tokens for %td/%tc formats, longest first so e.g. "Month" wins over "Mon".
+const DATE_TOKENS = [
+    ['Dayname', d => DAYS[d.getUTCDay()]],
+    ['dayname', d => DAYS[d.getUTCDay()].toLowerCase()],
+    ['Month', d => MONTHS[d.getUTCMonth()]],
+    ['month', d => MONTHS[d.getUTCMonth()].toLowerCase()],
+    ['Mon', d => MONTHS[d.getUTCMonth()].slice(0, 3)],
+    ['mon', d => MONTHS[d.getUTCMonth()].slice(0, 3).toLowerCase()],
+    ['Day', d => DAYS[d.getUTCDay()].slice(0, 3)],
+    ['day', d => DAYS[d.getUTCDay()].slice(0, 3).toLowerCase()],
+    ['JJJ', d => pad(Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / MS_PER_DAY) + 1, 3)],
+    ['jjj', d => String(Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / MS_PER_DAY) + 1)],
+    ['.sss', d => `.${pad(d.getUTCMilliseconds(), 3)}`],
+    ['.ss', d => `.${pad(Math.floor(d.getUTCMilliseconds() / 10))}`],
+    ['.s', d => `.${Math.floor(d.getUTCMilliseconds() / 100)}`],
+    ['CC', d => pad(Math.floor(d.getUTCFullYear() / 100))],
+    ['cc', d => String(Math.floor(d.getUTCFullYear() / 100))],
+    ['YY', d => pad(d.getUTCFullYear() % 100)],
+    ['yy', d => String(d.getUTCFullYear() % 100)],
+    ['NN', d => pad(d.getUTCMonth() + 1)],
+    ['nn', d => String(d.getUTCMonth() + 1)],
+    ['DD', d => pad(d.getUTCDate())],
+    ['dd', d => String(d.getUTCDate())],
+    ['HH', d => pad(d.getUTCHours())],
+    ['Hh', d => pad(d.getUTCHours() % 12 || 12)],
+    ['hH', d => String(d.getUTCHours())],
+    ['hh', d => String(d.getUTCHours() % 12 || 12)],
+    ['MM', d => pad(d.getUTCMinutes())],
+    ['mm', d => String(d.getUTCMinutes())],
+    ['SS', d => pad(d.getUTCSeconds())],
+    ['ss', d => String(d.getUTCSeconds())],
+    ['am', d => (d.getUTCHours() < 12 ? 'am' : 'pm')],
+    ['a.m.', d => (d.getUTCHours() < 12 ? 'a.m.' : 'p.m.')],
+    ['AM', d => (d.getUTCHours() < 12 ? 'AM' : 'PM')],
+    ['A.M.', d => (d.getUTCHours() < 12 ? 'A.M.' : 'P.M.')],
+    ['_', () => ' ']
+];
+
+function formatDateMask(date, mask) {
+    let out = '';
+    for (let i = 0; i < mask.length;) {
+        if (mask[i] === '!' && i + 1 < mask.length) {
+            out += mask[i + 1];
+            i += 2;
+            continue;
+        }
+        const token = DATE_TOKENS.find(([t]) => mask.startsWith(t, i));
+        if (token) {
+            out += token[1](date);
+            i += token[0].length;
+        } else {
+            out += mask[i];
+            i += 1;
+        }
+    }
+    return out;
+}
+
+function formatTimeSeries(val, unit, mask) {
+    if (unit === 'c' || unit === 'C' || unit === 'd') {
+        const ms = unit === 'd' ? val * MS_PER_DAY : val;
+        const date = new Date(STATA_EPOCH + ms);
+        if (Number.isNaN(date.getTime())) return String(val);
+        return formatDateMask(date, mask || DEFAULT_DATE_MASKS[unit === 'd' ? 'd' : 'c']);
+    }
+    const n = Math.floor(val);
+    const periods = { w: 52, m: 12, q: 4, h: 2 };
+    if (unit === 'y') return String(n);
+    if (!periods[unit]) return String(val);
+    const per = periods[unit];
+    const year = 1960 + Math.floor(n / per);
+    const period = ((n % per) + per) % per + 1;
+    return `${year}${unit}${period}`;
+}
+
+function formatNumber(val, width, decimals, kind, comma) {
+    if (kind === 'f') {
+        const text = val.toFixed(decimals);
+        if (!comma) return text;
+        const [whole, frac] = text.split('.');
+        const sign = whole.startsWith('-') ? '-' : '';
+        return sign + withCommas(whole.replace('-', '')) + (frac !== undefined ? `.${frac}` : '');
+    }
+    if (kind === 'e') {
+        return val.toExponential(decimals).replace(/e([+-])(\d)$/, 'e$10$2');
+    }
+    // %g: as many significant digits as the width allows; Stata drops the leading zero.
+    if (Number.isInteger(val) && Math.abs(val) < 1e15) {
+        return comma ? (val < 0 ? '-' : '') + withCommas(String(Math.abs(val))) : String(val);
+    }
+    const digits = Math.max(1, Math.min(width || 9, 17) - 2);
+    let text = String(Number(val.toPrecision(digits)));
+    if (!text.includes('e')) text = text.replace(/^(-?)0\./, '$1.');
+    return text;
+}
+
+/**
+ * Render a raw cell value with a Stata display format (%td, %tc, %tm, %9.2f, %12.0gc, %9s, ...).
+ * Unknown or string formats leave the value as is.
+ */
+function formatValue(val, format) {
+    if (val === null || val === undefined) return '.';
+    if (typeof val === 'bigint') val = Number(val);
+    if (typeof val !== 'number' || !format) return String(val);
+    if (Number.isNaN(val)) return '.';
+    const ts = /^%-?t([cCdwmqhy])(.*)$/.exec(format) || /^%-?(d)(.*)$/.exec(format);
+    if (ts) return formatTimeSeries(val, ts[1], ts[2]);
+    const num = /^%-?0?(\d*)(?:\.(\d+))?([fge])(c?)$/.exec(format);
+    if (!num) return String(val);
+    return formatNumber(val, Number(num[1]) || 0, Number(num[2] || 0), num[3], num[4] === 'c');
+}
+
+// --- Frames ---
+
+/**
+ * Whether the data the server reported belongs to this browser's frame. Servers that
+ * honour the `frame` parameter report the bound frame; older ones report the current
+ * frame, and a response without a frame cannot be trusted to be the bound one.
+ */
+function frameMatches() {
+    return !state.frame || state.frame === state.currentFrame;
+}
+
+function showFrameBanner() {
+    document.body.classList.add('frame-mismatch');
+    if (dom.frameName) dom.frameName.textContent = state.frame;
+    if (dom.frameBannerText) {
+        dom.frameBannerText.textContent = state.currentFrame
+            ? `This browser shows frame "${state.frame}", but "${state.currentFrame}" is the current frame in Stata.`
+            : `The data server did not say which frame it returned, so frame "${state.frame}" cannot be shown.`;
+    }
+    if (dom.switchFrameBtn) dom.switchFrameBtn.textContent = `Switch to ${state.frame}`;
+    if (dom.frameBanner) dom.frameBanner.classList.remove('hidden');
+}
+
+function hideFrameBanner() {
+    document.body.classList.remove('frame-mismatch');
+    if (dom.frameName) dom.frameName.textContent = state.currentFrame || state.frame || 'default';
+    if (dom.frameBanner) dom.frameBanner.classList.add('hidden');
+}
+
+function renderFrameOptions(frames) {
+    if (!dom.frameSelect) return;
+    dom.frameSelect.innerHTML = '';
+    const follow = document.createElement('option');
+    follow.value = '';
+    follow.textContent = 'Current frame';
+    dom.frameSelect.appendChild(follow);
+    frames.forEach(f => {
+        const option = document.createElement('option');
+        option.value = f.name;
+        option.textContent = `${f.name}${f.current ? ' (current)' : ''} · ${Number(f.n || 0).toLocaleString()} × ${Number(f.k || 0).toLocaleString()}`;
+        dom.frameSelect.appendChild(option);
+    });
+    if (state.frame && !frames.some(f => f.name === state.frame)) {
+        const missing = document.createElement('option');
+        missing.value = state.frame;
+        missing.textContent = `${state.frame} (not found)`;
+        dom.frameSelect.appendChild(missing);
+    }
+    dom.frameSelect.value = state.frame || '';
+}
+
+function selectFrame(frame) {
+    state.frame = frame || null;
+    // Label sets belong to the frame; reload them with its data.
+    state.valueLabels = null;
+    vscode.postMessage({ type: 'selectFrame', frame: state.frame });
+    // Reload either way: the server may serve a frame that is not current in Stata.
+    if (state.baseUrl && state.token) initBrowser(state.baseUrl, state.token);
+}
+
+function requestValueLabels() {
+    if (valueLabelsPending) return;
+    valueLabelsPending = true;
+    vscode.postMessage({ type: 'requestValueLabels' });
+}
+
+function setShowLabels(enabled) {
+    state.showLabels = enabled;
+    if (dom.labelsBtn) dom.labelsBtn.classList.toggle('active', enabled);
+    rerenderGrid();
+}
+
+// --- Column Summaries ---
+
+const STATS_PAGE_SIZE = 10000;
+// Columns longer than this are summarized from their first rows only.
+const STATS_MAX_ROWS = 200000;
+const HISTOGRAM_BINS = 16;
+const TOP_VALUES = 5;
+
+// `${datasetId}|${viewId}` -> Map of variable name -> summary
+const statsCache = new Map();
+const statsQueue = [];
+let statsLoading = false;
+let statsObserver = null;
+
+function statsKey() {
+    return `${state.datasetId}|${state.viewId || ''}`;
+}
+
+function cachedStats(key = statsKey()) {
+    if (!statsCache.has(key)) statsCache.set(key, new Map());
+    return statsCache.get(key);
+}
+
+/**
+ * Summarize one column. Numeric columns get missing count, mean, sd, min, max and a
+ * histogram; string columns (where "" is missing, as in Stata) get distinct and top values.
+ */
+function computeColumnStats(values, isString) {
+    let missing = 0;
+    if (isString) {
+        const counts = new Map();
+        for (const value of values) {
+            if (value === null || value === undefined || value === '') {
+                missing++;
+                continue;
+            }
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        const top = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(([value, count]) => ({ value: String(value), count }));
+        return { kind: 'string', n: values.length - missing, missing, distinct: counts.size, top };
+    }
+
+    const numbers = [];
+    let mean = 0;
+    let m2 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const raw of values) {
+        const value = typeof raw === 'bigint' ? Number(raw) : raw;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            missing++;
+            continue;
+        }
+        numbers.push(value);
+        // Welford's update keeps the variance stable for large columns.
+        const delta = value - mean;
+        mean += delta / numbers.length;
+        m2 += delta * (value - mean);
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    const n = numbers.length;
+    if (n === 0) {
+        return { kind: 'numeric', n, missing, mean: null, sd: null, min: null, max: null, histogram: [] };
+    }
+    const histogram = new Array(min === max ? 1 : HISTOGRAM_BINS).fill(0);
+    const width = (max - min) / histogram.length;
+    for (const value of numbers) {
+        const bin = width > 0 ? Math.min(histogram.length - 1, Math.floor((value - min) / width)) : 0;
+        histogram[bin]++;
+    }
+    return { kind: 'numeric', n, missing, mean, sd: n > 1 ? Math.sqrt(m2 / (n - 1)) : 0, min, max, histogram };
+}
+
+// `${statsKey()}|${name}` -> Promise of the column's values, shared by summaries and plots.
+const columnValues = new Map();
+const COLUMN_VALUES_CACHE_SIZE = 24;
+
+/**
+ * Values of one column of the current view, fetched once and reused until the data changes.
+ */
+function loadColumnValues(name) {
+    const key = `${statsKey()}|${name}`;
+    if (!columnValues.has(key)) {
+        const pending = fetchColumnValues(name).catch(err => {
+            columnValues.delete(key);
+            throw err;
+        });
+        columnValues.set(key, pending);
+        while (columnValues.size > COLUMN_VALUES_CACHE_SIZE) columnValues.delete(columnValues.keys().next().value);
+    }
+    return columnValues.get(key);
+}
+
+function forgetColumnValues(prefix) {
+    for (const key of [...columnValues.keys()]) {
+        if (key.startsWith(`${prefix}|`)) columnValues.delete(key);
+    }
+}
+
+async function fetchColumnValues(name) {
+    const endpoint = state.viewId ? `/v1/views/${state.viewId}/arrow` : '/v1/arrow';
+    const values = [];
+    for (let offset = 0; offset < STATS_MAX_ROWS; offset += STATS_PAGE_SIZE) {
+        const data = await apiCall(endpoint, 'POST', {
+            datasetId: state.datasetId,
+            offset,
+            limit: STATS_PAGE_SIZE,
+            vars: [name],
+            sortBy: []
+        });
+        const table = data?.table;
+        const rows = table ? table.numRows : 0;
+        const idx = (data?.vars || []).indexOf(name);
+        if (idx !== -1) {
+            const column = table.getChildAt(idx);
+            for (let i = 0; i < rows; i++) values.push(column.get(i));
+        }
+        if (rows < STATS_PAGE_SIZE) return { values, truncated: false };
+    }
+    return { values, truncated: true };
+}
+
+function requestColumnStats(name) {
+    if (cachedStats().has(name) || statsQueue.includes(name)) return;
+    statsQueue.push(name);
+    drainStatsQueue();
+}
+
+// One column at a time: the server handles requests serially and the grid must stay responsive.
+async function drainStatsQueue() {
+    if (statsLoading) return;
+    statsLoading = true;
+    try {
+        while (statsQueue.length) {
+            const name = statsQueue.shift();
+            const key = statsKey();
+            const v = state.vars.find(x => x.name === name);
+            if (!v || cachedStats(key).has(name)) continue;
+            try {
+                const { values, truncated } = await loadColumnValues(name);
+                cachedStats(key).set(name, { ...computeColumnStats(values, getTypeClass(v.type) === 'str'), type: v.type, truncated });
+            } catch (err) {
+                log(`Column summary for ${name} failed: ${err.message}`, true);
+                if (key === statsKey()) renderColumnStats(name, { error: err.message });
+                continue;
+            }
+            if (key === statsKey()) renderColumnStats(name);
+        }
+    } finally {
+        statsLoading = false;
+    }
+}
+
+/**
+ * Fill the summary cells of the current header from the cache and queue the missing ones.
+ * Columns are only loaded once they scroll into view, so wide datasets stay cheap.
+ */
+function attachColumnStats() {
+    if (statsObserver) {
+        statsObserver.disconnect();
+        statsObserver = null;
+    }
+    if (state.statsCollapsed) return;
+    const cells = Array.from(dom.header.querySelectorAll('.col-stats'));
+    const cache = cachedStats();
+    const pending = [];
+    cells.forEach(el => {
+        if (cache.has(el.dataset.var)) fillColumnStats(el, cache.get(el.dataset.var));
+        else {
+            fillColumnStats(el, null);
+            pending.push(el);
+        }
+    });
+    if (typeof IntersectionObserver === 'undefined') {
+        pending.forEach(el => requestColumnStats(el.dataset.var));
+        return;
+    }
+    statsObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            statsObserver?.unobserve(entry.target);
+            requestColumnStats(entry.target.dataset.var);
+        });
+    }, { root: dom.gridContainer || null });
+    pending.forEach(el => statsObserver.observe(el));
+}
+
+function renderColumnStats(name, stats = cachedStats().get(name)) {
+    dom.header.querySelectorAll('.col-stats').forEach(el => {
+        if (el.dataset.var === name) fillColumnStats(el, stats);
+    });
+}
+
+function fillColumnStats(el, stats) {
+    el.innerHTML = '';
+    el.title = '';
+    el.classList.toggle('pending', !stats);
+    if (!stats) {
+        el.textContent = '…';
+        return;
+    }
+    if (stats.error) {
+        el.textContent = 'summary unavailable';
+        el.title = stats.error;
+        return;
+    }
+
+    const lines = [`${stats.type || stats.kind} · ${formatStat(stats.missing)} missing`];
+    if (stats.kind === 'numeric') {
+        el.appendChild(sparkline(stats.histogram));
+        if (stats.n > 0) {
+            lines.push(`mean ${formatStat(stats.mean)} · sd ${formatStat(stats.sd)}`);
+            lines.push(`min ${formatStat(stats.min)} · max ${formatStat(stats.max)}`);
+        }
+    } else {
+        el.appendChild(sparkline(stats.top.map(t => t.count)));
+        lines.push(`${formatStat(stats.distinct)} distinct`);
+        stats.top.slice(0, 3).forEach(t => lines.push(`${t.value} (${formatStat(t.count)})`));
+    }
+    // A summary of a sample says so in the strip itself, not only in the tooltip.
+    if (stats.truncated) lines.push(`first ${STATS_MAX_ROWS.toLocaleString()} obs only`);
+    lines.forEach((text, i) => {
+        const line = document.createElement('div');
+        line.className = stats.truncated && i === lines.length - 1 ? 'col-stats-line col-stats-sample' : 'col-stats-line';
+        line.textContent = text;
+        el.appendChild(line);
+    });
+    el.title = lines.join('\n');
+}
+
+function sparkline(counts) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const width = 96;
+    const height = 18;
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'col-sparkline');
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const peak = Math.max(0, ...counts);
+    if (!counts.length || peak === 0) return svg;
+    const barWidth = width / counts.length;
+    counts.forEach((count, i) => {
+        const barHeight = Math.max(count > 0 ? 1 : 0, Math.round((count / peak) * height));
+        const rect = document.createElementNS(svgNs, 'rect');
+        rect.setAttribute('x', (i * barWidth + 0.5).toFixed(1));
+        rect.setAttribute('y', String(height - barHeight));
+        rect.setAttribute('width', Math.max(1, barWidth - 1).toFixed(1));
+        rect.setAttribute('height', String(barHeight));
+        svg.appendChild(rect);
+    });
+    return svg;
+}
+
+function formatStat(value) {
+    if (value === null || value === undefined) return '.';
+    if (Number.isInteger(value)) return value.toLocaleString();
+    return Number(value.toPrecision(4)).toLocaleString(undefined, { maximumFractionDigits: 4 });
+}
+
+function setStatsCollapsed(collapsed) {
+    state.statsCollapsed = collapsed;
+    document.body.classList.toggle('stats-collapsed', collapsed);
+    if (dom.statsBtn) dom.statsBtn.classList.toggle('active', !collapsed);
+    attachColumnStats();
+}
+
+// --- Edit Mode ---
+
+function setEditMode(enabled) {
+    state.editMode = enabled;
+    document.body.classList.toggle('edit-mode', enabled);
+    if (dom.editBtn) dom.editBtn.classList.toggle('active', enabled);
+    if (enabled && !state.valueLabels) requestValueLabels();
+}
+
+/**
+ * Replace a cell's text with an editor matching the variable: a dropdown of value labels,
+ * or a text input (validated as a number for numeric variables).
+ */
+function openCellEditor(td) {
+    if (td.querySelector('.cell-editor') || !td.dataset.obs) return;
+    const v = state.vars.find(x => x.name === td.dataset.var);
+    if (!v) return;
+    const isString = getTypeClass(v.type) === 'str';
+    const original = td.textContent;
+    const current = td.dataset.value;
+    const labels = !isString ? state.valueLabels?.[v.name] : null;
+
+    let editor;
+    if (labels && labels.length) {
+        editor = document.createElement('select');
+        const entries = labels.map(l => ({ value: String(l.value), text: `${l.value} ${l.text}` }));
+        if (!entries.some(e => e.value === (current ?? '.'))) entries.unshift({ value: current ?? '.', text: current ?? '.' });
+        entries.forEach(e => {
+            const option = document.createElement('option');
+            option.value = e.value;
+            option.textContent = e.text;
+            editor.appendChild(option);
+        });
+        editor.value = current ?? '.';
+        editor.addEventListener('change', () => commitCellEdit(td, editor.value, isString));
+    } else {
+        editor = document.createElement('input');
+        editor.type = 'text';
+        editor.value = current ?? (isString ? '' : '.');
+        if (!isString) editor.inputMode = 'decimal';
+    }
+    editor.className = 'cell-editor';
+
+    const cancel = () => {
+        td.classList.remove('editing');
+        td.textContent = original;
+    };
+    editor.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitCellEdit(td, editor.value, isString);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            cancel();
+        }
+    });
+    editor.addEventListener('blur', () => {
+        if (td.contains(editor) && !td.classList.contains('pending')) cancel();
+    });
+    editor.addEventListener('click', (e) => e.stopPropagation());
+
+    td.classList.add('editing');
+    td.textContent = '';
+    td.appendChild(editor);
+    editor.focus();
+    if (editor.select) editor.select();
+}
+
+function commitCellEdit(td, value, isString) {
+    const previous = td.dataset.value ?? null;
+    const unchanged = isString ? value === (previous ?? '') : value.trim() === (previous ?? '.');
+    if (unchanged) {
+        td.classList.remove('editing');
+        const v = state.vars.find(x => x.name === td.dataset.var);
+        renderCell(td, v || { name: td.dataset.var }, previous === null || isString ? previous : Number(previous));
+        return;
+    }
+    if (!isString && !/^\s*(?:[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|\.[a-z]?)?\s*$/.test(value)) {
+        showError(`${td.dataset.var}: "${value}" is not a number or missing value`);
+        return;
+    }
+    td.classList.remove('editing');
+    td.classList.add('pending');
+    td.textContent = isString ? value : (value.trim() || '.');
+    vscode.postMessage({
+        type: 'editCell',
+        variable: td.dataset.var,
+        obs: Number(td.dataset.obs),
+        value: isString ? value : value.trim(),
+        previous,
+        isString
+    });
+}
+
+function undoLastEdit() {
+    if (dom.undoBtn && dom.undoBtn.disabled) return;
+    vscode.postMessage({ type: 'undoEdit' });
+}
+
+function handleEditResult(message) {
+    if (dom.undoBtn) dom.undoBtn.disabled = !message.canUndo;
+    if (!message.success) showError(`Edit failed: ${message.error || 'unknown error'}`);
+    // Reload either way: on success to show the stored value, on failure to drop the pending one.
+    statsCache.delete(statsKey());
+    forgetColumnValues(statsKey());
+    loadPage();
+}
+
+/**
+ * Ask the extension to export the current view: filter, sort order and selected variables.
+ * The extension does the paging itself so the export never goes through the webview.
+ */
+function requestExport() {
+    if (!state.datasetId || state.totalObs === 0) return;
+    vscode.postMessage({
+        type: 'export',
+        datasetId: state.datasetId,
+        viewId: state.viewId,
+        vars: [...state.selectedVars],
+        sortBy: [...(state.sortBy || [])],
+        total: state.viewId && state.viewObs !== null ? state.viewObs : state.totalObs
+    });
+}
+
 function updatePagination(data) {
     if (!dom.prevBtn || !dom.nextBtn || !dom.pageInfo) return;
     dom.prevBtn.disabled = state.offset <= 0;
@@ -692,6 +1458,598 @@ function updatePagination(data) {
     dom.pageInfo.textContent = returnedCount > 0 ? `rows ${start} - ${end}` : '0 - 0';
 }
 
+// --- Quick Plots ---
+
+const PLOT_WIDTH = 560;
+const PLOT_HEIGHT = 300;
+const PLOT_MARGIN = { top: 12, right: 16, bottom: 40, left: 60 };
+// Scatter and line plots thin out beyond this many points to keep the SVG responsive.
+const MAX_PLOT_POINTS = 20000;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * The Stata command that draws the same plot, so it can be pasted into a do-file.
+ * @param {{type: string, y: string, x?: string, filter?: string}} spec
+ */
+function plotCommand({ type, y, x, filter }) {
+    const condition = filter ? ` if ${filter}` : '';
+    switch (type) {
+        case 'histogram':
+            return `twoway histogram ${y}${condition}`;
+        case 'scatter':
+            return `twoway scatter ${y} ${x}${condition}`;
+        case 'line':
+            return `twoway line ${y} ${x}${condition}, sort`;
+        case 'box':
+            // twoway has no box plot; graph box is the equivalent.
+            return `graph box ${y}${condition}`;
+        default:
+            return '';
+    }
+}
+
+function niceTicks(min, max, count = 5) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+    if (min === max) return [min];
+    const raw = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= raw) || raw;
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+        ticks.push(Number(t.toPrecision(12)));
+    }
+    return ticks;
+}
+
+/**
+ * Equal-width histogram bins; Sturges' rule picks the count.
+ */
+function histogramBins(values) {
+    if (!values.length) return { edges: [], counts: [] };
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const bins = Math.min(50, Math.max(5, Math.ceil(Math.log2(values.length)) + 1));
+    const width = max > min ? (max - min) / bins : 1;
+    const counts = new Array(max > min ? bins : 1).fill(0);
+    values.forEach(v => {
+        counts[Math.min(counts.length - 1, Math.floor((v - min) / width))]++;
+    });
+    const edges = counts.map((_c, i) => min + i * width).concat(min + counts.length * width);
+    return { edges, counts };
+}
+
+function quantile(sorted, p) {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Box plot statistics as Stata draws them: whiskers at the furthest values within 1.5 IQR.
+ */
+function boxStats(values) {
+    const sorted = Float64Array.from(values).sort();
+    const q1 = quantile(sorted, 0.25);
+    const median = quantile(sorted, 0.5);
+    const q3 = quantile(sorted, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const inside = Array.from(sorted).filter(v => v >= q1 - fence && v <= q3 + fence);
+    return {
+        q1,
+        median,
+        q3,
+        lower: inside[0],
+        upper: inside[inside.length - 1],
+        outliers: Array.from(sorted).filter(v => v < q1 - fence || v > q3 + fence)
+    };
+}
+
+function svgEl(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, String(v)));
+    return el;
+}
+
+function linearScale(min, max, from, to) {
+    const span = max - min || 1;
+    return v => from + ((v - min) / span) * (to - from);
+}
+
+function drawAxis(svg, ticks, scale, orientation, format) {
+    const axis = svgEl('g', { class: `plot-axis plot-axis-${orientation}` });
+    const bottom = PLOT_HEIGHT - PLOT_MARGIN.bottom;
+    ticks.forEach(t => {
+        const pos = scale(t);
+        const label = svgEl('text', orientation === 'x'
+            ? { x: pos, y: bottom + 16, 'text-anchor': 'middle' }
+            : { x: PLOT_MARGIN.left - 6, y: pos + 4, 'text-anchor': 'end' });
+        label.textContent = format(t);
+        axis.appendChild(orientation === 'x'
+            ? svgEl('line', { x1: pos, x2: pos, y1: bottom, y2: bottom + 4 })
+            : svgEl('line', { x1: PLOT_MARGIN.left - 4, x2: PLOT_MARGIN.left, y1: pos, y2: pos }));
+        axis.appendChild(label);
+    });
+    axis.appendChild(orientation === 'x'
+        ? svgEl('line', { x1: PLOT_MARGIN.left, x2: PLOT_WIDTH - PLOT_MARGIN.right, y1: bottom, y2: bottom })
+        : svgEl('line', { x1: PLOT_MARGIN.left, x2: PLOT_MARGIN.left, y1: PLOT_MARGIN.top, y2: bottom }));
+    svg.appendChild(axis);
+}
+
+function axisTitle(svg, text, orientation) {
+    const title = orientation === 'x'
+        ? svgEl('text', { class: 'plot-title', x: (PLOT_MARGIN.left + PLOT_WIDTH - PLOT_MARGIN.right) / 2, y: PLOT_HEIGHT - 4, 'text-anchor': 'middle' })
+        : svgEl('text', { class: 'plot-title', x: 12, y: PLOT_HEIGHT / 2, 'text-anchor': 'middle', transform: `rotate(-90 12 ${PLOT_HEIGHT / 2})` });
+    title.textContent = text;
+    svg.appendChild(title);
+}
+
+function extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    return [min, max];
+}
+
+const isPlottable = v => typeof v === 'number' ? Number.isFinite(v) : typeof v === 'bigint';
+
+/**
+ * Build the SVG for a plot from column values (missing values are left out).
+ * @param {{type: string, y: object, x?: object}} spec Variables as state.vars entries.
+ * @param {{y: Array, x?: Array}} columns
+ */
+function renderPlot(spec, columns) {
+    const svg = svgEl('svg', { class: 'plot-svg', width: PLOT_WIDTH, height: PLOT_HEIGHT, viewBox: `0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}` });
+    const left = PLOT_MARGIN.left;
+    const right = PLOT_WIDTH - PLOT_MARGIN.right;
+    const top = PLOT_MARGIN.top;
+    const bottom = PLOT_HEIGHT - PLOT_MARGIN.bottom;
+    const fmtY = t => formatValue(t, spec.y.format && /^%-?t|^%-?d/.test(spec.y.format) ? spec.y.format : '');
+    const fmtX = t => formatValue(t, spec.x?.format && /^%-?t|^%-?d/.test(spec.x.format) ? spec.x.format : '');
+    let points = 0;
+
+    if (spec.type === 'histogram' || spec.type === 'box') {
+        const values = columns.y.filter(isPlottable).map(Number);
+        points = values.length;
+        if (!values.length) return { svg, points };
+        if (spec.type === 'histogram') {
+            const { edges, counts } = histogramBins(values);
+            const x = linearScale(edges[0], edges[edges.length - 1], left, right);
+            const peak = Math.max(...counts);
+            const y = linearScale(0, peak, bottom, top);
+            counts.forEach((count, i) => {
+                svg.appendChild(svgEl('rect', {
+                    class: 'plot-bar',
+                    x: x(edges[i]).toFixed(1),
+                    y: y(count).toFixed(1),
+                    width: Math.max(1, x(edges[i + 1]) - x(edges[i]) - 1).toFixed(1),
+                    height: (bottom - y(count)).toFixed(1)
+                }));
+            });
+            drawAxis(svg, niceTicks(edges[0], edges[edges.length - 1]), x, 'x', fmtY);
+            drawAxis(svg, niceTicks(0, peak), y, 'y', formatStat);
+            axisTitle(svg, spec.y.name, 'x');
+            axisTitle(svg, 'Frequency', 'y');
+        } else {
+            const stats = boxStats(values);
+            const [min, max] = extent(values);
+            const y = linearScale(min, max, bottom, top);
+            const mid = (left + right) / 2;
+            const half = 50;
+            svg.appendChild(svgEl('line', { class: 'plot-whisker', x1: mid, x2: mid, y1: y(stats.lower), y2: y(stats.q1) }));
+            svg.appendChild(svgEl('line', { class: 'plot-whisker', x1: mid, x2: mid, y1: y(stats.q3), y2: y(stats.upper) }));
+            svg.appendChild(svgEl('rect', { class: 'plot-box', x: mid - half, y: y(stats.q3), width: half * 2, height: Math.max(1, y(stats.q1) - y(stats.q3)) }));
+            svg.appendChild(svgEl('line', { class: 'plot-median', x1: mid - half, x2: mid + half, y1: y(stats.median), y2: y(stats.median) }));
+            stats.outliers.forEach(v => svg.appendChild(svgEl('circle', { class: 'plot-point', cx: mid, cy: y(v).toFixed(1), r: 2.5 })));
+            drawAxis(svg, niceTicks(min, max), y, 'y', fmtY);
+            axisTitle(svg, spec.y.name, 'y');
+        }
+        return { svg, points };
+    }
+
+    const pairs = [];
+    for (let i = 0; i < columns.y.length; i++) {
+        const xv = columns.x[i];
+        const yv = columns.y[i];
+        if (isPlottable(xv) && isPlottable(yv)) pairs.push([Number(xv), Number(yv)]);
+    }
+    points = pairs.length;
+    if (!pairs.length) return { svg, points };
+    if (spec.type === 'line') pairs.sort((a, b) => a[0] - b[0]);
+    const stride = Math.ceil(pairs.length / MAX_PLOT_POINTS);
+    const shown = stride > 1 ? pairs.filter((_p, i) => i % stride === 0) : pairs;
+    const [xMin, xMax] = extent(pairs.map(p => p[0]));
+    const [yMin, yMax] = extent(pairs.map(p => p[1]));
+    const x = linearScale(xMin, xMax, left, right);
+    const y = linearScale(yMin, yMax, bottom, top);
+    if (spec.type === 'line') {
+        svg.appendChild(svgEl('polyline', {
+            class: 'plot-line',
+            points: shown.map(([a, b]) => `${x(a).toFixed(1)},${y(b).toFixed(1)}`).join(' ')
+        }));
+    } else {
+        shown.forEach(([a, b]) => svg.appendChild(svgEl('circle', { class: 'plot-point', cx: x(a).toFixed(1), cy: y(b).toFixed(1), r: 2 })));
+    }
+    drawAxis(svg, niceTicks(xMin, xMax), x, 'x', fmtX);
+    drawAxis(svg, niceTicks(yMin, yMax), y, 'y', fmtY);
+    axisTitle(svg, spec.x.name, 'x');
+    axisTitle(svg, spec.y.name, 'y');
+    return { svg, points, sampled: stride > 1 };
+}
+
+function plottableVars() {
+    return state.vars.filter(v => state.selectedVars.includes(v.name) && getTypeClass(v.type) !== 'str');
+}
+
+function fillVarSelect(select, vars, value) {
+    if (!select) return;
+    select.innerHTML = '';
+    vars.forEach(v => {
+        const option = document.createElement('option');
+        option.value = v.name;
+        option.textContent = v.name;
+        select.appendChild(option);
+    });
+    select.value = value || '';
+}
+
+/**
+ * Open the plot panel for `type`, defaulting to the first selected numeric columns
+ * (a date-formatted column becomes the x axis of a line plot).
+ */
+function openPlot(type) {
+    const vars = plottableVars();
+    if (dom.plotMenu) dom.plotMenu.classList.remove('visible');
+    if (!vars.length) {
+        showError('Select at least one numeric variable to plot.');
+        return;
+    }
+    const timeVar = vars.find(v => /^%-?t|^%-?d/.test(v.format || ''));
+    let x = vars[0];
+    if (type === 'line' && timeVar) x = timeVar;
+    const y = vars.find(v => v !== x) || x;
+    state.plot = { type, y: type === 'histogram' || type === 'box' ? vars[0].name : y.name, x: x.name };
+
+    if (dom.plotType) dom.plotType.value = type;
+    fillVarSelect(dom.plotY, vars, state.plot.y);
+    fillVarSelect(dom.plotX, vars, state.plot.x);
+    if (dom.plotPanel) dom.plotPanel.classList.remove('hidden');
+    return drawPlot();
+}
+
+async function drawPlot() {
+    const plot = state.plot;
+    if (!plot) return;
+    const needsX = plot.type === 'scatter' || plot.type === 'line';
+    if (dom.plotXField) dom.plotXField.classList.toggle('hidden', !needsX);
+    const spec = {
+        type: plot.type,
+        y: state.vars.find(v => v.name === plot.y),
+        x: needsX ? state.vars.find(v => v.name === plot.x) : null
+    };
+    if (!spec.y || (needsX && !spec.x)) return;
+    const command = plotCommand({ type: plot.type, y: spec.y.name, x: spec.x?.name, filter: state.filter });
+    if (dom.plotCommand) dom.plotCommand.textContent = command;
+    if (dom.plotNote) dom.plotNote.textContent = 'Loading…';
+    try {
+        const [yData, xData] = await Promise.all([loadColumnValues(spec.y.name), needsX ? loadColumnValues(spec.x.name) : null]);
+        // A newer request replaced this one while the data was loading.
+        if (state.plot !== plot) return;
+        const { svg, points, sampled } = renderPlot(spec, { y: yData.values, x: xData?.values });
+        if (dom.plotCanvas) {
+            dom.plotCanvas.innerHTML = '';
+            dom.plotCanvas.appendChild(svg);
+        }
+        const notes = [`${points.toLocaleString()} observations plotted`];
+        if (yData.truncated || xData?.truncated) notes.push(`first ${STATS_MAX_ROWS.toLocaleString()} rows only`);
+        if (sampled) notes.push(`every ${Math.ceil(points / MAX_PLOT_POINTS)}th point drawn`);
+        if (dom.plotNote) dom.plotNote.textContent = notes.join(' · ');
+    } catch (err) {
+        if (dom.plotNote) dom.plotNote.textContent = '';
+        showError(`Plot failed: ${err.message}`);
+    }
+}
+
+function updatePlotFromControls() {
+    if (!state.plot) return;
+    state.plot = {
+        type: dom.plotType?.value || state.plot.type,
+        y: dom.plotY?.value || state.plot.y,
+        x: dom.plotX?.value || state.plot.x
+    };
+    drawPlot();
+}
+
+function closePlot() {
+    state.plot = null;
+    if (dom.plotPanel) dom.plotPanel.classList.add('hidden');
+}
+
+// --- Search and Go To ---
+
+/**
+ * Stata condition true for observations where any of `vars` contains `query` (case-insensitive)
+ * or, in regex mode, matches it. Numeric variables are searched through their %20.0g text.
+ * @param {string} query
+ * @param {{regex?: boolean, vars: Array<{name: string, type: string}>}} options
+ */
+function searchExpression(query, { regex = false, vars }) {
+    const needle = stataString(query);
+    const lowered = `ustrlower(${needle})`;
+    return vars.map(v => {
+        const isString = getTypeClass(v.type) === 'str';
+        const text = isString ? v.name : `strtrim(string(${v.name}, "%20.0g"))`;
+        const test = regex ? `ustrregexm(${text}, ${needle})` : `strpos(ustrlower(${text}), ${lowered}) > 0`;
+        return isString ? test : `(!missing(${v.name}) & ${test})`;
+    }).join(' | ');
+}
+
+/**
+ * Client-side counterpart of searchExpression() used to highlight cells on the loaded page.
+ */
+function searchMatcher(query, regex) {
+    if (regex) {
+        try {
+            const re = new RegExp(query, 'u');
+            return text => re.test(text);
+        } catch (_err) {
+            // ICU accepts some patterns JavaScript does not; those rows are found but not highlighted.
+            return () => false;
+        }
+    }
+    const needle = query.toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+}
+
+function cellMatchesSearch(val) {
+    if (!state.search || val === null || val === undefined) return false;
+    if (typeof val === 'number' && !Number.isFinite(val)) return false;
+    return state.search.matches(String(val));
+}
+
+async function createView(filterExpr) {
+    const viewRes = await apiCall('/v1/views', 'POST', { datasetId: state.datasetId, filterExpr });
+    const view = viewRes?.view || viewRes;
+    if (!view?.id) throw new Error('The server did not create a view');
+    return { id: view.id, count: view.filteredN ?? 0 };
+}
+
+function dropView(viewId) {
+    return apiCall(`/v1/views/${viewId}`, 'DELETE').catch(() => { });
+}
+
+/**
+ * Observation numbers of `limit` rows from `offset` in the grid's order. One narrow column is
+ * requested alongside `_n` because an empty variable list means every variable.
+ */
+async function fetchObsNumbers(endpoint, offset, limit) {
+    const firstVar = state.selectedVars[0] || state.vars[0]?.name;
+    const data = await apiCall(endpoint, 'POST', {
+        datasetId: state.datasetId,
+        offset,
+        limit,
+        vars: firstVar ? [firstVar] : [],
+        sortBy: state.sortBy,
+        includeObsNo: true
+    });
+    const idx = (data?.vars || []).indexOf('_n');
+    if (!data?.table || idx === -1) return [];
+    const column = data.table.getChildAt(idx);
+    return Array.from({ length: data.table.numRows }, (_v, i) => Number(column.get(i)));
+}
+
+/**
+ * Number of rows matching a Stata condition, counted by a throwaway server-side view.
+ */
+async function countRows(filterExpr) {
+    const view = await createView(filterExpr);
+    dropView(view.id);
+    return view.count;
+}
+
+/**
+ * Stata conditions for the rows that sort before a row with the sort key values `row`, and for
+ * the rows with the same values. Stata compares missing as larger than any number, which is
+ * also where sorting puts it: last ascending, first descending.
+ * @param {Object<string, *>} row Sort variable values of the target row (null for missing).
+ * @returns {{before: string, same: string}}
+ */
+function sortKeyConditions(row) {
+    const before = [];
+    const same = [];
+    for (const key of state.sortBy) {
+        const descending = key.startsWith('-');
+        const name = key.replace(/^[+-]/, '');
+        const type = state.vars.find(v => v.name === name)?.type;
+        const value = row[name];
+        let keyBefore;
+        let keySame;
+        if (getTypeClass(type) === 'str') {
+            const literal = stataString(String(value ?? ''));
+            keyBefore = `${name} ${descending ? '>' : '<'} ${literal}`;
+            keySame = `${name} == ${literal}`;
+        } else if (value === null || value === undefined) {
+            keyBefore = descending ? '0' : `!missing(${name})`;
+            keySame = `missing(${name})`;
+        } else {
+            // A float variable only equals the literal rounded to float precision.
+            const literal = type === 'float' ? `float(${Number(value)})` : String(Number(value));
+            keyBefore = `${name} ${descending ? '>' : '<'} ${literal}`;
+            keySame = `${name} == ${literal}`;
+        }
+        before.push([...same, keyBefore].join(' & '));
+        same.push(keySame);
+    }
+    return { before: before.map(c => `(${c})`).join(' | '), same: same.join(' & ') };
+}
+
+/**
+ * Zero-based position of observation `obs` in the grid (after filter and sort), or -1 when the
+ * filter excludes it. Both are counted server-side: in a sorted grid, the rows that sort before
+ * the observation's key values, then the rows sharing them are searched for it.
+ */
+async function rowOffsetOfObs(obs) {
+    const endpoint = state.viewId ? `/v1/views/${state.viewId}/arrow` : '/v1/arrow';
+    const scope = state.viewId ? `(${state.filter}) & ` : '';
+    if (!state.sortBy.length) {
+        if (!state.viewId) return obs >= 1 && obs <= state.totalObs ? obs - 1 : -1;
+        const count = await countRows(`${scope}_n <= ${obs}`);
+        if (count === 0) return -1;
+        const [last] = await fetchObsNumbers(endpoint, count - 1, 1);
+        return last === obs ? count - 1 : -1;
+    }
+    if (state.viewId && await countRows(`${scope}_n == ${obs}`) === 0) return -1;
+
+    const sortVars = state.sortBy.map(key => key.replace(/^[+-]/, ''));
+    const data = await apiCall('/v1/arrow', 'POST', { datasetId: state.datasetId, offset: obs - 1, limit: 1, vars: sortVars, sortBy: [] });
+    const row = {};
+    sortVars.forEach(name => {
+        const idx = (data?.vars || []).indexOf(name);
+        row[name] = idx === -1 || !data.table?.numRows ? null : data.table.getChildAt(idx).get(0);
+    });
+    const { before, same } = sortKeyConditions(row);
+
+    // Ties usually keep dataset order, so try that position first.
+    const guess = await countRows(`${scope}(${before} | ((${same}) & _n < ${obs}))`);
+    const [atGuess] = await fetchObsNumbers(endpoint, guess, 1);
+    if (atGuess === obs) return guess;
+
+    const start = await countRows(`${scope}(${before})`);
+    const end = start + await countRows(`${scope}(${same})`);
+    for (let offset = start; offset < end; offset += STATS_PAGE_SIZE) {
+        const numbers = await fetchObsNumbers(endpoint, offset, Math.min(STATS_PAGE_SIZE, end - offset));
+        const idx = numbers.indexOf(obs);
+        if (idx !== -1) return offset + idx;
+        if (!numbers.length) break;
+    }
+    return -1;
+}
+
+/**
+ * Load the page holding observation `obs` and mark its row.
+ */
+async function showObservation(obs) {
+    showLoading();
+    try {
+        const position = await rowOffsetOfObs(obs);
+        if (position === -1) {
+            showError(`Observation ${obs.toLocaleString()} is not in the current view.`);
+            return false;
+        }
+        hideError();
+        state.focusObs = obs;
+        state.offset = Math.floor(position / state.limit) * state.limit;
+        await loadPage();
+        const row = dom.grid?.querySelector('tr.focused-row');
+        if (row && row.scrollIntoView) row.scrollIntoView({ block: 'center' });
+        return true;
+    } catch (err) {
+        showError(`Could not go to observation ${obs}: ${err.message}`);
+        return false;
+    } finally {
+        hideLoading();
+    }
+}
+
+function goToObservation() {
+    const obs = Number((dom.gotoInput?.value || '').trim());
+    if (!Number.isInteger(obs) || obs < 1 || obs > state.totalObs) {
+        showError(`Enter an observation number between 1 and ${state.totalObs.toLocaleString()}.`);
+        return;
+    }
+    return showObservation(obs);
+}
+
+function updateSearchInfo() {
+    const search = state.search;
+    if (dom.searchInfo) {
+        dom.searchInfo.textContent = !search ? ''
+            : search.hits === 0 ? 'No matches'
+                : `${search.index >= 0 ? (search.index + 1).toLocaleString() : '–'} of ${search.hits.toLocaleString()}`;
+    }
+    const navigable = !!search && search.hits > 0;
+    if (dom.searchPrevBtn) dom.searchPrevBtn.disabled = !navigable;
+    if (dom.searchNextBtn) dom.searchNextBtn.disabled = !navigable;
+}
+
+function clearSearch() {
+    if (state.search?.viewId) dropView(state.search.viewId);
+    state.search = null;
+    state.focusObs = null;
+    updateSearchInfo();
+    rerenderGrid();
+}
+
+/**
+ * Search the selected variables through a server-side view, then jump to the first hit.
+ */
+async function runSearch() {
+    const query = (dom.searchInput?.value || '').trim();
+    const regex = !!dom.searchRegexBtn?.classList.contains('active');
+    if (state.search?.viewId) dropView(state.search.viewId);
+    state.search = null;
+    if (!query) {
+        clearSearch();
+        return;
+    }
+    const vars = state.vars.filter(v => state.selectedVars.includes(v.name));
+    if (!vars.length) {
+        showError('Select at least one variable to search.');
+        return;
+    }
+    const condition = searchExpression(query, { regex, vars });
+    const filterExpr = state.filter ? `(${state.filter}) & (${condition})` : condition;
+    showLoading();
+    try {
+        const valid = await apiCall('/v1/filters/validate', 'POST', { datasetId: state.datasetId, filterExpr });
+        const isOk = valid && (valid.ok === true || valid.isValid === true || valid.valid === true);
+        if (!isOk) throw new Error(valid?.error || (regex ? 'Invalid regular expression' : 'Invalid search'));
+        const view = await createView(filterExpr);
+        hideError();
+        state.search = { query, regex, viewId: view.id, hits: view.count, index: -1, matches: searchMatcher(query, regex) };
+        updateSearchInfo();
+        if (view.count > 0) {
+            await goToHit(0);
+        } else {
+            rerenderGrid();
+        }
+    } catch (err) {
+        showError(`Search failed: ${err.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Move to hit `index` (wrapping around), in the grid's current sort order.
+ */
+async function goToHit(index) {
+    const search = state.search;
+    if (!search || search.hits === 0) return;
+    const target = ((index % search.hits) + search.hits) % search.hits;
+    try {
+        const [obs] = await fetchObsNumbers(`/v1/views/${search.viewId}/arrow`, target, 1);
+        if (state.search !== search || obs === undefined) return;
+        search.index = target;
+        updateSearchInfo();
+        await showObservation(obs);
+    } catch (err) {
+        showError(`Search failed: ${err.message}`);
+    }
+}
+
+function searchStep(step) {
+    if (!state.search) return runSearch();
+    return goToHit(state.search.index + step);
+}
+
 // --- Event Listeners ---
 
 if (dom.prevBtn) dom.prevBtn.addEventListener('click', () => {
@@ -710,6 +2068,61 @@ if (dom.refreshBtn) dom.refreshBtn.addEventListener('click', () => {
     if (state.baseUrl && state.token) initBrowser(state.baseUrl, state.token);
 });
 
+if (dom.editBtn) dom.editBtn.addEventListener('click', () => setEditMode(!state.editMode));
+if (dom.undoBtn) dom.undoBtn.addEventListener('click', undoLastEdit);
+if (dom.exportBtn) dom.exportBtn.addEventListener('click', requestExport);
+if (dom.frameSelect) dom.frameSelect.addEventListener('change', () => selectFrame(dom.frameSelect.value));
+if (dom.switchFrameBtn) dom.switchFrameBtn.addEventListener('click', () => {
+    if (state.frame) vscode.postMessage({ type: 'switchFrame', frame: state.frame });
+});
+if (dom.plotBtn && dom.plotMenu) {
+    dom.plotBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        dom.plotMenu.classList.toggle('visible');
+    });
+    dom.plotMenu.querySelectorAll('[data-plot]').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openPlot(item.dataset.plot);
+        });
+    });
+}
+[dom.plotType, dom.plotY, dom.plotX].forEach(select => {
+    if (select) select.addEventListener('change', updatePlotFromControls);
+});
+if (dom.plotCloseBtn) dom.plotCloseBtn.addEventListener('click', closePlot);
+if (dom.plotInsertBtn) dom.plotInsertBtn.addEventListener('click', () => {
+    const command = dom.plotCommand?.textContent;
+    if (command) vscode.postMessage({ type: 'insertCommand', command });
+});
+if (dom.compareBtn) dom.compareBtn.addEventListener('click', () => {
+    vscode.postMessage({ type: 'compare', frame: state.frame || state.currentFrame });
+});
+if (dom.labelsBtn) {
+    dom.labelsBtn.classList.toggle('active', state.showLabels);
+    dom.labelsBtn.addEventListener('click', () => setShowLabels(!state.showLabels));
+}
+
+if (dom.grid) {
+    dom.grid.addEventListener('dblclick', (e) => {
+        if (!state.editMode) return;
+        const td = e.target.closest ? e.target.closest('td[data-var]') : null;
+        if (td) openCellEditor(td);
+    });
+}
+
+document.addEventListener('keydown', (e) => {
+    if (!state.editMode || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    e.preventDefault();
+    undoLastEdit();
+});
+
+if (dom.statsBtn) {
+    dom.statsBtn.classList.toggle('active', !state.statsCollapsed);
+    dom.statsBtn.addEventListener('click', () => setStatsCollapsed(!state.statsCollapsed));
+}
+
 if (dom.btnVariables) {
     dom.btnVariables.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -729,6 +2142,9 @@ window.addEventListener('click', (e) => {
             dom.btnVariables.classList.remove('active');
         }
     }
+    if (dom.plotMenu && dom.plotMenu.classList.contains('visible') && !dom.plotMenu.contains(e.target)) {
+        dom.plotMenu.classList.remove('visible');
+    }
 });
 
 // Avoid closing when clicking inside
@@ -773,10 +2189,36 @@ if (dom.btnSelectNone) {
 
 if (dom.filterInput) dom.filterInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') applyFilter(); });
 if (dom.applyFilterBtn) dom.applyFilterBtn.addEventListener('click', applyFilter);
+if (dom.searchInput) dom.searchInput.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    const query = dom.searchInput.value.trim();
+    const regex = !!dom.searchRegexBtn?.classList.contains('active');
+    // Enter on the same search moves to the next hit; Shift+Enter to the previous one.
+    if (state.search && state.search.query === query && state.search.regex === regex) {
+        searchStep(e.shiftKey ? -1 : 1);
+    } else {
+        runSearch();
+    }
+});
+if (dom.searchRegexBtn) dom.searchRegexBtn.addEventListener('click', () => {
+    dom.searchRegexBtn.classList.toggle('active');
+    if (state.search) runSearch();
+});
+if (dom.searchPrevBtn) dom.searchPrevBtn.addEventListener('click', () => searchStep(-1));
+if (dom.searchNextBtn) dom.searchNextBtn.addEventListener('click', () => searchStep(1));
+if (dom.gotoInput) dom.gotoInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') goToObservation(); });
+updateSearchInfo();
 
 if (typeof window !== 'undefined' && window.__DATA_BROWSER_TEST__) {
     window.__dataBrowserState = state;
     window.__loadPage = loadPage;
+    window.__computeColumnStats = computeColumnStats;
+    window.__fillColumnStats = fillColumnStats;
+    window.__formatValue = formatValue;
+    window.__plotCommand = plotCommand;
+    window.__boxStats = boxStats;
+    window.__searchExpression = searchExpression;
+    window.__sortKeyConditions = sortKeyConditions;
 }
 
 export default undefined;
@@ -0,0 +1,136 @@
+const vscode = acquireVsCodeApi();
+
+const state = {
+    entries: [],
+    // Selected graph ids in the order they were picked; compare uses the first two.
+    selected: [],
+    comparing: false
+};
+
+const dom = {
+    grid: document.getElementById('gallery-grid'),
+    count: document.getElementById('gallery-count'),
+    compareBtn: document.getElementById('btn-compare'),
+    exportBtn: document.getElementById('btn-export'),
+    selectNoneBtn: document.getElementById('btn-select-none'),
+    compareView: document.getElementById('compare-view')
+};
+
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+function thumbnail(entry) {
+    // Webviews can show SVG and PNG directly; PDFs and other formats get a placeholder.
+    if (['svg', 'png', 'jpg', 'jpeg', 'gif'].includes(entry.format)) {
+        const img = el('img');
+        img.src = entry.src;
+        img.alt = entry.name;
+        img.loading = 'lazy';
+        return img;
+    }
+    return el('div', 'gallery-thumb-fallback', entry.format ? entry.format.toUpperCase() : 'File');
+}
+
+function renderTile(entry) {
+    const tile = el('div', 'gallery-tile');
+    tile.dataset.id = String(entry.id);
+    if (state.selected.includes(entry.id)) tile.classList.add('selected');
+
+    const thumb = thumbnail(entry);
+    thumb.addEventListener('click', () => vscode.postMessage({ type: 'open', id: entry.id }));
+    tile.appendChild(thumb);
+
+    const meta = el('div', 'gallery-meta');
+    const check = el('input');
+    check.type = 'checkbox';
+    check.className = 'select-check';
+    check.checked = state.selected.includes(entry.id);
+    check.title = 'Select';
+    check.addEventListener('change', () => toggleSelected(entry.id, check.checked));
+    meta.appendChild(check);
+    meta.appendChild(el('span', 'gallery-name', entry.name));
+    const pin = el('button', `btn btn-sm btn-ghost pin-btn${entry.pinned ? ' pinned' : ''}`);
+    pin.title = entry.pinned ? 'Unpin (graph is removed by clear all)' : 'Pin (keep after clear all)';
+    pin.innerHTML = `<i class="codicon ${entry.pinned ? 'codicon-pinned' : 'codicon-pin'}"></i>`;
+    pin.addEventListener('click', () => vscode.postMessage({ type: 'pin', id: entry.id, pinned: !entry.pinned }));
+    meta.appendChild(pin);
+    tile.appendChild(meta);
+
+    const command = el('div', 'gallery-command', entry.command || '');
+    command.title = entry.command || '';
+    tile.appendChild(command);
+    const run = entry.runLabel ? `${entry.runLabel} · ` : '';
+    tile.appendChild(el('div', 'gallery-time', `${run}${formatTime(entry.timestamp)}`));
+    return tile;
+}
+
+function render() {
+    const ids = new Set(state.entries.map(e => e.id));
+    state.selected = state.selected.filter(id => ids.has(id));
+    dom.grid.innerHTML = '';
+    if (!state.entries.length) {
+        dom.grid.appendChild(el('div', 'gallery-empty', 'Graphs drawn in this session appear here.'));
+    }
+    // Newest first.
+    [...state.entries].reverse().forEach(entry => dom.grid.appendChild(renderTile(entry)));
+    const pinned = state.entries.filter(e => e.pinned).length;
+    dom.count.textContent = `${state.entries.length} graph${state.entries.length === 1 ? '' : 's'}${pinned ? `, ${pinned} pinned` : ''}`;
+    dom.compareBtn.disabled = state.selected.length !== 2;
+    dom.exportBtn.disabled = state.selected.length === 0;
+    renderCompare();
+}
+
+function renderCompare() {
+    const pair = state.selected.slice(0, 2).map(id => state.entries.find(e => e.id === id));
+    const active = state.comparing && pair.length === 2 && pair.every(Boolean);
+    dom.compareView.classList.toggle('hidden', !active);
+    dom.compareView.innerHTML = '';
+    if (!active) return;
+    pair.forEach(entry => {
+        const side = el('div', 'compare-side');
+        side.appendChild(el('div', 'gallery-name', entry.name));
+        side.appendChild(el('div', 'gallery-command', entry.command || ''));
+        side.appendChild(thumbnail(entry));
+        dom.compareView.appendChild(side);
+    });
+}
+
+function toggleSelected(id, selected) {
+    state.selected = state.selected.filter(s => s !== id);
+    if (selected) state.selected.push(id);
+    if (state.selected.length !== 2) state.comparing = false;
+    render();
+}
+
+dom.compareBtn.addEventListener('click', () => {
+    state.comparing = !state.comparing;
+    render();
+});
+dom.exportBtn.addEventListener('click', () => {
+    if (state.selected.length) vscode.postMessage({ type: 'export', ids: [...state.selected] });
+});
+dom.selectNoneBtn.addEventListener('click', () => {
+    state.selected = [];
+    state.comparing = false;
+    render();
+});
+
+window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message?.type === 'entries') {
+        state.entries = Array.isArray(message.entries) ? message.entries : [];
+        render();
+    }
+});
+
+render();
+vscode.postMessage({ type: 'ready' });
@@ -0,0 +1,444 @@
+// Interactive SVG graph viewer used by the terminal and graph panels: wheel and button zoom,
+// drag to pan, a crosshair reading data coordinates off the axis labels, fit or actual size,
+// and copy to the clipboard as PNG.
+
+const ZOOM_STEP = 1.25;
+const MAX_ZOOM = 40;
+// Copied PNGs are rendered at twice the graph's own size so they stay sharp when pasted.
+const PNG_SCALE = 2;
+
+const CSS_UNITS = { px: 1, in: 96, pt: 96 / 72, pc: 16, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+function cssLength(value) {
+    const match = /^\s*([\d.]+)\s*(px|in|pt|pc|cm|mm)?\s*$/i.exec(String(value ?? ''));
+    if (!match) return null;
+    const n = Number(match[1]) * CSS_UNITS[(match[2] || 'px').toLowerCase()];
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function parseViewBox(svg) {
+    const parts = String(svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (parts.length === 4 && parts.every(Number.isFinite) && parts[2] > 0 && parts[3] > 0) {
+        return { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
+    }
+    const width = cssLength(svg.getAttribute('width'));
+    const height = cssLength(svg.getAttribute('height'));
+    return width && height ? { x: 0, y: 0, width, height } : null;
+}
+
+/**
+ * The number an axis label shows, or null for dates, words and other non-numeric labels.
+ */
+function tickValue(text) {
+    const t = String(text ?? '').trim().replace(/,/g, '').replace(/−/g, '-');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t)) return null;
+    return Number(t);
+}
+
+function decimalsOf(text) {
+    const match = /\.(\d+)/.exec(String(text).replace(/e[-+]?\d+$/i, ''));
+    return match ? match[1].length : 0;
+}
+
+/**
+ * Numeric `<text>` elements with their anchor position in SVG units. Stata rotates y-axis
+ * labels about their anchor, so the anchor is the label's position along the axis either way.
+ */
+function readTickLabels(svg) {
+    const labels = [];
+    svg.querySelectorAll('text').forEach((node) => {
+        const value = tickValue(node.textContent);
+        const x = parseFloat(String(node.getAttribute('x') || '').split(/[\s,]+/)[0]);
+        const y = parseFloat(String(node.getAttribute('y') || '').split(/[\s,]+/)[0]);
+        if (value === null || !Number.isFinite(x) || !Number.isFinite(y)) return;
+        labels.push({ value, x, y, decimals: decimalsOf(node.textContent) });
+    });
+    return labels;
+}
+
+/**
+ * Least-squares line through (position, value) pairs, on a log10 scale if that fits better.
+ * Null unless the labels sit on a straight line, as tick labels do.
+ */
+function fitScale(points) {
+    const fit = (pairs) => {
+        const n = pairs.length;
+        const mx = pairs.reduce((s, p) => s + p[0], 0) / n;
+        const my = pairs.reduce((s, p) => s + p[1], 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        pairs.forEach(([px, py]) => {
+            sxx += (px - mx) ** 2;
+            sxy += (px - mx) * (py - my);
+            syy += (py - my) ** 2;
+        });
+        if (!sxx || !syy) return null;
+        const slope = sxy / sxx;
+        return { slope, intercept: my - slope * mx, r2: (sxy * sxy) / (sxx * syy) };
+    };
+    const linear = fit(points.map((p) => [p.pos, p.value]));
+    const log = points.every((p) => p.value > 0) ? fit(points.map((p) => [p.pos, Math.log10(p.value)])) : null;
+    const best = log && (!linear || log.r2 > linear.r2) ? { ...log, log: true } : (linear ? { ...linear, log: false } : null);
+    if (!best || best.r2 < 0.999) return null;
+    return { slope: best.slope, intercept: best.intercept, log: best.log, decimals: Math.max(...points.map((p) => p.decimals)) };
+}
+
+/**
+ * The x and y axis scales implied by the tick labels: x labels share a baseline, y labels a
+ * column. The largest group wins, so by-graphs use their most labelled axes.
+ * @returns {{x: object|null, y: object|null}}
+ */
+function axisScales(labels, viewBox) {
+    const tolerance = Math.max(viewBox ? Math.max(viewBox.width, viewBox.height) / 200 : 1, 0.5);
+    const group = (key, along) => {
+        const groups = new Map();
+        labels.forEach((label) => {
+            const k = Math.round(label[key] / tolerance);
+            if (!groups.has(k)) groups.set(k, []);
+            groups.get(k).push(label);
+        });
+        const candidates = [...groups.entries()]
+            .map(([k, items]) => ({ k, items }))
+            .filter(({ items }) => new Set(items.map((l) => Math.round(l[along]))).size >= 2)
+            // Most labels first; x axes prefer the bottom, y axes the left.
+            .sort((a, b) => b.items.length - a.items.length || (key === 'y' ? b.k - a.k : a.k - b.k));
+        for (const { items } of candidates) {
+            const scale = fitScale(items.map((l) => ({ pos: l[along], value: l.value, decimals: l.decimals })));
+            if (scale) return scale;
+        }
+        return null;
+    };
+    return { x: group('y', 'x'), y: group('x', 'y') };
+}
+
+function scaleValue(scale, pos) {
+    if (!scale) return null;
+    const v = scale.intercept + scale.slope * pos;
+    return scale.log ? 10 ** v : v;
+}
+
+function formatAxisValue(value, scale) {
+    if (value === null || !Number.isFinite(value)) return '—';
+    if (scale?.log) return Number(value.toPrecision(4)).toLocaleString();
+    const digits = Math.min((scale?.decimals || 0) + 1, 6);
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Map a pointer position to SVG units for an SVG drawn in `rect` with the default
+ * preserveAspectRatio (xMidYMid meet).
+ */
+function screenToSvg(viewBox, rect, clientX, clientY) {
+    const scale = Math.min(rect.width / viewBox.width, rect.height / viewBox.height);
+    const offsetX = (rect.width - viewBox.width * scale) / 2;
+    const offsetY = (rect.height - viewBox.height * scale) / 2;
+    return {
+        x: viewBox.x + (clientX - rect.left - offsetX) / scale,
+        y: viewBox.y + (clientY - rect.top - offsetY) / scale,
+        scale
+    };
+}
+
+function clampViewBox(viewBox, original) {
+    const width = Math.min(viewBox.width, original.width);
+    const height = Math.min(viewBox.height, original.height);
+    return {
+        x: Math.min(Math.max(viewBox.x, original.x), original.x + original.width - width),
+        y: Math.min(Math.max(viewBox.y, original.y), original.y + original.height - height),
+        width,
+        height
+    };
+}
+
+/**
+ * Zoom by `factor` (> 1 zooms in) keeping `center` (SVG units) where it is. Zooming out
+ * stops at the whole graph.
+ */
+function zoomViewBox(viewBox, factor, center, original) {
+    const width = Math.min(Math.max(viewBox.width / factor, original.width / MAX_ZOOM), original.width);
+    const ratio = width / viewBox.width;
+    return clampViewBox({
+        x: center.x - (center.x - viewBox.x) * ratio,
+        y: center.y - (center.y - viewBox.y) * ratio,
+        width,
+        height: viewBox.height * ratio
+    }, original);
+}
+
+function panViewBox(viewBox, dx, dy, original) {
+    return clampViewBox({ ...viewBox, x: viewBox.x - dx, y: viewBox.y - dy }, original);
+}
+
+function button(label, title, action) {
+    const node = document.createElement('button');
+    node.type = 'button';
+    node.className = 'btn btn-sm btn-ghost';
+    node.textContent = label;
+    node.title = title;
+    node.dataset.viewerAction = action;
+    return node;
+}
+
+/**
+ * Build a viewer inside `container`.
+ * @returns {{load: (src: string) => Promise<boolean>, loadSvgText: (text: string) => boolean, clear: () => void}}
+ *   load resolves false when the file is not an SVG the viewer can show.
+ */
+function createGraphViewer(container) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'graph-viewer-toolbar';
+    const zoomInBtn = button('+', 'Zoom in', 'zoom-in');
+    const zoomOutBtn = button('−', 'Zoom out', 'zoom-out');
+    const resetBtn = button('Reset', 'Reset zoom (or double-click the graph)', 'reset');
+    const sizeBtn = button('Actual size', 'Show the graph at its own size', 'size');
+    const copyBtn = button('Copy as PNG', 'Copy the current view to the clipboard as a PNG image', 'copy');
+    const readout = document.createElement('span');
+    readout.className = 'graph-viewer-readout';
+    const status = document.createElement('span');
+    status.className = 'graph-viewer-status';
+    toolbar.append(zoomInBtn, zoomOutBtn, resetBtn, sizeBtn, copyBtn, readout, status);
+
+    const stage = document.createElement('div');
+    stage.className = 'graph-viewer-stage fit';
+    const hline = document.createElement('div');
+    hline.className = 'graph-viewer-hline hidden';
+    const vline = document.createElement('div');
+    vline.className = 'graph-viewer-vline hidden';
+    stage.append(hline, vline);
+    container.append(toolbar, stage);
+
+    // loadId discards a fetch that finishes after another graph was opened.
+    const state = { svg: null, original: null, viewBox: null, scales: null, actualSize: false, drag: null, loadId: 0 };
+
+    function applyViewBox() {
+        const vb = state.viewBox;
+        state.svg.setAttribute('viewBox', `${vb.x} ${vb.y} ${vb.width} ${vb.height}`);
+        const zoom = state.original.width / vb.width;
+        resetBtn.disabled = zoom <= 1.0001;
+        zoomOutBtn.disabled = zoom <= 1.0001;
+        zoomInBtn.disabled = zoom >= MAX_ZOOM - 1e-6;
+    }
+
+    function applySize() {
+        const svg = state.svg;
+        stage.classList.toggle('fit', !state.actualSize);
+        if (state.actualSize) {
+            svg.style.width = `${cssLength(svg.getAttribute('data-width')) || state.original.width}px`;
+            svg.style.height = `${cssLength(svg.getAttribute('data-height')) || state.original.height}px`;
+        } else {
+            svg.style.width = '100%';
+            svg.style.height = '100%';
+        }
+        sizeBtn.textContent = state.actualSize ? 'Fit' : 'Actual size';
+        sizeBtn.title = state.actualSize ? 'Fit the graph to the window' : 'Show the graph at its own size';
+    }
+
+    function setStatus(text) {
+        status.textContent = text || '';
+    }
+
+    function hideCrosshair() {
+        hline.classList.add('hidden');
+        vline.classList.add('hidden');
+        readout.textContent = '';
+    }
+
+    function pointer(event) {
+        return screenToSvg(state.viewBox, state.svg.getBoundingClientRect(), event.clientX, event.clientY);
+    }
+
+    function zoomAt(factor, center) {
+        state.viewBox = zoomViewBox(state.viewBox, factor, center, state.original);
+        applyViewBox();
+    }
+
+    function zoomCentered(factor) {
+        const vb = state.viewBox;
+        zoomAt(factor, { x: vb.x + vb.width / 2, y: vb.y + vb.height / 2 });
+    }
+
+    function reset() {
+        state.viewBox = { ...state.original };
+        applyViewBox();
+    }
+
+    function updateCrosshair(event) {
+        const rect = state.svg.getBoundingClientRect();
+        const p = pointer(event);
+        const vb = state.viewBox;
+        if (p.x < vb.x || p.x > vb.x + vb.width || p.y < vb.y || p.y > vb.y + vb.height) {
+            hideCrosshair();
+            return;
+        }
+        const stageRect = stage.getBoundingClientRect();
+        hline.style.top = `${event.clientY - stageRect.top + stage.scrollTop}px`;
+        vline.style.left = `${event.clientX - stageRect.left + stage.scrollLeft}px`;
+        hline.style.left = `${rect.left - stageRect.left + stage.scrollLeft}px`;
+        hline.style.width = `${rect.width}px`;
+        vline.style.top = `${rect.top - stageRect.top + stage.scrollTop}px`;
+        vline.style.height = `${rect.height}px`;
+        hline.classList.remove('hidden');
+        vline.classList.remove('hidden');
+        const { x, y } = state.scales;
+        readout.textContent = x || y
+            ? `x ${formatAxisValue(scaleValue(x, p.x), x)}   y ${formatAxisValue(scaleValue(y, p.y), y)}`
+            : '';
+    }
+
+    async function copyAsPng() {
+        const vb = state.viewBox;
+        const baseWidth = cssLength(state.svg.getAttribute('data-width')) || state.original.width;
+        const width = Math.round(baseWidth * PNG_SCALE);
+        const height = Math.round(width * vb.height / vb.width);
+        const clone = state.svg.cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('width', String(width));
+        clone.setAttribute('height', String(height));
+        clone.removeAttribute('style');
+        const markup = new XMLSerializer().serializeToString(clone);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('the graph could not be drawn'));
+                image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+            });
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(image, 0, 0, width, height);
+            const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('the image could not be encoded');
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+            setStatus('Copied');
+        } catch (err) {
+            setStatus(`Could not copy: ${err.message || err}`);
+        }
+    }
+
+    toolbar.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-viewer-action]')?.dataset.viewerAction;
+        if (!action || !state.svg) return;
+        setStatus('');
+        if (action === 'zoom-in') zoomCentered(ZOOM_STEP);
+        else if (action === 'zoom-out') zoomCentered(1 / ZOOM_STEP);
+        else if (action === 'reset') reset();
+        else if (action === 'size') {
+            state.actualSize = !state.actualSize;
+            applySize();
+        } else if (action === 'copy') copyAsPng();
+    });
+
+    stage.addEventListener('wheel', (event) => {
+        if (!state.svg) return;
+        event.preventDefault();
+        zoomAt(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, pointer(event));
+        updateCrosshair(event);
+    }, { passive: false });
+
+    stage.addEventListener('mousedown', (event) => {
+        if (!state.svg || event.button !== 0) return;
+        event.preventDefault();
+        state.drag = { clientX: event.clientX, clientY: event.clientY };
+        stage.classList.add('panning');
+    });
+
+    window.addEventListener('mouseup', () => {
+        state.drag = null;
+        stage.classList.remove('panning');
+    });
+
+    stage.addEventListener('mousemove', (event) => {
+        if (!state.svg) return;
+        if (state.drag) {
+            const scale = pointer(event).scale;
+            state.viewBox = panViewBox(state.viewBox,
+                (event.clientX - state.drag.clientX) / scale,
+                (event.clientY - state.drag.clientY) / scale,
+                state.original);
+            state.drag = { clientX: event.clientX, clientY: event.clientY };
+            applyViewBox();
+        }
+        updateCrosshair(event);
+    });
+
+    stage.addEventListener('mouseleave', hideCrosshair);
+    stage.addEventListener('dblclick', () => {
+        if (state.svg) reset();
+    });
+
+    function detach() {
+        state.svg?.remove();
+        state.svg = null;
+        state.drag = null;
+        hideCrosshair();
+        setStatus('');
+        container.classList.add('hidden');
+    }
+
+    function clear() {
+        state.loadId += 1;
+        detach();
+    }
+
+    function loadSvgText(text) {
+        detach();
+        const doc = new DOMParser().parseFromString(String(text || ''), 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) return false;
+        const original = parseViewBox(svg);
+        if (!original) return false;
+        // Scripts never run from an inlined graph.
+        svg.querySelectorAll('script').forEach((node) => node.remove());
+        // The intrinsic size drives "actual size"; the element itself is sized by CSS.
+        svg.setAttribute('data-width', svg.getAttribute('width') || '');
+        svg.setAttribute('data-height', svg.getAttribute('height') || '');
+        svg.removeAttribute('width');
+        svg.removeAttribute('height');
+        const node = document.importNode(svg, true);
+        stage.appendChild(node);
+        state.svg = node;
+        state.original = original;
+        state.viewBox = { ...original };
+        state.scales = axisScales(readTickLabels(node), original);
+        applyViewBox();
+        applySize();
+        container.classList.remove('hidden');
+        return true;
+    }
+
+    async function load(src) {
+        clear();
+        const loadId = state.loadId;
+        try {
+            const response = await fetch(src);
+            if (!response.ok) return false;
+            const text = await response.text();
+            return loadId === state.loadId && loadSvgText(text);
+        } catch (_err) {
+            return false;
+        }
+    }
+
+    return { load, loadSvgText, clear };
+}
+
+window.stataGraphViewer = {
+    createGraphViewer,
+    readTickLabels,
+    axisScales,
+    scaleValue,
+    formatAxisValue,
+    screenToSvg,
+    zoomViewBox,
+    panViewBox
+};
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.stataGraphViewer;
+}
@@ -0,0 +1,275 @@
+/**
+ * Minimal XLSX writer for Data Browser exports: a single worksheet with inline strings.
+ * Rows are streamed to a temporary sheet file as pages arrive and zipped on close, so
+ * memory stays bounded by one page.
+ */
+
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { getFs, createDepProxy } = require('./runtime-context');
+
+const fs = createDepProxy(getFs);
+
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+const CHUNK_SIZE = 1 << 20;
+// Characters XML 1.0 cannot carry at all.
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`;
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`;
+const SHEET_START = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+const SHEET_END = '</sheetData></worksheet>';
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buffer, crc = 0) {
+    let c = ~crc;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(INVALID_XML, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function stringCell(ref, value) {
+    const text = escapeXml(value);
+    const space = text !== text.trim() ? ' xml:space="preserve"' : '';
+    return `<c r="${ref}" t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+}
+
+/**
+ * Zip archive written entry by entry with DEFLATE. Large entries are compressed in
+ * independent flushed chunks, which concatenate into one valid deflate stream.
+ */
+class ZipWriter {
+    constructor(filePath) {
+        this._fd = fs.openSync(filePath, 'w');
+        this._offset = 0;
+        this._entries = [];
+        const now = new Date();
+        this._time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this._date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    _write(buffer) {
+        fs.writeSync(this._fd, buffer);
+        this._offset += buffer.length;
+    }
+
+    _header(signature, entry, central) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const header = Buffer.alloc(central ? 46 : 30);
+        let p = 0;
+        header.writeUInt32LE(signature, p); p += 4;
+        if (central) {
+            header.writeUInt16LE(20, p); p += 2;
+        }
+        header.writeUInt16LE(20, p); p += 2;
+        header.writeUInt16LE(0, p); p += 2;
+        header.writeUInt16LE(8, p); p += 2;
+        header.writeUInt16LE(this._time, p); p += 2;
+        header.writeUInt16LE(this._date, p); p += 2;
+        header.writeUInt32LE(entry.crc, p); p += 4;
+        header.writeUInt32LE(entry.compressed, p); p += 4;
+        header.writeUInt32LE(entry.size, p); p += 4;
+        header.writeUInt16LE(name.length, p); p += 2;
+        header.writeUInt16LE(0, p); p += 2;
+        if (central) {
+            header.writeUInt16LE(0, p); p += 2;
+            header.writeUInt16LE(0, p); p += 2;
+            header.writeUInt16LE(0, p); p += 2;
+            header.writeUInt32LE(0, p); p += 4;
+            header.writeUInt32LE(entry.offset, p);
+        }
+        return Buffer.concat([header, name]);
+    }
+
+    addBuffer(name, data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(buffer);
+        const entry = { name, crc: crc32(buffer), compressed: compressed.length, size: buffer.length, offset: this._offset };
+        this._write(this._header(0x04034b50, entry, false));
+        this._write(compressed);
+        this._entries.push(entry);
+    }
+
+    /**
+     * Add a file from disk without reading it into memory. Sizes and CRC are only known
+     * afterwards, so the local header is rewritten in place once the data is out.
+     */
+    addFile(name, sourcePath) {
+        const entry = { name, crc: 0, compressed: 0, size: 0, offset: this._offset };
+        const placeholder = this._header(0x04034b50, entry, false);
+        this._write(placeholder);
+        const source = fs.openSync(sourcePath, 'r');
+        try {
+            const chunk = Buffer.alloc(CHUNK_SIZE);
+            let read;
+            while ((read = fs.readSync(source, chunk, 0, CHUNK_SIZE, null)) > 0) {
+                const data = chunk.subarray(0, read);
+                entry.crc = crc32(data, entry.crc);
+                entry.size += read;
+                const compressed = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                entry.compressed += compressed.length;
+                this._write(compressed);
+            }
+        } finally {
+            fs.closeSync(source);
+        }
+        const end = zlib.deflateRawSync(Buffer.alloc(0));
+        entry.compressed += end.length;
+        this._write(end);
+        fs.writeSync(this._fd, this._header(0x04034b50, entry, false), 0, placeholder.length, entry.offset);
+        this._entries.push(entry);
+    }
+
+    close() {
+        const start = this._offset;
+        for (const entry of this._entries) this._write(this._header(0x02014b50, entry, true));
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this._entries.length, 8);
+        end.writeUInt16LE(this._entries.length, 10);
+        end.writeUInt32LE(this._offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        this._write(end);
+        fs.closeSync(this._fd);
+    }
+
+    abort() {
+        try {
+            fs.closeSync(this._fd);
+        } catch (_err) {
+            // Already closed.
+        }
+    }
+}
+
+/**
+ * Streams Arrow tables into a one-sheet workbook. The first row holds the column names.
+ */
+class XlsxWriter {
+    constructor(filePath) {
+        this._filePath = filePath;
+        this._sheetPath = path.join(os.tmpdir(), `stata-workbench-sheet-${process.pid}-${Date.now()}.xml`);
+        this._sheet = fs.openSync(this._sheetPath, 'w');
+        this._row = 0;
+        this._columns = null;
+        fs.writeSync(this._sheet, SHEET_START);
+    }
+
+    writeTable(table) {
+        if (!this._columns) {
+            this._columns = table.schema.fields.map((field) => field.name);
+            if (this._columns.length > MAX_COLUMNS) {
+                throw new Error(`Excel sheets hold at most ${MAX_COLUMNS} columns`);
+            }
+            this._writeRow(this._columns.map((name, i) => stringCell(`${columnName(i)}1`, name)));
+        }
+        if (this._row + table.numRows > MAX_ROWS) {
+            throw new Error(`Excel sheets hold at most ${(MAX_ROWS - 1).toLocaleString()} rows of data`);
+        }
+        const vectors = this._columns.map((_name, i) => table.getChildAt(i));
+        let xml = '';
+        for (let i = 0; i < table.numRows; i++) {
+            const rowNumber = this._row + 1;
+            const cells = [];
+            vectors.forEach((vector, c) => {
+                const value = vector ? vector.get(i) : null;
+                if (value === null || value === undefined) return;
+                const ref = `${columnName(c)}${rowNumber}`;
+                if (typeof value === 'number' || typeof value === 'bigint') {
+                    if (typeof value === 'number' && !Number.isFinite(value)) return;
+                    cells.push(`<c r="${ref}"><v>${String(value)}</v></c>`);
+                } else {
+                    cells.push(stringCell(ref, value));
+                }
+            });
+            xml += `<row r="${rowNumber}">${cells.join('')}</row>`;
+            this._row++;
+        }
+        fs.writeSync(this._sheet, xml);
+    }
+
+    _writeRow(cells) {
+        this._row++;
+        fs.writeSync(this._sheet, `<row r="${this._row}">${cells.join('')}</row>`);
+    }
+
+    close() {
+        fs.writeSync(this._sheet, SHEET_END);
+        fs.closeSync(this._sheet);
+        this._sheet = null;
+        const zip = new ZipWriter(this._filePath);
+        try {
+            zip.addBuffer('[Content_Types].xml', CONTENT_TYPES);
+            zip.addBuffer('_rels/.rels', ROOT_RELS);
+            zip.addBuffer('xl/workbook.xml', WORKBOOK);
+            zip.addBuffer('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+            zip.addFile('xl/worksheets/sheet1.xml', this._sheetPath);
+            zip.close();
+        } catch (err) {
+            zip.abort();
+            throw err;
+        } finally {
+            this._removeSheet();
+        }
+    }
+
+    abort() {
+        if (this._sheet !== null) {
+            try {
+                fs.closeSync(this._sheet);
+            } catch (_err) {
+                // Already closed.
+            }
+        }
+        this._removeSheet();
+    }
+
+    _removeSheet() {
+        try {
+            fs.unlinkSync(this._sheetPath);
+        } catch (_err) {
+            // Nothing left to clean up.
+        }
+    }
+}
+
+module.exports = {
+    XlsxWriter,
+    ZipWriter,
+    columnName,
+    crc32
+};
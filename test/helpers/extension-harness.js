@@ -26,6 +26,8 @@ const createExtensionHarness = (overrides = {}) => {
         dispose: jest.fn(),
         connect: jest.fn().mockResolvedValue({}),
         runSelection: jest.fn().mockResolvedValue({}),
+        sharedTempPath: jest.fn((localPath) => localPath),
+        serverPath: jest.fn((localPath) => localPath),
         getUiChannel: jest.fn().mockResolvedValue(null),
         hasConfig: jest.fn().mockReturnValue(false),
         getServerConfig: jest.fn().mockReturnValue({ command: null, args: null, env: {}, configPath: null })
@@ -36,6 +38,7 @@ const createExtensionHarness = (overrides = {}) => {
         addEntry: jest.fn(),
         show: jest.fn(),
         setLogProvider: jest.fn(),
+        setHistoryProvider: jest.fn(),
         setHandlersFactory: jest.fn(),
         restorePanel: jest.fn(),
         startStreamingEntry: jest.fn().mockReturnValue(null),
@@ -51,6 +54,8 @@ const createExtensionHarness = (overrides = {}) => {
     const dataBrowserPanel = overrides.dataBrowserPanel || {
         createOrShow: jest.fn(),
         setLogger: jest.fn(),
+        setEditHandlers: jest.fn(),
+        setFrameHandlers: jest.fn(),
         refresh: jest.fn()
     };
 
@@ -134,7 +134,7 @@ describe('UI Integration', () => {
     //     let downloadResult = null;
     //     api.TerminalPanel._downloadGraphPdf = async (graphName) => {
     //         const res = await extension.exports.downloadGraphAsPdf(graphName);
-    test('Download PDF button triggers export_graph and yields PDF path', async () => {
+    test('Export button exports the graph as a real PDF', async () => {
         if (!enabled) {
             return;
         }
@@ -192,6 +192,8 @@ describe('UI Integration', () => {
 
         const tmpPath = path.join(os.tmpdir(), `test-graph-${Date.now()}.pdf`);
         const showSaveDialogMock = jest.spyOn(vscode.window, 'showSaveDialog').mockResolvedValue(vscode.Uri.file(tmpPath));
+        const showQuickPickMock = jest.spyOn(vscode.window, 'showQuickPick').mockImplementation(async (items) => (await items).find((i) => i.format === 'pdf'));
+        const showInputBoxMock = jest.spyOn(vscode.window, 'showInputBox').mockImplementation(async (options) => options.value);
 
         try {
             let receivedDownloadStatus = null;
@@ -208,10 +210,13 @@ describe('UI Integration', () => {
             expect(receivedDownloadStatus).toBeTruthy();
             expect(receivedDownloadStatus.success).toBe(true);
             expect(fs.existsSync(tmpPath)).toBe(true);
+            expect(fs.readFileSync(tmpPath).subarray(0, 5).toString()).toBe('%PDF-');
             
             if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
         } finally {
             showSaveDialogMock.mockRestore();
+            showQuickPickMock.mockRestore();
+            showInputBoxMock.mockRestore();
         }
     });
 
@@ -29,7 +29,7 @@ const createVscodeMock = () => {
                         _handleDownloadGraphPdf: jest.fn()
                     },
                     mcpClient: { getUiChannel: jest.fn() },
-                    downloadGraphAsPdf: jest.fn()
+                    exportGraph: jest.fn()
                 }
             })
         },
@@ -41,7 +41,11 @@ const createVscodeMock = () => {
                 return { dispose: () => { vscode.workspace._configListeners = vscode.workspace._configListeners.filter(l => l !== listener); } };
             }),
             _fireConfigChange: (event) => vscode.workspace._configListeners.forEach(l => l(event)),
+            onDidChangeTextDocument: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            onDidSaveTextDocument: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            onDidCloseTextDocument: jest.fn().mockReturnValue({ dispose: jest.fn() }),
             workspaceFolders: [{ uri: { fsPath: '/mock/workspace' } }],
+            findFiles: jest.fn().mockResolvedValue([]),
             fs: {
                 writeFile: jest.fn().mockResolvedValue(),
                 readFile: jest.fn().mockResolvedValue(Buffer.from('')),
@@ -79,6 +83,9 @@ const createVscodeMock = () => {
                 }
             }),
             showSaveDialog: jest.fn().mockResolvedValue(undefined),
+            showOpenDialog: jest.fn().mockResolvedValue(undefined),
+            showQuickPick: jest.fn().mockResolvedValue(undefined),
+            showInputBox: jest.fn().mockResolvedValue(undefined),
             createOutputChannel: jest.fn().mockReturnValue({
                 append: jest.fn(),
                 appendLine: jest.fn(),
@@ -94,7 +101,48 @@ const createVscodeMock = () => {
                 command: undefined,
                 backgroundColor: undefined
             }),
-            withProgress: jest.fn().mockImplementation((_options, task) => task({ isCancellationRequested: false }))
+            withProgress: jest.fn().mockImplementation((_options, task) => task({ isCancellationRequested: false })),
+            createTextEditorDecorationType: jest.fn().mockImplementation(() => ({ dispose: jest.fn() })),
+            onDidChangeActiveTextEditor: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            onDidChangeTextEditorSelection: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            showWarningMessage: jest.fn().mockResolvedValue(),
+            createTreeView: jest.fn().mockImplementation(() => ({
+                visible: true,
+                onDidChangeVisibility: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+                dispose: jest.fn()
+            }))
+        },
+        languages: {
+            registerCodeLensProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerDocumentSymbolProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerDefinitionProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerReferenceProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerRenameProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerCodeActionsProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerDocumentFormattingEditProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerDocumentRangeFormattingEditProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerHoverProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerSignatureHelpProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerCompletionItemProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            createDiagnosticCollection: jest.fn().mockImplementation(() => {
+                const entries = new Map();
+                return {
+                    entries,
+                    set: jest.fn((uri, diagnostics) => entries.set(uri.fsPath, diagnostics)),
+                    get: jest.fn((uri) => entries.get(uri.fsPath)),
+                    delete: jest.fn((uri) => entries.delete(uri.fsPath)),
+                    clear: jest.fn(() => entries.clear()),
+                    dispose: jest.fn()
+                };
+            })
+        },
+        debug: {
+            registerDebugAdapterDescriptorFactory: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            registerDebugConfigurationProvider: jest.fn().mockReturnValue({ dispose: jest.fn() }),
+            startDebugging: jest.fn().mockResolvedValue(true)
+        },
+        DebugAdapterInlineImplementation: class {
+            constructor(implementation) { this.implementation = implementation; }
         },
         commands: {
             _commands: [],
@@ -135,6 +183,15 @@ const createVscodeMock = () => {
             Test: 3
         },
         ThemeColor: function (name) { this.name = name; },
+        ThemeIcon: function (id) { this.id = id; },
+        TreeItem: class {
+            constructor(label, collapsibleState) { this.label = label; this.collapsibleState = collapsibleState; }
+        },
+        TreeItemCollapsibleState: {
+            None: 0,
+            Collapsed: 1,
+            Expanded: 2
+        },
         env: {
             clipboard: {
                 writeText: jest.fn().mockResolvedValue()
@@ -170,6 +227,67 @@ const createVscodeMock = () => {
         Range: class {
             constructor(start, end) { this.start = start; this.end = end; }
         },
+        CodeLens: class {
+            constructor(range, command) { this.range = range; this.command = command; }
+        },
+        Location: class {
+            constructor(uri, rangeOrPosition) { this.uri = uri; this.range = rangeOrPosition; }
+        },
+        DocumentSymbol: class {
+            constructor(name, detail, kind, range, selectionRange) {
+                Object.assign(this, { name, detail, kind, range, selectionRange, children: [] });
+            }
+        },
+        SymbolKind: {
+            Namespace: 2,
+            Method: 5,
+            Function: 11
+        },
+        Diagnostic: class {
+            constructor(range, message, severity) { this.range = range; this.message = message; this.severity = severity; }
+        },
+        DiagnosticSeverity: {
+            Error: 0,
+            Warning: 1,
+            Information: 2,
+            Hint: 3
+        },
+        CodeAction: class {
+            constructor(title, kind) { this.title = title; this.kind = kind; }
+        },
+        CodeActionKind: {
+            QuickFix: 'quickfix'
+        },
+        WorkspaceEdit: class {
+            constructor() { this.edits = []; }
+            replace(uri, range, newText) { this.edits.push({ uri, range, newText }); }
+        },
+        MarkdownString: class {
+            constructor(value = '') { this.value = value; }
+            appendMarkdown(text) { this.value += text; return this; }
+            appendCodeblock(code, language = '') { this.value += `\n\`\`\`${language}\n${code}\n\`\`\`\n`; return this; }
+        },
+        Hover: class {
+            constructor(contents, range) { this.contents = contents; this.range = range; }
+        },
+        SignatureHelp: class {
+            constructor() { this.signatures = []; this.activeSignature = 0; this.activeParameter = 0; }
+        },
+        SignatureInformation: class {
+            constructor(label, documentation) { this.label = label; this.documentation = documentation; this.parameters = []; }
+        },
+        ParameterInformation: class {
+            constructor(label, documentation) { this.label = label; this.documentation = documentation; }
+        },
+        CompletionItem: class {
+            constructor(label, kind) { this.label = label; this.kind = kind; }
+        },
+        CompletionItemKind: {
+            Function: 2, Field: 4, Variable: 5, Module: 8, Property: 9, Value: 11, Keyword: 13
+        },
+        TextEdit: {
+            replace: (range, newText) => ({ range, newText })
+        },
         Selection: class {
             constructor(anchorLine, anchorChar, activeLine, activeChar) {
                 this.anchor = { line: anchorLine, character: anchorChar };
@@ -0,0 +1,108 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { parseCells, findCellAtLine, hasRunnableCode, CellCodeLensProvider, CellDecorator } = require('../../src/code-cells');
+
+const SAMPLE = [
+    'clear all',
+    '** %% Load data',
+    'sysuse auto, clear',
+    'describe',
+    '// %%',
+    'regress price mpg',
+    '**%% Empty',
+    ''
+].join('\n');
+
+describe('code-cells', () => {
+    describe('parseCells', () => {
+        it('returns no cells when the text has no markers', () => {
+            expect(parseCells('sysuse auto\nsummarize')).toEqual([]);
+            expect(parseCells('')).toEqual([]);
+        });
+
+        it('splits on ** %% and // %% markers with titles', () => {
+            const cells = parseCells(SAMPLE);
+            expect(cells.map(c => c.title)).toEqual(['Cell 1', 'Load data', 'Cell 3', 'Empty']);
+            expect(cells[0]).toMatchObject({ markerLine: null, startLine: 0, endLine: 0, code: 'clear all' });
+            expect(cells[1]).toMatchObject({ markerLine: 1, startLine: 2, endLine: 3, code: 'sysuse auto, clear\ndescribe' });
+            expect(cells[2]).toMatchObject({ markerLine: 4, code: 'regress price mpg' });
+            expect(cells[3].code.trim()).toBe('');
+        });
+
+        it('skips a blank leading section', () => {
+            const cells = parseCells('\n\n** %% First\ndi 1');
+            expect(cells).toHaveLength(1);
+            expect(cells[0].title).toBe('First');
+            expect(cells[0].index).toBe(0);
+        });
+
+        it('handles CRLF line endings', () => {
+            const cells = parseCells('** %% A\r\ndi 1\r\n** %% B\r\ndi 2');
+            expect(cells.map(c => c.code)).toEqual(['di 1', 'di 2']);
+        });
+
+        it('does not treat ordinary comments as markers', () => {
+            expect(parseCells('* %% not a cell\n// a comment\ndi 1')).toEqual([]);
+        });
+    });
+
+    describe('findCellAtLine', () => {
+        it('includes the marker line in the cell', () => {
+            const cells = parseCells(SAMPLE);
+            expect(findCellAtLine(cells, 1).title).toBe('Load data');
+            expect(findCellAtLine(cells, 3).title).toBe('Load data');
+            expect(findCellAtLine(cells, 5).title).toBe('Cell 3');
+            expect(findCellAtLine(cells, 99)).toBeNull();
+        });
+
+        it('reports whether a cell has code', () => {
+            const cells = parseCells(SAMPLE);
+            expect(hasRunnableCode(cells[1])).toBe(true);
+            expect(hasRunnableCode(cells[3])).toBe(false);
+            expect(hasRunnableCode(null)).toBe(false);
+        });
+    });
+
+    describe('CellCodeLensProvider', () => {
+        const document = { uri: { fsPath: '/tmp/a.do' }, getText: () => SAMPLE };
+
+        it('adds run lenses on each marker and Run Above after the first cell', () => withTestContext({}, () => {
+            const lenses = new CellCodeLensProvider().provideCodeLenses(document);
+            const commands = lenses.map(l => `${l.range.start.line}:${l.command.command}`);
+            expect(commands).toEqual([
+                '1:stata-workbench.runCell',
+                '1:stata-workbench.runCellAndAdvance',
+                '1:stata-workbench.runCellsAbove',
+                '4:stata-workbench.runCell',
+                '4:stata-workbench.runCellAndAdvance',
+                '4:stata-workbench.runCellsAbove',
+                '6:stata-workbench.runCell',
+                '6:stata-workbench.runCellAndAdvance',
+                '6:stata-workbench.runCellsAbove'
+            ]);
+            expect(lenses[0].command.arguments).toEqual([document.uri, 1]);
+        }));
+
+        it('returns nothing when disabled in settings', () => withTestContext({}, ({ vscode }) => {
+            vscode.workspace.getConfiguration().get.mockImplementation((key, def) => key === 'cellCodeLens' ? false : def);
+            expect(new CellCodeLensProvider().provideCodeLenses(document)).toEqual([]);
+        }));
+    });
+
+    describe('CellDecorator', () => {
+        it('decorates markers and the cell under the cursor', () => withTestContext({}, () => {
+            const decorator = new CellDecorator();
+            const setDecorations = jest.fn();
+            decorator.update({
+                document: { getText: () => SAMPLE },
+                selection: { active: { line: 3 } },
+                setDecorations
+            });
+            const [markerCall, activeCall] = setDecorations.mock.calls;
+            expect(markerCall[1].map(r => r.start.line)).toEqual([1, 4, 6]);
+            expect(activeCall[1]).toHaveLength(1);
+            expect(activeCall[1][0].start.line).toBe(1);
+            expect(activeCall[1][0].end.line).toBe(3);
+        }));
+    });
+});
@@ -0,0 +1,172 @@
+const { describe, it, expect, jest } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const {
+    parseHelpText,
+    optionContext,
+    statementPrefix,
+    fetchStataVersion,
+    CommandHelpCache,
+    StataHoverProvider,
+    StataSignatureHelpProvider
+} = require('../../src/command-help');
+
+const REGRESS_HELP = [
+    'Title',
+    '',
+    '    [R] regress -- Linear regression',
+    '',
+    'Syntax',
+    '',
+    '        regress depvar [indepvars] [if] [in] [weight]',
+    '                [, options]',
+    '',
+    '    options                     Description',
+    '    -------------------------------------------------------------------',
+    '    Model',
+    '      noconstant                suppress constant term',
+    '      hascons                   has user-supplied constant',
+    '',
+    '    SE/Robust',
+    '      vce(vcetype)              vcetype may be ols, robust, cluster',
+    '                                  clustvar, or bootstrap',
+    '    -------------------------------------------------------------------',
+    '',
+    'Menu',
+    '',
+    '    Statistics > Linear models and related > Linear regression'
+].join('\n');
+
+const memoryFs = (files = {}) => ({
+    files,
+    existsSync: jest.fn((p) => p in files),
+    readFileSync: jest.fn((p) => {
+        if (!(p in files)) throw new Error('ENOENT');
+        return files[p];
+    }),
+    writeFileSync: jest.fn((p, data) => { files[p] = data; }),
+    mkdirSync: jest.fn(),
+    rmSync: jest.fn((dir) => {
+        for (const p of Object.keys(files)) {
+            if (p.startsWith(`${dir}/`)) delete files[p];
+        }
+    })
+});
+
+const doc = (text) => ({ uri: { fsPath: '/w/a.do' }, getText: () => text });
+
+describe('command-help', () => {
+    it('parses the title, syntax and option table from plain-text help', () => {
+        expect(parseHelpText(REGRESS_HELP, 'reg')).toEqual({
+            command: 'regress',
+            title: 'Linear regression',
+            syntax: ['regress depvar [indepvars] [if] [in] [weight] [, options]'],
+            options: [
+                { name: 'noconstant', description: 'suppress constant term' },
+                { name: 'hascons', description: 'has user-supplied constant' },
+                { name: 'vce(vcetype)', description: 'vcetype may be ols, robust, cluster clustvar, or bootstrap' }
+            ]
+        });
+    });
+
+    it('flattens SMCL help', () => {
+        const smcl = [
+            '{title:Title}',
+            '{p2colset 5 18 20 2}{...}',
+            '{p2col :{manlink R regress} {hline 2}}Linear regression{p_end}',
+            '{title:Syntax}',
+            '{p 8 16 2}{cmd:regress} {depvar} [{indepvars}] {ifin} [{cmd:,} {it:options}]{p_end}',
+            '{synoptset 26 tabbed}{...}',
+            '{synopthdr}',
+            '{synoptline}',
+            '{syntab:Model}',
+            '{synopt :{opt nocons:tant}}suppress constant term{p_end}',
+            '{synoptline}',
+            '{title:Description}'
+        ].join('\n');
+        const entry = parseHelpText(smcl, 'regress');
+        expect(entry.title).toBe('Linear regression');
+        expect(entry.syntax).toEqual(['regress depvar [indepvars] [if] [in] [, options]']);
+        expect(entry.options).toEqual([{ name: 'noconstant', description: 'suppress constant term' }]);
+    });
+
+    it('finds the command and option at the cursor across /// continuations', () => {
+        const lines = ['quietly regress y x ///', '   if inlist(a, 1, 2), vce(cl'];
+        expect(optionContext(statementPrefix(lines, 1, lines[1].length))).toEqual({ command: 'regress', inOptions: true, option: 'vce', inArguments: true });
+        expect(optionContext(statementPrefix(lines, 1, 12))).toEqual({ command: 'regress', inOptions: false, option: '', inArguments: false });
+        expect(optionContext('by foreign: summarize price, det')).toEqual({ command: 'summarize', inOptions: true, option: 'det', inArguments: false });
+        expect(optionContext('di "a, b"')).toEqual({ command: 'di', inOptions: false, option: '', inArguments: false });
+    });
+
+    it('reads the version from display output', async () => {
+        const client = { run: jest.fn().mockResolvedValue({ stdout: '. display c(stata_version)\n{res}18.5\n' }) };
+        expect(await fetchStataVersion(client)).toBe('18.5');
+    });
+
+    it('caches help on disk per Stata version and serves it offline', async () => {
+        const fs = memoryFs();
+        await withTestContext({ fs }, async () => {
+            const fetchHelp = jest.fn().mockResolvedValue(REGRESS_HELP);
+            const online = new CommandHelpCache({ storageDir: '/store', fetchHelp, getVersion: async () => '18' });
+            const [first, second] = await Promise.all([online.get('regress'), online.get('REGRESS')]);
+            expect(first.command).toBe('regress');
+            expect(second).toBe(first);
+            expect(fetchHelp).toHaveBeenCalledTimes(1);
+            expect(Object.keys(fs.files).sort()).toEqual(['/store/18/regress.json', '/store/version.json']);
+
+            const offline = new CommandHelpCache({
+                storageDir: '/store',
+                fetchHelp: jest.fn().mockRejectedValue(new Error('offline')),
+                getVersion: jest.fn().mockRejectedValue(new Error('offline'))
+            });
+            expect((await offline.get('regress')).title).toBe('Linear regression');
+            expect(await offline.get('summarize')).toBeNull();
+            expect(await offline.get('../etc')).toBeNull();
+        });
+    });
+
+    it('looks commands without help up again once their entry expires, and clears on request', async () => {
+        const fs = memoryFs();
+        await withTestContext({ fs }, async () => {
+            const fetchHelp = jest.fn().mockResolvedValue('');
+            const cache = new CommandHelpCache({ storageDir: '/store', fetchHelp, getVersion: async () => '18', missingTtlMs: 1000 });
+            expect(await cache.get('mycmd')).toBeNull();
+            expect(JSON.parse(fs.files['/store/18/mycmd.json'])).toMatchObject({ missing: true });
+
+            // Within the TTL the stored miss is used.
+            const fresh = new CommandHelpCache({ storageDir: '/store', fetchHelp, getVersion: async () => '18', missingTtlMs: 1000 });
+            expect(await fresh.get('mycmd')).toBeNull();
+            expect(fetchHelp).toHaveBeenCalledTimes(1);
+
+            // Once it expires the command is fetched again, and now has help.
+            fs.files['/store/18/mycmd.json'] = JSON.stringify({ missing: true, checkedAt: Date.now() - 5000 });
+            fetchHelp.mockResolvedValue(REGRESS_HELP.replace(/\bregress\b/g, 'mycmd'));
+            const later = new CommandHelpCache({ storageDir: '/store', fetchHelp, getVersion: async () => '18', missingTtlMs: 1000 });
+            expect((await later.get('mycmd')).title).toBe('Linear regression');
+            expect(fetchHelp).toHaveBeenCalledTimes(2);
+
+            later.clear();
+            expect(fs.files).toEqual({});
+            expect((await later.get('mycmd')).command).toBe('mycmd');
+            expect(fetchHelp).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    it('provides hovers on the command word and signature help inside options', () => withTestContext({}, async ({ vscode }) => {
+        const cache = { get: jest.fn(async (name) => (name === 'regress' ? parseHelpText(REGRESS_HELP, name) : null)) };
+        const hover = await new StataHoverProvider(cache).provideHover(doc('cap noi regress y x'), { line: 0, character: 10 });
+        expect(hover.contents.value).toContain('**regress** — Linear regression');
+        expect(hover.contents.value).toContain('regress depvar [indepvars]');
+        expect(hover.range.start.character).toBe(8);
+        expect(await new StataHoverProvider(cache).provideHover(doc('regress y x'), { line: 0, character: 9 })).toBeNull();
+
+        const provider = new StataSignatureHelpProvider(cache);
+        const help = await provider.provideSignatureHelp(doc('regress y x, noc'), { line: 0, character: 16 });
+        const [signature] = help.signatures;
+        expect(signature.label).toBe('regress, noconstant hascons vce(vcetype)');
+        expect(signature.parameters[help.activeParameter].documentation).toBe('suppress constant term');
+        expect(await provider.provideSignatureHelp(doc('regress y x'), { line: 0, character: 11 })).toBeNull();
+
+        vscode.workspace.getConfiguration().get.mockImplementation((key, def) => key === 'commandHelp' ? false : def);
+        expect(await provider.provideSignatureHelp(doc('regress y x, noc'), { line: 0, character: 16 })).toBeNull();
+    }));
+});
@@ -0,0 +1,69 @@
+const { describe, it, expect, jest } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { CommandHistory, toDoFile } = require('../../src/command-history');
+
+const memoryFs = (files = {}) => ({
+    files,
+    existsSync: jest.fn((p) => p in files),
+    readFileSync: jest.fn((p) => {
+        if (!(p in files)) throw new Error('ENOENT');
+        return files[p];
+    }),
+    writeFileSync: jest.fn((p, data) => { files[p] = data; }),
+    appendFileSync: jest.fn((p, data) => { files[p] = (files[p] || '') + data; }),
+    mkdirSync: jest.fn()
+});
+
+const FILE = '/storage/command-history.jsonl';
+
+describe('command-history', () => {
+    it('appends runs to disk and reads them back in a new session', () => {
+        const fs = memoryFs();
+        withTestContext({ fs }, () => {
+            const history = new CommandHistory({ filePath: FILE });
+            history.add({ code: 'sysuse auto, clear', rc: 0, durationMs: 41.6, cwd: '/proj', source: 'terminal' });
+            history.add({ code: '  ', rc: 0 });
+            history.add({ code: 'regress price mpg', rc: 0, durationMs: 120, cwd: '/proj', source: 'editor', filePath: '/proj/a.do' });
+
+            const reloaded = new CommandHistory({ filePath: FILE }).entries();
+            expect(reloaded.map((e) => e.code)).toEqual(['sysuse auto, clear', 'regress price mpg']);
+            expect(reloaded[0]).toMatchObject({ rc: 0, durationMs: 42, cwd: '/proj', source: 'terminal' });
+            expect(reloaded[1].filePath).toBe('/proj/a.do');
+            expect(typeof reloaded[1].timestamp).toBe('string');
+        });
+    });
+
+    it('drops the oldest entries past maxEntries and skips corrupt lines', () => {
+        const fs = memoryFs({ [FILE]: '{"code":"a","rc":0}\n{"code":"b"\n{"code":"c","rc":0}\n' });
+        withTestContext({ fs }, () => {
+            const history = new CommandHistory({ filePath: FILE, maxEntries: 2 });
+            expect(history.entries().map((e) => e.code)).toEqual(['a', 'c']);
+            history.add({ code: 'd', rc: 0, source: 'terminal' });
+            expect(history.entries().map((e) => e.code)).toEqual(['c', 'd']);
+            expect(fs.files[FILE].trim().split('\n')).toHaveLength(2);
+            expect(history.entries()[1].source).toBe('terminal');
+        });
+    });
+
+    it('exports successful commands as a do-file with directory changes', () => {
+        const text = toDoFile([
+            { code: 'sysuse auto, clear', rc: 0, cwd: '/proj' },
+            { code: 'regress price nope', rc: 111, cwd: '/proj' },
+            { code: 'do "clean.do"', rc: 0, cwd: '/proj/code' },
+            { code: 'summarize', rc: null, cwd: '/proj/code' }
+        ], { date: new Date('2026-01-02T03:04:05Z') });
+        expect(text).toBe([
+            '* Command history exported by Stata Workbench on 2026-01-02T03:04:05.000Z',
+            '* Failed commands are left out.',
+            '',
+            'cd "/proj"',
+            'sysuse auto, clear',
+            'cd "/proj/code"',
+            'do "clean.do"',
+            'summarize',
+            ''
+        ].join('\n'));
+
+        expect(toDoFile([{ code: 'regress price nope', rc: 111 }], { includeFailed: true })).toContain('* r(111):\n* regress price nope');
+    });
+});
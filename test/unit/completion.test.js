@@ -0,0 +1,90 @@
+const { describe, it, expect, jest } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { StataCompletionProvider, completionContext, definedMacros } = require('../../src/completion');
+
+const STATE = {
+    frames: [
+        { name: 'default', n: 74, k: 2, current: true, variables: [{ name: 'price', type: 'int', label: 'Price' }, { name: 'make', type: 'str18', label: 'Make and model' }] },
+        { name: 'results', n: 0, k: 0, current: false, variables: [] }
+    ],
+    globals: [{ name: 'S_level', value: '95' }],
+    scalars: [],
+    matrices: [],
+    estimates: ['m1', 'm2'],
+    activeEstimate: null
+};
+
+const complete = (provider, text, line, character) => provider.provideCompletionItems(
+    { getText: () => text },
+    { line, character: character ?? text.split('\n')[line].length }
+);
+const labels = (items) => items.map((i) => (typeof i.label === 'string' ? i.label : i.label.label));
+
+describe('completion', () => {
+    it('classifies the cursor position', () => {
+        expect(completionContext('quietly summ')).toEqual({ kind: 'command' });
+        expect(completionContext('summarize pr')).toEqual({ kind: 'variable', command: 'summarize' });
+        expect(completionContext('regress y x, rob')).toEqual({ kind: 'option', command: 'regress' });
+        expect(completionContext('regress y x, vce(cluster ')).toEqual({ kind: 'variable', command: 'regress' });
+        expect(completionContext('di `i')).toEqual({ kind: 'local' });
+        expect(completionContext('use ${ro')).toEqual({ kind: 'global' });
+        expect(completionContext('frame change re')).toEqual({ kind: 'frame', command: 'frame' });
+        expect(completionContext('estimates restore m')).toEqual({ kind: 'estimate', command: 'estimates' });
+        expect(completionContext('di "pr')).toEqual({ kind: 'none' });
+    });
+
+    it('collects locals from the enclosing program and globals from the whole file', () => {
+        const text = [
+            'local top 1',
+            'global root "/data"',
+            'program define p',
+            '    args first second',
+            '    tempvar tv',
+            '    foreach v of varlist * {',
+            '        levelsof `v\', local(vals)',
+            '    }',
+            '    di ',
+            'end',
+            'local after 2'
+        ].join('\n');
+        expect(definedMacros(text, 8)).toEqual({ locals: ['first', 'second', 'tv', 'v', 'vals'], globals: ['root'] });
+        expect(definedMacros(text, 11).locals).toEqual(['top', 'after']);
+    });
+
+    it('completes variables, frames, estimates and macros from the session, loading it once until invalidated', () => withTestContext({}, async ({ vscode }) => {
+        const loadState = jest.fn().mockResolvedValue(STATE);
+        const provider = new StataCompletionProvider({ loadState });
+
+        const variables = await complete(provider, 'summarize p', 0);
+        expect(labels(variables)).toEqual(['price', 'make']);
+        expect(variables[0]).toMatchObject({ kind: vscode.CompletionItemKind.Field, detail: 'int', documentation: 'Price' });
+        expect(labels(await complete(provider, 'frame change ', 0))).toEqual(['default', 'results']);
+        expect(labels(await complete(provider, 'estimates replay ', 0))).toEqual(['m1', 'm2']);
+        expect(labels(await complete(provider, 'global root "x"\nuse $', 1))).toEqual(['root', 'S_level']);
+        expect(loadState).toHaveBeenCalledTimes(1);
+
+        provider.invalidate();
+        await complete(provider, 'list ', 0);
+        expect(loadState).toHaveBeenCalledTimes(2);
+
+        expect(await complete(provider, 'list x // pr', 0)).toEqual([]);
+    }));
+
+    it('completes commands with programs and options from command help', () => withTestContext({}, async () => {
+        const provider = new StataCompletionProvider({
+            loadState: jest.fn().mockRejectedValue(new Error('not running')),
+            programIndex: { list: jest.fn().mockResolvedValue([{ name: 'mytool', filePath: '/w/mytool.ado', line: 0 }]) },
+            helpCache: { get: jest.fn().mockResolvedValue({ options: [{ name: 'vce(vcetype)', description: 'variance' }, { name: 'noconstant', description: 'no constant' }] }) }
+        });
+
+        const commands = labels(await complete(provider, 'program define helper\nend\nqui ', 2));
+        expect(commands).toContain('regress');
+        expect(commands).toContain('mytool');
+        expect(commands).toContain('helper');
+
+        const options = await complete(provider, 'regress y x, ', 0);
+        expect(options.map((o) => o.insertText)).toEqual(['vce', 'noconstant']);
+        expect(options[0].label).toEqual({ label: 'vce', detail: '(vcetype)' });
+        expect(await complete(provider, 'summarize ', 0)).toEqual([]);
+    }));
+});
@@ -9,8 +9,8 @@ describe('Data Browser Frontend (data-browser.js)', () => {
 
     beforeAll(() => {
         scriptContent = fs.readFileSync(path.join(__dirname, '../../src/ui-shared/data-browser.js'), 'utf8');
-        // Strip ESM import and export for JSDOM eval
-        scriptContent = scriptContent.replace(/import {.*} from 'apache-arrow';/g, '');
+        // Strip ESM imports and export for JSDOM eval
+        scriptContent = scriptContent.replace(/import {.*} from '[^']+';/g, '');
         scriptContent = scriptContent.replace(/export default .*;?/g, '');
     });
 
@@ -26,9 +26,44 @@ describe('Data Browser Frontend (data-browser.js)', () => {
                 <div id="grid-body"></div>
                 <input id="filter-input" />
                 <button id="apply-filter"></button>
+                <input id="search-input" />
+                <span id="search-info"></span>
+                <button id="btn-search-regex"></button>
+                <button id="btn-search-prev"></button>
+                <button id="btn-search-next"></button>
+                <input id="goto-input" />
                 <button id="btn-prev"></button>
                 <button id="btn-next"></button>
                 <button id="btn-refresh"></button>
+                <button id="btn-stats"></button>
+                <button id="btn-edit"></button>
+                <button id="btn-undo" disabled></button>
+                <button id="btn-export"></button>
+                <button id="btn-labels"></button>
+                <button id="btn-compare"></button>
+                <button id="btn-plot"></button>
+                <div id="plot-menu">
+                    <div data-plot="histogram"></div>
+                    <div data-plot="scatter"></div>
+                    <div data-plot="line"></div>
+                    <div data-plot="box"></div>
+                </div>
+                <div id="plot-panel" class="hidden">
+                    <select id="plot-type">
+                        <option value="histogram"></option><option value="scatter"></option>
+                        <option value="line"></option><option value="box"></option>
+                    </select>
+                    <select id="plot-y"></select>
+                    <label id="plot-x-field"><select id="plot-x"></select></label>
+                    <span id="plot-note"></span>
+                    <div id="plot-canvas"></div>
+                    <pre id="plot-command"></pre>
+                    <button id="btn-plot-insert"></button>
+                    <button id="btn-plot-close"></button>
+                </div>
+                <span id="frame-name"></span>
+                <select id="frame-select"></select>
+                <div id="frame-banner" class="hidden"><span id="frame-banner-text"></span><button id="btn-switch-frame"></button></div>
                 
                 <!-- New Selector DOM -->
                 <button id="btn-variables"></button>
@@ -101,6 +136,7 @@ describe('Data Browser Frontend (data-browser.js)', () => {
 
         // Inject dependencies
         window.tableFromIPC = require('apache-arrow').tableFromIPC;
+        window.stataString = require('../../src/data-edit').stataString;
 
         // Execute the script
         window.eval(scriptContent);
@@ -293,4 +329,485 @@ describe('Data Browser Frontend (data-browser.js)', () => {
             cleanup();
         }
     });
-});
\ No newline at end of file
+
+    it('summarizes numeric and string columns', () => {
+        const { window, cleanup } = createTestContext();
+        try {
+            const numeric = window.__computeColumnStats([1, 2, 3, null, 4], false);
+            expect(numeric).toMatchObject({ kind: 'numeric', n: 4, missing: 1, mean: 2.5, min: 1, max: 4 });
+            expect(numeric.sd).toBeCloseTo(1.291, 3);
+            expect(numeric.histogram.reduce((a, b) => a + b, 0)).toBe(4);
+
+            const text = window.__computeColumnStats(['b', 'a', '', 'b', null], true);
+            expect(text).toEqual({ kind: 'string', n: 3, missing: 2, distinct: 2, top: [{ value: 'b', count: 2 }, { value: 'a', count: 1 }] });
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('loads column summaries over the active view and caches them per dataset', async () => {
+        const { document, window, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const arrowCalls = () => vscodeMock.postMessage.mock.calls
+            .map(args => args[0])
+            .filter(m => m?.type === 'apiCall' && m.url.endsWith('/arrow'))
+            .map(m => ({ ...m, body: JSON.parse(m.options.body) }));
+        const respondArrow = async (call, columns) => {
+            triggerMessage({ type: 'apiResponse', reqId: call.reqId, success: true, data: tableToIPC(tableFromArrays(columns)), isBinary: true });
+            await flushPromises();
+            await flushPromises();
+        };
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 3 } } });
+            await flushPromises();
+            const vars = [{ name: 'price', type: 'int' }, { name: 'make', type: 'str18' }];
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars } });
+            await flushPromises();
+
+            const page = { _n: Int32Array.from([1, 2, 3]), price: Float64Array.from([10, 20, 30]), make: ['AMC', 'Buick', 'AMC'] };
+            await respondArrow(arrowCalls()[0], page);
+
+            // Columns load one at a time, each over the whole column.
+            let calls = arrowCalls();
+            expect(calls).toHaveLength(2);
+            expect(calls[1].body).toMatchObject({ datasetId: 'ds1', offset: 0, vars: ['price'] });
+            await respondArrow(calls[1], { price: Float64Array.from([10, 20, 30]) });
+            calls = arrowCalls();
+            expect(calls[2].body.vars).toEqual(['make']);
+            await respondArrow(calls[2], { make: ['AMC', 'Buick', 'AMC'] });
+
+            const cells = document.querySelectorAll('.col-stats');
+            expect(cells[0].textContent).toContain('mean 20 · sd 10');
+            expect(cells[0].querySelectorAll('rect').length).toBeGreaterThan(0);
+            expect(cells[1].textContent).toContain('2 distinct');
+            expect(cells[1].textContent).toContain('AMC (2)');
+
+            // Paging reuses the cache.
+            window.__loadPage();
+            await respondArrow(arrowCalls()[3], page);
+            expect(arrowCalls()).toHaveLength(4);
+            expect(document.querySelector('.col-stats').textContent).toContain('max 30');
+
+            // A summary of only the first rows says so in the strip.
+            const cell = document.createElement('div');
+            window.__fillColumnStats(cell, { ...window.__computeColumnStats([1, 2], false), type: 'int', truncated: true });
+            expect(cell.querySelector('.col-stats-sample').textContent).toBe(`first ${(200000).toLocaleString()} obs only`);
+
+            // Collapsing hides the strip.
+            document.getElementById('btn-stats').click();
+            expect(document.body.classList.contains('stats-collapsed')).toBe(true);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('edits a cell in edit mode and offers undo', async () => {
+        const { document, window, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const posted = (type) => vscodeMock.postMessage.mock.calls.map(args => args[0]).filter(m => m?.type === type);
+        const arrowCalls = () => posted('apiCall').filter(m => m.url.endsWith('/arrow'));
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 2 } } });
+            await flushPromises();
+            const vars = [{ name: 'price', type: 'int' }, { name: 'foreign', type: 'byte' }];
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars } });
+            await flushPromises();
+            // Collapse summaries so only page loads hit /arrow.
+            document.getElementById('btn-stats').click();
+            const page = { _n: Int32Array.from([1, 2]), price: Float64Array.from([4099, 4749]), foreign: Float64Array.from([0, 1]) };
+            triggerMessage({ type: 'apiResponse', reqId: arrowCalls()[0].reqId, success: true, data: tableToIPC(tableFromArrays(page)), isBinary: true });
+            await flushPromises();
+
+            // Double-click does nothing outside edit mode.
+            const cell = () => document.querySelector('td[data-var="price"][data-obs="2"]');
+            cell().dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+            expect(cell().querySelector('input')).toBeNull();
+
+            document.getElementById('btn-edit').click();
+            expect(posted('requestValueLabels')).toHaveLength(1);
+            triggerMessage({ type: 'valueLabels', labels: { foreign: [{ value: '0', text: 'Domestic' }, { value: '1', text: 'Foreign' }] } });
+
+            cell().dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+            const input = cell().querySelector('input.cell-editor');
+            expect(input.value).toBe('4749');
+            input.value = 'abc';
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(posted('editCell')).toHaveLength(0);
+            input.value = '5000';
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(posted('editCell')[0]).toMatchObject({ variable: 'price', obs: 2, value: '5000', previous: '4749', isString: false });
+            expect(cell().textContent).toBe('5000');
+
+            const labelled = document.querySelector('td[data-var="foreign"][data-obs="1"]');
+            labelled.dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+            const select = labelled.querySelector('select.cell-editor');
+            expect(Array.from(select.options).map(o => o.textContent)).toEqual(['0 Domestic', '1 Foreign']);
+            select.value = '1';
+            select.dispatchEvent(new window.Event('change'));
+            expect(posted('editCell')[1]).toMatchObject({ variable: 'foreign', obs: 1, value: '1', previous: '0' });
+
+            const loadsBefore = arrowCalls().length;
+            expect(document.getElementById('btn-undo').disabled).toBe(true);
+            triggerMessage({ type: 'editResult', success: true, canUndo: true });
+            expect(document.getElementById('btn-undo').disabled).toBe(false);
+            expect(arrowCalls().length).toBe(loadsBefore + 1);
+
+            document.getElementById('btn-undo').click();
+            expect(posted('undoEdit')).toHaveLength(1);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('asks the extension to export the filtered, sorted view', async () => {
+        const { document, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const posted = (type) => vscodeMock.postMessage.mock.calls.map(args => args[0]).filter(m => m?.type === type);
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 10 } } });
+            await flushPromises();
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars: [{ name: 'price', type: 'int' }, { name: 'mpg', type: 'int' }] } });
+            await flushPromises();
+
+            document.getElementById('btn-export').click();
+            expect(posted('export')[0]).toEqual({ type: 'export', datasetId: 'ds1', viewId: null, vars: ['price', 'mpg'], sortBy: [], total: 10 });
+
+            document.getElementById('filter-input').value = 'price > 5000';
+            document.getElementById('apply-filter').click();
+            await flushPromises();
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/filters/validate').reqId, success: true, data: { ok: true } });
+            await flushPromises();
+            const create = posted('apiCall').find(m => m.url.endsWith('/v1/views'));
+            triggerMessage({ type: 'apiResponse', reqId: create.reqId, success: true, data: { view: { id: 'v9', filteredN: 4 } } });
+            await flushPromises();
+
+            document.getElementById('btn-export').click();
+            expect(posted('export')[1]).toMatchObject({ viewId: 'v9', total: 4 });
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('renders cells with Stata display formats', () => {
+        const { window, cleanup } = createTestContext();
+        try {
+            const format = window.__formatValue;
+            expect(format(0, '%td')).toBe('01jan1960');
+            expect(format(23012, '%tdCCYY-NN-DD')).toBe('2023-01-02');
+            expect(format(23012, '%tdDayname,_Month_dd,_CCYY')).toBe('Monday, January 2, 2023');
+            expect(format(1988810645000, '%tc')).toBe('08jan2023 15:24:05');
+            expect(format(1988810645000, '%tcHH:MM!h')).toBe('15:24h');
+            expect(format(757, '%tm')).toBe('2023m2');
+            expect(format(-1, '%tq')).toBe('1959q4');
+            expect(format(1234567.891, '%12.2fc')).toBe('1,234,567.89');
+            expect(format(-0.5, '%9.2f')).toBe('-0.50');
+            expect(format(3.14159265, '%9.0g')).toBe('3.141593');
+            expect(format(0.25, '%9.0g')).toBe('.25');
+            expect(format(1234567, '%12.0gc')).toBe('1,234,567');
+            expect(format(12345, '%10.3e')).toBe('1.235e+04');
+            expect(format(null, '%td')).toBe('.');
+            expect(format('AMC', '%-18s')).toBe('AMC');
+            expect(format(4099, '')).toBe('4099');
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('shows value labels with codes on hover and caches variable metadata per dataset', async () => {
+        const { document, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const posted = (type) => vscodeMock.postMessage.mock.calls.map(args => args[0]).filter(m => m?.type === type);
+        const arrowCalls = () => posted('apiCall').filter(m => m.url.endsWith('/arrow'));
+        const respondDataset = async () => {
+            const calls = posted('apiCall').filter(m => m.url.endsWith('/v1/dataset'));
+            triggerMessage({ type: 'apiResponse', reqId: calls[calls.length - 1].reqId, success: true, data: { dataset: { id: 'ds1', n: 2 } } });
+            await flushPromises();
+        };
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            await respondDataset();
+            expect(posted('requestValueLabels')).toHaveLength(1);
+            const vars = [
+                { name: 'foreign', type: 'byte', format: '%8.0g', value_label: 'origin', label: 'Car origin', notes: ['From the 1978 guide'] },
+                { name: 'sold', type: 'float', format: '%td' }
+            ];
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars } });
+            await flushPromises();
+            document.getElementById('btn-stats').click();
+            const page = { _n: Int32Array.from([1, 2]), foreign: Float64Array.from([0, 3]), sold: Float64Array.from([23012, 0]) };
+            triggerMessage({ type: 'apiResponse', reqId: arrowCalls()[0].reqId, success: true, data: tableToIPC(tableFromArrays(page)), isBinary: true });
+            await flushPromises();
+
+            const cell = (v, obs) => document.querySelector(`td[data-var="${v}"][data-obs="${obs}"]`);
+            expect(cell('foreign', 1).textContent).toBe('0');
+            expect(cell('sold', 1).textContent).toBe('02jan2023');
+            expect(document.querySelector('th .col-name').title).toBe('Car origin\nbyte  %8.0g  values: origin\nNote 1: From the 1978 guide');
+
+            const loads = arrowCalls().length;
+            triggerMessage({ type: 'valueLabels', labels: { foreign: [{ value: '0', text: 'Domestic' }, { value: '1', text: 'Foreign' }] } });
+            expect(arrowCalls()).toHaveLength(loads);
+            expect(cell('foreign', 1).textContent).toBe('Domestic');
+            expect(cell('foreign', 1).title).toBe('0');
+            expect(cell('foreign', 2).textContent).toBe('3');
+
+            document.getElementById('btn-labels').click();
+            expect(cell('foreign', 1).textContent).toBe('0');
+            expect(cell('foreign', 1).title).toBe('');
+
+            // Refreshing the same dataset reuses the cached metadata and labels.
+            document.getElementById('btn-refresh').click();
+            await respondDataset();
+            expect(posted('apiCall').filter(m => m.url.endsWith('/v1/vars'))).toHaveLength(1);
+            expect(posted('requestValueLabels')).toHaveLength(1);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('binds to a frame and offers to switch when another frame is current', async () => {
+        const { document, window, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const posted = (type) => vscodeMock.postMessage.mock.calls.map(args => args[0]).filter(m => m?.type === type);
+        const datasetCalls = () => posted('apiCall').filter(m => m.url.includes('/v1/dataset'));
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz', frame: 'sales' });
+            expect(getApiCall('/v1/dataset').url).toBe('http://test/v1/dataset?frame=sales');
+            triggerMessage({ type: 'frames', frames: [{ name: 'default', n: 74, k: 12, current: true }, { name: 'sales', n: 10, k: 3, current: false }] });
+            expect(Array.from(document.querySelectorAll('#frame-select option')).map(o => o.value)).toEqual(['', 'default', 'sales']);
+            expect(document.getElementById('frame-select').value).toBe('sales');
+
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 74, frame: 'default' } } });
+            await flushPromises();
+            expect(getApiCall('/v1/vars')).toBeUndefined();
+            expect(document.getElementById('frame-banner').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('frame-banner-text').textContent).toContain('"default" is the current frame');
+            document.getElementById('btn-switch-frame').click();
+            expect(posted('switchFrame')).toEqual([{ type: 'switchFrame', frame: 'sales' }]);
+
+            // Following the current frame again loads it right away.
+            const select = document.getElementById('frame-select');
+            select.value = '';
+            select.dispatchEvent(new window.Event('change'));
+            expect(posted('selectFrame')).toEqual([{ type: 'selectFrame', frame: null }]);
+            expect(datasetCalls()).toHaveLength(2);
+            expect(datasetCalls()[1].url).toBe('http://test/v1/dataset');
+            triggerMessage({ type: 'apiResponse', reqId: datasetCalls()[1].reqId, success: true, data: { dataset: { id: 'ds1', n: 74, frame: 'default' } } });
+            await flushPromises();
+            expect(document.getElementById('frame-banner').classList.contains('hidden')).toBe(true);
+            expect(document.getElementById('frame-name').textContent).toBe('default');
+            expect(getApiCall('/v1/vars')).toBeDefined();
+
+            document.getElementById('btn-compare').click();
+            expect(posted('compare')).toEqual([{ type: 'compare', frame: 'default' }]);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('shows a bound frame the server returns even when it is not current', async () => {
+        const { document, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz', frame: 'sales' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds2', n: 10, frame: 'sales' } } });
+            await flushPromises();
+            expect(document.getElementById('frame-banner').classList.contains('hidden')).toBe(true);
+            expect(document.getElementById('frame-name').textContent).toBe('sales');
+            expect(getApiCall('/v1/vars').url).toBe('http://test/v1/vars?frame=sales');
+
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars: [{ name: 'amount', type: 'double' }] } });
+            await flushPromises();
+            expect(getApiCall('/v1/arrow').url).toBe('http://test/v1/arrow?frame=sales');
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('does not show data for a bound frame when the server does not say which frame it returned', async () => {
+        const { document, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz', frame: 'sales' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 74 } } });
+            await flushPromises();
+            expect(getApiCall('/v1/vars')).toBeUndefined();
+            expect(document.getElementById('frame-banner').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('frame-banner-text').textContent).toContain('did not say which frame');
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('builds the equivalent Stata command for each plot type', () => {
+        const { window, cleanup } = createTestContext();
+        try {
+            const command = window.__plotCommand;
+            expect(command({ type: 'histogram', y: 'price' })).toBe('twoway histogram price');
+            expect(command({ type: 'scatter', y: 'price', x: 'mpg', filter: 'foreign == 1' })).toBe('twoway scatter price mpg if foreign == 1');
+            expect(command({ type: 'line', y: 'sales', x: 'date' })).toBe('twoway line sales date, sort');
+            expect(command({ type: 'box', y: 'price' })).toBe('graph box price');
+
+            const box = window.__boxStats([1, 2, 3, 4, 5, 6, 7, 8, 100]);
+            expect(box.median).toBe(5);
+            expect(box.upper).toBe(8);
+            expect(box.outliers).toEqual([100]);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('plots selected columns from Arrow data and inserts the command', async () => {
+        const { document, window, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const posted = (type) => vscodeMock.postMessage.mock.calls.map(args => args[0]).filter(m => m?.type === type);
+        const arrowCalls = () => posted('apiCall')
+            .filter(m => m.url.endsWith('/arrow'))
+            .map(m => ({ ...m, body: JSON.parse(m.options.body) }));
+        const respondArrow = async (call, columns) => {
+            triggerMessage({ type: 'apiResponse', reqId: call.reqId, success: true, data: tableToIPC(tableFromArrays(columns)), isBinary: true });
+            await flushPromises();
+            await flushPromises();
+        };
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/dataset').reqId, success: true, data: { dataset: { id: 'ds1', n: 3 } } });
+            await flushPromises();
+            const vars = [{ name: 'mpg', type: 'int' }, { name: 'price', type: 'float' }, { name: 'make', type: 'str18' }];
+            triggerMessage({ type: 'apiResponse', reqId: getApiCall('/v1/vars').reqId, success: true, data: { vars } });
+            await flushPromises();
+            document.getElementById('btn-stats').click();
+            await respondArrow(arrowCalls()[0], { _n: Int32Array.from([1, 2, 3]), mpg: Float64Array.from([20, 25, 30]), price: Float64Array.from([4000, 5000, 6000]), make: ['a', 'b', 'c'] });
+
+            document.getElementById('btn-plot').click();
+            expect(document.getElementById('plot-menu').classList.contains('visible')).toBe(true);
+            document.querySelector('[data-plot="scatter"]').click();
+            expect(document.getElementById('plot-panel').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('plot-command').textContent).toBe('twoway scatter price mpg');
+
+            // Both columns come from the Arrow endpoint rather than a Stata command.
+            const columnCalls = arrowCalls().slice(1);
+            expect(columnCalls.map(c => c.body.vars)).toEqual([['price'], ['mpg']]);
+            triggerMessage({ type: 'apiResponse', reqId: columnCalls[0].reqId, success: true, data: tableToIPC(tableFromArrays({ price: Float64Array.from([4000, 5000, NaN]) })), isBinary: true });
+            await respondArrow(columnCalls[1], { mpg: Float64Array.from([20, 25, 30]) });
+            expect(document.querySelectorAll('#plot-canvas circle')).toHaveLength(2);
+            expect(document.getElementById('plot-note').textContent).toContain('2 observations plotted');
+
+            document.getElementById('btn-plot-insert').click();
+            expect(posted('insertCommand')).toEqual([{ type: 'insertCommand', command: 'twoway scatter price mpg' }]);
+
+            // Switching to a histogram reuses the fetched column.
+            const typeSelect = document.getElementById('plot-type');
+            typeSelect.value = 'histogram';
+            typeSelect.dispatchEvent(new window.Event('change'));
+            await flushPromises();
+            expect(arrowCalls()).toHaveLength(3);
+            expect(document.getElementById('plot-command').textContent).toBe('twoway histogram price');
+            expect(document.getElementById('plot-x-field').classList.contains('hidden')).toBe(true);
+            expect(document.querySelectorAll('#plot-canvas rect.plot-bar').length).toBeGreaterThan(0);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('builds a Stata search condition over string and numeric variables', () => {
+        const { window, cleanup } = createTestContext();
+        try {
+            const vars = [{ name: 'make', type: 'str18' }, { name: 'price', type: 'int' }];
+            expect(window.__searchExpression('Buick', { vars })).toBe(
+                'strpos(ustrlower(make), ustrlower("Buick")) > 0 | ' +
+                '(!missing(price) & strpos(ustrlower(strtrim(string(price, "%20.0g"))), ustrlower("Buick")) > 0)'
+            );
+            expect(window.__searchExpression('^A.*"x"$', { regex: true, vars: vars.slice(0, 1) })).toBe(
+                'ustrregexm(make, "^A.*" + char(34) + "x" + char(34) + char(36))'
+            );
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('describes the rows that sort before a row for go-to on sorted grids', () => {
+        const { window, cleanup } = createTestContext();
+        try {
+            Object.assign(window.__dataBrowserState, {
+                vars: [{ name: 'make', type: 'str18' }, { name: 'weight', type: 'float' }, { name: 'rep78', type: 'int' }],
+                sortBy: ['make', '-weight', 'rep78']
+            });
+            expect(window.__sortKeyConditions({ make: 'AMC "Pacer"', weight: 0.1, rep78: null })).toEqual({
+                before: '(make < "AMC " + char(34) + "Pacer" + char(34)) | ' +
+                    '(make == "AMC " + char(34) + "Pacer" + char(34) & weight > float(0.1)) | ' +
+                    '(make == "AMC " + char(34) + "Pacer" + char(34) & weight == float(0.1) & !missing(rep78))',
+                same: 'make == "AMC " + char(34) + "Pacer" + char(34) & weight == float(0.1) & missing(rep78)'
+            });
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('searches through a view, highlights hits and jumps between them', async () => {
+        const { document, window, vscodeMock, triggerMessage, getApiCall, flushPromises, cleanup } = createTestContext();
+        const apiCalls = (suffix) => vscodeMock.postMessage.mock.calls
+            .map(args => args[0])
+            .filter(m => m?.type === 'apiCall' && m.url.endsWith(suffix))
+            .map(m => ({ ...m, body: m.options.body ? JSON.parse(m.options.body) : null }));
+        const last = (suffix) => apiCalls(suffix)[apiCalls(suffix).length - 1];
+        const respond = async (call, data) => {
+            triggerMessage({ type: 'apiResponse', reqId: call.reqId, success: true, data });
+            await flushPromises();
+        };
+        const respondArrow = async (call, columns) => {
+            triggerMessage({ type: 'apiResponse', reqId: call.reqId, success: true, data: tableToIPC(tableFromArrays(columns)), isBinary: true });
+            await flushPromises();
+            await flushPromises();
+        };
+        const page = { _n: Int32Array.from([1, 2, 3]), make: ['AMC', 'Buick', 'Buick Regal'], price: Float64Array.from([4099, 4749, 3799]) };
+        try {
+            triggerMessage({ type: 'init', baseUrl: 'http://test', token: 'xyz' });
+            await respond(getApiCall('/v1/dataset'), { dataset: { id: 'ds1', n: 3 } });
+            await respond(getApiCall('/v1/vars'), { vars: [{ name: 'make', type: 'str18' }, { name: 'price', type: 'int' }] });
+            document.getElementById('btn-stats').click();
+            await respondArrow(last('/v1/arrow'), page);
+
+            const input = document.getElementById('search-input');
+            input.value = 'buick';
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(last('/v1/filters/validate').body.filterExpr).toContain('strpos(ustrlower(make), ustrlower("buick")) > 0');
+            await respond(last('/v1/filters/validate'), { ok: true });
+            expect(last('/v1/views').body.datasetId).toBe('ds1');
+            await respond(last('/v1/views'), { view: { id: 's1', filteredN: 2 } });
+
+            expect(last('/v1/views/s1/arrow').body).toMatchObject({ offset: 0, limit: 1, includeObsNo: true });
+            await respondArrow(last('/v1/views/s1/arrow'), { make: ['Buick'], _n: Int32Array.from([2]) });
+            expect(apiCalls('/v1/arrow')).toHaveLength(2);
+            await respondArrow(last('/v1/arrow'), page);
+            expect(document.getElementById('search-info').textContent).toBe('1 of 2');
+            expect(Array.from(document.querySelectorAll('td.search-hit')).map(td => td.dataset.obs)).toEqual(['2', '3']);
+            expect(document.querySelector('tr.focused-row td[data-var="make"]').textContent).toBe('Buick');
+
+            // Next hit comes from the search view, in the grid's order.
+            window.__dataBrowserState.sortBy = ['-price'];
+            document.getElementById('btn-search-next').click();
+            await flushPromises();
+            expect(last('/v1/views/s1/arrow').body).toMatchObject({ offset: 1, sortBy: ['-price'] });
+            await respondArrow(last('/v1/views/s1/arrow'), { make: ['Buick Regal'], _n: Int32Array.from([3]) });
+            // A sorted grid counts the rows before it server-side, from the row's sort key.
+            expect(last('/v1/arrow').body).toMatchObject({ offset: 2, limit: 1, vars: ['price'], sortBy: [] });
+            await respondArrow(last('/v1/arrow'), { price: Float64Array.from([3799]) });
+            expect(last('/v1/views').body.filterExpr).toBe('((price > 3799) | ((price == 3799) & _n < 3))');
+            await respond(last('/v1/views'), { view: { id: 'c1', filteredN: 2 } });
+            expect(last('/v1/arrow').body).toMatchObject({ offset: 2, limit: 1, sortBy: ['-price'], includeObsNo: true });
+            await respondArrow(last('/v1/arrow'), { make: ['Buick Regal'], _n: Int32Array.from([3]) });
+            await respondArrow(last('/v1/arrow'), page);
+            expect(document.getElementById('search-info').textContent).toBe('2 of 2');
+
+            // Go to observation pages to the row directly when the grid is unsorted.
+            window.__dataBrowserState.sortBy = [];
+            window.__dataBrowserState.limit = 2;
+            const goto = document.getElementById('goto-input');
+            goto.value = '3';
+            goto.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushPromises();
+            expect(last('/v1/arrow').body).toMatchObject({ offset: 2, limit: 2 });
+
+            goto.value = '9';
+            goto.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(document.getElementById('error-banner').textContent).toContain('between 1 and 3');
+        } finally {
+            cleanup();
+        }
+    });
+});
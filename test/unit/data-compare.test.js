@@ -0,0 +1,57 @@
+const { describe, it, expect } = require('bun:test');
+const { compareDatasets, exportDtaCode, exportFrameCode, parseCsv } = require('../../src/data-compare');
+const { renderCompareBody } = require('../../src/data-compare-panel');
+
+const csv = (lines) => parseCsv(lines.join('\n') + '\n');
+
+describe('data-compare', () => {
+    it('parses quoted CSV fields', () => {
+        expect(parseCsv('make,price\r\n"AMC ""Pacer"", 2dr",4749\r\nBuick,\r\n')).toEqual({
+            columns: ['make', 'price'],
+            rows: [['AMC "Pacer", 2dr', '4749'], ['Buick', '']]
+        });
+        expect(parseCsv('a\n"line\nbreak"')).toEqual({ columns: ['a'], rows: [['line\nbreak']] });
+    });
+
+    it('aligns on key variables and reports added, removed and changed rows', () => {
+        const left = csv(['id,year,price,mpg', '1,2020,100,20', '2,2020,200,30', '3,2020,300,25']);
+        const right = csv(['id,year,price,mpg,weight', '1,2020,100.0,20,3000', '2,2020,250,31,2000', '4,2021,400,18,1000']);
+        const result = compareDatasets(left, right, { keys: ['id', 'year'] });
+
+        expect(result.counts).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+        expect(result.columns).toEqual(['id', 'year', 'price', 'mpg', 'weight']);
+        expect(result.addedColumns).toEqual(['weight']);
+        expect(result.rows.map((r) => [r.status, r.key.join('/')])).toEqual([
+            ['changed', '2/2020'],
+            ['removed', '3/2020'],
+            ['added', '4/2021']
+        ]);
+        expect(result.rows[0].changed).toEqual(['price', 'mpg']);
+
+        const html = renderCompareBody(result, { leftName: 'default', rightName: '<old>.dta' });
+        expect(html).toContain('1 added');
+        expect(html).toContain('&lt;old&gt;.dta');
+        expect(html).toContain('<td class="cell-changed" title="default: 200">250<span class="was">200</span></td>');
+        expect(html).toContain('Only in &lt;old&gt;.dta: weight');
+    });
+
+    it('matches by observation number without keys and rejects duplicate keys', () => {
+        const left = csv(['x', '1', '2']);
+        const right = csv(['x', '1', '5', '6']);
+        const result = compareDatasets(left, right, { maxRows: 1 });
+        expect(result.counts).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+        expect(result.rows).toHaveLength(1);
+        expect(result.truncated).toBe(true);
+
+        expect(() => compareDatasets(csv(['id', '1', '1']), right, { keys: ['id'] })).toThrow('do not uniquely identify');
+        expect(() => compareDatasets(left, right, { keys: ['id'] })).toThrow('Key variable id is missing');
+    });
+
+    it('exports frames and saved datasets without changing the current frame', () => {
+        expect(exportFrameCode('sales', '/tmp/a.csv')).toBe('frame sales: export delimited using `"/tmp/a.csv"\', replace nolabel');
+        expect(() => exportFrameCode('bad name', '/tmp/a.csv')).toThrow('Invalid frame name');
+        const code = exportDtaCode('/data/old "v1".dta', '/tmp/b.csv');
+        expect(code).toContain('frame __wb_compare: use `"/data/old "v1".dta"\', clear');
+        expect(code.trim().split('\n').slice(-2)).toEqual(['frame drop __wb_compare', 'exit `__wb_rc\'']);
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, it, expect, jest } = require('bun:test');
+const { DataEditor, buildReplaceCommand, stataString } = require('../../src/data-edit');
+
+const isSuccess = (result) => !!result && result.rc === 0;
+
+describe('data-edit', () => {
+    it('builds replace commands for numeric and string cells', () => {
+        expect(buildReplaceCommand({ variable: 'price', obs: 12, value: ' 4099 ' })).toBe('replace price = 4099 in 12');
+        expect(buildReplaceCommand({ variable: 'price', obs: 3, value: '' })).toBe('replace price = . in 3');
+        expect(buildReplaceCommand({ variable: 'rep78', obs: 3, value: '.b' })).toBe('replace rep78 = .b in 3');
+        expect(buildReplaceCommand({ variable: 'make', obs: 1, value: 'AMC Concord', isString: true })).toBe('replace make = "AMC Concord" in 1');
+        expect(() => buildReplaceCommand({ variable: 'price', obs: 1, value: 'abc' })).toThrow('not a number');
+        expect(() => buildReplaceCommand({ variable: 'price x', obs: 1, value: '1' })).toThrow('Invalid variable name');
+        expect(() => buildReplaceCommand({ variable: 'price', obs: 0, value: '1' })).toThrow('Invalid observation number');
+        expect(buildReplaceCommand({ variable: 'price', obs: 2, value: '5', frame: 'sales' })).toBe('frame sales: replace price = 5 in 2');
+        expect(() => buildReplaceCommand({ variable: 'price', obs: 2, value: '5', frame: 'a b' })).toThrow('Invalid frame name');
+    });
+
+    it('keeps quotes and macro characters out of string literals', () => {
+        expect(stataString('say "hi" to `x\' and $y')).toBe('"say " + char(34) + "hi" + char(34) + " to " + char(96) + "x\' and " + char(36) + "y"');
+        expect(stataString('')).toBe('""');
+    });
+
+    it('undoes successful edits in reverse order', async () => {
+        const run = jest.fn().mockResolvedValue({ rc: 0 });
+        const editor = new DataEditor({ run, isSuccess });
+        await editor.apply({ variable: 'price', obs: 1, value: '10', previous: '4099' });
+        await editor.apply({ variable: 'make', obs: 2, value: 'B', previous: null, isString: true });
+        run.mockResolvedValueOnce({ rc: 109 });
+        await editor.apply({ variable: 'make', obs: 2, value: '1', previous: 'B' });
+        expect(editor.canUndo).toBe(true);
+
+        await editor.undo();
+        expect(run).toHaveBeenLastCalledWith('replace make = "" in 2');
+        run.mockResolvedValueOnce({ rc: 1 });
+        await editor.undo();
+        expect(run).toHaveBeenLastCalledWith('replace price = 4099 in 1');
+        // A failed undo stays on the stack.
+        expect(editor.canUndo).toBe(true);
+        await editor.undo();
+        expect(editor.canUndo).toBe(false);
+        expect(await editor.undo()).toBeNull();
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, expect, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { tableFromArrays } = require('apache-arrow');
+const { exportView, exportFormatFromPath } = require('../../src/data-export');
+const { crc32, columnName } = require('../../src/xlsx-writer');
+
+const tmpFiles = [];
+const tmpFile = (ext) => {
+    const file = path.join(os.tmpdir(), `data-export-test-${process.pid}-${tmpFiles.length}.${ext}`);
+    tmpFiles.push(file);
+    return file;
+};
+
+const pages = (rows) => async (offset, limit) => {
+    const slice = rows.slice(offset, offset + limit);
+    return tableFromArrays({
+        make: slice.map((r) => r.make),
+        price: Float64Array.from(slice.map((r) => r.price))
+    });
+};
+
+const ROWS = [
+    { make: 'AMC "Concord"', price: 4099 },
+    { make: 'Buick, Century', price: 4816.5 },
+    { make: 'Ford <Fiesta> & co', price: NaN }
+];
+
+// Reads entries out of a zip by walking the central directory.
+const readZip = (buffer) => {
+    const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(eocd + 10);
+    let p = buffer.readUInt32LE(eocd + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const crc = buffer.readUInt32LE(p + 16);
+        const compressed = buffer.readUInt32LE(p + 20);
+        const nameLength = buffer.readUInt16LE(p + 28);
+        const offset = buffer.readUInt32LE(p + 42);
+        const name = buffer.toString('utf8', p + 46, p + 46 + nameLength);
+        const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const data = zlib.inflateRawSync(buffer.subarray(start, start + compressed));
+        expect(crc32(data)).toBe(crc);
+        entries[name] = data.toString('utf8');
+        p += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe('data-export', () => {
+    afterEach(() => {
+        for (const file of tmpFiles.splice(0)) fs.rmSync(file, { force: true });
+    });
+
+    it('streams pages into a quoted CSV with empty missing values', async () => {
+        const file = tmpFile('csv');
+        const progress = [];
+        const result = await exportView({
+            format: exportFormatFromPath(file),
+            filePath: file,
+            fetchPage: pages(ROWS),
+            pageSize: 2,
+            total: 3,
+            onProgress: (rows, total) => progress.push([rows, total])
+        });
+        expect(result).toEqual({ rows: 3, cancelled: false });
+        expect(progress).toEqual([[2, 3], [3, 3]]);
+        expect(fs.readFileSync(file, 'utf8')).toBe(
+            'make,price\r\n"AMC ""Concord""",4099\r\n"Buick, Century",4816.5\r\nFord <Fiesta> & co,\r\n'
+        );
+    });
+
+    it('writes a Parquet file with one row group per page', async () => {
+        const file = tmpFile('parquet');
+        await exportView({ format: 'parquet', filePath: file, fetchPage: pages(ROWS), pageSize: 2 });
+        const buffer = fs.readFileSync(file);
+        expect(buffer.subarray(0, 4).toString()).toBe('PAR1');
+        expect(buffer.subarray(-4).toString()).toBe('PAR1');
+        const footerLength = buffer.readUInt32LE(buffer.length - 8);
+        const footer = buffer.subarray(buffer.length - 8 - footerLength, buffer.length - 8);
+        expect(footer.includes(Buffer.from('make'))).toBe(true);
+        expect(footer.includes(Buffer.from('price'))).toBe(true);
+        // The first page's doubles are stored PLAIN, so they can be found verbatim.
+        const doubles = Buffer.alloc(16);
+        doubles.writeDoubleLE(4099, 0);
+        doubles.writeDoubleLE(4816.5, 8);
+        expect(buffer.includes(doubles)).toBe(true);
+        expect(buffer.includes(Buffer.from('Ford <Fiesta> & co'))).toBe(true);
+    });
+
+    it('writes an Excel workbook with a header row and escaped inline strings', async () => {
+        const file = tmpFile('xlsx');
+        await exportView({ format: 'xlsx', filePath: file, fetchPage: pages(ROWS), pageSize: 2 });
+        const entries = readZip(fs.readFileSync(file));
+        expect(Object.keys(entries)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        const sheet = entries['xl/worksheets/sheet1.xml'];
+        expect(sheet).toContain('<row r="1"><c r="A1" t="inlineStr"><is><t>make</t></is></c>');
+        expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t>AMC &quot;Concord&quot;</t></is></c><c r="B2"><v>4099</v></c>');
+        expect(sheet).toContain('<row r="4"><c r="A4" t="inlineStr"><is><t>Ford &lt;Fiesta&gt; &amp; co</t></is></c></row>');
+        expect(sheet.endsWith('</sheetData></worksheet>')).toBe(true);
+        expect([columnName(0), columnName(25), columnName(26), columnName(701)]).toEqual(['A', 'Z', 'AA', 'ZZ']);
+    });
+
+    it('removes the partial file when cancelled', async () => {
+        const file = tmpFile('parquet');
+        let fetched = 0;
+        const result = await exportView({
+            format: 'parquet',
+            filePath: file,
+            fetchPage: async (offset, limit) => { fetched++; return pages(ROWS)(offset, limit); },
+            pageSize: 1,
+            isCancelled: () => fetched >= 2
+        });
+        expect(result).toEqual({ rows: 2, cancelled: true });
+        expect(fs.existsSync(file)).toBe(false);
+        expect(exportFormatFromPath('/tmp/out.XLSX')).toBe('xlsx');
+        expect(exportFormatFromPath('/tmp/out.dta')).toBeNull();
+    });
+});
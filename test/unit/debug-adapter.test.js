@@ -0,0 +1,210 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const {
+    StataDebugSession,
+    splitSnapshotSections,
+    parseMacroList,
+    parseScalarList,
+    parseReturnList
+} = require('../../src/debug-adapter');
+
+const PROGRAM = '/work/analysis.do';
+const SOURCE = [
+    'sysuse auto, clear',
+    '* comment',
+    'summarize price',
+    'regress price mpg',
+    'di "done"'
+].join('\n');
+
+const createClient = (results = {}) => ({
+    calls: [],
+    cancelRun: jest.fn().mockResolvedValue(true),
+    run: jest.fn(async function (code, options) {
+        this.calls.push({ code, options });
+        const result = typeof results[code] === 'function' ? await results[code](options) : results[code];
+        return result || { success: true, rc: 0, stdout: `. ${code}\n` };
+    })
+});
+
+const createSession = (client) => {
+    const session = new StataDebugSession({ client, readSource: () => SOURCE });
+    const messages = [];
+    session.onDidSendMessage((msg) => messages.push(msg));
+    let seq = 1;
+    const request = (command, args = {}) => session.handleMessage({ type: 'request', seq: seq++, command, arguments: args });
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 5));
+    const events = (name) => messages.filter(m => m.type === 'event' && m.event === name);
+    const response = (command) => messages.filter(m => m.type === 'response' && m.command === command).pop();
+    return { session, messages, request, flush, events, response };
+};
+
+const launch = async (harness, args = {}) => {
+    harness.request('initialize');
+    harness.request('launch', { program: PROGRAM, ...args });
+    await harness.flush();
+    harness.request('configurationDone');
+    await harness.flush();
+};
+
+describe('debug-adapter', () => {
+    describe('output parsers', () => {
+        it('splits snapshot output into sections and drops command echoes', () => {
+            const sections = splitSnapshotSections([
+                '. display "__dbg_" "macros__"',
+                '__dbg_macros__',
+                '. macro list',
+                'S_FN:           auto.dta',
+                '__dbg_scalars__',
+                '    k =  3'
+            ].join('\n'));
+            expect(sections.macros).toBe('S_FN:           auto.dta\n');
+            expect(sections.scalars).toBe('    k =  3\n');
+        });
+
+        it('parses globals, locals and wrapped values from macro list', () => {
+            const { globals, locals } = parseMacroList('S_FN:           auto.dta\n_vars:          price mpg\n                weight\n');
+            expect(globals).toEqual([{ name: 'S_FN', value: 'auto.dta' }]);
+            expect(locals).toEqual([{ name: 'vars', value: 'price mpg weight' }]);
+        });
+
+        it('parses scalar and return lists', () => {
+            expect(parseScalarList('     k =  3\n  pi2 =  6.2831853\n')).toEqual([
+                { name: 'k', value: '3' },
+                { name: 'pi2', value: '6.2831853' }
+            ]);
+            expect(parseReturnList('scalars:\n                  r(N) =  74\nmacros:\n        r(varlist) : "price"\nmatrices:\n          r(table) :  9 x 3\n')).toEqual([
+                { name: 'r(N)', value: '74' },
+                { name: 'r(varlist)', value: '"price"' },
+                { name: 'r(table)', value: '9 x 3' }
+            ]);
+        });
+    });
+
+    describe('StataDebugSession', () => {
+        it('runs every statement and terminates when there are no breakpoints', () => withTestContext({}, async () => {
+            const client = createClient();
+            const harness = createSession(client);
+            await launch(harness);
+
+            expect(client.calls.map(c => c.code)).toEqual(['sysuse auto, clear', 'summarize price', 'regress price mpg', 'di "done"']);
+            expect(client.calls[0].options.cwd).toBe('/work');
+            expect(harness.events('terminated')).toHaveLength(1);
+        }));
+
+        it('stops on entry and steps one statement at a time', () => withTestContext({}, async () => {
+            const client = createClient();
+            const harness = createSession(client);
+            await launch(harness, { stopOnEntry: true });
+
+            expect(harness.events('stopped').map(e => e.body.reason)).toEqual(['entry']);
+            expect(client.calls).toHaveLength(0);
+
+            harness.request('next', { threadId: 1 });
+            await harness.flush();
+            expect(client.calls.map(c => c.code)).toEqual(['sysuse auto, clear']);
+            expect(harness.events('stopped').map(e => e.body.reason)).toEqual(['entry', 'step']);
+
+            harness.request('stackTrace', { threadId: 1 });
+            await harness.flush();
+            expect(harness.response('stackTrace').body.stackFrames[0]).toMatchObject({ line: 3, source: { path: PROGRAM } });
+        }));
+
+        it('verifies breakpoints against statements and stops on them', () => withTestContext({}, async () => {
+            const client = createClient();
+            const harness = createSession(client);
+            harness.request('initialize');
+            harness.request('launch', { program: PROGRAM });
+            harness.request('setBreakpoints', { source: { path: PROGRAM }, breakpoints: [{ line: 2 }, { line: 99 }] });
+            await harness.flush();
+
+            const { breakpoints } = harness.response('setBreakpoints').body;
+            expect(breakpoints[0]).toEqual({ verified: true, line: 3 });
+            expect(breakpoints[1].verified).toBe(false);
+
+            harness.request('configurationDone');
+            await harness.flush();
+            expect(client.calls.map(c => c.code)).toEqual(['sysuse auto, clear']);
+            expect(harness.events('stopped')[0].body.reason).toBe('breakpoint');
+
+            harness.request('continue', { threadId: 1 });
+            await harness.flush();
+            expect(client.calls).toHaveLength(4);
+            expect(harness.events('terminated')).toHaveLength(1);
+        }));
+
+        it('stops on a failing statement with its return code', () => withTestContext({}, async () => {
+            const client = createClient({ 'summarize price': { success: false, rc: 111, stderr: 'variable price not found' } });
+            const harness = createSession(client);
+            await launch(harness);
+
+            const stopped = harness.events('stopped')[0];
+            expect(stopped.body).toMatchObject({ reason: 'exception', text: 'r(111)' });
+            expect(harness.events('output').some(e => e.body.category === 'stderr' && e.body.output.includes('not found'))).toBe(true);
+            expect(client.calls).toHaveLength(2);
+        }));
+
+        it('pauses a running statement through cancelRun', () => withTestContext({}, async () => {
+            let release;
+            const client = createClient({
+                'summarize price': () => new Promise((resolve) => { release = resolve; })
+            });
+            client.cancelRun.mockImplementation(async () => {
+                release({ success: false, rc: -1, stderr: 'Request cancelled' });
+                return true;
+            });
+            const harness = createSession(client);
+            await launch(harness);
+
+            const runId = client.calls[1].options.runId;
+            harness.request('pause', { threadId: 1 });
+            await harness.flush();
+
+            expect(client.cancelRun).toHaveBeenCalledWith(runId);
+            expect(harness.events('stopped')[0].body.reason).toBe('pause');
+
+            harness.request('stackTrace', { threadId: 1 });
+            await harness.flush();
+            expect(harness.response('stackTrace').body.stackFrames[0].line).toBe(3);
+        }));
+
+        it('fills scopes from a single state snapshot', () => withTestContext({}, async () => {
+            const snapshot = [
+                '__dbg_macros__',
+                'S_FN:           auto.dta',
+                '_v:             price',
+                '__dbg_scalars__',
+                '    k =  3',
+                '__dbg_r__',
+                '                  r(N) =  74',
+                '__dbg_e__',
+                '                  e(r2) =  .2195'
+            ].join('\n');
+            const client = createClient();
+            client.run.mockImplementation(async (code) => (
+                code.includes('macro list') ? { success: true, stdout: snapshot } : { success: true, stdout: '' }
+            ));
+            const harness = createSession(client);
+            await launch(harness, { stopOnEntry: true });
+
+            const values = {};
+            for (const ref of [1, 2, 3, 4, 5]) {
+                harness.request('variables', { variablesReference: ref });
+                await harness.flush();
+                values[ref] = harness.response('variables').body.variables.map(v => `${v.name}=${v.value}`);
+            }
+            expect(values).toEqual({ 1: ['v=price'], 2: ['S_FN=auto.dta'], 3: ['k=3'], 4: ['r(N)=74'], 5: ['e(r2)=.2195'] });
+            expect(client.run).toHaveBeenCalledTimes(1);
+        }));
+
+        it('evaluates debug console input as a Stata command', () => withTestContext({}, async () => {
+            const client = createClient({ 'di 2+2': { success: true, stdout: '. di 2+2\n4\n' } });
+            const harness = createSession(client);
+            await launch(harness, { stopOnEntry: true });
+
+            harness.request('evaluate', { expression: 'di 2+2', context: 'repl' });
+            await harness.flush();
+            expect(harness.response('evaluate').body.result).toBe('4');
+        }));
+    });
+});
@@ -603,4 +603,496 @@ describe('extension unit tests', () => {
         });
     });
 
+
+    describe('code cells', () => {
+        const CELL_TEXT = 'clear all\n** %% Load\nsysuse auto\n** %% Fit\nregress price mpg\n** %% Plot\nscatter price mpg';
+
+        const activateWithHandlers = async (harness) => {
+            const handlers = new Map();
+            harness.vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await harness.extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: harness.vscode.ExtensionMode.Test
+            });
+            return handlers;
+        };
+
+        const setEditor = (line) => {
+            vscode.window.activeTextEditor = {
+                selection: { isEmpty: true, active: { line } },
+                document: {
+                    getText: jest.fn().mockReturnValue(CELL_TEXT),
+                    uri: { fsPath: '/tmp/cells.do', toString: () => 'file:///tmp/cells.do' }
+                },
+                setDecorations: jest.fn(),
+                revealRange: jest.fn()
+            };
+            return vscode.window.activeTextEditor;
+        };
+
+        itWithHarness('registers the code lens provider and cell commands', async () => {
+            const handlers = await activateWithHandlers(getHarness());
+            expect(handlers.has('stata-workbench.runCell')).toBe(true);
+            expect(handlers.has('stata-workbench.runCellAndAdvance')).toBe(true);
+            expect(handlers.has('stata-workbench.runCellsAbove')).toBe(true);
+            expect(vscode.languages.registerCodeLensProvider).toHaveBeenCalled();
+        });
+
+        itWithHarness('runCell runs only the body of the cell under the cursor', async () => {
+            const handlers = await activateWithHandlers(getHarness());
+            setEditor(4);
+            mcpClientMock.runSelection.mockResolvedValue({ rc: 0, success: true });
+
+            await handlers.get('stata-workbench.runCell')();
+
+            expect(mcpClientMock.runSelection).toHaveBeenCalledTimes(1);
+            expect(mcpClientMock.runSelection).toHaveBeenCalledWith('regress price mpg', expect.objectContaining({ cwd: '/tmp' }));
+            const progressTitles = vscode.window.withProgress.mock.calls.map(c => c[0].title);
+            expect(progressTitles).toContain('Running Fit');
+        });
+
+        itWithHarness('runCellAndAdvance moves the cursor to the next cell', async () => {
+            const handlers = await activateWithHandlers(getHarness());
+            const editor = setEditor(2);
+            mcpClientMock.runSelection.mockResolvedValue({ rc: 0, success: true });
+
+            await handlers.get('stata-workbench.runCellAndAdvance')();
+
+            expect(mcpClientMock.runSelection).toHaveBeenCalledWith('sysuse auto', expect.anything());
+            expect(editor.selection.active.line).toBe(4);
+        });
+
+        itWithHarness('runCellsAbove runs each earlier cell separately and stops on failure', async () => {
+            const handlers = await activateWithHandlers(getHarness());
+            setEditor(6);
+            mcpClientMock.runSelection
+                .mockResolvedValueOnce({ rc: 0, success: true })
+                .mockResolvedValueOnce({ rc: 198, success: false })
+                .mockResolvedValue({ rc: 0, success: true });
+
+            await handlers.get('stata-workbench.runCellsAbove')();
+
+            const codes = mcpClientMock.runSelection.mock.calls.map(c => c[0]);
+            expect(codes).toEqual(['clear all', 'sysuse auto']);
+        });
+
+        itWithHarness('reports an error when the document has no cells', async () => {
+            const handlers = await activateWithHandlers(getHarness());
+            setEditor(0).document.getText.mockReturnValue('sysuse auto');
+
+            await handlers.get('stata-workbench.runCell')();
+
+            expect(mcpClientMock.runSelection).not.toHaveBeenCalled();
+            expect(vscode.window.showErrorMessage).toHaveBeenCalledWith(expect.stringContaining('No code cells'));
+        });
+    });
+
+
+    describe('debugger', () => {
+        const activate = async (harness) => {
+            const handlers = new Map();
+            harness.vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await harness.extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: harness.vscode.ExtensionMode.Test
+            });
+            return handlers;
+        };
+
+        itWithHarness('registers the stata debug adapter and configuration provider', async () => {
+            await activate(getHarness());
+            expect(vscode.debug.registerDebugAdapterDescriptorFactory).toHaveBeenCalledWith('stata', expect.anything());
+            const provider = vscode.debug.registerDebugConfigurationProvider.mock.calls[0][1];
+
+            vscode.window.activeTextEditor = { document: { languageId: 'stata', uri: { fsPath: '/tmp/a.do' } } };
+            expect(provider.resolveDebugConfiguration(undefined, {})).toMatchObject({ type: 'stata', request: 'launch', program: '/tmp/a.do' });
+            expect(provider.resolveDebugConfiguration(undefined, { type: 'stata', request: 'launch', name: 'x' })).toBeUndefined();
+        });
+
+        itWithHarness('debugFile starts a launch session for the active do-file', async () => {
+            const handlers = await activate(getHarness());
+            vscode.window.activeTextEditor = { document: { uri: { fsPath: '/tmp/analysis.do' } } };
+
+            await handlers.get('stata-workbench.debugFile')();
+
+            expect(vscode.debug.startDebugging).toHaveBeenCalledWith(undefined, expect.objectContaining({
+                type: 'stata',
+                program: '/tmp/analysis.do',
+                stopOnEntry: true
+            }));
+        });
+    });
+
+    describe('session tree', () => {
+        const activate = async (harness) => {
+            const handlers = new Map();
+            harness.vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await harness.extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: harness.vscode.ExtensionMode.Test
+            });
+            return handlers;
+        };
+
+        itWithHarness('registers the session view and its commands', async () => {
+            const handlers = await activate(getHarness());
+            expect(vscode.window.createTreeView).toHaveBeenCalledWith('stataSession', expect.objectContaining({ treeDataProvider: expect.anything() }));
+            for (const name of ['refreshSessionTree', 'browseData', 'describeVariable', 'dropVariable']) {
+                expect(handlers.has(`stata-workbench.${name}`)).toBe(true);
+            }
+        });
+
+        itWithHarness('describeVariable runs describe in the variable frame', async () => {
+            const handlers = await activate(getHarness());
+            await handlers.get('stata-workbench.describeVariable')({ frame: 'results', variable: 'price' });
+            expect(mcpClientMock.runSelection).toHaveBeenCalledWith('frame results: describe price', expect.anything());
+        });
+
+        itWithHarness('dropVariable only drops after confirmation', async () => {
+            const handlers = await activate(getHarness());
+            const node = { frame: 'default', variable: 'mpg' };
+
+            vscode.window.showWarningMessage.mockResolvedValue(undefined);
+            await handlers.get('stata-workbench.dropVariable')(node);
+            expect(mcpClientMock.runSelection).not.toHaveBeenCalled();
+
+            vscode.window.showWarningMessage.mockResolvedValue('Drop');
+            await handlers.get('stata-workbench.dropVariable')(node);
+            expect(vscode.window.showWarningMessage).toHaveBeenCalledWith(expect.stringContaining('"mpg"'), { modal: true }, 'Drop');
+            expect(mcpClientMock.runSelection).toHaveBeenCalledWith('frame default: drop mpg', expect.anything());
+        });
+    });
+    describe('run diagnostics', () => {
+        itWithHarness('marks the failing line after runFile and clears it on success', async () => {
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            const collection = vscode.languages.createDiagnosticCollection.mock.results[0].value;
+            const source = 'sysuse auto, clear\nregress price nosuch';
+            fs.readFileSync.mockReturnValue(source);
+            vscode.window.activeTextEditor = {
+                document: { uri: { fsPath: '/work/main.do' }, isDirty: false, getText: () => source }
+            };
+
+            mcpClientMock.runFile = jest.fn().mockResolvedValue({
+                success: false,
+                rc: 111,
+                stdout: '{com}. sysuse auto, clear\n{com}. regress price nosuch\n{err}variable {bf}nosuch{sf} not found\n{txt}{search r(111), local:r(111);}'
+            });
+            await handlers.get('stata-workbench.runFile')();
+            const [diagnostic] = collection.entries.get('/work/main.do');
+            expect(diagnostic.range.start.line).toBe(1);
+            expect(diagnostic.code.value).toBe('r(111)');
+
+            mcpClientMock.runFile.mockResolvedValue({ success: true, rc: 0, stdout: '{com}. sysuse auto, clear' });
+            await handlers.get('stata-workbench.runFile')();
+            expect(collection.entries.has('/work/main.do')).toBe(false);
+        });
+
+        itWithHarness('showErrorHelp runs help for the return code', async () => {
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            await handlers.get('stata-workbench.showErrorHelp')(111);
+            expect(mcpClientMock.runSelection).toHaveBeenCalledWith('help r(111)', expect.anything());
+        });
+    });
+    describe('linter', () => {
+        itWithHarness('lints saved do-files and ignores other documents', async () => {
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            const lintCollection = vscode.languages.createDiagnosticCollection.mock.calls
+                .findIndex(([name]) => name === 'stata-lint');
+            const collection = vscode.languages.createDiagnosticCollection.mock.results[lintCollection].value;
+            const onSave = vscode.workspace.onDidSaveTextDocument.mock.calls[0][0];
+
+            onSave({ uri: { fsPath: '/work/notes.txt' }, getText: () => 'set more on' });
+            expect(collection.entries.size).toBe(0);
+
+            onSave({ uri: { fsPath: '/work/main.do' }, getText: () => 'version 17\nset more on' });
+            expect(collection.entries.get('/work/main.do').map(d => d.code)).toEqual(['setMoreOn']);
+        });
+    });
+
+    describe('formatter', () => {
+        itWithHarness('registers document and range formatting for Stata files', async () => {
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            const [selector, provider] = vscode.languages.registerDocumentFormattingEditProvider.mock.calls[0];
+            expect(selector).toContainEqual({ language: 'stata' });
+            expect(vscode.languages.registerDocumentRangeFormattingEditProvider.mock.calls[0][1]).toBe(provider);
+
+            const document = { uri: { fsPath: '/work/main.do' }, lineCount: 3, getText: () => 'if x==1 {\ndi 1\n}' };
+            const edits = provider.provideDocumentFormattingEdits(document, { tabSize: 2, insertSpaces: true });
+            expect(edits.map(e => [e.range.start.line, e.newText])).toEqual([[0, 'if x == 1 {'], [1, '  di 1']]);
+        });
+    });
+
+    describe('command help', () => {
+        itWithHarness('registers hover and signature help backed by the help tool', async () => {
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            const [selector] = vscode.languages.registerHoverProvider.mock.calls[0];
+            expect(selector).toContainEqual({ language: 'stata' });
+            const signatureCall = vscode.languages.registerSignatureHelpProvider.mock.calls[0];
+            expect(signatureCall.slice(2)).toEqual([',', ' ', '(']);
+
+            mcpClientMock.run = jest.fn().mockRejectedValue(new Error('offline'));
+            mcpClientMock.getHelp = jest.fn().mockResolvedValue('Syntax\n\n        summarize [varlist]');
+            const hover = await vscode.languages.registerHoverProvider.mock.calls[0][1]
+                .provideHover({ getText: () => 'summarize price' }, { line: 0, character: 3 });
+            expect(mcpClientMock.getHelp).toHaveBeenCalledWith('summarize');
+            expect(hover.contents.value).toContain('summarize [varlist]');
+        });
+    });
+
+    describe('completion', () => {
+        itWithHarness('completes variables and re-reads them after a run', async () => {
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+            const [selector, provider, ...triggers] = vscode.languages.registerCompletionItemProvider.mock.calls[0];
+            expect(selector).toContainEqual({ pattern: '**/*.{do,ado,mata}' });
+            expect(triggers).toEqual(['`', '$']);
+
+            mcpClientMock.run = jest.fn().mockResolvedValue({
+                success: true,
+                stdout: '@@WB|#|frame|#|default|#|74|#|1|#|1\n@@WB|#|var|#|default|#|price|#|int|#|%8.0g|#||#|Price'
+            });
+            const document = { getText: () => 'summarize ' };
+            const items = await provider.provideCompletionItems(document, { line: 0, character: 10 });
+            expect(items.map(i => i.label)).toEqual(['price']);
+            await provider.provideCompletionItems(document, { line: 0, character: 10 });
+            expect(mcpClientMock.run).toHaveBeenCalledTimes(1);
+
+            await handlers.get('stata-workbench.describeVariable')({ frame: 'default', variable: 'price' });
+            await provider.provideCompletionItems(document, { line: 0, character: 10 });
+            expect(mcpClientMock.run).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('command history', () => {
+        itWithHarness('records runs per workspace, searches and exports them', async () => {
+            const files = {};
+            Object.assign(getHarness().fs, {
+                existsSync: jest.fn((p) => p in files),
+                readFileSync: jest.fn((p) => files[p]),
+                writeFileSync: jest.fn((p, data) => { files[p] = data; }),
+                appendFileSync: jest.fn((p, data) => { files[p] = (files[p] || '') + data; })
+            });
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                storageUri: { fsPath: '/ws/storage' },
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+
+            mcpClientMock.runSelection.mockResolvedValue({ success: false, rc: 111, durationMs: 25 });
+            await handlers.get('stata-workbench.showErrorHelp')(111);
+            const stored = files[path.join('/ws/storage', 'command-history.jsonl')];
+            expect(JSON.parse(stored.trim())).toMatchObject({ code: 'help r(111)', rc: 111, durationMs: 25, source: 'editor' });
+
+            vscode.window.showQuickPick
+                .mockImplementationOnce(async (items) => items[0])
+                .mockImplementationOnce(async (actions) => actions.find((a) => a.action === 'insert'));
+            await handlers.get('stata-workbench.searchHistory')();
+            const [items] = vscode.window.showQuickPick.mock.calls[0];
+            expect(items[0]).toMatchObject({ label: 'help r(111)', description: 'r(111) · 25 ms · editor' });
+            expect(vscode.workspace.openTextDocument).toHaveBeenCalledWith({ language: 'stata', content: 'help r(111)\n' });
+
+            vscode.window.showSaveDialog.mockResolvedValueOnce({ fsPath: '/ws/history.do' });
+            await handlers.get('stata-workbench.exportHistory')();
+            expect(files['/ws/history.do']).toContain('Failed commands are left out.');
+            expect(files['/ws/history.do']).not.toContain('help r(111)');
+        });
+    });
+
+    describe('session checkpoints', () => {
+        itWithHarness('restores only what ran before a do-file run', async () => {
+            const config = vscode.workspace.getConfiguration();
+            config.get.mockImplementation((key, def) => (key === 'checkpoints.enabled' ? true : def));
+            const stored = new Map();
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                workspaceState: { get: (key) => stored.get(key), update: jest.fn(async (key, value) => { stored.set(key, value); }) },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+
+            let selected = 'use "/work/a.dta", clear';
+            vscode.window.activeTextEditor = {
+                document: { uri: { fsPath: '/work/main.do' }, isDirty: false, getText: () => selected, lineAt: () => ({ text: selected }) },
+                selection: { isEmpty: true, active: { line: 0 } }
+            };
+            mcpClientMock.runSelection.mockResolvedValue({ success: true, rc: 0 });
+            await handlers.get('stata-workbench.runSelection')();
+            mcpClientMock.runFile = jest.fn().mockResolvedValue({ success: true, rc: 0 });
+            await handlers.get('stata-workbench.runFile')();
+            selected = 'regress price mpg';
+            await handlers.get('stata-workbench.runSelection')();
+
+            mcpClientMock.run = jest.fn().mockResolvedValue({ success: true, rc: 0 });
+            vscode.window.withProgress.mockImplementation((_options, task) => task({ report: jest.fn() }));
+            await handlers.get('stata-workbench.restoreSession')();
+            expect(mcpClientMock.run.mock.calls.map(([code]) => code)).toEqual(['use "/work/a.dta", clear']);
+            const [{ content }] = vscode.workspace.openTextDocument.mock.calls.at(-1);
+            expect(content).toContain('Restored to the state before `do "main.do"`');
+        });
+    });
+
+    describe('data editing', () => {
+        itWithHarness('reports when there is no Data Browser edit to undo', async () => {
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+
+            await handlers.get('stata-workbench.undoDataEdit')();
+            expect(vscode.window.showInformationMessage).toHaveBeenCalledWith('No Data Browser edits to undo.');
+            expect(mcpClientMock.runSelection).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('dataset compare', () => {
+        itWithHarness('compares two frames aligned on the chosen keys', async () => {
+            const handlers = new Map();
+            vscode.commands.registerCommand.mockImplementation((name, handler) => {
+                handlers.set(name, handler);
+                return { dispose: jest.fn() };
+            });
+            const record = (...fields) => ['@@WB', ...fields].join('|#|');
+            const snapshot = [
+                record('frame', 'default', '2', '2', '1'),
+                record('var', 'default', 'id', 'byte', '%8.0g', '', ''),
+                record('var', 'default', 'price', 'int', '%8.0g', '', ''),
+                record('frame', 'old', '2', '2', '0'),
+                record('var', 'old', 'id', 'byte', '%8.0g', '', ''),
+                record('var', 'old', 'price', 'int', '%8.0g', '', '')
+            ].join('\n');
+            mcpClientMock.run = jest.fn(async (code) => (code.includes('@@WB')
+                ? { success: true, rc: 0, stdout: snapshot }
+                : { success: true, rc: 0 }));
+            fs.existsSync.mockReturnValue(false);
+            fs.readFileSync.mockImplementation((file) => (String(file).includes('compare_default')
+                ? 'id,price\n1,100\n2,200\n'
+                : 'id,price\n1,100\n2,250\n3,300\n'));
+            vscode.window.showQuickPick
+                .mockResolvedValueOnce({ label: 'old' })
+                .mockResolvedValueOnce([{ label: 'id' }]);
+            await extension.activate({
+                subscriptions: [],
+                globalState: { get: jest.fn().mockReturnValue(true), update: jest.fn().mockResolvedValue() },
+                globalStoragePath: '/tmp/globalStorage',
+                extensionUri: { fsPath: '/test/path' },
+                extensionPath: '/test/path',
+                extensionMode: vscode.ExtensionMode.Test
+            });
+
+            await handlers.get('stata-workbench.compareData')({ frame: 'default' });
+
+            expect(vscode.window.showQuickPick.mock.calls[0][0].map((item) => item.label)).toEqual(['old', 'Saved dataset (.dta)...']);
+            expect(vscode.window.showQuickPick.mock.calls[1][0].map((item) => item.label)).toEqual(['id', 'price']);
+            const exportCode = mcpClientMock.run.mock.calls.map(([code]) => code).find((code) => code.includes('export delimited'));
+            expect(exportCode).toMatch(/^frame default: export delimited using `".*compare_default\.csv"', replace nolabel\nframe old: export delimited/);
+            expect(vscode.window.showErrorMessage).not.toHaveBeenCalled();
+            const html = vscode.window.createWebviewPanel.mock.results.at(-1).value.webview.html;
+            expect(html).toContain('1 added');
+            expect(html).toContain('1 changed');
+            expect(html).toContain('Aligned on id');
+        });
+    });
 });
@@ -0,0 +1,134 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { formatLines, formatText, StataFormattingProvider } = require('../../src/formatter');
+
+const format = (lines, options) => formatLines(lines.join('\n'), options);
+
+describe('formatter', () => {
+    it('indents program, loop, if/else and mata blocks', () => {
+        expect(format([
+            'program define summ2, rclass',
+            'version 17',
+            'foreach v of varlist `0\' {',
+            'if "`v\'" == "price" {',
+            'di "skip"',
+            '}',
+            'else {',
+            'summarize `v\'',
+            '}',
+            '}',
+            'end',
+            'mata:',
+            'for (i=1; i<=3; i++) {',
+            'i',
+            '}',
+            'end'
+        ])).toEqual([
+            'program define summ2, rclass',
+            '    version 17',
+            '    foreach v of varlist `0\' {',
+            '        if "`v\'" == "price" {',
+            '            di "skip"',
+            '        }',
+            '        else {',
+            '            summarize `v\'',
+            '        }',
+            '    }',
+            'end',
+            'mata:',
+            '    for (i=1; i<=3; i++) {',
+            '        i',
+            '    }',
+            'end'
+        ]);
+    });
+
+    it('indents and aligns /// continuations', () => {
+        const lines = ['regress price mpg ///', 'weight length   /// controls', ', robust'];
+        expect(format(lines)).toEqual([
+            'regress price mpg ///',
+            '    weight length /// controls',
+            '    , robust'
+        ]);
+        expect(format(lines, { alignContinuations: false, continuationIndent: 2 })).toEqual([
+            'regress price mpg ///',
+            '        weight length /// controls',
+            '        , robust'
+        ]);
+    });
+
+    it('spaces operators but not inside strings, comments, macros or brackets', () => {
+        expect(format([
+            'gen y=x if a>=2&b!=3 // a==b',
+            'di "a==b" /* x=1 */ `=1+2\'',
+            'reg y x [aw=w] if `i\'==1',
+            'twoway scatter y x||line y x'
+        ])).toEqual([
+            'gen y = x if a >= 2 & b != 3 // a==b',
+            'di "a==b" /* x=1 */ `=1+2\'',
+            'reg y x [aw=w] if `i\' == 1',
+            'twoway scatter y x || line y x'
+        ]);
+        expect(format(['gen y=x'], { operatorSpacing: false })).toEqual(['gen y=x']);
+    });
+
+    it('leaves one-line mata statements and colon operators as written', () => {
+        expect(format([
+            'mata: x = (a:>b)',
+            'qui mata: y=a:==b ///',
+            '    & c',
+            'gen z=a>b'
+        ])).toEqual([
+            'mata: x = (a:>b)',
+            'qui mata: y=a:==b ///',
+            '    & c',
+            'gen z = a > b'
+        ]);
+        expect(format(['local m=a:>=b'])).toEqual(['local m = a:>=b']);
+    });
+
+    it('leaves block comment bodies, input data and #delimit commands intact', () => {
+        expect(format([
+            'if 1 {',
+            '/* note',
+            '      x==1 */',
+            '}',
+            'input x y',
+            '1 2',
+            'end',
+            '#delimit ;',
+            'reg y x',
+            'if z==1;',
+            '#delimit cr'
+        ])).toEqual([
+            'if 1 {',
+            '    /* note',
+            '      x==1 */',
+            '}',
+            'input x y',
+            '    1 2',
+            'end',
+            '#delimit ;',
+            'reg y x',
+            '    if z == 1;',
+            '#delimit cr'
+        ]);
+    });
+
+    it('keeps the original line endings', () => {
+        expect(formatText('if 1 {\r\ndi 1\r\n}')).toBe('if 1 {\r\n    di 1\r\n}');
+    });
+
+    it('returns edits for the requested range only and honours format.enabled', () => withTestContext({}, ({ vscode }) => {
+        const config = vscode.workspace.getConfiguration();
+        const provider = new StataFormattingProvider();
+        const document = { uri: { fsPath: '/work/a.do' }, lineCount: 4, getText: () => 'if 1 {\ndi 1\ndi 2\n}' };
+        const range = { start: { line: 2 }, end: { line: 2 } };
+
+        const edits = provider.provideDocumentRangeFormattingEdits(document, range, { tabSize: 4, insertSpaces: false });
+        expect(edits.map(e => [e.range.start.line, e.newText])).toEqual([[2, '\tdi 2']]);
+
+        config.get.mockImplementation((key, def) => key === 'format.enabled' ? false : def);
+        expect(provider.provideDocumentFormattingEdits(document, { tabSize: 4, insertSpaces: true })).toEqual([]);
+    }));
+});
@@ -0,0 +1,166 @@
+const { describe, it, expect } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withTestContext } = require('../helpers/test-context');
+const {
+    graphExportCode,
+    normalizeGraphExportOptions,
+    parseSize,
+    exportGraphFile,
+    converterCommand,
+    promptGraphExportOptions
+} = require('../../src/graph-export');
+
+const makeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'graph-export-'));
+
+// Pretends to be Stata: writes whatever `graph export` asks for.
+const fakeStata = (handler = () => null) => jest.fn(async (code, options) => {
+    options?.onStarted?.();
+    const handled = await handler(code, options);
+    if (handled !== null) return handled;
+    const match = /graph export `"(.+)"', as\((\w+)\)/.exec(code);
+    fs.writeFileSync(match[1], match[2] === 'pdf' ? '%PDF-1.4' : `<${match[2]}>`);
+    return { success: true, rc: 0 };
+});
+
+describe('graph export', () => {
+    it('builds Stata export code for the chosen format, size and DPI', () => {
+        expect(graphExportCode('gtest', '/tmp/g.pdf', { format: 'pdf', width: 6.5, height: 4 }).split('\n')).toEqual([
+            'graph copy gtest _wb_export, replace',
+            'capture noisily {',
+            '    graph display _wb_export, xsize(6.5) ysize(4)',
+            '    graph export `"/tmp/g.pdf"\', as(pdf) name(_wb_export) replace',
+            '}',
+            'local _wb_rc = _rc',
+            'capture graph drop _wb_export',
+            'capture graph display gtest',
+            'exit `_wb_rc\''
+        ]);
+        expect(graphExportCode('Graph', '/tmp/g.png', { format: 'png', width: 6, height: 4, dpi: 150 }))
+            .toContain('as(png) name(_wb_export) replace width(900) height(600)');
+        expect(() => graphExportCode('help: regress', '/tmp/g.pdf', {})).toThrow('not a graph name');
+
+        expect(parseSize('6 x 4')).toEqual({ width: 6, height: 4 });
+        expect(parseSize('3.5×2in')).toEqual({ width: 3.5, height: 2 });
+        expect(parseSize('0 x 4')).toBeNull();
+        expect(parseSize('wide')).toBeNull();
+        expect(normalizeGraphExportOptions({ format: 'tiff', width: -1, dpi: 72 })).toEqual({ format: 'pdf', width: 6, height: 4, dpi: 72 });
+    });
+
+    it('writes the requested format and reports Stata errors', () => withTestContext({}, async () => {
+        const dir = makeDir();
+        try {
+            const target = path.join(dir, 'g.eps');
+            const run = fakeStata();
+            const result = await exportGraphFile('Graph', target, { format: 'eps' }, { run });
+            expect(result).toEqual({ path: target, convertedWith: null });
+            expect(fs.readFileSync(target, 'utf8')).toBe('<eps>');
+
+            const failing = fakeStata(() => ({ success: false, rc: 198, stderr: 'option as() invalid' }));
+            await expect(exportGraphFile('Graph', path.join(dir, 'g.emf'), { format: 'emf' }, { run: failing }))
+                .rejects.toThrow('Stata could not export the graph: option as() invalid');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }));
+
+    it('times the PDF export from when Stata starts it, not while it waits in the queue', () => withTestContext({}, async () => {
+        const dir = makeDir();
+        try {
+            // Waits behind a longer run before Stata starts it.
+            const run = jest.fn(async (code, options) => {
+                await new Promise((resolve) => setTimeout(resolve, 40));
+                options.onStarted();
+                fs.writeFileSync(/graph export `"(.+)"'/.exec(code)[1], '%PDF-1.4');
+                return { success: true, rc: 0 };
+            });
+            const target = path.join(dir, 'g.pdf');
+            const result = await exportGraphFile('Graph', target, { format: 'pdf' }, { run, pdfTimeoutMs: 10 });
+            expect(result).toEqual({ path: target, convertedWith: null });
+            expect(run).toHaveBeenCalledTimes(1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }));
+
+    it('converts from SVG locally when the PDF export times out', () => {
+        const dir = makeDir();
+        const calls = [];
+        const childProcess = {
+            execFile: jest.fn((cmd, args, options, callback) => {
+                calls.push(cmd);
+                expect(options.shell).toBe(false);
+                if (cmd !== 'inkscape') return setImmediate(() => callback(new Error('ENOENT')));
+                fs.writeFileSync(args[2].replace('--export-filename=', ''), '%PDF-1.5');
+                setImmediate(() => callback(null, '', ''));
+            })
+        };
+        return withTestContext({ childProcess }, async () => {
+            try {
+                // The PDF export hangs until it is cancelled.
+                const run = fakeStata((code, options) => {
+                    if (!code.includes('as(pdf)')) return null;
+                    return new Promise((resolve) => options.cancellationToken.onCancellationRequested(() => resolve({ success: false, rc: 1 })));
+                });
+                const target = path.join(dir, 'g.pdf');
+                const result = await exportGraphFile('Graph', target, { format: 'pdf' }, { run, pdfTimeoutMs: 10 });
+                expect(result.convertedWith).toBe('inkscape');
+                expect(calls).toEqual(['rsvg-convert', 'inkscape']);
+                expect(run.mock.calls[1][0]).toContain('as(svg)');
+                expect(fs.readFileSync(target, 'utf8')).toBe('%PDF-1.5');
+                expect(fs.existsSync(path.join(dir, 'g.svg'))).toBe(false);
+
+                childProcess.execFile.mockImplementation((_cmd, _args, _options, callback) => setImmediate(() => callback(new Error('exit 1'))));
+                await expect(exportGraphFile('Graph', target, { format: 'pdf' }, { run, pdfTimeoutMs: 10 }))
+                    .rejects.toThrow('no SVG to PDF converter');
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    it('starts converters without a shell, through cmd.exe only for Windows .cmd shims', () => {
+        const args = ['-f', 'pdf', '-o', 'C:\\My Graphs\\g.pdf', 'C:\\My Graphs\\g.svg'];
+        expect(converterCommand('rsvg-convert', args, { platform: 'linux', env: {} })).toEqual({ file: 'rsvg-convert', args, options: {} });
+
+        const installed = new Set(['C:\\Tools\\rsvg-convert.exe', 'C:\\npm\\inkscape.cmd']);
+        return withTestContext({ fs: { existsSync: (p) => installed.has(p) } }, () => {
+            const env = { PATH: 'C:\\npm;C:\\Tools', PATHEXT: '.EXE;.CMD', ComSpec: 'C:\\Windows\\cmd.exe' };
+            expect(converterCommand('rsvg-convert', args, { platform: 'win32', env }))
+                .toEqual({ file: 'C:\\Tools\\rsvg-convert.exe', args, options: {} });
+            expect(converterCommand('inkscape', ['C:\\My Graphs\\g.svg'], { platform: 'win32', env })).toEqual({
+                file: 'C:\\Windows\\cmd.exe',
+                args: ['/d', '/s', '/c', '""C:\\npm\\inkscape.cmd" "C:\\My Graphs\\g.svg""'],
+                options: { windowsVerbatimArguments: true }
+            });
+            expect(converterCommand('magick', args, { platform: 'win32', env })).toBeNull();
+        });
+    });
+
+    it('offers the last choice first and asks for DPI only for PNG', () => withTestContext({}, async ({ vscode }) => {
+        vscode.window.showQuickPick.mockImplementation(async (items) => items.find((i) => i.format === 'png'));
+        vscode.window.showInputBox
+            .mockResolvedValueOnce('8 x 5')
+            .mockResolvedValueOnce('600');
+        const options = await promptGraphExportOptions('Graph', { format: 'svg', width: 5, height: 3, dpi: 200 });
+        expect(vscode.window.showQuickPick.mock.calls[0][0].map((i) => i.format)).toEqual(['svg', 'pdf', 'png', 'eps', 'emf']);
+        expect(vscode.window.showInputBox.mock.calls[0][0].value).toBe('5 x 3');
+        expect(options).toEqual({ format: 'png', width: 8, height: 5, dpi: 600 });
+
+        vscode.window.showQuickPick.mockImplementation(async (items) => items[0]);
+        vscode.window.showInputBox.mockReset();
+        vscode.window.showInputBox.mockResolvedValueOnce('6 x 4').mockResolvedValueOnce('600');
+        expect(await promptGraphExportOptions('Graph', options)).toEqual({ format: 'png', width: 6, height: 4, dpi: 600 });
+        expect(vscode.window.showInputBox).toHaveBeenCalledTimes(2);
+
+        vscode.window.showQuickPick.mockImplementation(async (items) => items[1]);
+        vscode.window.showInputBox.mockReset();
+        vscode.window.showInputBox.mockResolvedValueOnce('7 x 5');
+        expect(await promptGraphExportOptions('Graph', options)).toEqual({ format: 'pdf', width: 7, height: 5, dpi: 600 });
+        expect(vscode.window.showInputBox).toHaveBeenCalledTimes(1);
+
+        vscode.window.showInputBox.mockResolvedValueOnce(undefined);
+        expect(await promptGraphExportOptions('Graph', options)).toBeNull();
+    }));
+});
@@ -0,0 +1,217 @@
+const { describe, it, expect } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { withTestContext } = require('../helpers/test-context');
+const { GraphGalleryPanel, pruneGalleryFolders } = require('../../src/graph-gallery-panel');
+const { TerminalPanel } = require('../../src/terminal-panel');
+
+const makeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'graph-gallery-'));
+
+const reset = (options = {}) => {
+    GraphGalleryPanel.entries = [];
+    GraphGalleryPanel.currentPanel = null;
+    GraphGalleryPanel.configure({ storageDir: null, exportGraphs: null, ...options });
+};
+
+describe('GraphGalleryPanel', () => {
+    it('keeps a copy of every graph with its run and drops unpinned ones on clear all', () => withTestContext({}, async () => {
+        const dir = makeDir();
+        const store = path.join(dir, 'gallery');
+        reset({ storageDir: store });
+        try {
+            const svg = path.join(dir, 'Graph.svg');
+            fs.writeFileSync(svg, '<svg>first</svg>');
+            const first = GraphGalleryPanel.record({ label: 'Graph', path: 'Graph.svg', baseDir: dir }, { runId: 'r1', code: 'scatter price mpg' });
+            fs.writeFileSync(svg, '<svg>second</svg>');
+            const second = GraphGalleryPanel.record({ label: 'Graph', path: svg }, { runId: 'r2', code: 'histogram price', label: 'Cell 2' });
+
+            expect(GraphGalleryPanel.record({ label: 'Graph', path: svg }, { runId: 'r2' })).toBeNull();
+            expect(GraphGalleryPanel.record({ label: 'help: regress', path: svg, type: 'help' }, { runId: 'r3' })).toBeNull();
+            expect(GraphGalleryPanel.record({ label: 'g', error: 'Export failed' }, { runId: 'r3' })).toBeNull();
+
+            expect(GraphGalleryPanel.entries).toHaveLength(2);
+            expect(fs.readFileSync(first.path, 'utf8')).toBe('<svg>first</svg>');
+            expect(first).toMatchObject({ command: 'scatter price mpg', runId: 'r1', inMemory: false });
+            expect(second).toMatchObject({ command: 'histogram price', runLabel: 'Cell 2', inMemory: true });
+
+            GraphGalleryPanel.setPinned(first.id, true);
+            GraphGalleryPanel.clearUnpinned();
+            expect(GraphGalleryPanel.entries.map((e) => e.id)).toEqual([first.id]);
+            expect(fs.existsSync(second.path)).toBe(false);
+            expect(fs.existsSync(first.path)).toBe(true);
+        } finally {
+            reset();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }));
+
+    it('exports selected graphs, re-exporting those still in memory', () => withTestContext({}, async ({ vscode }) => {
+        const dir = makeDir();
+        const out = path.join(dir, 'out');
+        fs.mkdirSync(out);
+        const old = path.join(dir, 'old.svg');
+        const current = path.join(dir, 'current.svg');
+        const freshPng = path.join(dir, 'fresh.png');
+        fs.writeFileSync(old, '<svg>old</svg>');
+        fs.writeFileSync(current, '<svg>current</svg>');
+        fs.writeFileSync(freshPng, 'PNG');
+        const exportGraphs = jest.fn().mockResolvedValue({ graphs: [{ label: 'Graph', path: freshPng }] });
+        reset({ exportGraphs });
+        try {
+            const a = GraphGalleryPanel.record({ label: 'Graph', path: old }, { runId: 'r1' });
+            const b = GraphGalleryPanel.record({ label: 'Graph', path: current }, { runId: 'r2' });
+            vscode.window.showQuickPick = jest.fn().mockImplementation(async (items) => items.find((i) => i.format === 'png'));
+            vscode.window.showOpenDialog = jest.fn().mockResolvedValue([{ fsPath: out }]);
+            vscode.window.showWarningMessage = jest.fn();
+
+            const result = await GraphGalleryPanel.exportGraphs([a.id, b.id]);
+            expect(exportGraphs).toHaveBeenCalledWith({ format: 'png', names: ['Graph'], session: null });
+            expect(result.exported).toEqual([path.join(out, 'Graph.png')]);
+            expect(result.skipped).toEqual(['Graph']);
+            expect(fs.readFileSync(path.join(out, 'Graph.png'), 'utf8')).toBe('PNG');
+            expect(vscode.window.showWarningMessage).toHaveBeenCalled();
+
+            // SVG copies of older graphs can be exported as they are.
+            vscode.window.showQuickPick = jest.fn().mockImplementation(async (items) => items.find((i) => i.format === 'svg'));
+            exportGraphs.mockResolvedValue({ graphs: [{ label: 'Graph', path: current }] });
+            const svgResult = await GraphGalleryPanel.exportGraphs([a.id, b.id]);
+            expect(svgResult.skipped).toEqual([]);
+            expect(fs.readFileSync(path.join(out, 'Graph.svg'), 'utf8')).toBe('<svg>old</svg>');
+            expect(fs.readFileSync(path.join(out, `Graph_${b.id}.svg`), 'utf8')).toBe('<svg>current</svg>');
+        } finally {
+            reset();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }));
+
+    it('keeps graphs of each session apart and re-exports them in their own session', () => withTestContext({}, async ({ vscode }) => {
+        const dir = makeDir();
+        const out = path.join(dir, 'out');
+        fs.mkdirSync(out);
+        const files = ['main.png', 'scratch.png', 'main-fresh.pdf', 'scratch-fresh.pdf'].map((name) => {
+            fs.writeFileSync(path.join(dir, name), name);
+            return path.join(dir, name);
+        });
+        const exportGraphs = jest.fn().mockImplementation(async ({ session }) => ({
+            graphs: [{ label: 'Graph', path: session ? files[3] : files[2] }]
+        }));
+        reset({ exportGraphs });
+        try {
+            const main = GraphGalleryPanel.record({ label: 'Graph', path: files[0] }, { runId: 'r1', session: null });
+            const scratch = GraphGalleryPanel.record({ label: 'Graph', path: files[1] }, { runId: 'r2', session: 'scratch' });
+            expect([main.inMemory, scratch.inMemory]).toEqual([true, true]);
+            vscode.window.showQuickPick = jest.fn().mockImplementation(async (items) => items.find((i) => i.format === 'pdf'));
+            vscode.window.showOpenDialog = jest.fn().mockResolvedValue([{ fsPath: out }]);
+
+            const result = await GraphGalleryPanel.exportGraphs([main.id, scratch.id]);
+            expect(exportGraphs.mock.calls.map(([options]) => options)).toEqual([
+                { format: 'pdf', names: ['Graph'], session: null },
+                { format: 'pdf', names: ['Graph'], session: 'scratch' }
+            ]);
+            expect(result.skipped).toEqual([]);
+            expect(fs.readFileSync(path.join(out, 'Graph.pdf'), 'utf8')).toBe('main-fresh.pdf');
+            expect(fs.readFileSync(path.join(out, `Graph_${scratch.id}.pdf`), 'utf8')).toBe('scratch-fresh.pdf');
+
+            // clear all in the scratch session leaves the default session's graphs alone.
+            GraphGalleryPanel.clearUnpinned('scratch');
+            expect(GraphGalleryPanel.entries).toEqual([main]);
+            expect(main.inMemory).toBe(true);
+        } finally {
+            reset();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }));
+
+    it('removes its graph copies on exit and prunes those left by other windows', () => withTestContext({}, async () => {
+        const root = makeDir();
+        try {
+            for (const name of ['111', '222', 'notes']) fs.mkdirSync(path.join(root, name));
+            pruneGalleryFolders(root, (pid) => pid === 222);
+            expect(fs.readdirSync(root).sort()).toEqual(['222', 'notes']);
+
+            const store = path.join(root, String(process.pid));
+            reset({ storageDir: store });
+            const svg = path.join(root, 'Graph.svg');
+            fs.writeFileSync(svg, '<svg/>');
+            const entry = GraphGalleryPanel.record({ label: 'Graph', path: svg }, { runId: 'r1' });
+            expect(path.dirname(entry.path)).toBe(store);
+            pruneGalleryFolders(root, () => false);
+            expect(fs.existsSync(store)).toBe(true);
+
+            GraphGalleryPanel.removeStorage();
+            expect(fs.existsSync(store)).toBe(false);
+            expect(GraphGalleryPanel.entries).toEqual([]);
+        } finally {
+            reset();
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    }));
+
+    it('receives artifacts from terminal runs even when the terminal is closed', () => {
+        const seen = [];
+        const previous = TerminalPanel._artifactListener;
+        TerminalPanel.setArtifactListener((artifact, run) => seen.push({ label: artifact.label, ...run }));
+        try {
+            TerminalPanel._rememberRun('run_1', 'twoway line y x', 'Cell 1');
+            TerminalPanel.appendRunArtifact('run_1', { label: 'Graph', path: '/tmp/g.svg' });
+            expect(seen).toEqual([{ label: 'Graph', runId: 'run_1', code: 'twoway line y x', label: 'Cell 1', session: null }]);
+            TerminalPanel.forSession('scratch').appendRunArtifact('run_1', { label: 'Graph', path: '/tmp/g.svg' });
+            expect(seen[1].session).toBe('scratch');
+        } finally {
+            TerminalPanel.setArtifactListener(previous);
+            TerminalPanel.disposeSession('scratch');
+        }
+    });
+
+    it('renders thumbnails, compares two graphs and posts pin and export requests', () => {
+        const script = fs.readFileSync(path.join(__dirname, '../../src/ui-shared/graph-gallery.js'), 'utf8');
+        const dom = new JSDOM(`<!DOCTYPE html><body>
+            <span id="gallery-count"></span>
+            <button id="btn-compare"></button>
+            <button id="btn-export"></button>
+            <button id="btn-select-none"></button>
+            <div id="compare-view" class="hidden"></div>
+            <div id="gallery-grid"></div>
+        </body>`, { runScripts: 'outside-only' });
+        const { window } = dom;
+        const { document } = window;
+        const posted = [];
+        window.acquireVsCodeApi = () => ({ postMessage: (msg) => posted.push(msg) });
+        try {
+            window.eval(script);
+            expect(posted).toEqual([{ type: 'ready' }]);
+            const entries = [
+                { id: 1, name: 'Graph', command: 'scatter price mpg', timestamp: 0, pinned: true, format: 'svg', src: 'a.svg' },
+                { id: 2, name: 'hist', command: 'histogram price', runLabel: 'Cell 2', timestamp: 0, pinned: false, format: 'pdf', src: 'b.pdf' }
+            ];
+            window.dispatchEvent(new window.MessageEvent('message', { data: { type: 'entries', entries } }));
+            const tiles = document.querySelectorAll('.gallery-tile');
+            expect(Array.from(tiles).map((t) => t.dataset.id)).toEqual(['2', '1']);
+            expect(tiles[1].querySelector('img').getAttribute('src')).toBe('a.svg');
+            expect(tiles[0].querySelector('.gallery-thumb-fallback').textContent).toBe('PDF');
+            expect(document.getElementById('gallery-count').textContent).toBe('2 graphs, 1 pinned');
+
+            const check = (id) => document.querySelector(`.gallery-tile[data-id="${id}"] .select-check`);
+            check(1).checked = true;
+            check(1).dispatchEvent(new window.Event('change'));
+            expect(document.getElementById('btn-compare').disabled).toBe(true);
+            check(2).checked = true;
+            check(2).dispatchEvent(new window.Event('change'));
+            document.getElementById('btn-compare').click();
+            const sides = document.querySelectorAll('#compare-view .compare-side');
+            expect(sides).toHaveLength(2);
+            expect(sides[1].querySelector('.gallery-command').textContent).toBe('histogram price');
+
+            document.getElementById('btn-export').click();
+            document.querySelector('.gallery-tile[data-id="1"] .pin-btn').click();
+            expect(posted.slice(1)).toEqual([
+                { type: 'export', ids: [1, 2] },
+                { type: 'pin', id: 1, pinned: false }
+            ]);
+        } finally {
+            window.close();
+        }
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, expect, beforeAll } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Laid out like Stata's SVG export: x labels on a shared baseline, y labels rotated about
+// their anchors, plus a title and a stray number that are not axis labels.
+const STATA_SVG = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg version="1.1" width="600px" height="436px" viewBox="0 0 3960 2880" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="3960" height="2880" style="fill:#FFFFFF"/>
+  <text x="1980" y="150" text-anchor="middle">Price by mileage</text>
+  <text x="3000" y="400" text-anchor="middle">1978</text>
+  <text x="500" y="2700" text-anchor="middle">10</text>
+  <text x="1500" y="2700" text-anchor="middle">20</text>
+  <text x="2500" y="2700" text-anchor="middle">30</text>
+  <text x="3500" y="2700" text-anchor="middle">40</text>
+  <text x="200" y="2400" text-anchor="middle" transform="rotate(-90,200,2400)">0</text>
+  <text x="200" y="1800" text-anchor="middle" transform="rotate(-90,200,1800)">5,000</text>
+  <text x="200" y="1200" text-anchor="middle" transform="rotate(-90,200,1200)">10,000</text>
+  <text x="200" y="600" text-anchor="middle" transform="rotate(-90,200,600)">15,000</text>
+  <circle cx="1000" cy="1500" r="20"/>
+  <script>window.injected = true;</script>
+</svg>`;
+
+describe('Graph viewer (graph-viewer.js)', () => {
+    let script;
+
+    beforeAll(() => {
+        script = fs.readFileSync(path.resolve(__dirname, '../../src/ui-shared/graph-viewer.js'), 'utf8');
+    });
+
+    const load = () => {
+        const dom = new JSDOM('<!DOCTYPE html><html><body><div id="viewer" class="hidden"></div></body></html>', { runScripts: 'dangerously' });
+        dom.window.eval(script);
+        return dom.window;
+    };
+
+    it('reads data scales off the axis labels', () => {
+        const window = load();
+        const viewer = window.stataGraphViewer;
+        const svg = new window.DOMParser().parseFromString(STATA_SVG, 'image/svg+xml').documentElement;
+        const scales = viewer.axisScales(viewer.readTickLabels(svg), { x: 0, y: 0, width: 3960, height: 2880 });
+        expect(viewer.scaleValue(scales.x, 1000)).toBeCloseTo(15);
+        expect(viewer.scaleValue(scales.y, 1500)).toBeCloseTo(7500);
+        expect(viewer.formatAxisValue(viewer.scaleValue(scales.y, 1500), scales.y)).toBe('7,500.0');
+
+        const log = viewer.axisScales([
+            { value: 1, x: 0, y: 900, decimals: 0 },
+            { value: 10, x: 100, y: 900, decimals: 0 },
+            { value: 100, x: 200, y: 900, decimals: 0 }
+        ], null);
+        expect(log.x.log).toBe(true);
+        expect(viewer.scaleValue(log.x, 50)).toBeCloseTo(Math.sqrt(10));
+        expect(log.y).toBeNull();
+    });
+
+    it('zooms about a point and keeps pans inside the graph', () => {
+        const { stataGraphViewer: viewer } = load();
+        const original = { x: 0, y: 0, width: 100, height: 50 };
+        const zoomed = viewer.zoomViewBox(original, 2, { x: 100, y: 50 }, original);
+        expect(zoomed).toEqual({ x: 50, y: 25, width: 50, height: 25 });
+        expect(viewer.zoomViewBox(zoomed, 0.1, { x: 60, y: 30 }, original)).toEqual(original);
+        expect(viewer.panViewBox(zoomed, 80, -5, original)).toEqual({ x: 0, y: 25, width: 50, height: 25 });
+        // 200 x 50 box showing a 100 x 50 graph: drawn 100 px wide, centred.
+        const p = viewer.screenToSvg(original, { left: 10, top: 0, width: 200, height: 50 }, 70, 25);
+        expect(p).toEqual({ x: 10, y: 25, scale: 1 });
+    });
+
+    it('inlines the SVG with zoom, crosshair readout, reset and size toggle', () => {
+        const window = load();
+        const container = window.document.getElementById('viewer');
+        const viewer = window.stataGraphViewer.createGraphViewer(container);
+        expect(viewer.loadSvgText('<html><body>not a graph</body></html>')).toBe(false);
+        expect(viewer.loadSvgText(STATA_SVG)).toBe(true);
+        expect(container.classList.contains('hidden')).toBe(false);
+
+        const svg = container.querySelector('svg');
+        const stage = container.querySelector('.graph-viewer-stage');
+        expect(svg.querySelector('script')).toBeNull();
+        svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 396, height: 288 });
+        stage.getBoundingClientRect = () => ({ left: 0, top: 0, width: 396, height: 288 });
+
+        // The pointer at SVG (1000, 1500) reads x = 15, y = 7,500.
+        stage.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 100, clientY: 150, bubbles: true }));
+        expect(container.querySelector('.graph-viewer-readout').textContent).toBe('x 15.0   y 7,500.0');
+        expect(container.querySelector('.graph-viewer-hline').classList.contains('hidden')).toBe(false);
+
+        stage.dispatchEvent(new window.WheelEvent('wheel', { deltaY: -100, clientX: 100, clientY: 150, bubbles: true, cancelable: true }));
+        expect(svg.getAttribute('viewBox')).toBe('200 300 3168 2304');
+        const reset = container.querySelector('[data-viewer-action="reset"]');
+        expect(reset.disabled).toBe(false);
+        reset.click();
+        expect(svg.getAttribute('viewBox')).toBe('0 0 3960 2880');
+
+        const size = container.querySelector('[data-viewer-action="size"]');
+        size.click();
+        expect(svg.style.width).toBe('600px');
+        expect(size.textContent).toBe('Fit');
+        size.click();
+        expect(svg.style.width).toBe('100%');
+
+        viewer.clear();
+        expect(container.querySelector('svg')).toBeNull();
+        expect(container.classList.contains('hidden')).toBe(true);
+    });
+});
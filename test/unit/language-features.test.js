@@ -0,0 +1,135 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const {
+    findProgramDefinitions,
+    findMataFunctions,
+    findMacroOccurrences,
+    findIncludedPath,
+    StataDocumentSymbolProvider,
+    StataDefinitionProvider,
+    StataMacroReferenceProvider,
+    StataMacroRenameProvider
+} = require('../../src/language-features');
+
+const SOURCE = [
+    '** %% Setup',                          // 0
+    'global root "/data"',                  // 1
+    'local n = 10',                         // 2
+    'display `n\' " $root ${root}/x"',      // 3
+    '// `n\' in a comment',                 // 4
+    '** %% Programs',                       // 5
+    'capture program drop tidy',            // 6
+    'program define tidy, rclass',          // 7
+    '    args n',                           // 8
+    '    display `n\'',                     // 9
+    'end',                                  // 10
+    'mata:',                                // 11
+    'real scalar twice(real scalar x)',     // 12
+    '{',                                    // 13
+    '    return(2 * x)',                    // 14
+    '}',                                    // 15
+    'end',                                  // 16
+    'do "clean data.do"',                   // 17
+    'forvalues i = 1/`n\' {',               // 18
+    '    local ++n',                        // 19
+    '}'                                     // 20
+].join('\n');
+
+const createDocument = (text, fsPath = '/work/main.do') => {
+    const lines = text.split('\n');
+    return {
+        uri: { fsPath },
+        getText: (range) => range ? lines[range.start.line].slice(range.start.character, range.end.character) : text,
+        lineAt: (i) => ({ text: lines[i] || '' }),
+        getWordRangeAtPosition: (position, regex) => {
+            const line = lines[position.line] || '';
+            const global = new RegExp(regex.source, 'g');
+            let match;
+            while ((match = global.exec(line)) !== null) {
+                if (position.character >= match.index && position.character <= match.index + match[0].length) {
+                    return { start: { line: position.line, character: match.index }, end: { line: position.line, character: match.index + match[0].length } };
+                }
+            }
+            return undefined;
+        }
+    };
+};
+
+describe('language-features', () => {
+    it('finds program definitions but not program drop', () => {
+        expect(findProgramDefinitions(SOURCE)).toEqual([{ name: 'tidy', startLine: 7, endLine: 10 }]);
+    });
+
+    it('finds mata functions inside mata blocks and across .mata files', () => {
+        expect(findMataFunctions(SOURCE)).toEqual([{ name: 'twice', startLine: 12, endLine: 15 }]);
+        expect(findMataFunctions('void hello()\n{\n    printf("hi")\n}\nreal matrix m(real scalar n) return(J(n, n, 0))', { wholeFile: true }))
+            .toEqual([{ name: 'hello', startLine: 0, endLine: 3 }, { name: 'm', startLine: 4, endLine: 4 }]);
+    });
+
+    it('collects local occurrences in scope, skipping comments and other programs', () => {
+        const found = findMacroOccurrences(SOURCE, 3, 9);
+        expect(found).toMatchObject({ kind: 'local', name: 'n' });
+        expect(found.occurrences.map(o => `${o.line}:${o.start}${o.definition ? '*' : ''}`)).toEqual(['2:6*', '3:9', '18:17', '19:12*']);
+
+        const inProgram = findMacroOccurrences(SOURCE, 9, 14);
+        expect(inProgram.occurrences.map(o => o.line)).toEqual([8, 9]);
+    });
+
+    it('collects global occurrences across the file', () => {
+        const found = findMacroOccurrences(SOURCE, 3, 16);
+        expect(found).toMatchObject({ kind: 'global', name: 'root' });
+        expect(found.occurrences.map(o => `${o.line}:${o.start}`)).toEqual(['1:7', '3:15', '3:22']);
+        expect(findMacroOccurrences(SOURCE, 0, 3)).toBeNull();
+    });
+
+    it('detects do/run/include paths under the cursor', () => {
+        expect(findIncludedPath('do "clean data.do"', 6)).toEqual({ path: 'clean data.do', start: 3, end: 18 });
+        expect(findIncludedPath('qui run helpers, nostop', 10)).toMatchObject({ path: 'helpers' });
+        expect(findIncludedPath('do "$root/x.do"', 6)).toBeNull();
+        expect(findIncludedPath('display "do x"', 10)).toBeNull();
+    });
+
+    it('nests programs and mata functions under cell sections in the outline', () => withTestContext({}, () => {
+        const symbols = new StataDocumentSymbolProvider().provideDocumentSymbols(createDocument(SOURCE));
+        expect(symbols.map(s => s.name)).toEqual(['Setup', 'Programs']);
+        expect(symbols[1].children.map(s => `${s.name}:${s.detail}`)).toEqual(['tidy:program', 'twice:mata']);
+        expect(symbols[1].children[0].range.end.line).toBe(10);
+    }));
+
+    it('returns references and rename edits for a macro', () => withTestContext({}, () => {
+        const document = createDocument(SOURCE);
+        const position = { line: 2, character: 7 };
+        const refs = new StataMacroReferenceProvider().provideReferences(document, position, { includeDeclaration: false });
+        expect(refs.map(r => r.range.start.line)).toEqual([3, 18]);
+
+        const rename = new StataMacroRenameProvider();
+        expect(rename.prepareRename(document, position).placeholder).toBe('n');
+        const edit = rename.provideRenameEdits(document, position, 'count');
+        expect(edit.edits.map(e => `${e.range.start.line}:${e.range.start.character}:${e.newText}`)).toEqual(['2:6:count', '3:9:count', '18:17:count', '19:12:count']);
+        expect(() => rename.provideRenameEdits(document, position, '1bad')).toThrow('not a valid macro name');
+        expect(() => rename.prepareRename(document, { line: 0, character: 2 })).toThrow();
+    }));
+
+    it('resolves do-file paths relative to the document', () => withTestContext({
+        fs: { existsSync: jest.fn((p) => p === '/work/clean data.do') }
+    }, async () => {
+        const location = await new StataDefinitionProvider().provideDefinition(createDocument(SOURCE), { line: 17, character: 6 });
+        expect(location.uri.fsPath).toBe('/work/clean data.do');
+    }));
+
+    it('finds program definitions in the document and in workspace .ado files', () => withTestContext({
+        fs: {
+            statSync: jest.fn(() => ({ mtimeMs: 1 })),
+            readFileSync: jest.fn((p) => p.endsWith('winsor2.ado') ? '*! v1\nprogram define winsor2\nend' : 'program other\nend\nprogram winsor2\nend')
+        }
+    }, async ({ vscode }) => {
+        const provider = new StataDefinitionProvider();
+        const local = await provider.provideDefinition(createDocument('tidy\n' + SOURCE), { line: 0, character: 2 });
+        expect(local.map(l => l.range.line)).toEqual([8]);
+
+        vscode.workspace.findFiles.mockResolvedValue([{ fsPath: '/work/ado/helpers.ado' }, { fsPath: '/work/ado/winsor2.ado' }]);
+        const hits = await provider.provideDefinition(createDocument('winsor2 price'), { line: 0, character: 3 });
+        expect(hits.map(l => `${l.uri.fsPath}:${l.range.line}`)).toEqual(['/work/ado/winsor2.ado:1', '/work/ado/helpers.ado:2']);
+        expect(await provider.provideDefinition(createDocument('regress y x'), { line: 0, character: 2 })).toBeUndefined();
+    }));
+});
@@ -0,0 +1,126 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { lintText, StataLinter } = require('../../src/linter');
+
+const rulesOf = (findings) => findings.map(f => `${f.rule}@${f.range.startLine}`);
+const only = (rule) => ({
+    rules: Object.fromEntries(['absolutePaths', 'setMoreOn', 'abbreviatedVariables', 'missingVersion', 'delimitMismatch', 'unbalancedBraces']
+        .map(id => [id, id === rule ? 'warning' : 'off']))
+});
+
+describe('linter', () => {
+    it('flags absolute paths and offers relative and global fixes', () => {
+        const findings = lintText('version 17\nuse "/work/project/data/auto.dta", clear\nsave C:\\Users\\me\\out.dta\ngen y = x /z/2', {
+            ...only('absolutePaths'),
+            fileName: '/work/project/main.do'
+        });
+        expect(rulesOf(findings)).toEqual(['absolutePaths@1', 'absolutePaths@2']);
+        expect(findings[0].range).toEqual({ startLine: 1, startCharacter: 5, endLine: 1, endCharacter: 32 });
+        expect(findings[0].fixes.map(f => f.title)).toEqual([
+            'Use path relative to the do-file: data/auto.dta',
+            'Move "/work/project/data" into a global macro'
+        ]);
+        expect(findings[0].fixes[1].edits).toEqual([
+            { range: { startLine: 0, startCharacter: 0, endLine: 0, endCharacter: 0 }, newText: 'global root "/work/project/data"\n' },
+            { range: findings[0].range, newText: '${root}/auto.dta' }
+        ]);
+    });
+
+    it('reuses an existing root global', () => {
+        const [finding] = lintText('global root "/data"\nuse "/data/raw/a.dta"', only('absolutePaths'));
+        expect(finding.fixes).toEqual([{ title: 'Use the ${root} global', edits: [{ range: finding.range, newText: '${root}/raw/a.dta' }] }]);
+    });
+
+    it('flags set more on but not comments or set more off', () => {
+        const findings = lintText('set more on\nset more off\n* set more on\nqui set more on, permanently', only('setMoreOn'));
+        expect(rulesOf(findings)).toEqual(['setMoreOn@0', 'setMoreOn@3']);
+        expect(findings[0].fixes[0].edits[0]).toEqual({ range: { startLine: 0, startCharacter: 9, endLine: 0, endCharacter: 11 }, newText: 'off' });
+    });
+
+    it('flags abbreviated variables against the dataset in memory', () => {
+        const text = [
+            'summarize pri mpg if forei == 1, det',
+            'gen double pr = pri * 2',
+            'summarize pr',
+            'regress price m',
+            'local pri 1',
+            'mata:',
+            'x = pri',
+            'end'
+        ].join('\n');
+        const findings = lintText(text, { ...only('abbreviatedVariables'), variables: ['price', 'mpg', 'foreign', 'make'] });
+        expect(findings.map(f => `${f.range.startLine}:${f.range.startCharacter}:${f.fixes.map(x => x.title).join('|')}`)).toEqual([
+            '0:10:Replace with price',
+            '0:21:Replace with foreign',
+            '1:16:Replace with price',
+            '3:14:Replace with mpg|Replace with make'
+        ]);
+        expect(findings[3].message).toContain('ambiguous');
+        expect(lintText(text, only('abbreviatedVariables'))).toEqual([]);
+    });
+
+    it('does not read extended missing values as abbreviated variables', () => {
+        const text = [
+            'replace a = .a if b == .b',
+            'mvdecode x, mv(-9 = .z)',
+            'regress y i.a'
+        ].join('\n');
+        const findings = lintText(text, { ...only('abbreviatedVariables'), variables: ['alpha', 'beta', 'zeta', 'x', 'y'] });
+        expect(findings.map(f => `${f.range.startLine}:${f.range.startCharacter}`)).toEqual(['0:8', '0:18', '2:12']);
+    });
+
+    it('requires a version statement in do-files and in each ado program', () => {
+        const doFindings = lintText('* header\nsysuse auto', only('missingVersion'));
+        expect(rulesOf(doFindings)).toEqual(['missingVersion@1']);
+        expect(doFindings[0].fixes[0].edits[0].newText).toBe('version 17\n');
+        expect(lintText('version 18\nsysuse auto', only('missingVersion'))).toEqual([]);
+
+        const ado = 'program define good\n    version 16\nend\nprogram define bad\n    syntax varlist\nend';
+        const adoFindings = lintText(ado, { ...only('missingVersion'), fileName: '/ado/x.ado', version: '18' });
+        expect(rulesOf(adoFindings)).toEqual(['missingVersion@3']);
+        expect(adoFindings[0].fixes[0].edits[0]).toEqual({ range: { startLine: 4, startCharacter: 0, endLine: 4, endCharacter: 0 }, newText: '    version 18\n' });
+    });
+
+    it('detects #delimit mismatches', () => {
+        const text = ['#delimit cr', '#delimit ;', 'regress price', '  mpg;', 'list make', '#delimit cr', '#delimit ;', 'di 1;'].join('\n');
+        const findings = lintText(text, only('delimitMismatch'));
+        expect(findings.map(f => `${f.range.startLine}:${f.fixes[0].title}`)).toEqual([
+            '0:Remove this line',
+            '4:Add the missing `;`',
+            '6:Add `#delimit cr` at the end of the file'
+        ]);
+        expect(findings[1].fixes[0].edits[0].range).toMatchObject({ startLine: 4, startCharacter: 9 });
+    });
+
+    it('detects unbalanced braces outside strings and comments', () => {
+        const text = ['foreach v in a {', '    di "{"  // }', '}', '}', 'if 1 {', '    di "${root}"'].join('\n');
+        const findings = lintText(text, only('unbalancedBraces'));
+        expect(findings.map(f => `${f.range.startLine}:${f.range.startCharacter}:${f.message}`)).toEqual([
+            '3:0:Closing brace has no matching `{`.',
+            '4:5:Opening brace is never closed.'
+        ]);
+        expect(findings[1].fixes[0].edits[0].newText).toBe('\n}\n');
+    });
+
+    it('publishes diagnostics on lint and returns matching quick fixes', () => withTestContext({}, ({ vscode }) => {
+        const config = vscode.workspace.getConfiguration();
+        config.get.mockImplementation((key, def) => key === 'lint.missingVersion' ? 'off' : def);
+        const linter = new StataLinter();
+        const collection = vscode.languages.createDiagnosticCollection.mock.results[0].value;
+        const document = { uri: { fsPath: '/work/a.do' }, getText: () => 'set more on' };
+
+        linter.lintDocument(document);
+        const [diagnostic] = collection.entries.get('/work/a.do');
+        expect(diagnostic.code).toBe('setMoreOn');
+        expect(diagnostic.severity).toBe(vscode.DiagnosticSeverity.Warning);
+
+        const [action] = linter.provideCodeActions(document, diagnostic.range, { diagnostics: [diagnostic] });
+        expect(action.title).toBe('Change to `set more off`');
+        expect(action.edit.edits[0].newText).toBe('off');
+
+        config.get.mockImplementation((key, def) => key === 'lint.enabled' ? false : def);
+        linter.lintDocument(document);
+        expect(collection.entries.has('/work/a.do')).toBe(false);
+        expect(StataLinter.isLintable({ uri: { fsPath: '/x/a.mata' } })).toBe(false);
+    }));
+});
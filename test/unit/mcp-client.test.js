@@ -172,6 +172,71 @@ describe('mcp-client', () => {
         });
     });
 
+    describe('named sessions', () => {
+        it('keeps one client per session, each with its own queue, until closed', async () => {
+            const { getSessionClient, getClient, listSessions, closeSession, DEFAULT_SESSION } = require('../../src/mcp-client');
+            const scratch = getSessionClient('scratch-test');
+            expect(getSessionClient('scratch-test')).toBe(scratch);
+            expect(getSessionClient(DEFAULT_SESSION)).toBe(getClient());
+            expect(scratch.sessionName).toBe('scratch-test');
+            expect(getClient().sessionName).toBe(DEFAULT_SESSION);
+            expect(scratch._queue).not.toBe(getClient()._queue);
+            expect(listSessions()).toEqual(expect.arrayContaining([DEFAULT_SESSION, 'scratch-test']));
+
+            scratch.dispose = jest.fn().mockResolvedValue();
+            expect(await closeSession('scratch-test')).toBe(true);
+            expect(scratch.dispose).toHaveBeenCalled();
+            expect(listSessions()).not.toContain('scratch-test');
+            expect(getSessionClient('scratch-test')).not.toBe(scratch);
+            expect(await closeSession(DEFAULT_SESSION)).toBe(false);
+            await closeSession('scratch-test');
+        });
+    });
+
+    describe('connection loss', () => {
+        it('reports a server that goes away unasked, but not one closed on purpose', () => {
+            const client = new McpClient({ sessionName: 'crashy' });
+            const lost = [];
+            client.onConnectionLost((info) => lost.push(info));
+            const sdkClient = { onclose: null };
+            const transport = {};
+            client._clientPromise = Promise.resolve(sdkClient);
+            client._transport = transport;
+            client._watchConnection(sdkClient, transport);
+
+            sdkClient.onclose();
+            expect(lost).toHaveLength(1);
+            expect(lost[0].sessionName).toBe('crashy');
+            expect(client._clientPromise).toBeNull();
+
+            const next = { onclose: null };
+            const nextTransport = {};
+            client._transport = nextTransport;
+            client._watchConnection(next, nextTransport);
+            client._closingTransports.add(nextTransport);
+            next.onclose();
+            expect(lost).toHaveLength(1);
+        });
+
+        it('reconnects with exponential backoff', async () => {
+            const client = new McpClient();
+            const connected = { id: 'fresh' };
+            client._ensureClient = jest.fn()
+                .mockRejectedValueOnce(new Error('spawn failed'))
+                .mockRejectedValueOnce(new Error('spawn failed'))
+                .mockResolvedValue(connected);
+            const delays = [];
+            client._delay = jest.fn(async (ms) => { delays.push(ms); });
+            const attempts = [];
+            expect(await client.reconnect({ initialDelayMs: 100, onAttempt: (n, max) => attempts.push(`${n}/${max}`) })).toBe(connected);
+            expect(delays).toEqual([100, 200]);
+            expect(attempts).toEqual(['1/5', '2/5', '3/5']);
+
+            client._ensureClient = jest.fn().mockRejectedValue(new Error('still down'));
+            await expect(client.reconnect({ maxAttempts: 2, initialDelayMs: 1 })).rejects.toThrow('still down');
+        });
+    });
+
     describe('McpClient', () => {
 
         describe('_resolveArtifactsFromList', () => {
@@ -409,6 +474,26 @@ describe('mcp-client', () => {
             });
         });
 
+        describe('getHelp', () => {
+            it('requests plain-text help and unwraps tool envelopes', async () => {
+                const enqueueStub = sinon.stub(client, '_enqueue').callsFake(async (label, options, task) => {
+                    expect(label).toEqual('stata_get_help');
+                    return task();
+                });
+
+                client._callTool.callsFake(async (c, name, args) => {
+                    expect(name).toEqual('stata_get_help');
+                    expect(args).toEqual({ topic: 'regress', plain_text: true });
+                    return { content: [{ type: 'text', text: JSON.stringify({ ok: true, data: { help: 'Syntax' } }) }] };
+                });
+                expect(await client.getHelp('regress')).toEqual('Syntax');
+
+                client._callTool.callsFake(async () => ({ content: [{ type: 'text', text: 'Title\n\n    [R] regress' }] }));
+                expect(await client.getHelp('regress')).toEqual('Title\n\n    [R] regress');
+                enqueueStub.restore();
+            });
+        });
+
         describe('runFile', () => {
             it('should honor resolved cwd when no workspace folders exist', async () => {
                 const vscode = getVscode();
@@ -1263,6 +1348,27 @@ describe('mcp-client', () => {
             });
         });
 
+        describe('exportAllGraphs', () => {
+            it('exports the named graphs in the requested format', async () => {
+                client._callTool.withArgs(sinon.match.any, 'stata_manage_graphs', sinon.match.has('action', 'list'))
+                    .resolves({ graphs: [{ name: 'Graph' }, { name: 'g2' }, 'g3'] });
+                client._callTool.withArgs(sinon.match.any, 'stata_manage_graphs', sinon.match.has('action', 'export'))
+                    .callsFake(async (_c, _name, args) => {
+                        if (args.graph_name === 'g3') throw new Error('not found');
+                        return { path: `/tmp/${args.graph_name}.${args.format}` };
+                    });
+
+                const result = await client.exportAllGraphs({ format: 'png', names: ['Graph', 'g3'] });
+
+                expect(result.graphs).toEqual([
+                    { label: 'Graph', path: '/tmp/Graph.png', baseDir: null },
+                    { label: 'g3', error: 'Export failed: not found' }
+                ]);
+                const exportCalls = client._callTool.getCalls().filter((c) => c.args[2]?.action === 'export');
+                expect(exportCalls.map((c) => c.args[2].format)).toEqual(['png', 'png']);
+            });
+        });
+
         describe('_formatRecentStderr', () => {
             it('should prioritize critical error lines', () => {
                 const client = new McpClient();
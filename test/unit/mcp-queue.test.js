@@ -159,4 +159,17 @@ describe('StataMcpClient Queueing', () => {
         expect(errorThrown).toBe(true);
         expect(task2.called).toBe(false);
     });
+
+    it('runs internal calls while the queue is paused and leaves them out of the list', async () => {
+        const queue = client.runQueue;
+        queue.pause();
+        const user = client._enqueue('stata_run', { runId: 'user' }, async () => ({ success: true }), { command: 'regress price mpg' });
+        const internal = await client._enqueue('stata_run', { internal: true }, async () => ({ success: true, stdout: '18.5' }), { command: 'display c(stata_version)' });
+
+        expect(internal.stdout).toBe('18.5');
+        expect(queue.items().map((entry) => `${entry.runId}:${entry.status}`)).toEqual(['user:pending']);
+        queue.resume();
+        await user;
+        expect(queue.items().map((entry) => entry.label)).toEqual(['regress price mpg']);
+    });
 });
@@ -0,0 +1,248 @@
+const { describe, it, expect } = require('bun:test');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+const { withTestContext } = require('../helpers/test-context');
+const {
+    readRemoteConfig,
+    toRemotePath,
+    toLocalPath,
+    remoteTempDir,
+    sshServerParams,
+    createHttpTransport,
+    UiChannelTunnel
+} = require('../../src/mcp-remote');
+const { StataMcpClient } = require('../../src/mcp-client');
+const { exportGraphFile } = require('../../src/graph-export');
+
+// Required by file so the SDK mocks of other test files (keyed on the package paths) do not apply.
+const sdkDir = path.resolve(path.dirname(require.resolve('@modelcontextprotocol/sdk/client/streamableHttp.js')), '..');
+const { Client } = require(path.join(sdkDir, 'client/index.js'));
+const { McpServer } = require(path.join(sdkDir, 'server/mcp.js'));
+const { StreamableHTTPServerTransport } = require(path.join(sdkDir, 'server/streamableHttp.js'));
+
+const configOf = (values) => ({ get: (key, fallback) => (key in values ? values[key] : fallback) });
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+/**
+ * Stand-in for a remote mcp-stata: a stateless Streamable HTTP MCP server whose files live
+ * under `remoteRoot`, which the test maps to a local temp folder. `onRun` plays Stata's part
+ * of a run, such as writing the files it exports.
+ */
+const startStandInServer = async ({ remoteRoot, uiPort, onRun = () => {} }) => {
+    const calls = [];
+    const server = http.createServer(async (req, res) => {
+        const mcp = new McpServer({ name: 'mcp-stata-stand-in', version: '0.0.0' });
+        const record = (name, text) => async (args) => {
+            calls.push({ name, args, headers: req.headers });
+            if (name === 'stata_run') onRun(args);
+            return { content: [{ type: 'text', text: text(args) }] };
+        };
+        const anyArgs = z.object({}).passthrough();
+        mcp.registerTool('stata_run', { inputSchema: anyArgs }, record('stata_run', () => JSON.stringify({
+            status: 'ok',
+            rc: 0,
+            log_path: `${remoteRoot}/logs/run.log`,
+            data: { graphs: [{ name: 'g1', path: `${remoteRoot}/graphs/g1.svg` }] }
+        })));
+        mcp.registerTool('stata_manage_session', { inputSchema: anyArgs }, record('stata_manage_session', () => JSON.stringify({
+            data: { baseUrl: `http://127.0.0.1:${uiPort}`, token: 'ui-token' }
+        })));
+        const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined, enableJsonResponse: true });
+        res.on('close', () => {
+            transport.close();
+            mcp.close();
+        });
+        await mcp.connect(transport);
+        await transport.handleRequest(req, res);
+    });
+    const port = await listen(server);
+    return { calls, url: `http://127.0.0.1:${port}/mcp`, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+describe('Remote mcp-stata (mcp-remote.js)', () => {
+    it('maps paths both ways by the longest matching folder', () => {
+        const mappings = [
+            { local: '/Users/me/project', remote: '/home/me/project' },
+            { local: '/Users/me/project/data/', remote: '/mnt/data' },
+            { local: 'C:\\Work', remote: '/srv/work' }
+        ];
+        expect(toRemotePath('/Users/me/project/a.do', mappings)).toBe('/home/me/project/a.do');
+        expect(toRemotePath('/Users/me/project/data/auto.dta', mappings)).toBe('/mnt/data/auto.dta');
+        expect(toRemotePath('/Users/me/project', mappings)).toBe('/home/me/project');
+        expect(toRemotePath('/Users/me/projects/a.do', mappings)).toBeNull();
+        expect(toRemotePath('c:/work/sub/x.do', mappings)).toBe('/srv/work/sub/x.do');
+        expect(toLocalPath('/srv/work/sub/x.log', mappings)).toBe('C:\\Work\\sub\\x.log');
+        expect(toLocalPath('/mnt/data/out.svg', mappings)).toBe('/Users/me/project/data/out.svg');
+        expect(toLocalPath('/tmp/elsewhere.log', mappings)).toBe('/tmp/elsewhere.log');
+    });
+
+    it('reads and validates the remote settings and builds the ssh command', () => {
+        expect(readRemoteConfig(configOf({})).mode).toBe('local');
+        expect(() => readRemoteConfig(configOf({ 'remote.mode': 'ssh' }))).toThrow('sshHost is not set');
+        expect(() => readRemoteConfig(configOf({ 'remote.mode': 'http', 'remote.url': 'ftp://x' }))).toThrow('not an http(s) URL');
+
+        const remote = readRemoteConfig(configOf({
+            'remote.mode': 'ssh',
+            'remote.sshHost': 'me@stats',
+            'remote.sshArgs': ['-p', '2222'],
+            'remote.pathMappings': [{ local: '/a', remote: '/b' }, { local: '', remote: '/c' }, null]
+        }));
+        expect(remote.pathMappings).toEqual([{ local: '/a', remote: '/b' }]);
+        expect(sshServerParams(remote, { STATA_SETUP_TIMEOUT: '60', STATA_PATH: "/opt/my stata" })).toEqual({
+            command: 'ssh',
+            args: ['-p', '2222', '-T', '-o', 'BatchMode=yes', 'me@stats',
+                "mkdir -p /b/.stata-workbench/tmp && env STATA_SETUP_TIMEOUT=60 STATA_PATH='/opt/my stata' TMPDIR=/b/.stata-workbench/tmp TEMP=/b/.stata-workbench/tmp TMP=/b/.stata-workbench/tmp uvx mcp-stata"]
+        });
+        expect(remoteTempDir({ tempDir: '', pathMappings: [{ local: 'C:\\Work', remote: 'D:\\share\\' }] })).toBe('D:\\share\\.stata-workbench\\tmp');
+        expect(remoteTempDir({ tempDir: '/scratch/wb', pathMappings: [] })).toBe('/scratch/wb');
+        expect(sshServerParams({ ...remote, pathMappings: [] }).args.pop()).toBe('uvx mcp-stata');
+    });
+
+    it('runs files, tails logs and finds graphs through a stand-in HTTP server', async () => {
+        const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stata-remote-'));
+        const remoteRoot = '/srv/stata-share';
+        fs.mkdirSync(path.join(localRoot, 'logs'));
+        fs.writeFileSync(path.join(localRoot, 'logs', 'run.log'), '. display 1\n1\n');
+        const stand = await startStandInServer({ remoteRoot, uiPort: 8765 });
+        const remote = readRemoteConfig(configOf({
+            'remote.mode': 'http',
+            'remote.url': stand.url,
+            'remote.headers': { Authorization: 'Bearer secret' },
+            'remote.pathMappings': [{ local: localRoot, remote: remoteRoot }]
+        }));
+        const sdkClient = new Client({ name: 'stata-vscode-test', version: '0.0.0' });
+        try {
+            await sdkClient.connect(createHttpTransport(remote));
+            await withTestContext({}, async ({ vscode }) => {
+                const client = new StataMcpClient();
+                client._remote = remote;
+                client._uiTunnel = new UiChannelTunnel(remote);
+                client._availableTools = new Set(['stata_run', 'stata_manage_session']);
+                client._clientPromise = Promise.resolve(sdkClient);
+                client._readLogSlice = jest.fn(client._readLogSlice.bind(client));
+
+                const result = await client.runFile(path.join(localRoot, 'analysis', 'main.do'), { normalizeResult: true });
+                const run = stand.calls.find((c) => c.name === 'stata_run');
+                expect(run.args.path).toBe(`${remoteRoot}/analysis/main.do`);
+                expect(run.args.cwd).toBe(`${remoteRoot}/analysis`);
+                expect(run.headers.authorization).toBe('Bearer secret');
+                expect(result.logPath).toBe(path.join(localRoot, 'logs', 'run.log'));
+                expect(client._readLogSlice.mock.calls[0][1]).toBe(path.join(localRoot, 'logs', 'run.log'));
+                expect(client._graphToArtifact({ name: 'g1', path: `${remoteRoot}/graphs/g1.svg` }, null, null).path)
+                    .toBe(path.join(localRoot, 'graphs', 'g1.svg'));
+
+                await expect(client.runFile('/elsewhere/main.do')).rejects.toThrow('not under any stataMcp.remote.pathMappings entry');
+
+                // Without an ssh host the UI channel is reached directly (the endpoint is on this machine).
+                const channel = await client.getUiChannel();
+                expect(channel).toEqual({ baseUrl: 'http://127.0.0.1:8765', token: 'ui-token' });
+
+                // A path outside every mapping is reported once rather than failing silently.
+                expect(client._localPath('/tmp/mcp/run.log')).toBe('/tmp/mcp/run.log');
+                expect(client._localPath('/tmp/mcp/g1.svg')).toBe('/tmp/mcp/g1.svg');
+                expect(vscode.window.showWarningMessage).toHaveBeenCalledTimes(1);
+                expect(vscode.window.showWarningMessage.mock.calls[0][0]).toContain('/tmp/mcp/run.log, which is not under any stataMcp.remote.pathMappings entry');
+            });
+        } finally {
+            await sdkClient.close();
+            await stand.close();
+            fs.rmSync(localRoot, { recursive: true, force: true });
+        }
+    });
+
+    it('exports a graph through a folder both hosts reach on a stand-in HTTP server', async () => {
+        const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stata-remote-'));
+        const remoteRoot = '/srv/stata-share';
+        const pathMappings = [{ local: localRoot, remote: remoteRoot }];
+        fs.mkdirSync(path.join(localRoot, 'logs'));
+        fs.writeFileSync(path.join(localRoot, 'logs', 'run.log'), '. graph export\n');
+        const stand = await startStandInServer({
+            remoteRoot,
+            uiPort: 8765,
+            onRun: ({ code }) => {
+                const target = /graph export `"([^"]+)"'/.exec(String(code || ''))?.[1];
+                if (target) fs.writeFileSync(toLocalPath(target, pathMappings), 'png bytes');
+            }
+        });
+        const remote = readRemoteConfig(configOf({ 'remote.mode': 'http', 'remote.url': stand.url, 'remote.pathMappings': pathMappings }));
+        const sdkClient = new Client({ name: 'stata-vscode-test', version: '0.0.0' });
+        try {
+            await sdkClient.connect(createHttpTransport(remote));
+            await withTestContext({}, async () => {
+                const client = new StataMcpClient();
+                client._remote = remote;
+                client._availableTools = new Set(['stata_run']);
+                client._clientPromise = Promise.resolve(sdkClient);
+
+                const tmpPath = client.sharedTempPath(path.join(os.tmpdir(), 'stata_tmp_1_g1.png'));
+                expect(tmpPath).toBe(path.join(localRoot, '.stata-workbench', 'tmp', 'stata_tmp_1_g1.png'));
+                const result = await exportGraphFile('g1', tmpPath, { format: 'png' }, {
+                    run: (code, options) => client.run(code, options),
+                    serverPath: (localPath) => client.serverPath(localPath)
+                });
+                const run = stand.calls.find((c) => c.name === 'stata_run');
+                expect(run.args.code).toContain(`graph export \`"${remoteRoot}/.stata-workbench/tmp/stata_tmp_1_g1.png"'`);
+                expect(fs.readFileSync(result.path, 'utf8')).toBe('png bytes');
+
+                expect(() => client.serverPath('/elsewhere/data.dta')).toThrow('not under any stataMcp.remote.pathMappings entry');
+                client._remote = { ...remote, pathMappings: [] };
+                expect(() => client.sharedTempPath('/tmp/stata_tmp_1_g1.png')).toThrow('Add a stataMcp.remote.pathMappings entry');
+            });
+        } finally {
+            await sdkClient.close();
+            await stand.close();
+            fs.rmSync(localRoot, { recursive: true, force: true });
+        }
+    });
+
+    it('reaches an http server\'s UI channel only where it listens', async () => {
+        const tunnel = new UiChannelTunnel({ mode: 'http', url: 'https://stats.example.org/mcp', sshHost: '' });
+        expect(await tunnel.baseUrlFor('http://0.0.0.0:8765')).toBe('http://stats.example.org:8765');
+        expect(await tunnel.baseUrlFor('http://10.0.0.5:8765')).toBe('http://10.0.0.5:8765');
+        await expect(tunnel.baseUrlFor('http://127.0.0.1:8765')).rejects.toThrow('Set stataMcp.remote.sshHost');
+    });
+
+    it('forwards the UI channel over an ssh tunnel and reuses it', async () => {
+        const ui = http.createServer((_req, res) => res.end('ui ok'));
+        const uiPort = await listen(ui);
+        const spawned = [];
+        // Stand-in for `ssh -N -L local:host:port`: forwards the local port in-process.
+        const spawn = (command, args) => {
+            const [, localPort, host, port] = args[args.indexOf('-L') + 1].split(':');
+            const child = new EventEmitter();
+            const forwarder = net.createServer((socket) => {
+                const upstream = net.connect(Number(port), host);
+                socket.pipe(upstream).pipe(socket);
+                socket.on('error', () => upstream.destroy());
+                upstream.on('error', () => socket.destroy());
+            });
+            forwarder.listen(Number(localPort), '127.0.0.1');
+            child.kill = () => forwarder.close(() => child.emit('exit', null));
+            spawned.push({ command, args, child });
+            return child;
+        };
+        await withTestContext({ childProcess: { spawn } }, async () => {
+            const tunnel = new UiChannelTunnel({ mode: 'ssh', sshHost: 'me@stats', sshCommand: 'ssh', sshArgs: ['-p', '2222'] });
+            try {
+                const baseUrl = await tunnel.baseUrlFor(`http://127.0.0.1:${uiPort}`);
+                expect(baseUrl).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+                expect(baseUrl).not.toBe(`http://127.0.0.1:${uiPort}`);
+                expect(await (await fetch(`${baseUrl}/v1/ping`)).text()).toBe('ui ok');
+                expect(await tunnel.baseUrlFor(`http://127.0.0.1:${uiPort}`)).toBe(baseUrl);
+                expect(spawned).toHaveLength(1);
+                expect(spawned[0].command).toBe('ssh');
+                expect(spawned[0].args.slice(0, 2)).toEqual(['-p', '2222']);
+                expect(spawned[0].args[spawned[0].args.length - 1]).toBe('me@stats');
+            } finally {
+                tunnel.close();
+                await new Promise((resolve) => ui.close(resolve));
+            }
+        });
+    });
+});
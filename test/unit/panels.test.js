@@ -118,6 +118,23 @@ describe('Panels', () => {
                 expect(parseSMCL(input).formattedText).toContain('Command:\n  Estimate x');
             });
 
+            itWithContext('should report the last echoed command and how often it ran', () => {
+                const { parseSMCL } = loadTerminalPanel();
+                const input = [
+                    '{com}. summarize price',
+                    '{com}. regress price ///',
+                    '{com}> mpg',
+                    '{com}. summarize price',
+                    '{err}no observations',
+                    '{com}. summarize price'
+                ].join('\n');
+                const out = parseSMCL(input);
+                expect(out.command).toBe('summarize price');
+                expect(out.commandOccurrence).toBe(2);
+                expect(out.errors).toEqual(['no observations']);
+                expect(parseSMCL('{com}. foreach v in a {c -(}\n{err}x').command).toBe('foreach v in a {');
+            });
+
             itWithContext('should ignore loop keywords', () => {
                 const { parseSMCL } = loadTerminalPanel();
                 const input = '{com}. while 1 {\n{com}. foreach x of varlist * {\n{err}err';
@@ -187,6 +204,20 @@ describe('Panels', () => {
             TerminalPanel.currentPanel = null;
         });
 
+        itWithContext('startStreamingEntry should pass the entry label to the webview', () => {
+            const { TerminalPanel } = loadTerminalPanel();
+            const messages = [];
+            TerminalPanel.currentPanel = {
+                viewColumn: 1,
+                webview: { postMessage: (msg) => { messages.push(msg); } },
+                reveal: () => { }
+            };
+            const runId = TerminalPanel.startStreamingEntry('regress price mpg', '/path', () => { }, null, null, null, null, 'Fit model');
+            const started = messages.find(m => m.type === 'runStarted' && m.runId === runId);
+            expect(started).toMatchObject({ code: 'regress price mpg', label: 'Fit model' });
+            TerminalPanel.currentPanel = null;
+        });
+
         itWithContext('should reveal panel with preserveFocus in show()', ({ vscode }) => {
             const { TerminalPanel } = loadTerminalPanel();
             let revealArgs = [];
@@ -359,6 +390,50 @@ describe('Panels', () => {
             vscode.window.createWebviewPanel = originalCreate;
         });
 
+        itWithContext('gives each named session its own tab, handlers and run state', async ({ vscode }) => {
+            const { TerminalPanel } = loadTerminalPanel();
+            expect(TerminalPanel.forSession('default')).toBe(TerminalPanel);
+            const Scratch = TerminalPanel.forSession('scratch');
+            expect(TerminalPanel.forSession('scratch')).toBe(Scratch);
+
+            let messageHandler;
+            const disposed = sinon.stub();
+            const posted = [];
+            const mockPanel = {
+                viewColumn: 2,
+                webview: {
+                    onDidReceiveMessage: (handler) => { messageHandler = handler; return { dispose: () => { } }; },
+                    postMessage: (msg) => posted.push(msg),
+                    asWebviewUri: (u) => u,
+                    cspSource: ''
+                },
+                reveal: () => { },
+                dispose: disposed,
+                onDidDispose: () => ({ dispose: () => { } })
+            };
+            const create = sinon.stub().returns(mockPanel);
+            const originalCreate = vscode.window.createWebviewPanel;
+            vscode.window.createWebviewPanel = create;
+
+            const cancelScratch = sinon.stub().resolves();
+            Scratch.show({ runCommand: async () => ({}), cancelRun: cancelScratch });
+            expect(create.firstCall.args.slice(0, 2)).toEqual(['stataTerminalSession', 'Stata Terminal (scratch)']);
+            expect(Scratch.currentPanel).toBe(mockPanel);
+            expect(TerminalPanel.currentPanel).toBeNull();
+            expect(TerminalPanel._cancelHandler).not.toBe(cancelScratch);
+
+            await messageHandler({ type: 'ready' });
+            const runId = Scratch.startStreamingEntry('regress price mpg', '/path', async () => ({}));
+            expect(posted.find((m) => m.type === 'runStarted').runId).toBe(runId);
+            await messageHandler({ type: 'cancelRun' });
+            expect(cancelScratch.calledOnce).toBe(true);
+
+            TerminalPanel.disposeSession('scratch');
+            expect(disposed.calledOnce).toBe(true);
+            expect(TerminalPanel.forSession('scratch')).not.toBe(Scratch);
+            vscode.window.createWebviewPanel = originalCreate;
+        });
+
         itWithContext('normalizeArtifacts preserves type field on artifacts', () => {
             const { normalizeArtifacts } = loadTerminalPanel();
             const result = normalizeArtifacts({
@@ -371,6 +446,21 @@ describe('Panels', () => {
             expect(result[0].type).toBe('help');
             expect(result[1].type).toBe('graph');
         });
+
+        itWithContext('normalizeArtifacts resolves SVG previews through the panel being rendered', ({ vscode }) => {
+            const { TerminalPanel, normalizeArtifacts } = require('../../src/terminal-panel');
+            vscode.Uri.file = (fsPath) => ({ scheme: 'file', fsPath });
+            const Scratch = TerminalPanel.forSession('scratch');
+            Scratch.currentPanel = { webview: { asWebviewUri: (uri) => `webview:${uri.fsPath}` } };
+            try {
+                const result = { graphArtifacts: [{ label: 'Graph', path: '/tmp/Graph.svg' }] };
+                expect(normalizeArtifacts(result)[0].previewPath).toBeNull();
+                expect(normalizeArtifacts(result, Scratch)[0].previewPath).toBe('webview:/tmp/Graph.svg');
+            } finally {
+                Scratch.currentPanel = null;
+                TerminalPanel.disposeSession('scratch');
+            }
+        });
     });
 
     describe('DataBrowserPanel', () => {
@@ -392,5 +482,122 @@ describe('Panels', () => {
 
             DataBrowserPanel.currentPanel = null;
         });
+
+        itWithContext('routes cell edits and undo to the edit handlers', async () => {
+            const { DataBrowserPanel } = loadDataBrowserPanel();
+            const posted = [];
+            const panel = Object.create(DataBrowserPanel.prototype);
+            panel._panel = { webview: { postMessage: (msg) => posted.push(msg) } };
+            DataBrowserPanel.currentPanel = panel;
+            const applyEdit = sinon.stub().resolves({ success: true, canUndo: true });
+            DataBrowserPanel.setEditHandlers({
+                applyEdit,
+                undoEdit: sinon.stub().rejects(new Error('r(109)')),
+                canUndo: () => true,
+                valueLabels: async () => ({ foreign: [{ value: '0', text: 'Domestic' }] })
+            });
+            try {
+                await panel._handleEdit({ type: 'editCell', variable: 'price', obs: 2, value: '5', previous: '4', isString: false, extra: 1 });
+                expect(applyEdit.firstCall.args[0]).toEqual({ variable: 'price', obs: 2, value: '5', previous: '4', isString: false });
+                await panel._handleEdit({ type: 'undoEdit' });
+                await panel._sendValueLabels();
+                expect(posted).toEqual([
+                    { type: 'editResult', success: true, canUndo: true },
+                    { type: 'editResult', success: false, error: 'r(109)', canUndo: true },
+                    { type: 'valueLabels', labels: { foreign: [{ value: '0', text: 'Domestic' }] } }
+                ]);
+            } finally {
+                DataBrowserPanel.setEditHandlers(null);
+                DataBrowserPanel.currentPanel = null;
+            }
+        });
+
+        itWithContext('exports the current view through a save dialog with progress', async () => {
+            const os = require('os');
+            const path = require('path');
+            const fs = require('fs');
+            const { tableToIPC, tableFromArrays } = require('apache-arrow');
+            const { getVscode } = require('../../src/runtime-context');
+            const { DataBrowserPanel } = loadDataBrowserPanel();
+            const vscode = getVscode();
+            const target = path.join(os.tmpdir(), `panel-export-${process.pid}.csv`);
+            vscode.window.showSaveDialog = sinon.stub().resolves({ fsPath: target });
+            const report = sinon.spy();
+            vscode.window.withProgress = (_options, task) => task({ report }, { isCancellationRequested: false });
+            const originalRequest = DataBrowserPanel._performRequest;
+            const request = sinon.stub().resolves(Buffer.from(tableToIPC(tableFromArrays({ price: Float64Array.from([1, 2]) }))));
+            DataBrowserPanel._performRequest = request;
+            const panel = Object.create(DataBrowserPanel.prototype);
+            panel._credentials = { baseUrl: 'http://127.0.0.1:9000', token: 'tok' };
+            try {
+                await panel._handleExport({ type: 'export', datasetId: 'd1', viewId: 'v1', vars: ['price'], sortBy: ['-price'], total: 2 });
+                expect(request.firstCall.args[0]).toBe('http://127.0.0.1:9000/v1/views/v1/arrow');
+                expect(request.firstCall.args[1].headers.Authorization).toBe('Bearer tok');
+                expect(JSON.parse(request.firstCall.args[1].body)).toEqual({ datasetId: 'd1', offset: 0, limit: 10000, vars: ['price'], sortBy: ['-price'] });
+                expect(fs.readFileSync(target, 'utf8')).toBe('price\r\n1\r\n2\r\n');
+                expect(report.firstCall.args[0]).toEqual({ message: '2 of 2 rows', increment: 100 });
+                expect(vscode.window.showInformationMessage).toHaveBeenCalledWith('Exported 2 rows to panel-export-' + process.pid + '.csv.');
+            } finally {
+                DataBrowserPanel._performRequest = originalRequest;
+                fs.rmSync(target, { force: true });
+            }
+        });
+
+        itWithContext('keeps one browser per frame and tracks the most recent one', async () => {
+            const { DataBrowserPanel } = loadDataBrowserPanel();
+            const { getVscode } = require('../../src/runtime-context');
+            getVscode().window.createWebviewPanel = () => ({
+                webview: { onDidReceiveMessage: () => { }, postMessage: () => { }, asWebviewUri: (uri) => uri, cspSource: 'csp' },
+                onDidDispose: () => { },
+                reveal: sinon.spy(),
+                dispose: () => { }
+            });
+            DataBrowserPanel.panels.clear();
+            DataBrowserPanel.currentPanel = null;
+            const first = await DataBrowserPanel.createOrShow({ fsPath: '/ext' }, { frame: 'sales' });
+            const second = await DataBrowserPanel.createOrShow({ fsPath: '/ext' }, { frame: 'default' });
+            try {
+                expect(first).not.toBe(second);
+                expect(DataBrowserPanel.panels.size).toBe(2);
+                expect(DataBrowserPanel.currentPanel).toBe(second);
+                expect(await DataBrowserPanel.createOrShow({ fsPath: '/ext' }, { frame: 'sales' })).toBe(first);
+                expect(DataBrowserPanel.panels.size).toBe(2);
+
+                second.dispose();
+                expect(DataBrowserPanel.currentPanel).toBe(first);
+                expect(first._isAlive()).toBe(true);
+                expect(second._isAlive()).toBe(false);
+            } finally {
+                for (const panel of [...DataBrowserPanel.panels]) panel.dispose();
+            }
+            expect(DataBrowserPanel.currentPanel).toBeNull();
+        });
+
+        itWithContext('inserts plot commands into a Stata editor or copies them', async () => {
+            const { DataBrowserPanel } = loadDataBrowserPanel();
+            const { getVscode } = require('../../src/runtime-context');
+            const vscode = getVscode();
+            const insert = sinon.spy();
+            const editor = {
+                document: { languageId: 'stata' },
+                selection: { active: { line: 4 } },
+                edit: async (callback) => { callback({ insert }); return true; }
+            };
+            vscode.window.activeTextEditor = { document: { languageId: 'markdown' } };
+            vscode.window.visibleTextEditors = [editor];
+            const panel = Object.create(DataBrowserPanel.prototype);
+            try {
+                await panel._insertCommand('twoway scatter price mpg');
+                expect(insert.firstCall.args[0].line).toBe(4);
+                expect(insert.firstCall.args[1]).toBe('twoway scatter price mpg\n');
+
+                vscode.window.visibleTextEditors = [];
+                await panel._insertCommand('graph box price');
+                expect(vscode.env.clipboard.writeText).toHaveBeenCalledWith('graph box price');
+            } finally {
+                vscode.window.activeTextEditor = undefined;
+                vscode.window.visibleTextEditors = undefined;
+            }
+        });
     });
 });
@@ -0,0 +1,160 @@
+const { describe, it, expect } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    PIPELINE_STATE_KEY,
+    PipelineHashes,
+    globalsCode,
+    inferFileIO,
+    masterSteps,
+    loadPipeline,
+    runPipeline,
+    pipelineSummary
+} = require('../../src/pipeline');
+
+const makeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'stata-pipeline-'));
+
+const writeFiles = (dir, files) => {
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+};
+
+const memento = () => {
+    const values = {};
+    return { values, get: (key) => values[key], update: (key, value) => { values[key] = value; return Promise.resolve(); } };
+};
+
+describe('Pipeline inference', () => {
+    it('reads the files a do-file loads and writes', () => {
+        const io = inferFileIO([
+            'global data "/proj/data"',
+            'import delimited using "$data/raw survey.csv", clear',
+            'quietly merge 1:1 id using ${data}/regions, nogen',
+            'tempfile scratch',
+            'save `scratch\'',
+            'use `scratch\', clear',
+            'foreach y in 2020 2021 {',
+            '    append using "$data/wave_`y\'.dta"',
+            '}',
+            'save "$data/clean", replace',
+            'use "$data/clean", clear',
+            'export excel using tables/summary.xlsx, replace',
+            'graph export figures/trend.png, replace'
+        ].join('\n'), { cwd: '/proj' });
+        expect(io.inputs).toEqual(['/proj/data/raw survey.csv', '/proj/data/regions.dta']);
+        expect(io.outputs).toEqual(['/proj/data/clean.dta', '/proj/tables/summary.xlsx', '/proj/figures/trend.png']);
+        expect(io.unresolved).toEqual(['$data/wave_`y\'.dta']);
+    });
+
+    it('follows the do-files, directories and globals of a master.do', () => {
+        const { steps, unresolved } = masterSteps([
+            'global code "code"',
+            'cd "/proj"',
+            'do "$code/01_clean.do"',
+            'capture noisily run $code/02_model',
+            'do `helper\''
+        ].join('\n'), { cwd: '/elsewhere' });
+        expect(steps).toEqual([
+            { file: '/proj/code/01_clean.do', cwd: '/proj', globals: { code: 'code' } },
+            { file: '/proj/code/02_model.do', cwd: '/proj', globals: { code: 'code' } }
+        ]);
+        expect(unresolved).toEqual(['`helper\'']);
+        expect(globalsCode({ code: 'code', title: 'say "hi"' })).toBe('global code `"code"\'\nglobal title `"say "hi""\'');
+    });
+});
+
+describe('Pipeline runs', () => {
+    it('orders steps by their files and reruns only what changed', async () => {
+        const dir = makeDir();
+        try {
+            writeFiles(dir, {
+                'master.do': 'do code/report.do\ndo code/clean.do\n',
+                'code/clean.do': 'use raw/input, clear\nsave data/clean, replace\n',
+                'code/report.do': 'use data/clean, clear\nexport delimited using out/report.csv, replace\n',
+                'raw/input.dta': 'v1'
+            });
+            const pipeline = loadPipeline(path.join(dir, 'master.do'));
+            expect(pipeline.steps.map((s) => [s.id, s.dependsOn])).toEqual([
+                ['code/clean.do', []],
+                ['code/report.do', ['code/clean.do']]
+            ]);
+
+            const state = memento();
+            const hashes = new PipelineHashes({ state });
+            const ran = [];
+            const runStep = async (step) => {
+                ran.push(step.id);
+                for (const output of step.outputs) writeFiles('/', { [output]: fs.readFileSync(step.inputs[0], 'utf8') });
+                return { ok: true };
+            };
+
+            let results = await runPipeline(pipeline, { hashes, runStep });
+            expect(results.map((r) => r.status)).toEqual(['ran', 'ran']);
+            expect(results[0].reason).toBe('not run before');
+
+            results = await runPipeline(pipeline, { hashes: new PipelineHashes({ state }), runStep });
+            expect(results.map((r) => r.status)).toEqual(['up-to-date', 'up-to-date']);
+            expect(Object.keys(state.values[PIPELINE_STATE_KEY][pipeline.file])).toEqual(['code/clean.do', 'code/report.do']);
+
+            ran.length = 0;
+            writeFiles(dir, { 'raw/input.dta': 'v2' });
+            results = await runPipeline(pipeline, { hashes, runStep });
+            expect(ran).toEqual(['code/clean.do', 'code/report.do']);
+            expect(results.map((r) => r.reason)).toEqual(['input changed: raw/input.dta', 'input changed: data/clean.dta']);
+
+            fs.rmSync(path.join(dir, 'out/report.csv'));
+            results = await runPipeline(pipeline, { hashes, runStep });
+            expect(results.map((r) => r.reason || r.status)).toEqual(['up-to-date', 'output missing: out/report.csv']);
+
+            writeFiles(dir, { 'master.do': 'global year 2024\ndo code/report.do\ndo code/clean.do\n' });
+            const edited = loadPipeline(path.join(dir, 'master.do'));
+            expect(edited.steps[0].globals).toEqual({ year: '2024' });
+            results = await runPipeline(edited, { hashes, runStep });
+            expect(results.map((r) => r.reason)).toEqual(['globals changed', 'globals changed']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('stops at the first failure and runs the failed step again next time', async () => {
+        const dir = makeDir();
+        try {
+            writeFiles(dir, {
+                'stata-pipeline.json': JSON.stringify({
+                    steps: [
+                        { name: 'clean', do: 'clean.do', inputs: [], outputs: ['clean.dta'] },
+                        { name: 'model', do: 'model.do' },
+                        { name: 'tables', do: 'tables.do', inputs: ['model.ster'], outputs: [] }
+                    ]
+                }),
+                'clean.do': 'display 1\n',
+                'model.do': 'use clean, clear\nestimates save model.ster, replace\n',
+                'tables.do': 'display 3\n'
+            });
+            const pipeline = loadPipeline(path.join(dir, 'stata-pipeline.json'));
+            expect(pipeline.steps.map((s) => [s.name, s.dependsOn])).toEqual([
+                ['clean', []],
+                ['model', ['clean.do']],
+                ['tables', ['model.do']]
+            ]);
+
+            const hashes = new PipelineHashes();
+            const runStep = async (step) => (step.name === 'model' ? { ok: false, rc: 601 } : { ok: true });
+            writeFiles(dir, { 'clean.dta': 'data' });
+            const results = await runPipeline(pipeline, { hashes, runStep });
+            expect(results.map((r) => r.status)).toEqual(['ran', 'failed', 'not-run']);
+            expect(pipelineSummary(results)).toBe('1 ran, 0 up to date, model failed with r(601), 1 not run');
+
+            const again = await runPipeline(pipeline, { hashes, runStep: async () => ({ ok: true }) });
+            expect(again.map((r) => r.status)).toEqual(['up-to-date', 'ran', 'ran']);
+
+            writeFiles(dir, { 'stata-pipeline.json': '{"steps": [{"do": "missing.do"}]}' });
+            expect(() => loadPipeline(path.join(dir, 'stata-pipeline.json'))).toThrow('Pipeline step missing.do does not exist');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
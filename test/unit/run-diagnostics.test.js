@@ -0,0 +1,70 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { RunDiagnostics, ErrorHelpCodeActionProvider, locateCommand, locateFailure } = require('../../src/run-diagnostics');
+
+const SOURCE = [
+    'sysuse auto, clear',
+    'summarize price',
+    'regress price ///',
+    '    nosuch',
+    'summarize price',
+    'include "helpers.do"'
+].join('\n');
+
+const FAILED_LOG = [
+    '{com}. sysuse auto, clear',
+    '{txt}(1978 automobile data)',
+    '{com}. summarize price',
+    '{com}. regress price ///',
+    '{com}> nosuch',
+    '{err}variable {bf}nosuch{sf} not found',
+    '{txt}{search r(111), local:r(111);}'
+].join('\n');
+
+describe('run-diagnostics', () => {
+    it('locates the n-th occurrence of a command, joining continuations', () => {
+        expect(locateCommand(SOURCE, 'regress price nosuch')).toEqual({ startLine: 2, endLine: 3 });
+        expect(locateCommand(SOURCE, 'summarize price', 2)).toEqual({ startLine: 4, endLine: 4 });
+        expect(locateCommand(SOURCE, 'summarize price', 5)).toEqual({ startLine: 4, endLine: 4 });
+        expect(locateCommand(SOURCE, 'describe')).toBeNull();
+    });
+
+    it('falls back to included files', () => withTestContext({
+        fs: {
+            existsSync: jest.fn((p) => p === '/work/helpers.do'),
+            readFileSync: jest.fn(() => 'gen y = 1\nmerge 1:1 id using missing')
+        }
+    }, () => {
+        const found = locateFailure('/work/main.do', SOURCE, { command: 'merge 1:1 id using missing', commandOccurrence: 1 });
+        expect(found).toMatchObject({ filePath: '/work/helpers.do', startLine: 1, endLine: 1 });
+    }));
+
+    it('publishes an error with rc and help link, and clears it after a successful run', () => withTestContext({}, ({ vscode }) => {
+        const diagnostics = new RunDiagnostics();
+        const collection = vscode.languages.createDiagnosticCollection.mock.results[0].value;
+
+        const published = diagnostics.update('/work/main.do', SOURCE, { success: false, rc: 111, stdout: FAILED_LOG });
+        const [diagnostic] = collection.entries.get('/work/main.do');
+        expect(published.rc).toBe(111);
+        expect(diagnostic.message).toBe('variable nosuch not found');
+        expect(diagnostic.severity).toBe(vscode.DiagnosticSeverity.Error);
+        expect(diagnostic.code.value).toBe('r(111)');
+        expect(diagnostic.range.start).toMatchObject({ line: 2, character: 0 });
+        expect(diagnostic.range.end).toMatchObject({ line: 3, character: 10 });
+
+        diagnostics.update('/work/main.do', SOURCE, { success: true, rc: 0, stdout: '{com}. sysuse auto, clear' });
+        expect(collection.entries.has('/work/main.do')).toBe(false);
+    }));
+
+    it('offers a help quick fix for Stata diagnostics only', () => withTestContext({}, () => {
+        const provider = new ErrorHelpCodeActionProvider();
+        const actions = provider.provideCodeActions(null, null, {
+            diagnostics: [
+                { source: 'Stata', code: { value: 'r(111)' } },
+                { source: 'other', code: { value: 'r(1)' } }
+            ]
+        });
+        expect(actions).toHaveLength(1);
+        expect(actions[0].command).toMatchObject({ command: 'stata-workbench.showErrorHelp', arguments: [111] });
+    }));
+});
@@ -0,0 +1,117 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { RunQueue } = require('../../src/run-queue');
+const { RunQueueTreeProvider, buildQueueNodes, formatElapsed } = require('../../src/run-queue-tree');
+
+const statuses = (queue) => queue.items().map((entry) => `${entry.runId}:${entry.status}`);
+
+describe('RunQueue', () => {
+    it('runs one entry at a time in queue order and keeps finished runs newest first', async () => {
+        const queue = new RunQueue({ finishedLimit: 2 });
+        const a = queue.add({ runId: 'a', command: 'sysuse auto, clear' });
+        const b = queue.add({ runId: 'b', filePath: '/proj/clean.do', isFile: true });
+        const c = queue.add({ runId: 'c', operation: 'export_all_graphs' });
+        expect([a.label, b.label, c.label]).toEqual(['sysuse auto, clear', 'do "clean.do"', 'export all graphs']);
+        expect([a.kind, b.kind, c.kind]).toEqual(['code', 'file', 'operation']);
+
+        const started = [];
+        const turns = [a, b, c].map((entry) => queue.acquire(entry).then(() => started.push(entry.runId)));
+        await Promise.resolve();
+        expect(started).toEqual(['a']);
+        expect(statuses(queue)).toEqual(['a:running', 'b:pending', 'c:pending']);
+
+        queue.release(a, { result: { success: true, rc: 0 } });
+        await turns[1];
+        queue.release(b, { result: { success: false, rc: 601, error: { message: 'file not found' } } });
+        await turns[2];
+        queue.release(c, { error: new Error('Request cancelled'), cancelled: true });
+        expect(statuses(queue)).toEqual(['c:cancelled', 'b:failed']);
+        expect(queue.find('b')).toMatchObject({ rc: 601, error: 'file not found' });
+    });
+
+    it('holds pending runs while paused and lets them be reordered or cancelled', async () => {
+        const queue = new RunQueue();
+        const changes = [];
+        queue.onDidChange(() => changes.push(queue.paused));
+        queue.pause();
+        const entries = ['a', 'b', 'c'].map((runId) => queue.add({ runId, command: `display "${runId}"` }));
+        const started = [];
+        entries.forEach((entry) => queue.acquire(entry).then(() => started.push(entry.runId)));
+        await Promise.resolve();
+        expect(started).toEqual([]);
+
+        expect(queue.move('c', -1)).toBe(true);
+        expect(queue.move('a', -1)).toBe(false);
+        expect(queue.cancelPending(entries[0])).toBe(true);
+        expect(statuses(queue)).toEqual(['c:pending', 'b:pending', 'a:cancelled']);
+        await Promise.resolve();
+        expect(started).toEqual(['a']);
+
+        queue.resume();
+        await Promise.resolve();
+        expect(started).toEqual(['a', 'c']);
+        expect(queue.cancelPending(entries[2])).toBe(false);
+        expect(changes).toContain(true);
+
+        queue.release(entries[2], { result: { rc: 0 } });
+        queue.clearFinished();
+        expect(statuses(queue)).toEqual(['b:running']);
+    });
+
+    it('runs internal entries in turn, even while paused, without listing them', async () => {
+        const queue = new RunQueue();
+        const a = queue.add({ runId: 'a', command: 'regress price mpg' });
+        const snapshot = queue.add({ runId: 'snap', command: 'frames dir', internal: true });
+        const b = queue.add({ runId: 'b', command: 'predict yhat' });
+        const started = [];
+        [a, snapshot, b].forEach((entry) => queue.acquire(entry).then(() => started.push(entry.runId)));
+        await Promise.resolve();
+        expect(statuses(queue)).toEqual(['a:running', 'b:pending']);
+        expect(queue.move('b', -1)).toBe(false);
+
+        queue.pause();
+        queue.release(a, { result: { rc: 0 } });
+        await Promise.resolve();
+        expect(started).toEqual(['a', 'snap']);
+        expect(statuses(queue)).toEqual(['b:pending', 'a:done']);
+
+        queue.release(snapshot, { result: { rc: 0 } });
+        await Promise.resolve();
+        expect(started).toEqual(['a', 'snap']);
+        expect(statuses(queue)).toEqual(['b:pending', 'a:done']);
+        queue.resume();
+        await Promise.resolve();
+        expect(started).toEqual(['a', 'snap', 'b']);
+    });
+});
+
+describe('RunQueueTreeProvider', () => {
+    it('lists entries with status, file, elapsed time and rc', () => withTestContext({}, async () => {
+        const queue = new RunQueue();
+        const running = queue.add({ runId: 'r1', filePath: '/proj/analysis.do', isFile: true, cwd: '/proj' });
+        queue.add({ runId: 'r2', command: 'regress price mpg\npredict yhat', filePath: '/proj/model.do' });
+        queue.acquire(running);
+        running.startedAt = 1000;
+        queue.find('r2').queuedAt = 5000;
+
+        const nodes = buildQueueNodes(queue, 66000);
+        expect(nodes.map((n) => [n.label, n.description, n.contextValue])).toEqual([
+            ['do "analysis.do"', 'running · analysis.do · 1m 05s', 'stataRun.running'],
+            ['regress price mpg', '#1 · model.do · waiting 1m 01s', 'stataRun.pending']
+        ]);
+        expect(nodes[0].tooltip).toContain('Directory: /proj');
+
+        queue.pause();
+        queue.release(running, { result: { success: false, rc: 198 } });
+        const provider = new RunQueueTreeProvider({ queue });
+        const [paused, , failed] = provider.getChildren();
+        expect(paused).toMatchObject({ label: 'Queue paused', description: '1 waiting' });
+        const item = provider.getTreeItem(failed);
+        expect(item.contextValue).toBe('stataRun.failed');
+        expect(item.description).toMatch(/^failed · analysis\.do · .* · r\(198\)$/);
+        provider.dispose();
+
+        expect(buildQueueNodes(new RunQueue()).map((n) => n.label)).toEqual(['No runs']);
+        expect(formatElapsed(2 * 3600 * 1000 + 5 * 60 * 1000)).toBe('2h 05m');
+    }));
+});
@@ -0,0 +1,114 @@
+const { describe, it, expect } = require('bun:test');
+const {
+    CHECKPOINTS_STATE_KEY,
+    SessionCheckpoints,
+    datasetSource,
+    replayPlan,
+    replayCheckpoint,
+    restoreReport
+} = require('../../src/session-checkpoint');
+
+const memento = (initial = {}) => {
+    const values = { ...initial };
+    return {
+        values,
+        get: (key) => values[key],
+        update: (key, value) => {
+            values[key] = value;
+            return Promise.resolve();
+        }
+    };
+};
+
+describe('Session checkpoints', () => {
+    it('keeps the dataset load and the commands since, per session', () => {
+        const state = memento();
+        const checkpoints = new SessionCheckpoints({ state, maxCommands: 3 });
+        checkpoints.record('default', { code: 'display 1', cwd: '/old' });
+        checkpoints.record('default', { code: 'sysuse auto, clear\ngen lp = ln(price)', cwd: '/proj' });
+        checkpoints.record('default', { code: 'foreach v in mpg weight {\n    summarize `v\'\n}\nsave out.dta, replace', cwd: '/proj' });
+        checkpoints.record('scratch', { code: 'clear all', cwd: '/tmp' });
+
+        const checkpoint = checkpoints.get('default');
+        expect(checkpoint.cwd).toBe('/proj');
+        expect(checkpoint.dataset).toEqual({ source: 'auto', command: 'sysuse auto, clear', cwd: '/proj' });
+        expect(checkpoint.commands.map((c) => c.code)).toEqual([
+            'gen lp = ln(price)',
+            'foreach v in mpg weight {\n    summarize `v\'\n}',
+            'save out.dta, replace'
+        ]);
+        expect(checkpoints.get('scratch')).toMatchObject({ cwd: '/tmp', dataset: null, commands: [] });
+
+        checkpoints.record('default', { code: 'regress price mpg', cwd: '/proj' });
+        expect(checkpoints.get('default').commands).toHaveLength(3);
+        expect(checkpoints.get('default').dropped).toBe(1);
+
+        // Survives a reload through workspace state.
+        const reloaded = new SessionCheckpoints({ state: memento(state.values) });
+        expect(reloaded.get('default').dataset.source).toBe('auto');
+        expect(state.values[CHECKPOINTS_STATE_KEY].scratch.cwd).toBe('/tmp');
+        expect(reloaded.clear('default')).toBe(true);
+        expect(reloaded.get('default')).toBeNull();
+    });
+
+    it('reads the file a load command uses', () => {
+        expect(datasetSource('use "data/my file.dta", clear')).toBe('data/my file.dta');
+        expect(datasetSource('use price mpg using survey.dta if foreign')).toBe('survey.dta');
+        expect(datasetSource('quietly import delimited using "raw.csv", varnames(1) clear')).toBe('raw.csv');
+        expect(datasetSource('import excel sheet.xlsx, firstrow')).toBe('sheet.xlsx');
+        expect(datasetSource('summarize')).toBeNull();
+    });
+
+    it('replays until the first failure and reports what was not restored', async () => {
+        const checkpoints = new SessionCheckpoints();
+        checkpoints.record('default', { code: 'use survey, clear\ngen x = 1\nsave copy, replace\nmerge 1:1 id using extra\ngen y = 2\nbrowse\ndo "clean.do"', cwd: '/proj' });
+        const plan = replayPlan(checkpoints.get('default'));
+        expect(plan.steps.map((s) => s.kind)).toEqual(['data', 'command', 'command', 'command']);
+        expect(plan.skipped).toEqual([
+            { code: 'save copy, replace', reason: 'writes files' },
+            { code: 'browse', reason: 'opens a window' },
+            { code: 'do "clean.do"', reason: 'runs a do-file whose changes to the data are not recorded, so the session is rebuilt as it was before it' }
+        ]);
+
+        const ran = [];
+        const results = await replayCheckpoint(plan, async (step) => {
+            ran.push([step.code, step.cwd]);
+            return step.code.startsWith('merge') ? { ok: false, rc: 601, message: 'file extra.dta not found' } : { ok: true };
+        });
+        expect(ran).toEqual([['use survey, clear', '/proj'], ['gen x = 1', '/proj'], ['merge 1:1 id using extra', '/proj']]);
+        expect(results.map((r) => r.status)).toEqual(['restored', 'restored', 'failed', 'not-run']);
+
+        const report = restoreReport(checkpoints.get('default'), plan, results, { session: 'default', date: new Date('2026-01-02T03:04:05Z') });
+        expect(report).toContain('# Session restore: default');
+        expect(report).toContain('- Dataset: `survey` — reloaded');
+        expect(report).toContain('- Commands replayed: 1 of 3');
+        expect(report).toContain('- `merge 1:1 id using extra`: failed with r(601): file extra.dta not found');
+        expect(report).toContain('- `gen y = 2`: not run after an earlier failure');
+        expect(report).toContain('- `save copy, replace`: writes files');
+    });
+
+    it('does not replay past a do-file run, which may have loaded other data', () => {
+        const checkpoints = new SessionCheckpoints();
+        checkpoints.record('default', { code: 'use a.dta, clear\ngen x = 1', cwd: '/proj' });
+        // A file run is recorded as its do command; the file itself ran `use b.dta, clear`.
+        checkpoints.record('default', { code: 'do "/proj/load_b.do"', cwd: '/proj' });
+        checkpoints.record('default', { code: 'regress price mpg\npredict yhat', cwd: '/proj' });
+
+        const plan = replayPlan(checkpoints.get('default'));
+        expect(plan.steps.map((s) => s.code)).toEqual(['use a.dta, clear', 'gen x = 1']);
+        expect(plan.stoppedAt).toBe('do "/proj/load_b.do"');
+        expect(plan.skipped.map((s) => s.label || s.code)).toEqual(['do "/proj/load_b.do"', '2 later commands']);
+
+        const results = plan.steps.map((step) => ({ ...step, status: 'restored' }));
+        const report = restoreReport(checkpoints.get('default'), plan, results);
+        expect(report).toContain('- Restored to the state before `do "/proj/load_b.do"`, not the state at the crash');
+        expect(report).toContain('- 2 later commands: ran after that do-file');
+
+        // Loading data again makes the checkpoint whole.
+        checkpoints.record('default', { code: 'use c.dta, clear\nsummarize', cwd: '/proj' });
+        const fresh = replayPlan(checkpoints.get('default'));
+        expect(fresh.steps.map((s) => s.code)).toEqual(['use c.dta, clear', 'summarize']);
+        expect(fresh.stoppedAt).toBeNull();
+        expect(fresh.skipped).toEqual([]);
+    });
+});
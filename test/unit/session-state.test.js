@@ -0,0 +1,92 @@
+const { describe, it, expect } = require('bun:test');
+const {
+    parseStateSnapshot,
+    fetchSessionState,
+    fetchValueLabels,
+    valueLabelSnapshotCode,
+    STATE_SNAPSHOT_CODE
+} = require('../../src/session-state');
+
+const SNAPSHOT = [
+    '. mata:',
+    '{res}@@WB|#|frame|#|default|#|74|#|2|#|1',
+    '@@WB|#|var|#|default|#|make|#|str18|#|%-18s|#||#|Make and model',
+    '@@WB|#|var|#|default|#|foreign|#|byte|#|%8.0g|#|origin|#|Car origin',
+    '@@WB|#|vlabel|#|default|#|origin|#|2',
+    '@@WB|#|vlentry|#|default|#|origin|#|0|#|Domestic',
+    '@@WB|#|vlentry|#|default|#|origin|#|1|#|Foreign',
+    '@@WB|#|frame|#|results|#|0|#|0|#|0',
+    '@@WB|#|global|#|S_level|#|95',
+    '@@WB|#|global|#|braces|#|a {c -(}b{c )-}',
+    '@@WB|#|scalar|#|tau|#|6.283185307',
+    '@@WB|#|matrix|#|b|#|1|#|2',
+    '@@WB|#|estimate|#|m1',
+    '@@WB|#|estimate|#|m2',
+    '@@WB|#|active|#|regress|#|price',
+    '. end'
+].join('\n');
+
+describe('session-state', () => {
+    it('parses frames, variables and value labels', () => {
+        const state = parseStateSnapshot(SNAPSHOT);
+        expect(state.frames.map(f => [f.name, f.n, f.k, f.current])).toEqual([
+            ['default', 74, 2, true],
+            ['results', 0, 0, false]
+        ]);
+        expect(state.frames[0].variables[1]).toEqual({
+            name: 'foreign', type: 'byte', format: '%8.0g', valueLabel: 'origin', label: 'Car origin'
+        });
+        expect(state.frames[0].valueLabels).toEqual([{
+            name: 'origin',
+            count: 2,
+            entries: [{ value: '0', text: 'Domestic' }, { value: '1', text: 'Foreign' }]
+        }]);
+    });
+
+    it('parses macros, scalars, matrices and estimates', () => {
+        const state = parseStateSnapshot(SNAPSHOT);
+        expect(state.globals).toEqual([{ name: 'S_level', value: '95' }, { name: 'braces', value: 'a {b}' }]);
+        expect(state.scalars).toEqual([{ name: 'tau', value: '6.283185307' }]);
+        expect(state.matrices).toEqual([{ name: 'b', rows: 1, cols: 2 }]);
+        expect(state.estimates).toEqual(['m1', 'm2']);
+        expect(state.activeEstimate).toEqual({ cmd: 'regress', depvar: 'price' });
+    });
+
+    it('treats an empty e(cmd) as no active estimates', () => {
+        expect(parseStateSnapshot('@@WB|#|active|#||#|').activeEstimate).toBeNull();
+        expect(parseStateSnapshot('').frames).toEqual([]);
+    });
+
+    it('runs the snapshot through the client and rejects failed runs', async () => {
+        const client = { run: jest.fn().mockResolvedValue({ success: true, rc: 0, stdout: SNAPSHOT }) };
+        const state = await fetchSessionState(client);
+        expect(client.run).toHaveBeenCalledWith(STATE_SNAPSHOT_CODE, { internal: true });
+        expect(state.frames).toHaveLength(2);
+
+        client.run.mockResolvedValue({ success: false, rc: 3000, stderr: '' });
+        await expect(fetchSessionState(client)).rejects.toThrow('r(3000)');
+    });
+
+    it('reads whole value label sets of one frame for the data browser', async () => {
+        expect(STATE_SNAPSHOT_CODE).toContain('min((rows(__wb_values), 50))');
+        const code = valueLabelSnapshotCode('sales');
+        expect(code).toContain('__wb_frame = "sales"');
+        expect(code).toContain('__wb_k <= rows(__wb_values);');
+        expect(valueLabelSnapshotCode()).toContain('__wb_frame = __wb_cur');
+        expect(() => valueLabelSnapshotCode('sales"; stata("erase x')).toThrow('Invalid frame name');
+
+        const entries = Array.from({ length: 60 }, (_, i) => `@@WB|#|vlentry|#|sales|#|region|#|${i}|#|Region ${i}`);
+        const stdout = [
+            '@@WB|#|var|#|sales|#|region|#|int|#|%8.0g|#|region|#|Region',
+            '@@WB|#|var|#|sales|#|amount|#|double|#|%10.0g|#||#|Amount',
+            '@@WB|#|vlabel|#|sales|#|region|#|60',
+            ...entries
+        ].join('\n');
+        const client = { run: jest.fn().mockResolvedValue({ success: true, rc: 0, stdout }) };
+        const labels = await fetchValueLabels(client, { frame: 'sales' });
+        expect(client.run).toHaveBeenCalledWith(valueLabelSnapshotCode('sales'), { internal: true });
+        expect(Object.keys(labels)).toEqual(['region']);
+        expect(labels.region).toHaveLength(60);
+        expect(labels.region[59]).toEqual({ value: '59', text: 'Region 59' });
+    });
+});
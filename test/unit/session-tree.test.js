@@ -0,0 +1,77 @@
+const { describe, it, expect } = require('bun:test');
+const { withTestContext } = require('../helpers/test-context');
+const { SessionTreeProvider } = require('../../src/session-tree');
+const { parseStateSnapshot } = require('../../src/session-state');
+
+const STATE = parseStateSnapshot([
+    '@@WB|#|frame|#|default|#|1200|#|1|#|1',
+    '@@WB|#|var|#|default|#|foreign|#|byte|#|%8.0g|#|origin|#|Car origin',
+    '@@WB|#|frame|#|other|#|0|#|0|#|0',
+    '@@WB|#|estimate|#|m1',
+    '@@WB|#|active|#|regress|#|price'
+].join('\n'));
+
+describe('SessionTreeProvider', () => {
+    it('builds frame and result sections from the snapshot', () => withTestContext({}, async () => {
+        const provider = new SessionTreeProvider({ loadState: jest.fn().mockResolvedValue(STATE) });
+        const roots = await provider.getChildren();
+        expect(roots.map(n => n.label)).toEqual(['default', 'other', 'Globals', 'Scalars', 'Matrices', 'Estimates']);
+
+        const frame = provider.getTreeItem(roots[0]);
+        expect(frame.contextValue).toBe('stataFrameCurrent');
+        expect(frame.description).toBe('current · 1,200 obs × 1 vars');
+        expect(provider.getTreeItem(roots[1]).contextValue).toBe('stataFrame');
+
+        const [variables] = await provider.getChildren(roots[0]);
+        const [foreign] = await provider.getChildren(variables);
+        expect(foreign).toMatchObject({ frame: 'default', variable: 'foreign', contextValue: 'stataVariable' });
+        expect(provider.getTreeItem(foreign).description).toBe('byte  %8.0g  Car origin');
+
+        const estimates = await provider.getChildren(roots[5]);
+        expect(estimates.map(n => `${n.label}:${n.description || ''}`)).toEqual(['active:regress price', 'm1:']);
+    }));
+
+    it('loads once until refreshed and shares in-flight loads', () => withTestContext({}, async () => {
+        const loadState = jest.fn().mockResolvedValue(STATE);
+        const provider = new SessionTreeProvider({ loadState });
+        const listener = jest.fn();
+        provider.onDidChangeTreeData(listener);
+
+        await Promise.all([provider.getChildren(), provider.getChildren()]);
+        await provider.getChildren();
+        expect(loadState).toHaveBeenCalledTimes(1);
+
+        provider.refresh();
+        expect(listener).toHaveBeenCalledTimes(1);
+        await provider.getChildren();
+        expect(loadState).toHaveBeenCalledTimes(2);
+    }));
+
+    it('drops a load that was in flight when the view was refreshed', () => withTestContext({}, async () => {
+        const stale = parseStateSnapshot('@@WB|#|frame|#|stale|#|1|#|1|#|1');
+        let finishStale;
+        const loadState = jest.fn()
+            .mockReturnValueOnce(new Promise((resolve) => { finishStale = resolve; }))
+            .mockResolvedValue(STATE);
+        const provider = new SessionTreeProvider({ loadState });
+
+        const pending = provider.getChildren();
+        await Promise.resolve();
+        provider.refresh();
+        const fresh = await provider.getChildren();
+        finishStale(stale);
+        const roots = await pending;
+
+        expect(loadState).toHaveBeenCalledTimes(2);
+        expect(fresh[0].label).toBe('default');
+        expect(roots[0].label).toBe('default');
+        expect(provider.state).toBe(STATE);
+    }));
+
+    it('shows the load error as a tree item', () => withTestContext({}, async () => {
+        const provider = new SessionTreeProvider({ loadState: jest.fn().mockRejectedValue(new Error('not connected')) });
+        const roots = await provider.getChildren();
+        expect(roots).toHaveLength(1);
+        expect(roots[0].label).toContain('not connected');
+    }));
+});
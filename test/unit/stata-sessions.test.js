@@ -0,0 +1,85 @@
+const { describe, it, expect } = require('bun:test');
+const {
+    SESSIONS_STATE_KEY,
+    StataSessions,
+    isValidSessionName,
+    sessionNameForFolder
+} = require('../../src/stata-sessions');
+
+const memento = (initial = {}) => {
+    const values = { ...initial };
+    return {
+        values,
+        get: (key) => values[key],
+        update: (key, value) => {
+            values[key] = value;
+            return Promise.resolve();
+        }
+    };
+};
+
+describe('Stata sessions', () => {
+    it('runs editors in their bound session, their folder session or the active one', () => {
+        const sessions = new StataSessions({ state: memento() });
+        const changes = [];
+        sessions.onDidChange(() => changes.push(sessions.active));
+        expect(sessions.names()).toEqual(['default']);
+        expect(sessions.sessionFor('file:///a.do')).toBe('default');
+
+        sessions.setActive('scratch');
+        expect(sessions.names()).toEqual(['default', 'scratch']);
+        expect(sessions.sessionFor('file:///a.do')).toBe('scratch');
+        expect(changes[changes.length - 1]).toBe('scratch');
+
+        sessions.bind('file:///b.do', 'estimation');
+        expect(sessions.sessionFor('file:///b.do')).toBe('estimation');
+        expect(sessions.sessionFor('file:///c.do', { folderName: 'proj/one', perFolder: true })).toBe('proj_one');
+        expect(sessions.sessionFor('file:///c.do', { folderName: 'proj/one', perFolder: false })).toBe('scratch');
+        expect(sessions.sessionFor(null)).toBe('scratch');
+
+        expect(sessions.unbind('file:///b.do')).toBe(true);
+        expect(sessions.sessionFor('file:///b.do')).toBe('scratch');
+        expect(() => sessions.bind('file:///b.do', 'bad/name')).toThrow('not a valid session name');
+    });
+
+    it('persists sessions and bindings but starts on the default session', () => {
+        const state = memento();
+        const first = new StataSessions({ state });
+        first.setActive('scratch');
+        first.bind('file:///a.do', 'scratch');
+        first.bind('file:///b.do', 'default');
+        expect(state.values[SESSIONS_STATE_KEY]).toEqual({
+            sessions: ['scratch'],
+            bindings: { 'file:///a.do': 'scratch', 'file:///b.do': 'default' }
+        });
+
+        const second = new StataSessions({ state });
+        expect(second.active).toBe('default');
+        expect(second.names()).toEqual(['default', 'scratch']);
+        expect(second.boundSession('file:///a.do')).toBe('scratch');
+
+        // Removing a session drops its bindings and falls back to the default session.
+        second.setActive('scratch');
+        expect(second.remove('default')).toBe(false);
+        expect(second.remove('scratch')).toBe(true);
+        expect(second.active).toBe('default');
+        expect(second.boundSession('file:///a.do')).toBeNull();
+        expect(second.boundSession('file:///b.do')).toBe('default');
+
+        // Bindings to sessions that are no longer listed are ignored.
+        const stale = new StataSessions({ state: memento({ [SESSIONS_STATE_KEY]: { sessions: ['x/y'], bindings: { 'file:///a.do': 'gone' } } }) });
+        expect(stale.names()).toEqual(['default']);
+        expect(stale.boundSession('file:///a.do')).toBeNull();
+    });
+
+    it('validates session names and derives them from folder names', () => {
+        expect(isValidSessionName('scratch 2')).toBe(true);
+        expect(isValidSessionName(' scratch')).toBe(false);
+        expect(isValidSessionName('')).toBe(false);
+        expect(isValidSessionName('a'.repeat(41))).toBe(false);
+        expect(sessionNameForFolder('my-project')).toBe('my-project');
+        expect(sessionNameForFolder('.hidden')).toBe('hidden');
+        expect(sessionNameForFolder('???')).toBeNull();
+        expect(sessionNameForFolder(null)).toBeNull();
+    });
+});
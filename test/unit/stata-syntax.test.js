@@ -0,0 +1,117 @@
+const { describe, it, expect } = require('bun:test');
+const { scanLine, logicalLines, maskComments, splitStatements, braceDelta, programName } = require('../../src/stata-syntax');
+
+describe('stata-syntax', () => {
+    describe('scanLine', () => {
+        it('separates trailing // comments but keeps URLs inside strings', () => {
+            expect(scanLine('sysuse auto // load').code).toBe('sysuse auto');
+            expect(scanLine('di "http://example.com"').code).toBe('di "http://example.com"');
+        });
+
+        it('flags /// continuations', () => {
+            const scanned = scanLine('regress price ///');
+            expect(scanned.continues).toBe(true);
+            expect(scanned.code).toBe('regress price');
+            expect(scanned.commentStart).toBe(14);
+        });
+
+        it('treats * lines as comments only at statement start', () => {
+            expect(scanLine('* a comment').code).toBe('');
+            expect(scanLine('  * indented').code).toBe('');
+            expect(scanLine('gen y = x * 2').code).toBe('gen y = x * 2');
+        });
+
+        it('tracks block comments across lines', () => {
+            const first = scanLine('di 1 /* start');
+            expect(first.code).toBe('di 1');
+            expect(first.inBlockComment).toBe(true);
+            const second = scanLine('end */ di 2', { inBlockComment: true });
+            expect(second.code.trim()).toBe('di 2');
+            expect(second.inBlockComment).toBe(false);
+        });
+
+        it('keeps compound-quoted strings intact', () => {
+            expect(scanLine('di `"say "hi" // no"\'').code).toBe('di `"say "hi" // no"\'');
+        });
+    });
+
+    describe('logicalLines', () => {
+        it('joins continued lines', () => {
+            const lines = logicalLines('regress price ///\n    mpg weight\nsummarize');
+            expect(lines).toEqual([
+                { startLine: 0, endLine: 1, code: 'regress price mpg weight', semicolon: false },
+                { startLine: 2, endLine: 2, code: 'summarize', semicolon: false }
+            ]);
+        });
+
+        it('splits on semicolons under #delimit ;', () => {
+            const lines = logicalLines('#delimit ;\ngen x = 1; gen y = ";";\nlist x\n  in 1;\n#delimit cr\ndi 1');
+            expect(lines.map(l => l.code)).toEqual(['#delimit ;', 'gen x = 1', 'gen y = ";"', 'list x in 1', '#delimit cr', 'di 1']);
+            expect(lines[0].directive).toBe(true);
+            expect(lines[3].semicolon).toBe(true);
+        });
+    });
+
+    describe('braceDelta', () => {
+        it('ignores braces inside strings', () => {
+            expect(braceDelta('foreach v of varlist * {')).toBe(1);
+            expect(braceDelta('di "{" }')).toBe(-1);
+        });
+    });
+
+    describe('splitStatements', () => {
+        it('keeps blocks together and attaches else to its if', () => {
+            const text = [
+                'sysuse auto',
+                'foreach v of varlist price mpg {',
+                '    summarize `v\'',
+                '}',
+                'if 1 {',
+                '    di 1',
+                '}',
+                'else {',
+                '    di 2',
+                '}',
+                'program define hello',
+                '    di "hi"',
+                'end',
+                'mata:',
+                'x = 1',
+                'end'
+            ].join('\n');
+            const statements = splitStatements(text);
+            expect(statements.map(s => [s.startLine, s.endLine])).toEqual([[0, 0], [1, 3], [4, 9], [10, 12], [13, 15]]);
+            expect(statements[1].code).toContain('summarize');
+        });
+
+        it('skips comments and blank lines between statements', () => {
+            const statements = splitStatements('* header\n\n/* block\n comment */\ndi 1\n// note\ndi 2');
+            expect(statements.map(s => s.startLine)).toEqual([4, 6]);
+        });
+
+        it('returns rejoined commands for #delimit ; statements', () => {
+            const statements = splitStatements('#delimit ;\nlist x\n  in 1;\n#delimit cr');
+            expect(statements[0].directive).toBe(true);
+            expect(statements[1]).toMatchObject({ startLine: 1, endLine: 2, code: 'list x in 1', directive: false });
+        });
+    });
+
+    describe('maskComments', () => {
+        it('blanks comments while keeping offsets', () => {
+            const masked = maskComments('* `a\'\ndi `b\' /* `c\' */ "// `d\'" // `e\'\n/* open\n`f\' */ di 1');
+            expect(masked[0].trim()).toBe('');
+            expect(masked[1]).toBe('di `b\'           "// `d\'"       ');
+            expect(masked[2].trim()).toBe('');
+            expect(masked[3]).toBe('       di 1');
+        });
+    });
+
+    describe('programName', () => {
+        it('returns the defined program name only for definitions', () => {
+            expect(programName('program define tidy, rclass')).toBe('tidy');
+            expect(programName('cap prog my.cmd')).toBe('my.cmd');
+            expect(programName('program drop tidy')).toBeNull();
+            expect(programName('display 1')).toBeNull();
+        });
+    });
+});